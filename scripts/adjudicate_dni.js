@@ -0,0 +1,146 @@
+/**
+ * DNI Adjudication
+ *
+ * Reviews the evidence ledger written by scrape_dni_details.js and records
+ * a manual decision for a DNI case:
+ *
+ *   node scripts/adjudicate_dni.js            every case with its evidence and conflicts
+ *   node scripts/adjudicate_dni.js --open     only cases still needing a decision
+ *   node scripts/adjudicate_dni.js --competitor "Jake PATES" --run 2 \
+ *     --reason crash --justification "..." --by "<name>" [--event <id>]
+ *
+ * Reasons are crash, strategic_skip or unknown (reviewed, still open). The
+ * decision is appended to data/raw/dni_adjudications.json and the
+ * resolution is rebuilt from the ledger's evidence, so dni_resolved.csv
+ * picks it up without any source being fetched again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  ADJUDICATIONS_PATH,
+  LEDGER_PATH,
+  REASONS,
+  loadAdjudications,
+  appendAdjudication,
+  buildLedger,
+  describeConflict,
+  writeResolution,
+} = require('./lib/dni_ledger');
+
+const ROOT = path.join(__dirname, '..');
+
+class DNIAdjudicator {
+  constructor(argv = process.argv.slice(2)) {
+    this.argv = argv;
+    if (!fs.existsSync(LEDGER_PATH)) {
+      throw new Error(`No evidence ledger at ${path.relative(ROOT, LEDGER_PATH)}; run node scripts/scrape_dni_details.js first`);
+    }
+    this.ledger = JSON.parse(fs.readFileSync(LEDGER_PATH, 'utf8'));
+  }
+
+  /** Value of --name <v> / --name=<v>, or null */
+  option(name) {
+    for (let i = 0; i < this.argv.length; i++) {
+      if (this.argv[i] === name) return this.argv[i + 1] ?? null;
+      if (this.argv[i].startsWith(`${name}=`)) return this.argv[i].slice(name.length + 1);
+    }
+    return null;
+  }
+
+  /** Ledger case for --competitor / --run (and --event when several events match) */
+  findCase() {
+    const competitor = this.option('--competitor');
+    const run = parseInt(this.option('--run'));
+    const eventId = this.option('--event');
+    if (!competitor || isNaN(run)) throw new Error('--competitor and --run are both needed to adjudicate a case');
+    const matches = this.ledger.cases.filter(c =>
+      c.competitor.toLowerCase() === competitor.toLowerCase() && c.run === run && (!eventId || c.eventId === eventId));
+    if (matches.length === 0) {
+      throw new Error(`No DNI case for ${competitor} run ${run}. Cases: ${this.ledger.cases.map(c => `${c.competitor} R${c.run}`).join(', ')}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`${competitor} run ${run} is a DNI in several events (${matches.map(c => c.eventId).join(', ')}); pass --event`);
+    }
+    return matches[0];
+  }
+
+  printCase(c) {
+    const r = c.resolved;
+    const icon = r.reason === 'crash' ? '💥' : r.reason === 'strategic_skip' ? '🎯' : '❓';
+    console.log(`${icon} ${c.competitor} R${c.run} (${c.eventId}): ${r.reason} [${r.confidence}] via ${r.source}`);
+    c.evidence.forEach(e => {
+      const where = e.fixture || e.url || 'no page';
+      console.log(`    · ${e.reason.padEnd(15)} [${e.confidence}] ${e.source}: "${e.quote}"`);
+      console.log(`      ${e.rule ? `rule ${e.rule} (${e.conditions.join('; ')})` : where}, retrieved ${e.retrievedAt.slice(0, 10)}`);
+    });
+    if (c.evidence.length === 0) console.log('    · no evidence found');
+    if (c.conflict) console.log(`    ⚠ Conflict: ${describeConflict(c.conflict)}`);
+    if (c.adjudication) {
+      const a = c.adjudication;
+      console.log(`    ✎ Adjudicated ${a.reason} by ${a.adjudicator} on ${a.decidedAt.slice(0, 10)}: ${a.justification}`);
+    }
+    console.log();
+  }
+
+  list() {
+    const needsDecision = c => !c.adjudication && (c.conflict || c.resolved.reason === 'unknown');
+    const cases = this.argv.includes('--open') ? this.ledger.cases.filter(needsDecision) : this.ledger.cases;
+    console.log(`Ledger: ${path.relative(ROOT, LEDGER_PATH)} (${this.ledger.sourceMode} sources, ${this.ledger.timestamp.slice(0, 10)})\n`);
+    cases.forEach(c => this.printCase(c));
+    const open = this.ledger.cases.filter(needsDecision).length;
+    console.log(`${this.ledger.cases.length} cases, ${this.ledger.cases.filter(c => c.conflict).length} with conflicting evidence, ${open} awaiting a decision`);
+  }
+
+  record() {
+    const c = this.findCase();
+    const record = {
+      event: c.eventId,
+      competitor: c.competitor,
+      run: c.run,
+      reason: this.option('--reason'),
+      justification: this.option('--justification'),
+      adjudicator: this.option('--by'),
+      decidedAt: new Date().toISOString(),
+      evidenceSeen: c.evidence.length,
+    };
+    if (!REASONS.includes(record.reason)) throw new Error(`--reason must be one of ${REASONS.join(', ')}`);
+    const adjudications = appendAdjudication(ADJUDICATIONS_PATH, record);
+    console.log(`✓ Adjudication saved to ${path.relative(ROOT, ADJUDICATIONS_PATH)}`);
+    if (c.resolved.reason !== record.reason) {
+      console.log(`  ${c.competitor} R${c.run}: ${c.resolved.reason} (${c.resolved.source}) → ${record.reason}`);
+    }
+
+    // Rebuild the resolution from the ledger's evidence with the new decision
+    const cases = this.ledger.cases.map(({ eventId, competitor, country, position, run, trickCount }) =>
+      ({ eventId, competitor, country, position, run, trickCount }));
+    const evidence = this.ledger.cases.flatMap(entry => entry.evidence);
+    const ledger = buildLedger(cases, evidence, loadAdjudications());
+    const { summary, paths } = writeResolution(ledger, {
+      events: this.ledger.events,
+      sourceMode: this.ledger.sourceMode,
+      partial: this.ledger.partial,
+      sourcesChecked: this.ledger.sourcesChecked,
+      pagesRead: this.ledger.pagesRead,
+      heuristics: this.ledger.heuristics,
+    });
+    console.log(`  ${adjudications.length} adjudications on file; now ${summary.crash} crashes, ${summary.strategic_skip} strategic skips, ${summary.unknown} unknown`);
+    paths.forEach(p => console.log(`✓ Results saved to ${p}`));
+  }
+
+  run() {
+    console.log('╔════════════════════════════════════════════════════════════════╗');
+    console.log('║   DNI ADJUDICATION: Evidence Review & Manual Decisions        ║');
+    console.log('╚════════════════════════════════════════════════════════════════╝\n');
+    if (this.option('--reason') !== null || this.option('--competitor') !== null) this.record();
+    else this.list();
+  }
+}
+
+try {
+  const adjudicator = new DNIAdjudicator();
+  adjudicator.run();
+} catch (err) {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+}
@@ -7,34 +7,33 @@
  * 3. Trick difficulty scores
  * 4. Judge analysis data
  * 
+ * Rows cover the events selected with --event / --events / --all-events
+ * (see lib/events.js) and carry an event_id column.
+ *
  * Output: data/processed/master_enriched_dataset.csv
  */
 
 const fs = require('fs');
 const path = require('path');
+const { WIPEOUT_THRESHOLD, runKey, loadCSV, toCSV } = require('./lib/scoring_data');
+const { loadDataset } = require('./lib/events');
+const { COMPOSITION_COLUMNS } = require('./lib/run_composition');
 
 class MasterDataPipeline {
-  constructor() {
-    this.rawDir = path.join(__dirname, '../data/raw');
+  constructor(dataset) {
+    this.dataset = dataset;
     this.processedDir = path.join(__dirname, '../data/processed');
   }
 
-  loadCSV(filePath) {
+  /**
+   * Load an optional processed CSV for the selected events, or null if it is missing
+   */
+  loadOptional(filePath) {
     if (!fs.existsSync(filePath)) {
       console.log(`  ⚠ File not found: ${filePath}`);
       return null;
     }
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',');
-    return lines.slice(1).map(line => {
-      const values = line.split(',');
-      const row = {};
-      headers.forEach((h, i) => {
-        row[h.trim()] = values[i]?.trim();
-      });
-      return row;
-    });
+    return this.dataset.filterRows(loadCSV(filePath));
   }
 
   run() {
@@ -44,22 +43,13 @@ class MasterDataPipeline {
     console.log('╚════════════════════════════════════════════════════════════════╝\n');
 
     // 1. Load base data (enriched judge scores with difficulty)
+    console.log(`Events: ${this.dataset.describe()}\n`);
     console.log('Loading data sources...');
     const enrichedPath = path.join(this.processedDir, 'enriched-judge-scores.csv');
     let baseData;
 
     if (fs.existsSync(enrichedPath)) {
-      const content = fs.readFileSync(enrichedPath, 'utf8');
-      const lines = content.trim().split('\n');
-      const headers = lines[0].split(',');
-      baseData = lines.slice(1).map(line => {
-        const values = line.split(',');
-        const row = {};
-        headers.forEach((h, i) => {
-          row[h.trim()] = values[i]?.trim();
-        });
-        return row;
-      });
+      baseData = this.dataset.filterRows(loadCSV(enrichedPath));
       console.log(`  ✓ Enriched judge scores: ${baseData.length} rows`);
     } else {
       console.log('  ✗ enriched-judge-scores.csv not found, run compute_trick_difficulty.js first');
@@ -67,14 +57,13 @@ class MasterDataPipeline {
     }
 
     // 2. Load DNI resolution
-    const dniData = this.loadCSV(path.join(this.processedDir, 'dni_resolved.csv'));
+    const dniData = this.loadOptional(path.join(this.processedDir, 'dni_resolved.csv'));
     const dniMap = {};
     if (dniData) {
       dniData.forEach(row => {
-        const key = `${row.competitor}-${row.run}`;
-        dniMap[key] = {
+        dniMap[runKey(row.event_id, row.competitor, row.run)] = {
           dni_reason: row.dni_reason,
-          dni_source: row.source?.replace(/"/g, ''),
+          dni_source: row.source,
           dni_confidence: row.confidence,
         };
       });
@@ -82,72 +71,65 @@ class MasterDataPipeline {
     }
 
     // 3. Load judge analysis summary
-    const judgeData = this.loadCSV(path.join(this.processedDir, 'judge_analysis_data.csv'));
+    const judgeData = this.loadOptional(path.join(this.processedDir, 'judge_analysis_data.csv'));
     console.log(`  ✓ Judge analysis: ${judgeData ? judgeData.length : 0} rows`);
 
-    // 4. Load overview data for qualifying scores
-    const overviewData = this.loadCSV(path.join(this.rawDir, 'milano-cortina-2026-mens-halfpipe.csv'));
+    // 4. Overview data for qualifying scores
     const overviewMap = {};
-    if (overviewData) {
-      overviewData.forEach(row => {
-        overviewMap[row.competitor] = {
-          qual_score: row.qual_score,
-          final_rank: row.final_rank,
-          best_score: row.best_score,
-        };
-      });
-      console.log(`  ✓ Overview data: ${overviewData.length} competitors`);
-    }
+    this.dataset.competitors.forEach(c => {
+      overviewMap[`${c.eventId}/${c.name}`] = {
+        qual_score: c.qualScore,
+        final_rank: c.finalRank,
+        best_score: c.bestScore,
+      };
+    });
+    console.log(`  ✓ Overview data: ${this.dataset.competitors.length} competitors`);
+
+    // Judge and trick columns vary with panel size and run length across events
+    const baseHeaders = [...new Set(baseData.flatMap(row => Object.keys(row)))];
+    const judgeColumns = baseHeaders.filter(h => /^judge\d+_score$/.test(h));
+    const trickColumns = baseHeaders.filter(h => /^trick\d+$/.test(h));
 
     // 5. Merge everything
     console.log('\nMerging datasets...');
 
     const masterRows = baseData.map(row => {
-      const runNum = row.run;
-      const dniKey = `${row.competitor}-${runNum}`;
-      const dni = dniMap[dniKey] || {};
-      const overview = overviewMap[row.competitor] || {};
+      const dni = dniMap[runKey(row.event_id, row.competitor, row.run)] || {};
+      const overview = overviewMap[`${row.event_id}/${row.competitor}`] || {};
 
       // Determine run status
       let status;
       const score = parseFloat(row.final_score);
       if (row.final_score === 'DNI') {
         status = dni.dni_reason || 'dni_unknown';
-      } else if (!isNaN(score) && score >= 50) {
+      } else if (!isNaN(score) && score >= WIPEOUT_THRESHOLD) {
         status = 'clean';
-      } else if (!isNaN(score) && score < 50) {
+      } else if (!isNaN(score) && score < WIPEOUT_THRESHOLD) {
         status = 'wipeout';
       } else {
         status = 'unknown';
       }
 
-      // Compute tier
+      // Compute tier (thirds of the start list; position 1 = worst qualifier)
       const position = parseInt(row.position);
+      const third = this.dataset.fieldSize(row.event_id) / 3;
       let tier;
-      if (position <= 4) tier = 'bottom';
-      else if (position <= 8) tier = 'middle';
+      if (position <= third) tier = 'bottom';
+      else if (position <= 2 * third) tier = 'middle';
       else tier = 'top';
 
       return {
         // Original columns
+        event_id: row.event_id,
         competitor: row.competitor,
         country: row.country,
         position: row.position,
         run: row.run,
         final_score: row.final_score,
         // Individual judge scores
-        judge1_score: row.judge1_score,
-        judge2_score: row.judge2_score,
-        judge3_score: row.judge3_score,
-        judge4_score: row.judge4_score,
-        judge5_score: row.judge5_score,
-        judge6_score: row.judge6_score,
+        ...Object.fromEntries(judgeColumns.map(h => [h, row[h]])),
         // Tricks
-        trick1: row.trick1,
-        trick2: row.trick2,
-        trick3: row.trick3,
-        trick4: row.trick4,
-        trick5: row.trick5,
+        ...Object.fromEntries(trickColumns.map(h => [h, row[h]])),
         // Medal and notes
         medal: row.medal,
         notes: row.notes,
@@ -156,33 +138,33 @@ class MasterDataPipeline {
         avg_difficulty: row.avg_difficulty,
         max_difficulty: row.max_difficulty,
         trick_count: row.trick_count,
+        // NEW: Run composition
+        ...Object.fromEntries(COMPOSITION_COLUMNS.map(h => [h, row[h]])),
+        difficulty_profile: row.difficulty_profile,
+        difficulty_profile_hash: row.difficulty_profile_hash,
         // NEW: DNI resolution
         run_status: status,
         dni_reason: dni.dni_reason || '',
         dni_confidence: dni.dni_confidence || '',
         // NEW: Overview data
-        qual_score: overview.qual_score || '',
-        final_rank: overview.final_rank || '',
+        qual_score: overview.qual_score != null ? overview.qual_score.toFixed(2) : '',
+        final_rank: overview.final_rank ?? '',
         tier,
       };
     });
 
     // Save master CSV
     const headers = Object.keys(masterRows[0]);
-    const csvLines = [headers.join(',')];
-    masterRows.forEach(row => {
-      csvLines.push(headers.map(h => row[h] || '').join(','));
-    });
-
     const masterPath = path.join(this.processedDir, 'master_enriched_dataset.csv');
-    fs.writeFileSync(masterPath, csvLines.join('\n'));
+    fs.writeFileSync(masterPath, toCSV(headers, masterRows));
 
     // Print summary
     console.log('\nMASTER DATASET SUMMARY:');
     console.log('='.repeat(80));
     console.log(`  Total rows: ${masterRows.length}`);
     console.log(`  Columns: ${headers.length}`);
-    console.log(`  New columns added: run_status, dni_reason, dni_confidence, qual_score, final_rank, tier, total_difficulty, avg_difficulty, max_difficulty, trick_count`);
+    console.log(`  Events: ${this.dataset.eventIds.join(', ')}`);
+    console.log(`  New columns added: event_id, run_status, dni_reason, dni_confidence, qual_score, final_rank, tier, total_difficulty, avg_difficulty, max_difficulty, trick_count, ${COMPOSITION_COLUMNS.join(', ')}, difficulty_profile, difficulty_profile_hash`);
 
     // Status breakdown
     const statusCounts = {};
@@ -209,5 +191,5 @@ class MasterDataPipeline {
   }
 }
 
-const pipeline = new MasterDataPipeline();
+const pipeline = new MasterDataPipeline(loadDataset());
 pipeline.run();
@@ -0,0 +1,286 @@
+/**
+ * Difficulty Weight Calibration
+ *
+ * The weights in config/difficulty_profiles/baseline.json are hand-set.
+ * This fits them to the judges instead: each clean run's final score is
+ * regressed on run-level counts of the difficulty components, and the
+ * fitted weights are written out as a difficulty profile.
+ *
+ * Components (per run, summed over its tricks):
+ *   rotation   revolutions (degrees / 360)
+ *   corks      cork inversions (SC=1, DC=2, TC=3)
+ *   switch     switch / Cab tricks
+ *   grab       grabbed tricks
+ *   combo      combo grabs
+ *   specials   alley-oops and flips (doubled flips count twice)
+ *   variety    distinct approaches (stance + direction) in the run
+ *
+ * With ~15 clean runs per event the fit is ridge-regularised. The penalty is
+ * chosen by leave-one-rider-out cross-validation (all of a rider's runs are
+ * held out together), and coefficient uncertainty comes from a rider-level
+ * bootstrap. The residual of each run — score above or below what its
+ * difficulty predicts — is reported as an "execution" estimate.
+ *
+ * Options: --lambda <x> (skip the search), --bootstrap <n> (default 1000),
+ * --seed <n>, --out <path> (fitted profile location).
+ *
+ * Output: results/difficulty_calibration.json
+ *         results/calibrated_difficulty_profile.json (use with --profile)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const stats = require('simple-statistics');
+const { parseTrick } = require('./lib/trick_codes');
+const { loadDataset } = require('./lib/events');
+const { runApproaches, validateProfile } = require('./lib/difficulty_profiles');
+const { LAMBDA_GRID, ridgeFit, predict, rmse, selectLambda } = require('./lib/regression');
+const { createRng, parseSeedArg } = require('./lib/random');
+
+const FEATURES = [
+  { key: 'rotation', label: 'Rotation (per 360°)' },
+  { key: 'corks', label: 'Cork inversions' },
+  { key: 'switch', label: 'Switch tricks' },
+  { key: 'grab', label: 'Grabbed tricks' },
+  { key: 'combo', label: 'Combo grabs' },
+  { key: 'specials', label: 'Special moves' },
+  { key: 'variety', label: 'Distinct approaches' },
+];
+
+class DifficultyCalibrator {
+  constructor(dataset, argv = process.argv.slice(2)) {
+    this.dataset = dataset;
+    this.argv = argv;
+    this.seed = parseSeedArg(argv);
+    this.fixedLambda = this.option('--lambda', parseFloat);
+    this.bootstrapCount = this.option('--bootstrap', v => parseInt(v)) ?? 1000;
+    this.outPath = this.option('--out', v => path.resolve(v))
+      ?? path.join(__dirname, '../results/calibrated_difficulty_profile.json');
+  }
+
+  /** Value of --name <v> / --name=<v>, parsed, or null */
+  option(name, parse) {
+    for (let i = 0; i < this.argv.length; i++) {
+      const value = this.argv[i] === name ? this.argv[i + 1]
+        : this.argv[i].startsWith(`${name}=`) ? this.argv[i].slice(name.length + 1) : null;
+      if (value !== null && value !== undefined) {
+        const parsed = parse(value);
+        if (typeof parsed === 'number' && isNaN(parsed)) throw new Error(`${name} needs a number, got "${value}"`);
+        return parsed;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Component counts for one run
+   */
+  features(run) {
+    const asts = run.tricks.map(code => parseTrick(code));
+    const sum = fn => asts.reduce((s, ast) => s + fn(ast), 0);
+    return {
+      rotation: sum(ast => (ast.rotation ? ast.rotation.degrees / 360 : 0)),
+      corks: sum(ast => ast.inversions.filter(inv => inv.kind === 'cork').reduce((s, inv) => s + inv.count, 0)),
+      switch: sum(ast => (ast.stance === 'switch' ? 1 : 0)),
+      grab: sum(ast => (ast.grabs.length > 0 ? 1 : 0)),
+      combo: sum(ast => (ast.grabs.some(group => group.length > 1) ? 1 : 0)),
+      specials: sum(ast => (ast.takeoff ? 1 : 0)
+        + ast.inversions.filter(inv => inv.kind === 'flip').reduce((s, inv) => s + inv.count, 0)),
+      variety: runApproaches(asts),
+    };
+  }
+
+  /**
+   * Rider-level bootstrap of the coefficients at a fixed penalty. A
+   * coefficient is null in a draw whose resample has no variation in its
+   * feature (ridgeFit pins it to 0) unless the feature is constant in the
+   * full sample too, so each CI comes from the draws that could estimate it.
+   */
+  bootstrap(X, y, riders, lambda, fullConstant = []) {
+    const rng = createRng(this.seed);
+    const unique = [...new Set(riders)];
+    const draws = [];
+    for (let b = 0; b < this.bootstrapCount; b++) {
+      const rows = rng.sample(unique).flatMap(rider => riders.map((r, i) => (r === rider ? i : -1)).filter(i => i >= 0));
+      try {
+        const model = ridgeFit(rows.map(i => X[i]), rows.map(i => y[i]), lambda);
+        draws.push([
+          model.intercept,
+          ...model.coefficients.map((c, j) => (model.constant.includes(j) && !fullConstant.includes(j) ? null : c)),
+        ]);
+      } catch (err) {
+        // Resamples that make the unpenalised fit singular are skipped
+      }
+    }
+    return draws;
+  }
+
+  /**
+   * Turn fitted per-component weights into a difficulty profile, so
+   * compute_trick_difficulty.js --profile <out> scores runs in points
+   */
+  toProfile(model, meta) {
+    const w = Object.fromEntries(FEATURES.map((f, j) => [f.key, Math.round(model.coefficients[j] * 1000) / 1000]));
+    const rotation = { 0: 0 };
+    [360, 540, 720, 900, 1080, 1260, 1440, 1620, 1800].forEach(deg => {
+      rotation[deg] = Math.round(w.rotation * (deg / 360) * 1000) / 1000;
+    });
+    return {
+      name: 'calibrated',
+      version: 1,
+      description: `Weights fitted to ${meta.n} clean-run final scores (${meta.events.join(', ')}); run difficulty + intercept ≈ final score.`,
+      rotation,
+      corkMultiplier: { none: 1.0, SC: 1.0, DC: 1.0, TC: 1.0 },
+      corkBonus: { SC: w.corks, DC: Math.round(w.corks * 2000) / 1000, TC: Math.round(w.corks * 3000) / 1000 },
+      switchBonus: w.switch,
+      grabBonus: w.grab,
+      comboBonus: w.combo,
+      specials: { AO: w.specials, Rd: w.specials, CF: w.specials, Mc: w.specials },
+      varietyBonus: w.variety,
+      calibration: {
+        intercept: Math.round(model.intercept * 1000) / 1000,
+        lambda: model.lambda,
+        cleanRuns: meta.n,
+        cvRMSE: Math.round(meta.cvRMSE * 1000) / 1000,
+        seed: this.seed,
+        fittedAt: new Date().toISOString(),
+      },
+    };
+  }
+
+  run() {
+    console.log('╔════════════════════════════════════════════════════════════════╗');
+    console.log('║   DIFFICULTY WEIGHT CALIBRATION                               ║');
+    console.log('║   Fitting difficulty components to clean-run scores           ║');
+    console.log('╚════════════════════════════════════════════════════════════════╝\n');
+    console.log(`Events: ${this.dataset.describe()}\n`);
+
+    const cleanRuns = this.dataset.runs.filter(r => r.isClean);
+    const rows = cleanRuns.map(run => ({ run, features: this.features(run) }));
+    const X = rows.map(r => FEATURES.map(f => r.features[f.key]));
+    const y = cleanRuns.map(r => r.finalScore);
+    const riders = cleanRuns.map(r => `${r.eventId}/${r.competitor}`);
+    const riderCount = new Set(riders).size;
+
+    console.log(`Clean runs: ${cleanRuns.length} from ${riderCount} riders`);
+    console.log(`Components: ${FEATURES.map(f => f.key).join(', ')}\n`);
+
+    if (cleanRuns.length < FEATURES.length + 2 || riderCount < 3) {
+      console.log('  Not enough clean runs to calibrate');
+      return;
+    }
+
+    // 1. Choose the penalty by leave-one-rider-out CV
+    console.log('LEAVE-ONE-RIDER-OUT CROSS-VALIDATION:');
+    console.log('='.repeat(80));
+    const baselineCV = rmse(y, riders.map(rider => {
+      const rest = y.filter((_, i) => riders[i] !== rider);
+      return stats.mean(rest);
+    }));
+    console.log(`  Mean-only model:   RMSE = ${baselineCV.toFixed(2)} pts`);
+
+    const selection = selectLambda(X, y, riders, this.fixedLambda !== null ? [this.fixedLambda] : LAMBDA_GRID);
+    selection.grid.forEach(cv => {
+      if (cv.error) console.log(`  λ = ${String(cv.lambda).padStart(5)}        (singular: ${cv.error})`);
+      else console.log(`  λ = ${String(cv.lambda).padStart(5)}        RMSE = ${cv.rmse.toFixed(2)} pts`);
+    });
+    const best = selection.best;
+    if (!best) {
+      console.log('  No penalty gave a solvable fit');
+      return;
+    }
+    const cvResults = selection.grid.filter(cv => !cv.error);
+    console.log(`\n  Chosen λ = ${best.lambda} (CV RMSE ${best.rmse.toFixed(2)} vs ${baselineCV.toFixed(2)} for the mean)`);
+
+    // 2. Fit on all clean runs, bootstrap the coefficients
+    const model = ridgeFit(X, y, best.lambda);
+    const fitted = X.map(x => predict(model, x));
+    const r2 = 1 - stats.sum(y.map((v, i) => (v - fitted[i]) ** 2)) / stats.sum(y.map(v => (v - stats.mean(y)) ** 2));
+    const draws = this.bootstrap(X, y, riders, best.lambda, model.constant);
+
+    const summarize = (estimate, j) => {
+      const values = draws.map(d => d[j]).filter(v => v !== null);
+      return {
+        estimate,
+        se: values.length > 1 ? stats.sampleStandardDeviation(values) : null,
+        ci95: values.length > 1 ? [stats.quantile(values, 0.025), stats.quantile(values, 0.975)] : null,
+        draws: values.length,
+      };
+    };
+    const coefficients = FEATURES.map((f, j) => ({
+      component: f.key,
+      label: f.label,
+      ...summarize(model.coefficients[j], j + 1),
+      standardized: model.standardized[j],
+      constant: model.constant.includes(j),
+    }));
+    const intercept = summarize(model.intercept, 0);
+
+    console.log('\n\nFITTED WEIGHTS (points per unit, rider bootstrap 95% CI):');
+    console.log('='.repeat(80));
+    console.log(`  ${'Intercept'.padEnd(24)} ${intercept.estimate.toFixed(2).padStart(7)}  ${''.padEnd(30)}n=${intercept.draws}`);
+    coefficients.forEach(c => {
+      const ci = c.ci95 ? `[${c.ci95[0].toFixed(2)}, ${c.ci95[1].toFixed(2)}]` : '';
+      const note = c.constant ? '  (no variation in sample)' : c.ci95 && c.ci95[0] <= 0 && c.ci95[1] >= 0 ? '  (CI spans 0)' : '';
+      console.log(`  ${c.label.padEnd(24)} ${c.estimate.toFixed(2).padStart(7)}  ±${(c.se ?? 0).toFixed(2).padEnd(6)} ${ci.padEnd(22)}n=${c.draws}${note}`);
+    });
+    console.log(`\n  In-sample R² = ${r2.toFixed(3)}; n = bootstrap draws behind each CI, of ${this.bootstrapCount} (seed ${this.seed})`);
+    console.log('  Draws whose resample has no variation in a component are left out of that component\'s CI');
+
+    // 3. Residuals as execution estimates
+    const execution = cleanRuns.map((run, i) => ({
+      eventId: run.eventId,
+      competitor: run.competitor,
+      run: run.run,
+      finalScore: run.finalScore,
+      predicted: fitted[i],
+      execution: run.finalScore - fitted[i],
+      cvPredicted: best.predictions[i],
+      cvExecution: run.finalScore - best.predictions[i],
+      features: rows[i].features,
+    })).sort((a, b) => b.execution - a.execution);
+
+    console.log('\n\nEXECUTION ESTIMATE (score minus difficulty-predicted score):');
+    console.log('='.repeat(80));
+    execution.forEach(e => {
+      const sign = e.execution >= 0 ? '+' : '';
+      console.log(`  ${e.competitor.padEnd(25)} R${e.run}  score=${e.finalScore.toFixed(2).padStart(6)}  predicted=${e.predicted.toFixed(2).padStart(6)}  execution=${sign}${e.execution.toFixed(2)}`);
+    });
+
+    // 4. Fitted profile
+    const profile = this.toProfile(model, { n: cleanRuns.length, events: this.dataset.eventIds, cvRMSE: best.rmse });
+    validateProfile(profile, this.outPath);
+    fs.writeFileSync(this.outPath, JSON.stringify(profile, null, 2) + '\n');
+
+    const output = {
+      timestamp: new Date().toISOString(),
+      description: 'Difficulty component weights fitted to clean-run final scores (ridge regression, leave-one-rider-out CV)',
+      events: this.dataset.eventIds,
+      cleanRuns: cleanRuns.length,
+      riders: riderCount,
+      seed: this.seed,
+      crossValidation: {
+        meanOnlyRMSE: baselineCV,
+        grid: cvResults.map(cv => ({ lambda: cv.lambda, rmse: cv.rmse })),
+        chosenLambda: best.lambda,
+        rmse: best.rmse,
+      },
+      fit: { r2, bootstrapResamples: this.bootstrapCount },
+      intercept,
+      coefficients,
+      execution,
+      profilePath: path.relative(path.join(__dirname, '..'), this.outPath),
+      note: 'Execution is the residual after difficulty; it also absorbs amplitude, style and any judging effects.',
+    };
+
+    fs.writeFileSync(
+      path.join(__dirname, '../results/difficulty_calibration.json'),
+      JSON.stringify(output, null, 2)
+    );
+    console.log(`\n✓ Fitted profile saved to ${output.profilePath}`);
+    console.log('✓ Results saved to results/difficulty_calibration.json\n');
+  }
+}
+
+const calibrator = new DifficultyCalibrator(loadDataset());
+calibrator.run();
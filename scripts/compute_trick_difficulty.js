@@ -4,126 +4,109 @@
  * Parses trick codes from the individual judge scores CSV and computes
  * a numeric difficulty score for each trick and each run.
  * 
- * Trick code format: [spin]-[cork]-[rotation]-[grab]
- * Examples:
+ * Trick codes are parsed with lib/trick_codes.js. Examples:
  *   Cab-DC-14-Mu = Cab + double cork + 1440° + mute grab
  *   f-TC-14-Tdr = frontside + triple cork + 1440° + tail drag
- *   x-b-D-AO-Rd-9-St = switch backside + alley-oop rodeo 900° + stalefish
+ *   x-b-D-AO-Rd-9-St = switch backside + alley-oop double rodeo 900° + stalefish
+ *
+ * Weights come from a difficulty profile in config/difficulty_profiles/
+ * (see lib/difficulty_profiles.js), chosen with --profile <name|path>.
  */
 
 const fs = require('fs');
 const path = require('path');
 const stats = require('simple-statistics');
+const { DataValidationError, loadCSV, toCSV } = require('./lib/scoring_data');
+const { TrickParseError, parseTrick, allGrabs, renderName } = require('./lib/trick_codes');
+const { loadDataset } = require('./lib/events');
+const { loadProfile, parseProfileArg, runApproaches } = require('./lib/difficulty_profiles');
+const { COMPOSITION_COLUMNS, composeRun } = require('./lib/run_composition');
 
 class TrickDifficultyScorer {
-  constructor(csvPath) {
-    this.rows = this.loadCSV(csvPath);
+  constructor(dataset, profile) {
+    this.dataset = dataset;
+    this.profile = profile;
+    this.rows = dataset.runs;
     this.trickCache = {};
+    this.parseCache = {};
   }
 
-  loadCSV(csvPath) {
-    const content = fs.readFileSync(csvPath, 'utf8');
-    const lines = content.trim().split('\n');
-
-    return lines.slice(1).map(line => {
-      const values = line.split(',');
-      return {
-        competitor: values[0],
-        country: values[1],
-        position: parseInt(values[2]),
-        run: parseInt(values[3]),
-        final_score: values[4],
-        judge1_score: values[6],
-        judge2_score: values[8],
-        judge3_score: values[10],
-        judge4_score: values[12],
-        judge5_score: values[14],
-        judge6_score: values[16],
-        trick1: values[17],
-        trick2: values[18],
-        trick3: values[19],
-        trick4: values[20],
-        trick5: values[21],
-        medal: values[22],
-        notes: values[23],
-      };
-    });
+  /**
+   * Rotation from the parsed trick: { code, degrees }, or 0° when none
+   */
+  extractRotation(ast) {
+    return ast.rotation ? { ...ast.rotation } : { code: 0, degrees: 0 };
   }
 
   /**
-   * Extract rotation from trick code by finding numeric segments.
-   * Maps: 3→360, 7→720, 9→900, 10→1080, 12→1260, 14→1440, 16→1600
+   * Cork type: TC (triple), DC (double), SC (single), or none
    */
-  extractRotation(trick) {
-    const parts = trick.split('-');
-    const rotationMap = {
-      3: 360, 5: 540, 7: 720, 9: 900,
-      10: 1080, 12: 1260, 14: 1440, 16: 1600,
+  extractCork(ast) {
+    const cork = ast.inversions.find(inv => inv.kind === 'cork');
+    const type = cork ? cork.code : 'none';
+    return {
+      type,
+      label: cork ? cork.name : 'no cork',
+      multiplier: this.profile.corkMultiplierFor(type),
+      bonus: this.profile.corkBonusFor(type),
     };
-
-    for (const part of parts) {
-      const num = parseInt(part);
-      if (!isNaN(num) && rotationMap[num] !== undefined) {
-        return { code: num, degrees: rotationMap[num] };
-      }
-    }
-    return { code: 0, degrees: 0 };
   }
 
   /**
-   * Extract cork type: TC (triple), DC (double), SC (single), or none
+   * Spin direction; Cab and x- (switch) tricks count as switch
    */
-  extractCork(trick) {
-    if (trick.includes('TC')) return { type: 'TC', label: 'triple cork', multiplier: 2.0 };
-    if (trick.includes('DC')) return { type: 'DC', label: 'double cork', multiplier: 1.5 };
-    if (trick.includes('SC')) return { type: 'SC', label: 'single cork', multiplier: 1.2 };
-    return { type: 'none', label: 'no cork', multiplier: 1.0 };
+  extractSpinDirection(ast) {
+    const direction = ast.cab ? 'Cab' : ast.direction || (ast.stance === 'switch' ? 'switch' : 'unknown');
+    return { direction, isSwitch: ast.stance === 'switch' };
   }
 
   /**
-   * Extract spin direction
+   * Grabs, flattened, and whether any are combos ("-to-")
    */
-  extractSpinDirection(trick) {
-    if (trick.startsWith('Cab')) return { direction: 'Cab', isSwitch: true };
-    if (trick.startsWith('x-')) return { direction: trick.split('-')[1] || 'switch', isSwitch: true };
-    if (trick.startsWith('f-') || trick.startsWith('f')) return { direction: 'frontside', isSwitch: false };
-    if (trick.startsWith('b-') || trick.startsWith('bs')) return { direction: 'backside', isSwitch: false };
-    return { direction: 'unknown', isSwitch: false };
+  extractGrab(ast) {
+    const grabs = allGrabs(ast).map(g => ({ code: g.code, name: g.name }));
+    const hasCombo = ast.grabs.some(group => group.length > 1);
+    return { grabs, hasCombo, count: grabs.length };
   }
 
   /**
-   * Extract grab type from the last meaningful segment(s)
+   * Special elements (alley-oop, rodeo, McTwist, corkflip); a doubled
+   * flip earns its bonus twice
    */
-  extractGrab(trick) {
-    const knownGrabs = {
-      'Mu': 'mute', 'Ng': 'nose grab', 'Jp': 'japan', 'Tdr': 'tail drag',
-      'I': 'indy', 'St': 'stalefish', 'Ddr': 'double grab', 'Me': 'melon',
-      'Tg': 'tail grab', 'Ste': 'stalefish extended',
-    };
-
-    const parts = trick.split('-');
-    const grabs = [];
-    const hasCombo = trick.includes('-to-');
-
-    for (const part of parts) {
-      if (knownGrabs[part]) {
-        grabs.push({ code: part, name: knownGrabs[part] });
-      }
+  extractSpecials(ast) {
+    const specials = [];
+    if (ast.takeoff) {
+      specials.push({ code: ast.takeoff.code, name: ast.takeoff.name, bonus: this.profile.specialBonus(ast.takeoff.code) });
     }
-
-    return { grabs, hasCombo, count: grabs.length };
+    ast.inversions.filter(inv => inv.kind === 'flip').forEach(inv => {
+      specials.push({
+        code: inv.count > 1 ? `D-${inv.code}` : inv.code,
+        name: inv.count > 1 ? `double ${inv.name}` : inv.name,
+        bonus: this.profile.specialBonus(inv.code) * inv.count,
+      });
+    });
+    return specials;
   }
 
   /**
-   * Detect special elements (alley-oop, rodeo, McTwist, corkflip)
+   * Parse every trick up front so an unreadable code stops the run with
+   * its line number rather than scoring as zero
    */
-  extractSpecials(trick) {
-    const specials = [];
-    if (trick.includes('AO')) specials.push({ code: 'AO', name: 'alley-oop', bonus: 1.0 });
-    if (trick.includes('Rd')) specials.push({ code: 'Rd', name: 'rodeo', bonus: 1.0 });
-    if (trick.includes('CF')) specials.push({ code: 'CF', name: 'corkflip', bonus: 1.0 });
-    if (trick.includes('Mc')) specials.push({ code: 'Mc', name: 'McTwist', bonus: 1.5 });
-    return specials;
+  parseAllTricks() {
+    this.dataset.events.forEach(event => {
+      const issues = [];
+      this.rows.filter(row => row.eventId === event.id).forEach(row => {
+        row.tricks.forEach(code => {
+          try {
+            this.parseCache[code] = this.parseCache[code] || parseTrick(code);
+          } catch (err) {
+            if (!(err instanceof TrickParseError)) throw err;
+            issues.push({ line: row.line, message: err.message });
+          }
+        });
+      });
+      if (issues.length > 0) throw new DataValidationError(event.scoresPath, issues);
+    });
   }
 
   /**
@@ -133,28 +116,25 @@ class TrickDifficultyScorer {
     if (!trickCode || !trickCode.trim()) return null;
     if (this.trickCache[trickCode]) return this.trickCache[trickCode];
 
-    const rotation = this.extractRotation(trickCode);
-    const cork = this.extractCork(trickCode);
-    const spin = this.extractSpinDirection(trickCode);
-    const grab = this.extractGrab(trickCode);
-    const specials = this.extractSpecials(trickCode);
+    const ast = this.parseCache[trickCode] || parseTrick(trickCode);
+    const rotation = this.extractRotation(ast);
+    const cork = this.extractCork(ast);
+    const spin = this.extractSpinDirection(ast);
+    const grab = this.extractGrab(ast);
+    const specials = this.extractSpecials(ast);
 
     // Base rotation score (primary difficulty driver)
-    const rotationScoreMap = {
-      0: 0.5, 360: 1.0, 540: 1.5, 720: 2.0, 900: 3.0,
-      1080: 4.0, 1260: 5.0, 1440: 6.0, 1600: 7.0,
-    };
-    const rotationScore = rotationScoreMap[rotation.degrees] || 0.5;
+    const rotationScore = this.profile.rotationScore(rotation.degrees);
 
-    // Cork multiplier
-    const corkedScore = rotationScore * cork.multiplier;
+    // Cork multiplier (plus any additive cork bonus from the profile)
+    const corkedScore = rotationScore * cork.multiplier + cork.bonus;
 
     // Switch bonus
-    const switchBonus = spin.isSwitch ? 0.5 : 0;
+    const switchBonus = spin.isSwitch ? this.profile.switchBonus : 0;
 
     // Grab bonus
-    const grabBonus = grab.count > 0 ? 0.5 : 0;
-    const comboBonus = grab.hasCombo ? 0.5 : 0;
+    const grabBonus = grab.count > 0 ? this.profile.grabBonus : 0;
+    const comboBonus = grab.hasCombo ? this.profile.comboBonus : 0;
 
     // Special moves bonus
     const specialsBonus = specials.reduce((sum, s) => sum + s.bonus, 0);
@@ -163,6 +143,7 @@ class TrickDifficultyScorer {
 
     const result = {
       trickCode,
+      name: renderName(ast),
       rotation,
       cork,
       spinDirection: spin,
@@ -185,27 +166,30 @@ class TrickDifficultyScorer {
   }
 
   /**
-   * Score all tricks in a run and compute run total difficulty
+   * Score all tricks in a run and compute run total difficulty and
+   * composition (see lib/run_composition.js)
    */
   scoreRun(row) {
-    const tricks = [];
-    for (let i = 1; i <= 5; i++) {
-      const trickCode = row[`trick${i}`];
-      if (trickCode && trickCode.trim()) {
-        tricks.push(this.scoreTrick(trickCode));
-      }
-    }
-
-    const totalDifficulty = tricks.reduce((sum, t) => sum + (t ? t.scores.totalDifficulty : 0), 0);
-    const avgDifficulty = tricks.length > 0 ? totalDifficulty / tricks.length : 0;
+    const tricks = row.tricks.map(trickCode => this.scoreTrick(trickCode));
+    const asts = row.tricks.map(code => this.parseCache[code] || parseTrick(code));
+    const variety = runApproaches(asts);
+    const varietyBonus = this.profile.varietyBonus * variety;
+
+    const trickTotal = tricks.reduce((sum, t) => sum + (t ? t.scores.totalDifficulty : 0), 0);
+    const totalDifficulty = trickTotal + varietyBonus;
+    // Variety is a run-level bonus: it counts in the total, not the per-trick average
+    const avgDifficulty = tricks.length > 0 ? trickTotal / tricks.length : 0;
     const maxDifficulty = tricks.length > 0 ? Math.max(...tricks.map(t => t.scores.totalDifficulty)) : 0;
 
     return {
       tricks,
       trickCount: tricks.length,
+      variety,
+      varietyBonus,
       totalDifficulty,
       avgDifficulty,
       maxDifficulty,
+      composition: composeRun(asts, tricks.map(t => t.scores.totalDifficulty)),
     };
   }
 
@@ -214,14 +198,15 @@ class TrickDifficultyScorer {
     console.log('║   TRICK DIFFICULTY SCORING SYSTEM                             ║');
     console.log('║   Computing difficulty scores from trick codes                ║');
     console.log('╚════════════════════════════════════════════════════════════════╝\n');
+    console.log(`Events: ${this.dataset.describe()}`);
+    console.log(`Profile: ${this.profile.name} v${this.profile.version} (hash ${this.profile.hash})\n`);
+
+    this.parseAllTricks();
 
     // Score all unique tricks
     const allTricks = new Set();
     this.rows.forEach(row => {
-      for (let i = 1; i <= 5; i++) {
-        const trick = row[`trick${i}`];
-        if (trick && trick.trim()) allTricks.add(trick.trim());
-      }
+      row.tricks.forEach(trick => allTricks.add(trick));
     });
 
     console.log(`Found ${allTricks.size} unique trick codes\n`);
@@ -250,18 +235,17 @@ class TrickDifficultyScorer {
     const runScores = [];
     this.rows.forEach(row => {
       const runScore = this.scoreRun(row);
-      const isClean = row.final_score !== 'DNI' && row.final_score !== '' &&
-                      parseFloat(row.final_score) >= 50;
 
       runScores.push({
+        eventId: row.eventId,
         competitor: row.competitor,
         run: row.run,
-        finalScore: row.final_score,
-        isClean,
+        finalScore: row.finalScore,
+        isClean: row.isClean,
         ...runScore,
       });
 
-      const scoreStr = row.final_score === 'DNI' ? 'DNI  ' : parseFloat(row.final_score).toFixed(2).padStart(5);
+      const scoreStr = row.isDNI ? 'DNI  ' : row.finalScore.toFixed(2).padStart(5);
       console.log(`  ${row.competitor.padEnd(25)} R${row.run} score=${scoreStr} difficulty=${runScore.totalDifficulty.toFixed(1).padStart(5)} (${runScore.trickCount} tricks, avg=${runScore.avgDifficulty.toFixed(1)})`);
     });
 
@@ -271,7 +255,7 @@ class TrickDifficultyScorer {
     console.log('='.repeat(80));
 
     if (cleanRuns.length >= 3) {
-      const scores = cleanRuns.map(r => parseFloat(r.finalScore));
+      const scores = cleanRuns.map(r => r.finalScore);
       const difficulties = cleanRuns.map(r => r.totalDifficulty);
 
       const correlation = stats.sampleCorrelation(difficulties, scores);
@@ -281,48 +265,66 @@ class TrickDifficultyScorer {
     }
 
     // Save trick difficulty CSV
-    const trickCsvLines = ['trick_code,rotation_degrees,cork_type,cork_multiplier,switch,specials,grab_count,complexity,difficulty_score'];
-    trickScores.forEach(t => {
-      trickCsvLines.push([
-        t.trickCode,
-        t.rotation.degrees,
-        t.cork.type,
-        t.cork.multiplier,
-        t.spinDirection.isSwitch,
-        t.specials.map(s => s.code).join(';') || 'none',
-        t.grab.count,
-        t.complexity,
-        t.scores.totalDifficulty.toFixed(2),
-      ].join(','));
-    });
+    const trickCsvHeaders = ['trick_code', 'trick_name', 'rotation_degrees', 'cork_type', 'cork_multiplier', 'switch', 'specials', 'grab_count', 'complexity', 'difficulty_score'];
+    const trickCsvRows = trickScores.map(t => ({
+      trick_code: t.trickCode,
+      trick_name: t.name,
+      rotation_degrees: t.rotation.degrees,
+      cork_type: t.cork.type,
+      cork_multiplier: t.cork.multiplier,
+      switch: t.spinDirection.isSwitch,
+      specials: t.specials.map(s => s.code).join(';') || 'none',
+      grab_count: t.grab.count,
+      complexity: t.complexity,
+      difficulty_score: t.scores.totalDifficulty.toFixed(2),
+    }));
 
     const processedDir = path.join(__dirname, '../data/processed');
     fs.writeFileSync(
       path.join(processedDir, 'trick_difficulty_scores.csv'),
-      trickCsvLines.join('\n')
+      toCSV(trickCsvHeaders, trickCsvRows)
     );
     console.log(`\n✓ Trick scores saved to data/processed/trick_difficulty_scores.csv`);
 
-    // Save enriched judge scores CSV (adding difficulty columns)
-    const enrichedLines = [];
-    const originalContent = fs.readFileSync(
-      path.join(__dirname, '../data/raw/milano-cortina-2026-individual-judge-scores.csv'),
-      'utf8'
-    );
-    const originalLines = originalContent.trim().split('\n');
-    enrichedLines.push(originalLines[0] + ',total_difficulty,avg_difficulty,max_difficulty,trick_count');
-
-    this.rows.forEach((row, i) => {
-      const runScore = this.scoreRun(row);
-      enrichedLines.push(
-        originalLines[i + 1] +
-        `,${runScore.totalDifficulty.toFixed(2)},${runScore.avgDifficulty.toFixed(2)},${runScore.maxDifficulty.toFixed(2)},${runScore.trickCount}`
-      );
+    // Save enriched judge scores CSV (event id + original columns + difficulty columns).
+    // Events may differ in panel size or trick columns, so headers are the union.
+    const originalHeaders = [];
+    const enrichedRows = [];
+    this.dataset.events.forEach(event => {
+      const eventRuns = this.rows.filter(r => r.eventId === event.id);
+      loadCSV(event.scoresPath).forEach((original, i) => {
+        Object.keys(original).forEach(h => { if (!originalHeaders.includes(h)) originalHeaders.push(h); });
+        const runScore = this.scoreRun(eventRuns[i]);
+        enrichedRows.push({
+          event_id: event.id,
+          ...original,
+          total_difficulty: runScore.totalDifficulty.toFixed(2),
+          avg_difficulty: runScore.avgDifficulty.toFixed(2),
+          max_difficulty: runScore.maxDifficulty.toFixed(2),
+          trick_count: runScore.trickCount,
+          direction_coverage: runScore.composition.directionCoverage,
+          distinct_grabs: runScore.composition.distinctGrabs,
+          grab_diversity: runScore.composition.grabDiversity.toFixed(2),
+          axis_variety: runScore.composition.axisVariety,
+          duplicate_tricks: runScore.composition.duplicateTricks,
+          back_to_back: runScore.composition.backToBack,
+          progression: runScore.composition.progression.toFixed(2),
+          difficulty_profile: this.profile.name,
+          difficulty_profile_hash: this.profile.hash,
+        });
+      });
     });
+    const enrichedHeaders = [
+      'event_id',
+      ...originalHeaders,
+      'total_difficulty', 'avg_difficulty', 'max_difficulty', 'trick_count',
+      ...COMPOSITION_COLUMNS,
+      'difficulty_profile', 'difficulty_profile_hash',
+    ];
 
     fs.writeFileSync(
       path.join(processedDir, 'enriched-judge-scores.csv'),
-      enrichedLines.join('\n')
+      toCSV(enrichedHeaders, enrichedRows)
     );
     console.log(`✓ Enriched scores saved to data/processed/enriched-judge-scores.csv`);
 
@@ -330,23 +332,26 @@ class TrickDifficultyScorer {
     const output = {
       timestamp: new Date().toISOString(),
       description: 'Trick difficulty scoring based on rotation, cork type, switch, grabs, and special moves',
+      events: this.dataset.eventIds,
       uniqueTricks: trickScores.length,
       cleanRuns: cleanRuns.length,
-      scoringSystem: {
-        rotationBase: '360°=1, 720°=2, 900°=3, 1080°=4, 1260°=5, 1440°=6, 1600°=7',
-        corkMultiplier: 'none=1.0, SC=1.2, DC=1.5, TC=2.0',
-        switchBonus: '+0.5 for Cab or x- prefix',
-        grabBonus: '+0.5 per grab, +0.5 for combo grabs',
-        specialsBonus: 'AO=+1.0, Rd=+1.0, CF=+1.0, Mc=+1.5',
+      profile: {
+        name: this.profile.name,
+        version: this.profile.version,
+        hash: this.profile.hash,
+        description: this.profile.description,
       },
+      scoringSystem: this.profile.describeWeights(),
       trickScores: trickScores.map(t => ({
         code: t.trickCode,
+        name: t.name,
         difficulty: t.scores.totalDifficulty,
         rotation: t.rotation.degrees,
         cork: t.cork.type,
         complexity: t.complexity,
       })),
       runScores: runScores.map(r => ({
+        eventId: r.eventId,
         competitor: r.competitor,
         run: r.run,
         finalScore: r.finalScore,
@@ -354,11 +359,12 @@ class TrickDifficultyScorer {
         totalDifficulty: r.totalDifficulty,
         avgDifficulty: r.avgDifficulty,
         trickCount: r.trickCount,
+        composition: r.composition,
       })),
       correlation: cleanRuns.length >= 3 ? {
         pearsonR: stats.sampleCorrelation(
           cleanRuns.map(r => r.totalDifficulty),
-          cleanRuns.map(r => parseFloat(r.finalScore))
+          cleanRuns.map(r => r.finalScore)
         ),
         note: 'Correlation between total trick difficulty and final score for clean runs',
       } : null,
@@ -372,11 +378,5 @@ class TrickDifficultyScorer {
   }
 }
 
-const csvPath = path.join(__dirname, '../data/raw/milano-cortina-2026-individual-judge-scores.csv');
-if (fs.existsSync(csvPath)) {
-  const scorer = new TrickDifficultyScorer(csvPath);
-  scorer.run();
-} else {
-  console.error(`Error: CSV not found at ${csvPath}`);
-  process.exit(1);
-}
+const scorer = new TrickDifficultyScorer(loadDataset(), loadProfile(parseProfileArg()));
+scorer.run();
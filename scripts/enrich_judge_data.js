@@ -2,109 +2,31 @@
  * Judge-Level Data Enrichment
  * 
  * Processes individual judge scores to create a per-judge analysis dataset:
- * - Which judge was excluded (high/low) on each run
+ * - Which judges were excluded (high/low) on each run: the official notes
+ *   where present, otherwise the event's aggregation rule (lib/aggregation.js)
+ *   with tied judges sharing the exclusion (lib/exclusions.js)
  * - Each judge's deviation from panel mean
- * - Judge nationality vs competitor nationality (home bias check)
+ * - Judge nationality vs competitor nationality: same country or same bloc
+ *   (config/country_blocs.json, see lib/home_bias.js)
  * - Judge consistency metrics
  */
 
 const fs = require('fs');
 const path = require('path');
 const stats = require('simple-statistics');
+const { toCSV } = require('./lib/scoring_data');
+const { loadDataset } = require('./lib/events');
+const { creditFor } = require('./lib/exclusions');
+const { loadCountryBlocs, parseBlocsArg, nationRelation } = require('./lib/home_bias');
 
-class JudgeDataEnricher {
-  constructor(scoresCsvPath, judgesCsvPath) {
-    this.rows = this.loadScoresCSV(scoresCsvPath);
-    this.judges = this.loadJudgesCSV(judgesCsvPath);
-  }
-
-  loadScoresCSV(csvPath) {
-    const content = fs.readFileSync(csvPath, 'utf8');
-    const lines = content.trim().split('\n');
-
-    return lines.slice(1).map(line => {
-      const values = line.split(',');
-      return {
-        competitor: values[0],
-        country: values[1],
-        position: parseInt(values[2]),
-        run: parseInt(values[3]),
-        final_score: values[4],
-        judges: [
-          { num: 1, country: values[5], score: values[6] },
-          { num: 2, country: values[7], score: values[8] },
-          { num: 3, country: values[9], score: values[10] },
-          { num: 4, country: values[11], score: values[12] },
-          { num: 5, country: values[13], score: values[14] },
-          { num: 6, country: values[15], score: values[16] },
-        ],
-        notes: values[23] || '',
-      };
-    });
-  }
-
-  loadJudgesCSV(csvPath) {
-    const content = fs.readFileSync(csvPath, 'utf8');
-    const lines = content.trim().split('\n');
-
-    const judges = {};
-    lines.slice(1).forEach(line => {
-      const values = line.split(',');
-      judges[parseInt(values[0])] = {
-        number: parseInt(values[0]),
-        name: values[1],
-        countryCode: values[2],
-        country: values[3],
-        role: values[4],
-      };
-    });
-    return judges;
-  }
-
-  /**
-   * Determine which judges were excluded (high/low) for a run
-   */
-  findExcludedJudges(judgeScores) {
-    const validScores = judgeScores
-      .filter(j => j.score !== '' && !isNaN(parseFloat(j.score)))
-      .map(j => ({ ...j, scoreNum: parseFloat(j.score) }));
-
-    if (validScores.length < 4) return { excluded: [], middle4: [] };
-
-    const sorted = [...validScores].sort((a, b) => a.scoreNum - b.scoreNum);
-    const lowest = sorted[0];
-    const highest = sorted[sorted.length - 1];
-
-    const excluded = [];
-    const middle4 = [];
-
-    // Handle ties: find which judges were actually excluded
-    let lowExcluded = false, highExcluded = false;
-
-    sorted.forEach((judge, idx) => {
-      if (idx === 0 && !lowExcluded) {
-        excluded.push({ ...judge, reason: 'low' });
-        lowExcluded = true;
-      } else if (idx === sorted.length - 1 && !highExcluded) {
-        excluded.push({ ...judge, reason: 'high' });
-        highExcluded = true;
-      } else {
-        middle4.push(judge);
-      }
-    });
-
-    return { excluded, middle4 };
-  }
+// Whole counts print as integers, shared (tied) credit to two decimals
+const formatCount = v => (Math.abs(v - Math.round(v)) < 1e-9 ? `${Math.round(v)}` : v.toFixed(2));
 
-  /**
-   * Check if judge shares nationality with competitor
-   */
-  sameNationality(judgeCountryCode, competitorCountry) {
-    const countryMap = {
-      'SLO': 'SLO', 'GBR': 'GBR', 'SWE': 'SWE',
-      'SUI': 'SUI', 'FRA': 'FRA', 'JPN': 'JPN',
-    };
-    return judgeCountryCode === competitorCountry;
+class JudgeDataEnricher {
+  constructor(dataset) {
+    this.dataset = dataset;
+    this.rows = dataset.runs;
+    this.blocs = loadCountryBlocs(parseBlocsArg());
   }
 
   run() {
@@ -112,16 +34,25 @@ class JudgeDataEnricher {
     console.log('║   JUDGE-LEVEL DATA ENRICHMENT                                 ║');
     console.log('║   Per-judge exclusions, deviations, and nationality analysis  ║');
     console.log('╚════════════════════════════════════════════════════════════════╝\n');
+    console.log(`Events: ${this.dataset.describe()}`);
+    this.dataset.events.forEach(event => {
+      console.log(`Aggregation${this.dataset.isPooled ? ` (${event.id})` : ''}: ${event.aggregation.describe()}`);
+    });
+    console.log('');
 
     const enrichedRows = [];
     const judgeStats = {};  // Track per-judge aggregate stats
     const nationalityBias = { same: [], different: [] };
+    const recomputed = { checked: 0, mismatches: [] };
+    const attributions = { sources: {}, disagreements: [] };
 
     // Initialize judge stats
-    for (let j = 1; j <= 6; j++) {
-      judgeStats[j] = {
-        name: this.judges[j].name,
-        country: this.judges[j].countryCode,
+    const panel = this.dataset.panel();
+    panel.forEach(judge => {
+      judgeStats[judge.key] = {
+        number: judge.number,
+        name: judge.name,
+        country: judge.countryCode,
         scores: [],
         deviations: [],
         excludedAsHigh: 0,
@@ -130,66 +61,86 @@ class JudgeDataEnricher {
         sameNationalityScores: [],
         diffNationalityScores: [],
       };
-    }
+    });
 
     // Process each run
-    const scoredRuns = this.rows.filter(row =>
-      row.final_score !== 'DNI' && row.final_score !== '' && !isNaN(parseFloat(row.final_score))
-    );
+    const scoredRuns = this.rows.filter(row => row.isScored);
 
     console.log(`Processing ${scoredRuns.length} scored runs (excluding ${this.rows.length - scoredRuns.length} DNI)\n`);
 
     scoredRuns.forEach(row => {
-      const validScores = row.judges
-        .filter(j => j.score !== '' && !isNaN(parseFloat(j.score)))
-        .map(j => parseFloat(j.score));
+      const validScores = row.scoredJudges().map(j => j.score);
 
       if (validScores.length === 0) return;
 
       const panelMean = stats.mean(validScores);
-      const { excluded, middle4 } = this.findExcludedJudges(row.judges);
-
-      const excludedNums = new Set(excluded.map(e => e.num));
+      const aggregate = this.dataset.aggregate(row);
+      const attribution = this.dataset.exclusions(row);
+
+      if (aggregate) {
+        recomputed.checked++;
+        if (Math.abs(aggregate.score - row.finalScore) > 0.01) {
+          recomputed.mismatches.push({
+            eventId: row.eventId,
+            competitor: row.competitor,
+            run: row.run,
+            official: row.finalScore,
+            recomputed: aggregate.score,
+          });
+        }
+      }
 
-      row.judges.forEach(judge => {
-        const scoreNum = parseFloat(judge.score);
-        if (isNaN(scoreNum)) return;
+      if (attribution) {
+        attributions.sources[attribution.source] = (attributions.sources[attribution.source] || 0) + 1;
+        attribution.disagreements.forEach(message => {
+          attributions.disagreements.push({ eventId: row.eventId, competitor: row.competitor, run: row.run, notes: row.notes, message });
+        });
+      }
 
-        const judgeNum = judge.num;
-        const judgeMeta = this.judges[judgeNum];
+      row.scoredJudges().forEach(judge => {
+        const scoreNum = judge.score;
+        const judgeNum = judge.judge;
+        const judgeKey = this.dataset.judgeKey(row.eventId, judgeNum);
+        const judgeMeta = this.dataset.judge(row.eventId, judgeNum);
         const deviation = scoreNum - panelMean;
-        const isExcluded = excludedNums.has(judgeNum);
-        const excludedReason = excluded.find(e => e.num === judgeNum)?.reason || 'none';
-        const isSameNationality = this.sameNationality(judgeMeta.countryCode, row.country);
+        const credit = creditFor(attribution, judgeNum);
+        const exclusionCredit = credit.high + credit.low;
+        const excludedReason = credit.high > credit.low ? 'high' : credit.low > 0 ? 'low' : 'none';
+        const { relation, bloc } = nationRelation(judgeMeta.countryCode, row.country, this.blocs);
+        const isSameNationality = relation === 'home';
 
         enrichedRows.push({
+          eventId: row.eventId,
           competitor: row.competitor,
           competitorCountry: row.country,
           run: row.run,
-          finalScore: parseFloat(row.final_score),
+          finalScore: row.finalScore,
           judgeNumber: judgeNum,
           judgeName: judgeMeta.name,
           judgeCountry: judgeMeta.countryCode,
           score: scoreNum,
           panelMean: panelMean,
           deviation: deviation,
-          excluded: isExcluded,
+          excluded: exclusionCredit > 0,
           excludedReason: excludedReason,
+          exclusionCredit: exclusionCredit,
           sameNationality: isSameNationality,
+          nationRelation: relation === 'bloc' ? `bloc:${bloc}` : relation,
         });
 
         // Aggregate judge stats
-        judgeStats[judgeNum].scores.push(scoreNum);
-        judgeStats[judgeNum].deviations.push(deviation);
-        judgeStats[judgeNum].totalScoredRuns++;
-        if (excludedReason === 'high') judgeStats[judgeNum].excludedAsHigh++;
-        if (excludedReason === 'low') judgeStats[judgeNum].excludedAsLow++;
+        const js = judgeStats[judgeKey];
+        js.scores.push(scoreNum);
+        js.deviations.push(deviation);
+        js.totalScoredRuns++;
+        js.excludedAsHigh += credit.high;
+        js.excludedAsLow += credit.low;
 
         if (isSameNationality) {
-          judgeStats[judgeNum].sameNationalityScores.push(deviation);
+          js.sameNationalityScores.push(deviation);
           nationalityBias.same.push(deviation);
         } else {
-          judgeStats[judgeNum].diffNationalityScores.push(deviation);
+          js.diffNationalityScores.push(deviation);
           nationalityBias.different.push(deviation);
         }
       });
@@ -198,16 +149,16 @@ class JudgeDataEnricher {
     // Print judge summary
     console.log('JUDGE SUMMARY:');
     console.log('='.repeat(80));
-    for (let j = 1; j <= 6; j++) {
-      const js = judgeStats[j];
+    panel.forEach(judge => {
+      const js = judgeStats[judge.key];
       const avgDev = js.deviations.length > 0 ? stats.mean(js.deviations) : 0;
       const stdDev = js.deviations.length > 1 ? stats.standardDeviation(js.deviations) : 0;
 
-      console.log(`\n  Judge ${j}: ${js.name} (${js.country})`);
+      console.log(`\n  ${this.dataset.isPooled ? 'Judge' : `Judge ${judge.number}:`} ${js.name} (${js.country})`);
       console.log(`    Scored runs: ${js.totalScoredRuns}`);
       console.log(`    Avg deviation from panel: ${avgDev > 0 ? '+' : ''}${avgDev.toFixed(2)} (σ=${stdDev.toFixed(2)})`);
-      console.log(`    Excluded as HIGH: ${js.excludedAsHigh} times`);
-      console.log(`    Excluded as LOW: ${js.excludedAsLow} times`);
+      console.log(`    Excluded as HIGH: ${formatCount(js.excludedAsHigh)} times`);
+      console.log(`    Excluded as LOW: ${formatCount(js.excludedAsLow)} times`);
 
       if (js.sameNationalityScores.length > 0) {
         const sameAvg = stats.mean(js.sameNationalityScores);
@@ -216,7 +167,24 @@ class JudgeDataEnricher {
         console.log(`    Diff nationality deviation: ${diffAvg > 0 ? '+' : ''}${diffAvg.toFixed(2)} (n=${js.diffNationalityScores.length})`);
         console.log(`    Home bias indicator: ${(sameAvg - diffAvg) > 0 ? '⚠️ +' : ''}${(sameAvg - diffAvg).toFixed(2)} pts`);
       }
-    }
+    });
+
+    // Recomputed final scores
+    console.log('\n\nRECOMPUTED FINAL SCORES:');
+    console.log('='.repeat(80));
+    console.log(`  ${recomputed.checked - recomputed.mismatches.length}/${recomputed.checked} runs reproduce the official score`);
+    recomputed.mismatches.forEach(m => {
+      console.log(`  ⚠️ ${m.competitor} R${m.run}: official ${m.official}, rule gives ${m.recomputed}`);
+    });
+
+    // Excluded-judge attribution
+    console.log('\n\nEXCLUDED JUDGES:');
+    console.log('='.repeat(80));
+    console.log(`  Attributed from ${Object.entries(attributions.sources).map(([source, n]) => `${source}: ${n}`).join(', ')} runs`);
+    console.log(`  ${attributions.disagreements.length} place(s) where the official notes disagree with the marks`);
+    attributions.disagreements.forEach(d => {
+      console.log(`  ⚠️ ${d.competitor} R${d.run} ("${d.notes}"): ${d.message}`);
+    });
 
     // Nationality bias summary
     console.log('\n\nNATIONALITY BIAS SUMMARY:');
@@ -230,20 +198,30 @@ class JudgeDataEnricher {
     }
 
     // Save CSV
-    const csvLines = ['competitor,competitor_country,run,final_score,judge_number,judge_name,judge_country,score,panel_mean,deviation,excluded,excluded_reason,same_nationality'];
-    enrichedRows.forEach(r => {
-      csvLines.push([
-        r.competitor, r.competitorCountry, r.run, r.finalScore,
-        r.judgeNumber, r.judgeName, r.judgeCountry,
-        r.score, r.panelMean.toFixed(2), r.deviation.toFixed(2),
-        r.excluded, r.excludedReason, r.sameNationality,
-      ].join(','));
-    });
+    const csvHeaders = ['event_id', 'competitor', 'competitor_country', 'run', 'final_score', 'judge_number', 'judge_name', 'judge_country', 'score', 'panel_mean', 'deviation', 'excluded', 'excluded_reason', 'exclusion_credit', 'same_nationality', 'nation_relation'];
+    const csvRows = enrichedRows.map(r => ({
+      event_id: r.eventId,
+      competitor: r.competitor,
+      competitor_country: r.competitorCountry,
+      run: r.run,
+      final_score: r.finalScore,
+      judge_number: r.judgeNumber,
+      judge_name: r.judgeName,
+      judge_country: r.judgeCountry,
+      score: r.score,
+      panel_mean: r.panelMean.toFixed(2),
+      deviation: r.deviation.toFixed(2),
+      excluded: r.excluded,
+      excluded_reason: r.excludedReason,
+      exclusion_credit: Math.round(r.exclusionCredit * 1000) / 1000,
+      same_nationality: r.sameNationality,
+      nation_relation: r.nationRelation,
+    }));
 
     const processedDir = path.join(__dirname, '../data/processed');
     fs.writeFileSync(
       path.join(processedDir, 'judge_analysis_data.csv'),
-      csvLines.join('\n')
+      toCSV(csvHeaders, csvRows)
     );
     console.log(`\n✓ Judge data saved to data/processed/judge_analysis_data.csv`);
 
@@ -251,10 +229,14 @@ class JudgeDataEnricher {
     const output = {
       timestamp: new Date().toISOString(),
       description: 'Per-judge analysis: exclusions, deviations, nationality bias',
+      events: this.dataset.eventIds,
+      aggregation: Object.fromEntries(this.dataset.events.map(e => [e.id, e.aggregation.spec])),
       scoredRuns: scoredRuns.length,
+      recomputedScores: recomputed,
+      exclusionAttribution: attributions,
       totalJudgeScores: enrichedRows.length,
-      judgeProfiles: Object.entries(judgeStats).map(([num, js]) => ({
-        judgeNumber: parseInt(num),
+      judgeProfiles: Object.values(judgeStats).map(js => ({
+        judgeNumber: js.number,
         name: js.name,
         country: js.country,
         totalScoredRuns: js.totalScoredRuns,
@@ -282,13 +264,5 @@ class JudgeDataEnricher {
   }
 }
 
-const scoresCsvPath = path.join(__dirname, '../data/raw/milano-cortina-2026-individual-judge-scores.csv');
-const judgesCsvPath = path.join(__dirname, '../data/raw/judges-metadata.csv');
-
-if (fs.existsSync(scoresCsvPath) && fs.existsSync(judgesCsvPath)) {
-  const enricher = new JudgeDataEnricher(scoresCsvPath, judgesCsvPath);
-  enricher.run();
-} else {
-  console.error('Error: Required CSV files not found');
-  process.exit(1);
-}
+const enricher = new JudgeDataEnricher(loadDataset());
+enricher.run();
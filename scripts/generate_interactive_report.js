@@ -7,66 +7,35 @@
 
 const fs = require('fs');
 const path = require('path');
+const { WIPEOUT_THRESHOLD, loadDNIResolution, loadCSV } = require('./lib/scoring_data');
+const { loadDataset } = require('./lib/events');
+const { spokenName, routineHTML, glossaryHTML } = require('./lib/trick_names');
+const { createRng, parseSeedArg } = require('./lib/random');
+const { annotateStreaks, runOrderNull, parseRunOrderArgs } = require('./lib/run_order');
+const { severityModel, observationsFromRuns, parseSeverityModelArg } = require('./lib/severity_model');
+const { creditFor } = require('./lib/exclusions');
+const { cleanSequences, anchoringNull } = require('./lib/anchoring');
+const { markOutliers } = require('./lib/outlier_marks');
+const { holm } = require('./lib/statistics');
 
 class InteractiveReport {
-  constructor() {
-    this.rawScores = this.loadCSV(path.join(__dirname, '../data/raw/milano-cortina-2026-individual-judge-scores.csv'));
-    this.judges = this.loadJudgesMetadata();
-    this.dniMap = this.loadDNIResolution();
-  }
-
-  loadCSV(filePath) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',');
-    return lines.slice(1).map(line => {
-      const values = line.split(',');
-      const row = {};
-      headers.forEach((h, i) => { row[h.trim()] = values[i]?.trim(); });
-      return row;
-    });
-  }
-
-  loadJudgesMetadata() {
-    const csvPath = path.join(__dirname, '../data/raw/judges-metadata.csv');
-    const content = fs.readFileSync(csvPath, 'utf8');
-    return Object.fromEntries(
-      content.trim().split('\n').slice(1).map(line => {
-        const v = line.split(',');
-        return [v[0].trim(), { name: v[1]?.trim(), country: v[2]?.trim() }];
-      })
-    );
-  }
-
-  loadDNIResolution() {
-    const csvPath = path.join(__dirname, '../data/processed/dni_resolved.csv');
-    const content = fs.readFileSync(csvPath, 'utf8');
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',');
-    const map = {};
-    lines.slice(1).forEach(line => {
-      const values = line.split(',');
-      const row = {};
-      headers.forEach((h, i) => { row[h.trim()] = values[i]?.trim(); });
-      map[`${row.competitor}-${row.run}`] = row;
-    });
-    return map;
+  constructor(dataset) {
+    this.dataset = dataset;
+    this.event = dataset.single();
+    this.rawScores = dataset.runs;
+    this.judges = dataset.judgesFor(this.event.id);
+    this.dniMap = loadDNIResolution(path.join(__dirname, '../data/processed/dni_resolved.csv'));
   }
 
   getRunStatus(row) {
-    if (row.final_score === 'DNI') {
-      return this.dniMap[`${row.competitor}-${row.run}`]?.dni_reason || 'dni_unknown';
+    if (row.isDNI) {
+      return this.dniMap[row.key]?.dni_reason || 'dni_unknown';
     }
-    return parseFloat(row.final_score) >= 50 ? 'clean' : 'wipeout';
+    return row.isClean ? 'clean' : 'wipeout';
   }
 
   getJudgeScores(row) {
-    const scores = [];
-    for (let j = 1; j <= 6; j++) {
-      const val = parseFloat(row[`judge${j}_score`]);
-      if (!isNaN(val)) scores.push({ j, score: val });
-    }
-    return scores;
+    return row.scoredJudges().map(j => ({ j: j.judge, score: j.score }));
   }
 
   lastName(name) {
@@ -75,9 +44,9 @@ class InteractiveReport {
   }
 
   generate() {
-    const scored = this.rawScores.filter(r => r.final_score && r.final_score !== 'DNI');
-    const clean = scored.filter(r => parseFloat(r.final_score) >= 50);
-    const wipeouts = scored.filter(r => parseFloat(r.final_score) < 50);
+    const scored = this.rawScores.filter(r => r.isScored);
+    const clean = scored.filter(r => r.isClean);
+    const wipeouts = scored.filter(r => r.isWipeout);
 
     // ── Compute all data for charts ──
 
@@ -92,24 +61,41 @@ class InteractiveReport {
 
     // 4. Judge severity
     const severityData = this.computeSeverity(scored);
+    const outlierData = this.computeOutliers();
 
     // 5. Consensus spreads
     const spreadData = this.computeSpreads(scored);
 
     // 6. Crash streak relief
     const reliefData = this.computeReliefData();
+    const runOrderData = this.computeRunOrderNull();
+
+    // 7. First-score anchoring
+    const anchoringData = this.computeAnchoring();
 
-    // 7. Difficulty data
+    // 8. Difficulty data
     const difficultyData = this.computeDifficultyData();
 
+    // 9. Clean-run routines for the trick glossary
+    const routineData = clean.map(run => ({
+      name: run.competitor,
+      round: run.run,
+      score: run.finalScore,
+      tricks: run.tricks,
+    })).sort((a, b) => b.score - a.score);
+
     const html = this.buildHTML({
       sequenceData,
       judgeRunData,
       wipeoutData,
       severityData,
+      outlierData,
       spreadData,
       reliefData,
+      runOrderData,
+      anchoringData,
       difficultyData,
+      routineData,
     });
 
     const outPath = path.join(__dirname, '../results/interactive-report.html');
@@ -119,14 +105,14 @@ class InteractiveReport {
 
   computeSequences() {
     const rounds = [];
-    for (let r = 1; r <= 3; r++) {
+    for (const r of this.event.rounds()) {
       const runs = this.rawScores
-        .filter(row => row.run === r.toString())
-        .sort((a, b) => parseInt(a.position) - parseInt(b.position));
+        .filter(row => row.run === r)
+        .sort((a, b) => a.position - b.position);
       rounds.push(runs.map(run => ({
-        position: parseInt(run.position),
+        position: run.position,
         name: this.lastName(run.competitor),
-        score: run.final_score === 'DNI' ? null : parseFloat(run.final_score),
+        score: run.finalScore,
         status: this.getRunStatus(run),
       })));
     }
@@ -136,7 +122,7 @@ class InteractiveReport {
   computeJudgeRunData(scored) {
     return scored.map(run => {
       const scores = this.getJudgeScores(run);
-      const final = parseFloat(run.final_score);
+      const final = run.finalScore;
       return {
         label: `${this.lastName(run.competitor)} R${run.run}`,
         final,
@@ -150,50 +136,81 @@ class InteractiveReport {
 
   computeWipeoutData(wipeouts) {
     return wipeouts.map(run => {
-      const tricks = [run.trick1, run.trick2, run.trick3, run.trick4, run.trick5].filter(t => t && t.length > 0);
+      const tricks = run.tricks;
       return {
         name: `${this.lastName(run.competitor)} R${run.run}`,
         tricks: tricks.length,
-        score: parseFloat(run.final_score),
+        score: run.finalScore,
+        routine: tricks.map(spokenName).join('<br>'),
       };
     }).sort((a, b) => a.tricks - b.tricks || a.score - b.score);
   }
 
   computeSeverity(scored) {
     const stats = {};
-    for (let j = 1; j <= 6; j++) stats[j] = { devs: [], exHigh: 0, exLow: 0 };
+    for (let j = 1; j <= this.event.judgePanelSize; j++) stats[j] = { devs: [], exHigh: 0, exLow: 0, n: 0 };
 
     scored.forEach(run => {
       const scores = this.getJudgeScores(run);
-      if (scores.length < 6) return;
-      const mean = scores.reduce((s, x) => s + x.score, 0) / 6;
-      const max = Math.max(...scores.map(s => s.score));
-      const min = Math.min(...scores.map(s => s.score));
+      if (scores.length < this.event.judgePanelSize) return;
+      const mean = scores.reduce((s, x) => s + x.score, 0) / scores.length;
+      const attribution = this.dataset.exclusions(run);
 
       scores.forEach(s => {
+        const credit = creditFor(attribution, s.j);
         stats[s.j].devs.push(s.score - mean);
-        if (s.score === max && scores.filter(x => x.score === max).length === 1) stats[s.j].exHigh++;
-        if (s.score === min && scores.filter(x => x.score === min).length === 1) stats[s.j].exLow++;
+        stats[s.j].exHigh += credit.high;
+        stats[s.j].exLow += credit.low;
+        stats[s.j].n++;
       });
     });
 
+    // --severity-model: model severity and each mark net of run quality and
+    // judge × nation (lib/severity_model.js) in place of raw deviations
+    const model = parseSeverityModelArg() ?
+      severityModel(observationsFromRuns(scored), { rng: createRng(parseSeedArg()) }) : null;
+
     return Object.entries(stats).map(([j, s]) => ({
       judge: `J${j}`,
       name: this.judges[j]?.name?.split(' ')[0] || '',
-      country: this.judges[j]?.country || '',
-      avgDev: s.devs.reduce((a, b) => a + b, 0) / s.devs.length,
-      devs: s.devs,
+      country: this.judges[j]?.countryCode || '',
+      avgDev: model ? model.severity.get(parseInt(j)) : s.devs.reduce((a, b) => a + b, 0) / s.devs.length,
+      devs: model ? model.adjusted.filter(a => a.judge === parseInt(j)).map(a => a.value) : s.devs,
       exHigh: s.exHigh,
       exLow: s.exLow,
+      n: s.n,
+      model: !!model,
     }));
   }
 
+  // Every mark against the rest of its panel; flagged ones with whether the rule dropped them
+  computeOutliers() {
+    const result = markOutliers(this.dataset);
+    const describe = m => ({
+      label: `${this.lastName(m.competitor)} R${m.round} · J${m.judge}`,
+      competitor: m.competitor,
+      round: m.round,
+      status: m.status,
+      judge: `J${m.judge}`,
+      country: this.judges[m.judge]?.countryCode || '',
+      score: m.score,
+      othersMedian: m.othersMedian,
+      robustZ: m.robustZ,
+      heldOutZ: m.heldOutZ,
+      flagged: m.flagged,
+      excluded: m.excluded,
+      influence: m.influence,
+      neutralised: m.excluded === null ? 'no' : m.influence !== null && Math.abs(m.influence) > 0.005 ? 'partly' : 'yes',
+    });
+    return { thresholds: result.thresholds, marks: result.marks.map(describe), flagged: result.flagged.map(describe) };
+  }
+
   computeSpreads(scored) {
     return scored.map(run => {
       const scores = this.getJudgeScores(run);
-      if (scores.length < 6) return null;
+      if (scores.length < this.event.judgePanelSize) return null;
       const vals = scores.map(s => s.score);
-      const final = parseFloat(run.final_score);
+      const final = run.finalScore;
       return {
         label: `${this.lastName(run.competitor)} R${run.run}`,
         spread: Math.max(...vals) - Math.min(...vals),
@@ -205,48 +222,105 @@ class InteractiveReport {
     }).filter(Boolean);
   }
 
+  // Each round's runs in start order as { competitor, position, round, status, score }
+  roundStatuses() {
+    return this.event.rounds().map(round => this.rawScores
+      .filter(r => r.run === round)
+      .sort((a, b) => a.position - b.position)
+      .map(run => ({ competitor: run.competitor, position: run.position, round, status: this.getRunStatus(run), score: run.finalScore })));
+  }
+
   computeReliefData() {
-    const cleanRuns = [];
-    for (let round = 1; round <= 3; round++) {
-      const runs = this.rawScores
-        .filter(r => r.run === round.toString())
-        .sort((a, b) => parseInt(a.position) - parseInt(b.position));
-
-      let streak = 0;
-      runs.forEach(run => {
-        const status = this.getRunStatus(run);
-        if (status === 'clean') {
-          cleanRuns.push({
-            name: `${this.lastName(run.competitor)} R${round}`,
-            competitor: run.competitor,
-            position: parseInt(run.position),
-            score: parseFloat(run.final_score),
-            streak,
-            round,
-          });
-        }
-        if (status === 'wipeout' || status === 'crash') streak++;
-        else if (status === 'clean' || status === 'did_not_improve' || status === 'strategic_skip') streak = 0;
-      });
+    return this.roundStatuses()
+      .flatMap(annotateStreaks)
+      .filter(r => r.status === 'clean')
+      .map(r => ({
+        name: `${this.lastName(r.competitor)} R${r.round}`,
+        competitor: r.competitor,
+        position: r.position,
+        score: r.score,
+        streak: r.consecCrashesBefore,
+        round: r.round,
+      }));
+  }
+
+  // Relief gap against shuffled running orders (same seed as judge_bias_analysis)
+  computeRunOrderNull() {
+    const result = runOrderNull(this.roundStatuses(), { ...parseRunOrderArgs(), rng: createRng(parseSeedArg()) });
+    if (!result.summary) return null;
+    const { values, ...rest } = result;
+    return rest;
+  }
+
+  // Anchoring on each round's first clean score (same seed as judge_bias_analysis)
+  /**
+   * Q11 anchoring, with each judge's p Holm-adjusted across the panel as in
+   * judge_bias_analysis.js, and the rounds whose anchor sits below most of
+   * the later clean scores
+   */
+  computeAnchoring() {
+    const result = anchoringNull(cleanSequences(this.dataset), { rng: createRng(parseSeedArg()) });
+    if (!result) return null;
+    const adjusted = holm(result.judges.map(j => j.p));
+    return {
+      ...result,
+      judges: result.judges.map((j, i) => ({
+        ...j,
+        pAdjusted: j.p === null ? null : result.judges.length > 1 ? adjusted[i] : j.p,
+        label: `J${j.judge}`,
+        country: this.judges[j.judge]?.countryCode || '',
+      })),
+      lowAnchorRounds: result.rounds.filter(r => r.later.filter(l => l.score > r.anchor.score).length > r.later.length / 2).length,
+    };
+  }
+
+  /** Callout sentences on clustering and per-judge lean, from the Q11 numbers */
+  anchoringText(data) {
+    const rounds = data.rounds.length;
+    const low = data.lowAnchorRounds === rounds ? `in ${rounds === 1 ? 'the round' : `all ${rounds} rounds`}`
+      : `in ${data.lowAnchorRounds} of ${rounds} rounds`;
+    const further = data.lowAnchorRounds > 0
+      ? `There is no clustering: ${low} the first clean score is below most of the later ones, so later scores sit <em>further</em> from it than chance would put them.`
+      : 'There is no clustering: later scores sit <em>further</em> from the first clean score than chance would put them.';
+    const clustering = data.distance.pCloser < 0.05 ? 'Scores cluster around the first clean score more than running order alone explains.'
+      : data.distance.observed > data.distance.nullMean ? further
+        : 'They sit a little closer than chance, but not reliably so.';
+
+    const labels = judges => judges.map(j => j.label).join(', ');
+    const verb = judges => (judges.length === 1 ? 'leans' : 'lean');
+    const nominal = data.judges.filter(j => j.p !== null && j.p < 0.05);
+    const adjusted = nominal.filter(j => j.pAdjusted < 0.05);
+    const correction = `Holm correction for ${data.judges.length} judges`;
+    let lean = 'No judge leans towards their own anchor mark beyond the shuffled range.';
+    if (adjusted.length > 0) {
+      lean = `${labels(adjusted)} ${verb(adjusted)} towards their anchor beyond the shuffled range, after ${correction}.`;
+    } else if (nominal.length > 0) {
+      lean = `Only ${labels(nominal)} ${verb(nominal)} towards their anchor beyond the shuffled range (nominal p &lt; 0.05), and ${nominal.length === 1 ? 'it does not survive' : 'none of them survives'} ${correction}.`;
     }
-    return cleanRuns;
+    return `${clustering} ${lean}`;
   }
 
   computeDifficultyData() {
     const diffPath = path.join(__dirname, '../data/processed/enriched-judge-scores.csv');
     if (!fs.existsSync(diffPath)) return [];
-    const data = this.loadCSV(diffPath);
+    const data = this.dataset.filterRows(loadCSV(diffPath));
     return data
-      .filter(r => r.final_score && r.final_score !== 'DNI' && parseFloat(r.final_score) >= 50 && r.total_difficulty)
+      .filter(r => r.final_score && r.final_score !== 'DNI' && parseFloat(r.final_score) >= WIPEOUT_THRESHOLD && r.total_difficulty)
       .map(r => ({
         name: `${this.lastName(r.competitor)} R${r.run}`,
         score: parseFloat(r.final_score),
         difficulty: parseFloat(r.total_difficulty),
+        routine: Object.keys(r).filter(h => /^trick\d+$/.test(h) && r[h]).map(h => spokenName(r[h])).join('<br>'),
       }));
   }
 
   buildHTML(data) {
-    const { sequenceData, judgeRunData, wipeoutData, severityData, spreadData, reliefData, difficultyData } = data;
+    const { sequenceData, judgeRunData, wipeoutData, severityData, outlierData, spreadData, reliefData, runOrderData, anchoringData, difficultyData, routineData } = data;
+    const signed = v => `${v > 0 ? '+' : ''}${v.toFixed(1)}`;
+    const allTricks = this.rawScores.flatMap(r => r.tricks);
+    const mostHigh = severityData.reduce((a, b) => (b.exHigh > a.exHigh ? b : a));
+    const mostLow = severityData.reduce((a, b) => (b.exLow > a.exLow ? b : a));
+    const pct = (count, n) => Math.round((count / n) * 100);
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -289,6 +363,14 @@ class InteractiveReport {
   .seq-score { font-size: 11px; font-weight: 700; }
   .footer { text-align: center; color: var(--muted); font-size: 12px; margin-top: 48px; padding-top: 24px; border-top: 1px solid var(--border); }
   .plotly-chart { width: 100%; }
+  .trick { border-bottom: 1px dotted var(--muted); cursor: help; }
+  .routine { margin: 0; padding-left: 18px; font-size: 13px; }
+  .routine-table, .glossary { width: 100%; border-collapse: collapse; font-size: 13px; }
+  .routine-table td, .routine-table th, .glossary td, .glossary th { text-align: left; vertical-align: top; padding: 8px 10px; border-bottom: 1px solid var(--border); }
+  .routine-table th, .glossary th { color: var(--muted); font-weight: 600; font-size: 11px; text-transform: uppercase; letter-spacing: 1px; }
+  .glossary code { color: var(--accent); font-size: 13px; }
+  .glossary .gl-part { color: var(--muted); }
+  .glossary .gl-uses { text-align: right; color: var(--muted); }
   .two-col { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
   @media (max-width: 700px) { .two-col { grid-template-columns: 1fr; } .stat-row { flex-direction: column; } }
 </style>
@@ -354,12 +436,25 @@ Of 24 scored performances, Ruka's two runs are the only ones where all six judge
 <div class="chart-container"><div id="chart-severity" class="plotly-chart"></div></div>
 
 <div class="stat-row">
-<div class="stat-card"><div class="stat-num green">25%</div><div class="stat-label">Judge 5 (FRA) excluded<br>as HIGHEST scorer</div></div>
-<div class="stat-card"><div class="stat-num red">17%</div><div class="stat-label">Judge 4 (SUI) excluded<br>as LOWEST scorer</div></div>
-<div class="stat-card"><div class="stat-num accent">~17%</div><div class="stat-label">Expected by chance<br>(1 in 6)</div></div>
+<div class="stat-card"><div class="stat-num green">${pct(mostHigh.exHigh, mostHigh.n)}%</div><div class="stat-label">Judge ${mostHigh.judge.slice(1)} (${mostHigh.country}) excluded<br>as HIGHEST scorer</div></div>
+<div class="stat-card"><div class="stat-num red">${pct(mostLow.exLow, mostLow.n)}%</div><div class="stat-label">Judge ${mostLow.judge.slice(1)} (${mostLow.country}) excluded<br>as LOWEST scorer</div></div>
+<div class="stat-card"><div class="stat-num accent">~${pct(1, this.event.judgePanelSize)}%</div><div class="stat-label">Expected by chance<br>(1 in ${this.event.judgePanelSize})</div></div>
 </div>
 
 <div class="callout">Despite these tendencies, the scoring system's trimmed mean (drop highest and lowest) works: it shifts scores by only <strong>0.17 pts on average</strong>, and medal rankings are identical whether you use raw or trimmed scores.</div>
+
+<h2 style="margin-top: 40px;">Flagged Marks</h2>
+<p class="narrative">Being the highest or lowest mark on a run is routine. A <strong>flagged</strong> mark is one out of line with the other ${this.event.judgePanelSize - 1}: more than ${outlierData.thresholds.robustZ} robust SDs from their median (MAD scale, never below ${outlierData.thresholds.minScale} pt), or more than ${outlierData.thresholds.heldOutZ} residual SDs from what the judge would be expected to give, from a severity model fitted without that mark.</p>
+
+<div class="chart-container"><div id="chart-outliers" class="plotly-chart"></div></div>
+
+${outlierData.flagged.length === 0 ? '<div class="callout">No mark crosses either threshold.</div>' : `<div class="chart-container">
+<table class="routine-table"><thead><tr><th>Run</th><th>Judge</th><th>Mark</th><th>Others' median</th><th>Robust z</th><th>Held-out z</th><th>Dropped by the rule?</th><th>Effect on score</th></tr></thead><tbody>
+${outlierData.flagged.map(m => `<tr><td>${m.competitor} R${m.round} (${m.status})</td><td>${m.judge} (${m.country})</td><td>${m.score}</td><td>${m.othersMedian}</td><td>${m.robustZ.toFixed(1)}</td><td>${m.heldOutZ === null ? '—' : m.heldOutZ.toFixed(1)}</td><td>${{ yes: 'Yes, fully', partly: 'Yes, but the trim shifts', no: '<strong>No</strong>' }[m.neutralised]}</td><td>${m.influence === null ? '—' : `${m.influence > 0 ? '+' : ''}${m.influence.toFixed(2)} pts`}</td></tr>`).join('\n')}
+</tbody></table>
+</div>
+
+<div class="callout">${outlierData.flagged.length} of ${outlierData.marks.length} marks are flagged, ${outlierData.flagged.filter(m => m.status === 'wipeout').length} of them on wipeouts, where judges disagree most. The trimmed mean dropped ${outlierData.flagged.filter(m => m.excluded).length}${outlierData.flagged.some(m => !m.excluded) ? `; ${outlierData.flagged.filter(m => !m.excluded).map(m => `${m.judge}'s ${m.score} on ${this.lastName(m.competitor)} R${m.round}`).join(', ')} counted in full` : ''}. "Effect on score" compares the published rule's score with the one it gives when the mark is replaced by the other judges' median: a dropped mark can still move the score, because the trim then falls on a different judge.</div>`}
 </div>
 
 <!-- ═══ SECTION: RELIEF BIAS ═══ -->
@@ -373,17 +468,54 @@ Of 24 scored performances, Ruka's two runs are the only ones where all six judge
 <div class="callout warning">
 The between-groups difference is <strong>+1.96 pts</strong> (87.4 after crashes vs 85.4 after clean), with nearly balanced average positions. But the within-rider evidence tells a different story: <strong>Ruka Hirano scored highest (91) after zero crashes</strong>, Yamada scored identically (92) regardless, and Totsuka's +4 gain came with a trick upgrade. The data doesn't support a relief bias narrative.
 </div>
+${runOrderData ? `
+<p class="narrative">Is a ${signed(runOrderData.observed)} pt gap even unusual? Shuffle the start order within each round ${runOrderData.iterations.toLocaleString()} times — every run keeps its result, only who dropped in after whom changes — and recompute the gap each time.</p>
+
+<div class="chart-container"><div id="chart-run-order" class="plotly-chart"></div></div>
+
+<div class="callout">Shuffled orders produce gaps from ${signed(runOrderData.summary.q025)} to ${signed(runOrderData.summary.q975)} pts (middle 95%). The real order sits at <strong>percentile ${runOrderData.percentile.toFixed(0)}</strong> (two-sided p = ${runOrderData.pTwoSided.toFixed(2)}) — ${runOrderData.pTwoSided < 0.05 ? 'running order alone rarely produces a gap this large.' : 'well within what running order alone produces.'}</div>
+` : ''}
 </div>
 
-<!-- ═══ SECTION: DIFFICULTY ═══ -->
+${anchoringData ? `<!-- ═══ SECTION: ANCHORING ═══ -->
 <div class="section">
 <div class="section-label">Finding #5</div>
+<h2>Does the First Clean Score Set the Bar?</h2>
+<p class="narrative">The first landed run of a round is the first number the judges commit to. ${anchoringData.rounds.map(r => `In Round ${r.round} it was ${this.lastName(r.anchor.competitor)}'s ${r.anchor.score}.`).join(' ')} If judges anchor on it, later clean scores should sit closer to it than they would in a random running order, and each judge's later marks should lean towards their own anchor mark.</p>
+
+<div class="chart-container"><div id="chart-anchoring" class="plotly-chart"></div></div>
+
+<div class="callout">Later clean scores sit <strong>${anchoringData.distance.observed.toFixed(1)} pts</strong> from the anchor on average, against ${anchoringData.distance.nullMean.toFixed(1)} pts when each round's clean runs are shuffled (${anchoringData.iterations.toLocaleString()} shuffles, p = ${anchoringData.distance.pCloser.toFixed(2)} for "closer than chance"). ${this.anchoringText(anchoringData)}</div>
+
+<div class="callout warning"><strong>Caveats.</strong> The running order is fixed by qualification, so the anchor is nearly always a weak qualifier and distance from it mostly measures the field's spread. There are only ${anchoringData.rounds.length} rounds and ${anchoringData.rounds.reduce((n, r) => n + r.later.length, 0)} later clean runs. Compression near the top of the scale looks the same as anchoring.</div>
+</div>
+` : ''}
+<!-- ═══ SECTION: DIFFICULTY ═══ -->
+<div class="section">
+<div class="section-label">Finding #6</div>
 <h2>Harder Tricks Don't Mean Higher Scores</h2>
 <p class="narrative">Unlike diving or gymnastics, halfpipe has no difficulty multiplier. And the data shows it: <strong>trick difficulty barely predicts final score</strong> (r=0.195). Wang attempted the competition's hardest trick sequence (difficulty 51.5) and scored 76. Yamada did a simpler set (32.5) and scored 92.</p>
 
 <div class="chart-container"><div id="chart-difficulty" class="plotly-chart"></div></div>
 </div>
 
+<!-- ═══ SECTION: TRICK GLOSSARY ═══ -->
+<div class="section">
+<div class="section-label">Glossary</div>
+<h2>Decoding the Tricks</h2>
+<p class="narrative">The official results list each trick in a compact code. Here is every clean run spelled out — <strong>hover a trick to see its official code</strong> — followed by every code token used in this final.</p>
+
+<div class="chart-container">
+<table class="routine-table"><thead><tr><th>Rider</th><th>Run</th><th>Score</th><th>Routine</th></tr></thead><tbody>
+${routineData.map(r => `<tr><td>${r.name}</td><td>R${r.round}</td><td>${r.score}</td><td>${routineHTML(r.tricks)}</td></tr>`).join('\n')}
+</tbody></table>
+</div>
+
+<div class="chart-container">
+${glossaryHTML(allTricks)}
+</div>
+</div>
+
 <div class="footer">
 Data: <a href="https://www.olympics.com/en/milano-cortina-2026/results/sbd/je/m/hp----------------/fnl-/--------/result" style="color: var(--accent);">Olympics.com</a> — Milano-Cortina 2026 Men's Snowboard Halfpipe Final, February 13, 2026<br>
 12 competitors · 3 rounds · 6 judges · Best score counts
@@ -442,7 +574,8 @@ const config = { responsive: true, displayModeBar: false };
     textposition: 'top center',
     textfont: { size: 9, color: '#8b949e' },
     marker: { size: 12, color: '#f85149', opacity: 0.8, line: { color: '#f8514966', width: 2 } },
-    hovertemplate: '<b>%{text}</b><br>Tricks: %{x}<br>Score: %{y}<extra></extra>',
+    customdata: wipeouts.map(w => w.routine),
+    hovertemplate: '<b>%{text}</b><br>Tricks: %{x}<br>Score: %{y}<br>%{customdata}<extra></extra>',
   }], {
     ...darkLayout,
     title: { text: 'Tricks Before Crash → Wipeout Score', font: { size: 14, color: '#e6edf3' } },
@@ -499,13 +632,44 @@ const config = { responsive: true, displayModeBar: false };
     hoverinfo: 'y',
   }], {
     ...darkLayout,
-    title: { text: 'Per-Judge Deviation from Panel Mean (all 24 scored runs)', font: { size: 14, color: '#e6edf3' } },
+    title: { text: sev[0] && sev[0].model ? 'Per-Judge Severity, Mixed Model (run quality and judge × nation removed)' : 'Per-Judge Deviation from Panel Mean (all 24 scored runs)', font: { size: 14, color: '#e6edf3' } },
     yaxis: { ...darkLayout.yaxis, title: 'Deviation (pts)', zeroline: true, zerolinecolor: '#58a6ff', zerolinewidth: 2 },
     xaxis: { ...darkLayout.xaxis },
     showlegend: false,
   }, config);
 })();
 
+// ── Chart: Flagged Marks (Finding #3) ──
+(function() {
+  const outliers = ${JSON.stringify(outlierData)};
+  const t = outliers.thresholds;
+  const trace = (marks, name, color, size) => ({
+    type: 'scatter',
+    mode: 'markers',
+    name,
+    x: marks.map(m => m.robustZ),
+    y: marks.map(m => m.heldOutZ),
+    text: marks.map(m => m.label + ': ' + m.score + ' vs others ' + m.othersMedian + (m.excluded ? ' (dropped ' + m.excluded + ')' : ' (counted)')),
+    hoverinfo: 'text',
+    marker: { color, size, opacity: 0.8, line: { color: '#0d1117', width: 1 } },
+  });
+  const bound = Math.max(t.robustZ, t.heldOutZ, ...outliers.marks.flatMap(m => [Math.abs(m.robustZ), Math.abs(m.heldOutZ || 0)])) + 0.5;
+  const line = (x0, x1, y0, y1) => ({ type: 'line', x0, x1, y0, y1, line: { color: '#d29922', width: 1, dash: 'dot' } });
+
+  Plotly.newPlot('chart-outliers', [
+    trace(outliers.marks.filter(m => !m.flagged && m.heldOutZ !== null), 'Within range', '#8b949e', 6),
+    trace(outliers.flagged.filter(m => m.excluded && m.heldOutZ !== null), 'Flagged, dropped by the rule', '#58a6ff', 11),
+    trace(outliers.flagged.filter(m => !m.excluded && m.heldOutZ !== null), 'Flagged, counted', '#f85149', 11),
+  ], {
+    ...darkLayout,
+    title: { text: 'Every Judge Mark Against the Rest of Its Panel', font: { size: 14, color: '#e6edf3' } },
+    xaxis: { ...darkLayout.xaxis, title: 'Robust z vs the other marks', range: [-bound, bound] },
+    yaxis: { ...darkLayout.yaxis, title: 'Held-out severity-model z', range: [-bound, bound] },
+    shapes: [line(-t.robustZ, -t.robustZ, -bound, bound), line(t.robustZ, t.robustZ, -bound, bound), line(-bound, bound, -t.heldOutZ, -t.heldOutZ), line(-bound, bound, t.heldOutZ, t.heldOutZ)],
+    legend: { orientation: 'h', y: -0.2 },
+  }, config);
+})();
+
 // ── Chart: Relief Bias (Finding #4) ──
 (function() {
   const relief = ${JSON.stringify(reliefData)};
@@ -541,7 +705,72 @@ const config = { responsive: true, displayModeBar: false };
   }, config);
 })();
 
-// ── Chart: Difficulty vs Score (Finding #5) ──
+// ── Chart: Run-Order Null Distribution (Finding #4) ──
+(function() {
+  const runOrder = ${JSON.stringify(runOrderData)};
+  if (!runOrder) return;
+  const bins = runOrder.histogram;
+
+  Plotly.newPlot('chart-run-order', [{
+    type: 'bar',
+    x: bins.map(b => (b.from + b.to) / 2),
+    y: bins.map(b => b.count),
+    width: bins.map(b => (b.to - b.from) * 0.95),
+    marker: { color: bins.map(b => b.containsObserved ? '#f85149' : '#8b949e'), opacity: 0.85 },
+    customdata: bins.map(b => b.from.toFixed(1) + ' to ' + b.to.toFixed(1)),
+    hovertemplate: 'Gap %{customdata} pts<br>%{y} shuffles<extra></extra>',
+  }], {
+    ...darkLayout,
+    title: { text: 'Relief Gap Under ' + runOrder.iterations + ' Shuffled Run Orders', font: { size: 14, color: '#e6edf3' } },
+    xaxis: { ...darkLayout.xaxis, title: 'After 1+ crashes − after 0 (pts)' },
+    yaxis: { ...darkLayout.yaxis, title: 'Shuffles' },
+    shapes: [{
+      type: 'line', x0: runOrder.observed, x1: runOrder.observed, yref: 'paper', y0: 0, y1: 1,
+      line: { color: '#f85149', width: 2 },
+    }],
+    annotations: [{
+      x: runOrder.observed, yref: 'paper', y: 1, text: 'observed ' + (runOrder.observed > 0 ? '+' : '') + runOrder.observed.toFixed(1),
+      showarrow: false, yanchor: 'bottom', font: { size: 11, color: '#f85149' },
+    }],
+    showlegend: false,
+  }, config);
+})();
+
+// ── Chart: Per-Judge Anchoring Coefficients (Finding #5) ──
+(function() {
+  const anchoring = ${JSON.stringify(anchoringData)};
+  if (!anchoring) return;
+  const judges = anchoring.judges.filter(j => j.beta !== null && j.nullMean !== null);
+  const labels = judges.map(j => j.label + ' (' + j.country + ')');
+
+  Plotly.newPlot('chart-anchoring', [{
+    type: 'scatter',
+    mode: 'markers',
+    name: 'Shuffled orders (mean ± 2 SD)',
+    x: labels,
+    y: judges.map(j => j.nullMean),
+    error_y: { type: 'data', array: judges.map(j => 2 * j.nullSd), color: '#8b949e', thickness: 6, width: 0 },
+    marker: { color: '#8b949e', size: 6 },
+    hovertemplate: '%{x}<br>null %{y:.3f}<extra></extra>',
+  }, {
+    type: 'scatter',
+    mode: 'markers',
+    name: 'Observed coefficient',
+    x: labels,
+    y: judges.map(j => j.beta),
+    customdata: judges.map(j => j.p.toFixed(2)),
+    marker: { color: judges.map(j => j.p < 0.05 ? '#f85149' : '#58a6ff'), size: 12, symbol: 'diamond' },
+    hovertemplate: '%{x}<br>β = %{y:.3f}<br>p = %{customdata}<extra></extra>',
+  }], {
+    ...darkLayout,
+    title: { text: "Pull Towards Each Judge's Own Anchor Mark", font: { size: 14, color: '#e6edf3' } },
+    yaxis: { ...darkLayout.yaxis, title: 'Anchoring coefficient (β)', zeroline: true, zerolinecolor: '#30363d' },
+    showlegend: true,
+    legend: { orientation: 'h', y: -0.2, font: { color: '#8b949e' } },
+  }, config);
+})();
+
+// ── Chart: Difficulty vs Score (Finding #6) ──
 (function() {
   const diff = ${JSON.stringify(difficultyData)};
   if (!diff.length) return;
@@ -555,7 +784,8 @@ const config = { responsive: true, displayModeBar: false };
     textposition: 'right',
     textfont: { size: 9, color: '#8b949e' },
     marker: { size: 10, color: '#bc8cff', opacity: 0.8, line: { width: 1, color: '#30363d' } },
-    hovertemplate: '<b>%{text}</b><br>Difficulty: %{x}<br>Score: %{y}<extra></extra>',
+    customdata: diff.map(d => d.routine),
+    hovertemplate: '<b>%{text}</b><br>Difficulty: %{x}<br>Score: %{y}<br>%{customdata}<extra></extra>',
   }], {
     ...darkLayout,
     title: { text: 'Trick Difficulty vs Score (Clean Runs Only, r=0.195)', font: { size: 14, color: '#e6edf3' } },
@@ -593,5 +823,5 @@ const config = { responsive: true, displayModeBar: false };
   }
 }
 
-const gen = new InteractiveReport();
+const gen = new InteractiveReport(loadDataset());
 gen.generate();
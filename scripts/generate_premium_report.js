@@ -7,81 +7,50 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadDNIResolution } = require('./lib/scoring_data');
+const { loadDataset } = require('./lib/events');
+const { spokenName, routineHTML, glossaryHTML } = require('./lib/trick_names');
+const { createRng, parseSeedArg } = require('./lib/random');
+const { annotateStreaks, runOrderNull, parseRunOrderArgs } = require('./lib/run_order');
+const { severityModel, observationsFromRuns, parseSeverityModelArg } = require('./lib/severity_model');
+const { competitionTimeline, judgeDrift } = require('./lib/judge_drift');
+const { holm } = require('./lib/statistics');
 
 class PremiumReport {
-  constructor() {
-    this.rawScores = this.loadCSV(path.join(__dirname, '../data/raw/milano-cortina-2026-individual-judge-scores.csv'));
-    this.judges = this.loadJudgesMetadata();
-    this.dniMap = this.loadDNIResolution();
-  }
-
-  loadCSV(filePath) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',');
-    return lines.slice(1).map(line => {
-      const values = line.split(',');
-      const row = {};
-      headers.forEach((h, i) => { row[h.trim()] = values[i]?.trim(); });
-      return row;
-    });
-  }
-
-  loadJudgesMetadata() {
-    const csvPath = path.join(__dirname, '../data/raw/judges-metadata.csv');
-    const content = fs.readFileSync(csvPath, 'utf8');
-    return Object.fromEntries(
-      content.trim().split('\n').slice(1).map(line => {
-        const v = line.split(',');
-        return [v[0].trim(), { name: v[1]?.trim(), country: v[2]?.trim() }];
-      })
-    );
-  }
-
-  loadDNIResolution() {
-    const csvPath = path.join(__dirname, '../data/processed/dni_resolved.csv');
-    const content = fs.readFileSync(csvPath, 'utf8');
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',');
-    const map = {};
-    lines.slice(1).forEach(line => {
-      const values = line.split(',');
-      const row = {};
-      headers.forEach((h, i) => { row[h.trim()] = values[i]?.trim(); });
-      map[`${row.competitor}-${row.run}`] = row;
-    });
-    return map;
+  constructor(dataset) {
+    this.dataset = dataset;
+    this.event = dataset.single();
+    this.rawScores = dataset.runs;
+    this.judges = dataset.judgesFor(this.event.id);
+    this.dniMap = loadDNIResolution(path.join(__dirname, '../data/processed/dni_resolved.csv'));
   }
 
   getRunStatus(row) {
-    if (row.final_score === 'DNI') {
-      return this.dniMap[`${row.competitor}-${row.run}`]?.dni_reason || 'dni_unknown';
+    if (row.isDNI) {
+      return this.dniMap[row.key]?.dni_reason || 'dni_unknown';
     }
-    return parseFloat(row.final_score) >= 50 ? 'clean' : 'wipeout';
+    return row.isClean ? 'clean' : 'wipeout';
   }
 
   getJudgeScores(row) {
-    const scores = [];
-    for (let j = 1; j <= 6; j++) {
-      const val = parseFloat(row[`judge${j}_score`]);
-      if (!isNaN(val)) scores.push({ j, score: val, country: this.judges[j]?.country });
-    }
-    return scores;
+    return row.scoredJudges().map(j => ({ j: j.judge, score: j.score, country: this.judges[j.judge]?.countryCode }));
   }
 
   lastName(name) { return name.split(' ').pop(); }
 
   generate() {
-    const scored = this.rawScores.filter(r => r.final_score && r.final_score !== 'DNI');
+    const scored = this.rawScores.filter(r => r.isScored);
 
     // Compute all datasets
     const sequences = this.computeSequences();
     const dotStrip = this.computeDotStrip(scored);
-    const wipeouts = this.computeWipeouts(scored.filter(r => parseFloat(r.final_score) < 50));
+    const wipeouts = this.computeWipeouts(scored.filter(r => r.isWipeout));
     const severity = this.computeSeverity(scored);
     const relief = this.computeRelief();
+    const runOrder = this.computeRunOrderNull();
+    const drift = this.computeDrift();
 
-    const html = this.buildHTML({ sequences, dotStrip, wipeouts, severity, relief });
+    const html = this.buildHTML({ sequences, dotStrip, wipeouts, severity, relief, runOrder, drift });
     const outPath = path.join(__dirname, '../results/interactive-report.html');
     const indexPath = path.join(__dirname, '../index.html');
     fs.writeFileSync(outPath, html);
@@ -95,7 +64,7 @@ class PremiumReport {
     this.rawScores.forEach(row => {
       const m = row.medal;
       if (m === 'GOLD' || m === 'SILVER' || m === 'BRONZE') {
-        const score = row.final_score === 'DNI' ? -1 : parseFloat(row.final_score);
+        const score = row.isDNI ? -1 : row.finalScore;
         const key = row.competitor;
         if (!bestScores[key] || score > bestScores[key].score) {
           bestScores[key] = { score, run: row.run, medal: m };
@@ -104,21 +73,22 @@ class PremiumReport {
     });
 
     const rounds = [];
-    for (let r = 1; r <= 3; r++) {
+    for (const r of this.event.rounds()) {
       const runs = this.rawScores
-        .filter(row => row.run === r.toString())
-        .sort((a, b) => parseInt(a.position) - parseInt(b.position));
+        .filter(row => row.run === r)
+        .sort((a, b) => a.position - b.position);
       rounds.push(runs.map(run => {
         const best = bestScores[run.competitor];
-        const showMedal = best && best.run === r.toString() ? best.medal : '';
+        const showMedal = best && best.run === r ? best.medal : '';
         return {
-          pos: parseInt(run.position),
+          pos: run.position,
           name: this.lastName(run.competitor),
           fullName: run.competitor,
           country: run.country,
-          score: run.final_score === 'DNI' ? null : parseFloat(run.final_score),
+          score: run.finalScore,
           status: this.getRunStatus(run),
           medal: showMedal,
+          tricks: run.tricks,
         };
       }));
     }
@@ -128,11 +98,11 @@ class PremiumReport {
   computeDotStrip(scored) {
     return scored.map(run => {
       const scores = this.getJudgeScores(run);
-      const final = parseFloat(run.final_score);
+      const final = run.finalScore;
       return {
         label: `${this.lastName(run.competitor)} R${run.run}`,
         fullName: run.competitor,
-        run: parseInt(run.run),
+        run: run.run,
         final,
         scores: scores.map(s => ({ j: s.j, score: s.score, country: s.country })),
         spread: scores.length >= 2 ? Math.max(...scores.map(s => s.score)) - Math.min(...scores.map(s => s.score)) : 0,
@@ -144,12 +114,12 @@ class PremiumReport {
 
   computeWipeouts(wipeouts) {
     return wipeouts.map(run => {
-      const tricks = [run.trick1, run.trick2, run.trick3, run.trick4, run.trick5].filter(t => t && t.length > 0);
+      const tricks = run.tricks;
       const scores = this.getJudgeScores(run);
       return {
         name: `${this.lastName(run.competitor)} R${run.run}`,
         tricks: tricks.length,
-        score: parseFloat(run.final_score),
+        score: run.finalScore,
         spread: scores.length >= 2 ? Math.max(...scores.map(s => s.score)) - Math.min(...scores.map(s => s.score)) : 0,
       };
     }).sort((a, b) => a.score - b.score);
@@ -157,53 +127,85 @@ class PremiumReport {
 
   computeSeverity(scored) {
     const stats = {};
-    for (let j = 1; j <= 6; j++) stats[j] = [];
+    for (let j = 1; j <= this.event.judgePanelSize; j++) stats[j] = [];
 
     scored.forEach(run => {
       const scores = this.getJudgeScores(run);
-      if (scores.length < 6) return;
-      const mean = scores.reduce((s, x) => s + x.score, 0) / 6;
+      if (scores.length < this.event.judgePanelSize) return;
+      const mean = scores.reduce((s, x) => s + x.score, 0) / scores.length;
       scores.forEach(s => stats[s.j].push(Math.round((s.score - mean) * 100) / 100));
     });
 
+    // --severity-model: model severity and each mark net of run quality and
+    // judge × nation (lib/severity_model.js) in place of raw deviations
+    const model = parseSeverityModelArg() ?
+      severityModel(observationsFromRuns(scored), { rng: createRng(parseSeedArg()) }) : null;
+
     return Object.entries(stats).map(([j, devs]) => ({
       judge: `J${j}`,
       name: this.judges[j]?.name || '',
-      country: this.judges[j]?.country || '',
-      devs,
-      avg: devs.reduce((a, b) => a + b, 0) / devs.length,
+      country: this.judges[j]?.countryCode || '',
+      devs: model ? model.adjusted.filter(a => a.judge === parseInt(j)).map(a => Math.round(a.value * 100) / 100) : devs,
+      avg: model ? model.severity.get(parseInt(j)) : devs.reduce((a, b) => a + b, 0) / devs.length,
+      model: !!model,
     }));
   }
 
+  // Each round's runs in start order as { competitor, position, round, status, score }
+  roundStatuses() {
+    return this.event.rounds().map(round => this.rawScores
+      .filter(r => r.run === round)
+      .sort((a, b) => a.position - b.position)
+      .map(run => ({ competitor: run.competitor, position: run.position, round, status: this.getRunStatus(run), score: run.finalScore })));
+  }
+
   computeRelief() {
-    const runs = [];
-    for (let round = 1; round <= 3; round++) {
-      const roundRuns = this.rawScores
-        .filter(r => r.run === round.toString())
-        .sort((a, b) => parseInt(a.position) - parseInt(b.position));
-      let streak = 0;
-      roundRuns.forEach(run => {
-        const status = this.getRunStatus(run);
-        if (status === 'clean') {
-          runs.push({
-            name: `${this.lastName(run.competitor)} R${round}`,
-            competitor: run.competitor,
-            pos: parseInt(run.position),
-            score: parseFloat(run.final_score),
-            streak, round,
-          });
-        }
-        if (status === 'wipeout' || status === 'crash') streak++;
-        else if (status === 'clean' || status === 'did_not_improve' || status === 'strategic_skip') streak = 0;
-      });
-    }
-    return runs;
+    return this.roundStatuses()
+      .flatMap(annotateStreaks)
+      .filter(r => r.status === 'clean')
+      .map(r => ({
+        name: `${this.lastName(r.competitor)} R${r.round}`,
+        competitor: r.competitor,
+        pos: r.position,
+        score: r.score,
+        streak: r.consecCrashesBefore,
+        round: r.round,
+      }));
   }
 
+  // Relief gap against shuffled running orders (same seed as judge_bias_analysis)
+  computeRunOrderNull() {
+    const result = runOrderNull(this.roundStatuses(), { ...parseRunOrderArgs(), rng: createRng(parseSeedArg()) });
+    if (!result.summary) return null;
+    const { values, ...rest } = result;
+    return rest;
+  }
+
+  // Each judge's smoothed deviation over all performances (same seed as judge_bias_analysis)
+  computeDrift() {
+    const result = judgeDrift(competitionTimeline(this.dataset), { rng: createRng(parseSeedArg()) });
+    const adjusted = holm(result.judges.map(j => j.amplitude.p));
+    return {
+      bandwidth: result.bandwidth,
+      iterations: result.iterations,
+      performances: result.performances.map(p => ({ index: p.index, round: p.round, name: this.lastName(p.competitor), status: p.status })),
+      judges: result.judges.map((j, i) => ({
+        judge: `J${j.judge}`,
+        country: this.judges[j.judge]?.countryCode || '',
+        amplitude: j.amplitude.value,
+        p: j.amplitude.p,
+        pAdjusted: adjusted[i],
+        changePoints: j.changePoints.significant.map(c => ({ index: c.index, shift: c.shift })),
+        smooth: j.smooth,
+        points: j.points,
+      })),
+    };
+  }
 
   buildHTML(data) {
     // Curate dot strip to ~10 most illustrative runs
     const curated = this.curateDotStrip(data.dotStrip);
+    const signed = v => `${v > 0 ? '+' : ''}${v.toFixed(1)}`;
 
     // Compute relief group averages
     const reliefGroups = {};
@@ -214,6 +216,27 @@ class PremiumReport {
     });
     Object.values(reliefGroups).forEach(g => { g.avg = g.scores.reduce((a,b) => a+b, 0) / g.scores.length; g.n = g.scores.length; });
 
+    // Medal-winning runs and every trick code in the final, for the trick section
+    const medalOrder = ['GOLD', 'SILVER', 'BRONZE'];
+    const medalRuns = data.sequences
+      .flatMap((runs, ri) => runs.map(r => ({ ...r, round: ri + 1 })))
+      .filter(r => r.medal)
+      .sort((a, b) => medalOrder.indexOf(a.medal) - medalOrder.indexOf(b.medal));
+    const allTricks = this.rawScores.flatMap(r => r.tricks);
+
+    // Drift summary: the judge whose smooth moves most, and whether it survives Holm
+    const mover = [...data.drift.judges].sort((a, b) => b.amplitude - a.amplitude)[0];
+    const shifted = data.drift.judges.filter(j => j.changePoints.length > 0);
+    const driftText = !mover ? '' : [
+      `<strong>${mover.judge} · ${mover.country}</strong> moves most: ${mover.amplitude.toFixed(1)} pts from peak to trough (p = ${mover.p.toFixed(2)}).`,
+      mover.pAdjusted < 0.05 ?
+        `That holds up even after allowing for ${data.drift.judges.length} judges being checked (adjusted p = ${mover.pAdjusted.toFixed(2)}).` :
+        `With ${data.drift.judges.length} judges checked, that is within what chance produces (adjusted p = ${mover.pAdjusted.toFixed(2)}).`,
+      shifted.length === 0 ?
+        'No judge shows a clear point where their standard jumps.' :
+        `A clear jump in standard: ${shifted.map(j => `${j.judge} from performance ${j.changePoints.map(c => c.index).join(', ')}`).join('; ')}.`,
+    ].join(' ');
+
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -423,10 +446,24 @@ body { font-family: 'Inter', system-ui, sans-serif; background: var(--bg); color
 .footer { text-align: center; padding: 60px 40px; color: var(--dim); font-size: 12px; border-top: 1px solid var(--border); }
 .footer a { color: var(--accent); text-decoration: none; }
 
+/* Tricks */
+.trick { border-bottom: 1px dotted var(--dim); cursor: help; }
+.routine { margin: 0; padding-left: 18px; color: var(--text); font-size: 14px; line-height: 1.7; }
+.medal-runs { display: grid; grid-template-columns: repeat(3, 1fr); gap: 20px; }
+.medal-run h3 { font-family: 'Space Grotesk', sans-serif; font-size: 16px; font-weight: 600; margin-bottom: 4px; }
+.medal-run .medal-score { font-family: 'JetBrains Mono', monospace; color: var(--muted); font-size: 13px; margin-bottom: 12px; }
+.glossary { width: 100%; border-collapse: collapse; font-size: 14px; }
+.glossary th, .glossary td { text-align: left; padding: 8px 12px; border-bottom: 1px solid var(--border); }
+.glossary th { color: var(--dim); font-weight: 500; font-size: 11px; text-transform: uppercase; letter-spacing: 1.5px; }
+.glossary code { font-family: 'JetBrains Mono', monospace; color: var(--accent); }
+.glossary .gl-part { color: var(--dim); }
+.glossary .gl-uses { text-align: right; color: var(--dim); font-family: 'JetBrains Mono', monospace; }
+
 @media (max-width: 900px) {
   .findings-grid { grid-template-columns: repeat(2, 1fr); }
 }
 @media (max-width: 700px) {
+  .medal-runs { grid-template-columns: 1fr; }
   .hero { padding: 40px 20px 60px; }
   .section { padding: 60px 20px; }
   .hero-stats { flex-direction: column; gap: 20px; }
@@ -548,11 +585,21 @@ body { font-family: 'Inter', system-ui, sans-serif; background: var(--bg); color
   <p class="prose" style="margin-top: 32px">And some judges are <strong>consistently</strong> more generous or strict than others — across every run, not just wipeouts.</p>
 
   <div class="chart-wrap">
-    <div class="chart-title">How Each Judge Deviates from the Panel Average</div>
-    <div class="chart-subtitle">Each dot = one run's deviation · Lollipop = average tendency · Left = strict, Right = generous</div>
+    <div class="chart-title">${data.severity[0]?.model ? 'How Generous Each Judge Is, Once Run Quality Is Accounted For' : 'How Each Judge Deviates from the Panel Average'}</div>
+    <div class="chart-subtitle">${data.severity[0]?.model ? 'Mixed model: each dot = one mark net of run quality and judge × nation · Lollipop = estimated severity' : 'Each dot = one run\'s deviation · Lollipop = average tendency'} · Left = strict, Right = generous</div>
     <div id="chart-severity"></div>
   </div>
+${data.drift.judges.length ? `
+  <p class="prose" style="margin-top: 32px">Do those tendencies hold all day? Each panel follows one judge's deviation from the rest of the panel across all ${data.drift.performances.length} performances, smoothed over about ${data.drift.bandwidth} runs. The grey band is where the line falls in 95% of ${data.drift.iterations.toLocaleString()} random reorderings of that judge's marks.</p>
 
+  <div class="chart-wrap">
+    <div class="chart-title">Does Any Judge Drift Over the Competition?</div>
+    <div class="chart-subtitle">Line = smoothed deviation · Band = 95% of shuffled orders · Dots = marks (green clean, red wipeout) · Dashed = round boundaries</div>
+    <div id="chart-drift"></div>
+  </div>
+
+  <p class="prose">${driftText}</p>
+` : ''}
   <div class="verdict green">
     <div class="verdict-text">But the safety net works.</div>
     <div class="verdict-sub">The trimmed mean (drop the highest and lowest score) shifts the final result by just <strong>0.17 points on average</strong>. Medal rankings would be identical with or without it.</div>
@@ -577,7 +624,40 @@ body { font-family: 'Inter', system-ui, sans-serif; background: var(--bg); color
     <div class="verdict-text">Verdict: probably not.</div>
     <div class="verdict-sub">The group average is +1.96 pts higher after crash streaks — but within-rider comparisons tell a different story. Ruka scored <strong>highest after zero crashes</strong> (91 vs 90). Yamada scored identically (92) regardless. The one positive case came with a trick upgrade, not a bias effect.</div>
   </div>
+${data.runOrder ? `
+  <p class="prose" style="margin-top: 48px;">And the group gap itself? Keep every run's result but shuffle who dropped in after whom, ${data.runOrder.iterations.toLocaleString()} times. If the real gap sits comfortably inside what random orders produce, the running order explains it.</p>
+
+  <div class="chart-wrap">
+    <div id="chart-run-order"></div>
+  </div>
+
+  <p class="prose">Random orders put the gap anywhere from <strong>${signed(data.runOrder.summary.q025)}</strong> to <strong>${signed(data.runOrder.summary.q975)} pts</strong>. The real order lands at <strong>percentile ${data.runOrder.percentile.toFixed(0)}</strong> (p = ${data.runOrder.pTwoSided.toFixed(2)}).</p>
+` : ''}
+</div>
+  <a href="#top" class="back-to-top">↑ BACK TO TOP</a>
 </div>
+
+<div class="section-divider"></div>
+
+<!-- ═══ SECTION 5: THE TRICKS ═══ -->
+<div class="section reveal" id="tricks">
+  <div class="section-tag">The Tricks</div>
+  <h2>What the Medal Runs Actually Were</h2>
+  <p class="prose">The official results record each trick as a compact code. Here are the three medal-winning runs spelled out — <strong>hover any trick to see its official code</strong> — and a key to every code token used in the final.</p>
+
+  <div class="medal-runs">
+    ${medalRuns.map(r => `<div class="chart-wrap medal-run">
+      <h3>${{ GOLD: '🥇', SILVER: '🥈', BRONZE: '🥉' }[r.medal]} ${r.fullName}</h3>
+      <div class="medal-score">Round ${r.round} · ${r.score}</div>
+      ${routineHTML(r.tricks)}
+    </div>`).join('\n    ')}
+  </div>
+
+  <div class="chart-wrap">
+    <div class="chart-title">Trick Code Glossary</div>
+    <div class="chart-subtitle">Every token that appears in this final's trick codes</div>
+    ${glossaryHTML(allTricks)}
+  </div>
   <a href="#top" class="back-to-top">↑ BACK TO TOP</a>
 </div>
 
@@ -798,6 +878,124 @@ document.querySelectorAll('.reveal').forEach(el => obs.observe(el));
   });
 })();
 
+// ═══════════════════════════════════════════════════════════
+// CHART: Judge Drift (small multiples over the timeline)
+// ═══════════════════════════════════════════════════════════
+(function() {
+  const drift = ${JSON.stringify(data.drift)};
+  if (!drift.judges.length) return;
+  const cols = 3, panelW = 280, panelH = 170, gap = 10;
+  const margin = { top: 26, right: 8, bottom: 22, left: 30 };
+  const rows = Math.ceil(drift.judges.length / cols);
+  const width = cols * panelW + (cols - 1) * gap, height = rows * panelH + (rows - 1) * gap;
+
+  const svg = d3.select('#chart-drift')
+    .append('svg')
+    .attr('viewBox', \`0 0 \${width} \${height}\`)
+    .style('width', '100%');
+
+  const perf = drift.performances;
+  const status = new Map(perf.map(p => [p.index, p.status]));
+  const allDevs = drift.judges.flatMap(j => j.points.map(p => p.deviation));
+  const yMax = Math.max(2, Math.ceil(Math.max(...allDevs.map(Math.abs))));
+  const boundaries = perf.filter((p, i) => i > 0 && p.round !== perf[i - 1].round);
+
+  drift.judges.forEach((judge, i) => {
+    const g = svg.append('g').attr('transform', \`translate(\${(i % cols) * (panelW + gap)}, \${Math.floor(i / cols) * (panelH + gap)})\`);
+    const x = d3.scaleLinear().domain([1, perf.length]).range([margin.left, panelW - margin.right]);
+    const y = d3.scaleLinear().domain([-yMax, yMax]).range([panelH - margin.bottom, margin.top]);
+
+    g.append('rect').attr('x', margin.left).attr('y', margin.top).attr('width', panelW - margin.left - margin.right).attr('height', panelH - margin.top - margin.bottom)
+      .attr('fill', 'none').attr('stroke', C.border);
+    g.append('line').attr('x1', margin.left).attr('x2', panelW - margin.right).attr('y1', y(0)).attr('y2', y(0)).attr('stroke', C.accent).attr('stroke-width', 1).attr('opacity', 0.6);
+    [-yMax, yMax].forEach(v => g.append('text').attr('x', margin.left - 4).attr('y', y(v) + 4).attr('text-anchor', 'end').attr('font-size', 9).attr('fill', C.dim).text((v > 0 ? '+' : '') + v));
+    boundaries.forEach(b => {
+      g.append('line').attr('x1', x(b.index - 0.5)).attr('x2', x(b.index - 0.5)).attr('y1', margin.top).attr('y2', panelH - margin.bottom)
+        .attr('stroke', C.dim).attr('stroke-dasharray', '3,3').attr('opacity', 0.6);
+    });
+    [...new Set(perf.map(p => p.round))].forEach(r => {
+      const inRound = perf.filter(p => p.round === r);
+      g.append('text').attr('x', x((inRound[0].index + inRound[inRound.length - 1].index) / 2)).attr('y', panelH - 6)
+        .attr('text-anchor', 'middle').attr('font-size', 9).attr('fill', C.dim).text(\`R\${r}\`);
+    });
+
+    const band = judge.smooth.filter(s => s.nullLow !== null);
+    g.append('path').datum(band)
+      .attr('d', d3.area().x(s => x(s.index)).y0(s => y(s.nullLow)).y1(s => y(s.nullHigh)).curve(d3.curveMonotoneX))
+      .attr('fill', C.muted).attr('opacity', 0.15);
+
+    judge.points.forEach(p => {
+      g.append('circle').attr('cx', x(p.index)).attr('cy', y(Math.max(-yMax, Math.min(yMax, p.deviation)))).attr('r', 2.5)
+        .attr('fill', status.get(p.index) === 'wipeout' ? C.red : C.green).attr('opacity', 0.5);
+    });
+
+    const line = judge.smooth.filter(s => s.value !== null);
+    const outside = judge.smooth.some(s => s.value !== null && s.nullLow !== null && (s.value < s.nullLow || s.value > s.nullHigh));
+    g.append('path').datum(line)
+      .attr('d', d3.line().x(s => x(s.index)).y(s => y(s.value)).curve(d3.curveMonotoneX))
+      .attr('fill', 'none').attr('stroke', outside ? C.gold : C.text).attr('stroke-width', 2);
+
+    judge.changePoints.forEach(c => {
+      g.append('line').attr('x1', x(c.index - 0.5)).attr('x2', x(c.index - 0.5)).attr('y1', margin.top).attr('y2', panelH - margin.bottom)
+        .attr('stroke', C.gold).attr('stroke-width', 2);
+    });
+
+    g.append('text').attr('x', margin.left).attr('y', 16).attr('font-size', 12).attr('fill', C.text).attr('font-weight', 600).attr('font-family', 'Space Grotesk')
+      .text(\`\${judge.judge} · \${judge.country}\`);
+    g.append('text').attr('x', panelW - margin.right).attr('y', 16).attr('text-anchor', 'end').attr('font-size', 10).attr('fill', outside ? C.gold : C.dim)
+      .text(\`range \${judge.amplitude.toFixed(1)} pts · p = \${judge.p.toFixed(2)}\`);
+  });
+})();
+
+// ═══════════════════════════════════════════════════════════
+// CHART: Run-Order Null (relief gap under shuffled start order)
+// ═══════════════════════════════════════════════════════════
+(function() {
+  const runOrder = ${JSON.stringify(data.runOrder)};
+  if (!runOrder) return;
+  const bins = runOrder.histogram;
+  const margin = { top: 40, right: 30, bottom: 60, left: 60 };
+  const width = 860, height = 320;
+
+  const svg = d3.select('#chart-run-order')
+    .append('svg')
+    .attr('viewBox', \`0 0 \${width} \${height}\`)
+    .style('width', '100%');
+
+  const x = d3.scaleLinear().domain([bins[0].from, bins[bins.length - 1].to]).range([margin.left, width - margin.right]);
+  const y = d3.scaleLinear().domain([0, d3.max(bins, b => b.count)]).nice().range([height - margin.bottom, margin.top]);
+
+  y.ticks(4).forEach(v => {
+    svg.append('line').attr('x1', margin.left).attr('x2', width - margin.right).attr('y1', y(v)).attr('y2', y(v)).attr('stroke', C.border).attr('stroke-width', 0.5);
+    svg.append('text').attr('x', margin.left - 10).attr('y', y(v) + 4).attr('text-anchor', 'end').attr('font-size', 11).attr('fill', C.dim).text(v);
+  });
+  x.ticks(8).forEach(v => {
+    svg.append('text').attr('x', x(v)).attr('y', height - margin.bottom + 18).attr('text-anchor', 'middle').attr('font-size', 11).attr('fill', C.dim).text((v > 0 ? '+' : '') + v);
+  });
+
+  svg.append('text').attr('x', width/2).attr('y', height - 10).attr('text-anchor', 'middle').attr('font-size', 12).attr('fill', C.muted).text('Gap: After 1+ Crashes − After 0 (pts)');
+  svg.append('text').attr('x', 14).attr('y', height/2).attr('text-anchor', 'middle').attr('font-size', 12).attr('fill', C.muted).attr('transform', \`rotate(-90, 14, \${height/2})\`).text('Shuffles');
+  svg.append('text').attr('x', width/2).attr('y', 24).attr('text-anchor', 'middle').attr('font-size', 14).attr('fill', C.text).attr('font-weight', 600).attr('font-family', 'Space Grotesk').text('What Random Running Orders Produce');
+
+  bins.forEach(b => {
+    svg.append('rect')
+      .attr('x', x(b.from) + 1).attr('y', y(b.count))
+      .attr('width', Math.max(0, x(b.to) - x(b.from) - 2)).attr('height', y(0) - y(b.count))
+      .attr('fill', C.muted).attr('opacity', 0.5).attr('rx', 2);
+  });
+
+  // Observed gap
+  svg.append('line')
+    .attr('x1', x(runOrder.observed)).attr('x2', x(runOrder.observed))
+    .attr('y1', margin.top).attr('y2', height - margin.bottom)
+    .attr('stroke', C.gold).attr('stroke-width', 2);
+  svg.append('text')
+    .attr('x', x(runOrder.observed) + 6).attr('y', margin.top + 12)
+    .attr('font-size', 11).attr('fill', C.gold).attr('font-weight', 600)
+    .attr('font-family', 'Space Grotesk')
+    .text(\`actual order: \${runOrder.observed > 0 ? '+' : ''}\${runOrder.observed.toFixed(1)}\`);
+})();
+
 // ═══════════════════════════════════════════════════════════
 // CHART: Relief Bias (with group averages)
 // ═══════════════════════════════════════════════════════════
@@ -903,7 +1101,8 @@ document.querySelectorAll('.reveal').forEach(el => obs.observe(el));
         const cls = statusCls[r.status] || 'cell-skip';
         const scoreStr = r.score !== null ? r.score : '—';
         const medalAttr = medalEmoji[r.medal] ? ` class="${cls} comp-cell cell-medal" data-medal="${medalEmoji[r.medal]}"` : ` class="${cls} comp-cell"`;
-        html += `<div${medalAttr} title="${r.fullName} (${r.country}) — ${r.status}"><div class="cname">${r.name}</div><div class="cscore">${scoreStr}</div></div>`;
+        const routine = r.tricks.length > 0 ? `\n${r.tricks.map(spokenName).join('\n')}` : '';
+        html += `<div${medalAttr} title="${r.fullName} (${r.country}) — ${r.status}${routine}"><div class="cname">${r.name}</div><div class="cscore">${scoreStr}</div></div>`;
       });
     });
     html += '</div>';
@@ -911,5 +1110,5 @@ document.querySelectorAll('.reveal').forEach(el => obs.observe(el));
   }
 }
 
-const gen = new PremiumReport();
+const gen = new PremiumReport(loadDataset());
 gen.generate();
@@ -7,68 +7,36 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadDNIResolution } = require('./lib/scoring_data');
+const { loadDataset } = require('./lib/events');
+const { createRng, parseSeedArg } = require('./lib/random');
+const { annotateStreaks, runOrderNull, parseRunOrderArgs } = require('./lib/run_order');
+const { bootstrapCI } = require('./lib/statistics');
+const reliability = require('./lib/reliability');
+const { severityModel, observationsFromRuns, parseSeverityModelArg } = require('./lib/severity_model');
+const { creditFor } = require('./lib/exclusions');
+const { loadCountryBlocs, parseBlocsArg, markDeviations, homeBias } = require('./lib/home_bias');
+const { judgeImpact } = require('./lib/judge_impact');
 
 class ReportGenerator {
-  constructor() {
-    this.rawScores = this.loadCSV(path.join(__dirname, '../data/raw/milano-cortina-2026-individual-judge-scores.csv'));
-    this.judges = this.loadJudgesMetadata();
-    this.dniMap = this.loadDNIResolution();
-  }
-
-  loadCSV(filePath) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',');
-    return lines.slice(1).map(line => {
-      const values = line.split(',');
-      const row = {};
-      headers.forEach((h, i) => { row[h.trim()] = values[i]?.trim(); });
-      return row;
-    });
-  }
-
-  loadJudgesMetadata() {
-    const csvPath = path.join(__dirname, '../data/raw/judges-metadata.csv');
-    const content = fs.readFileSync(csvPath, 'utf8');
-    const lines = content.trim().split('\n');
-    const judges = {};
-    lines.slice(1).forEach(line => {
-      const v = line.split(',');
-      judges[v[0].trim()] = { name: v[1]?.trim(), country: v[2]?.trim() };
-    });
-    return judges;
-  }
-
-  loadDNIResolution() {
-    const csvPath = path.join(__dirname, '../data/processed/dni_resolved.csv');
-    const content = fs.readFileSync(csvPath, 'utf8');
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',');
-    const map = {};
-    lines.slice(1).forEach(line => {
-      const values = line.split(',');
-      const row = {};
-      headers.forEach((h, i) => { row[h.trim()] = values[i]?.trim(); });
-      map[`${row.competitor}-${row.run}`] = row;
-    });
-    return map;
+  constructor(dataset) {
+    this.dataset = dataset;
+    this.event = dataset.single();
+    this.rawScores = dataset.runs;
+    this.judges = dataset.judgesFor(this.event.id);
+    this.dniMap = loadDNIResolution(path.join(__dirname, '../data/processed/dni_resolved.csv'));
+    this.useSeverityModel = parseSeverityModelArg();
   }
 
   getRunStatus(row) {
-    if (row.final_score === 'DNI') {
-      const key = `${row.competitor}-${row.run}`;
-      return this.dniMap[key]?.dni_reason || 'dni_unknown';
+    if (row.isDNI) {
+      return this.dniMap[row.key]?.dni_reason || 'dni_unknown';
     }
-    return parseFloat(row.final_score) >= 50 ? 'clean' : 'wipeout';
+    return row.isClean ? 'clean' : 'wipeout';
   }
 
   getJudgeScores(row) {
-    const scores = [];
-    for (let j = 1; j <= 6; j++) {
-      const val = parseFloat(row[`judge${j}_score`]);
-      if (!isNaN(val)) scores.push({ judgeNum: j, score: val });
-    }
-    return scores;
+    return row.scoredJudges().map(j => ({ judgeNum: j.judge, score: j.score }));
   }
 
   // ── SVG Helpers ─────────────────────────────────────────────
@@ -234,30 +202,34 @@ class ReportGenerator {
   // ── Data Computation ────────────────────────────────────────
 
   computeJudgeSeverity() {
-    const scored = this.rawScores.filter(r => r.final_score && r.final_score !== 'DNI');
+    const scored = this.rawScores.filter(r => r.isScored);
     const judgeStats = {};
-    for (let j = 1; j <= 6; j++) judgeStats[j] = { devs: [], exHigh: 0, exLow: 0, n: 0 };
+    for (let j = 1; j <= this.event.judgePanelSize; j++) judgeStats[j] = { devs: [], exHigh: 0, exLow: 0, n: 0 };
 
     scored.forEach(run => {
       const scores = this.getJudgeScores(run);
-      if (scores.length < 6) return;
+      if (scores.length < this.event.judgePanelSize) return;
       const mean = scores.reduce((s, x) => s + x.score, 0) / scores.length;
-      const max = Math.max(...scores.map(s => s.score));
-      const min = Math.min(...scores.map(s => s.score));
+      const attribution = this.dataset.exclusions(run);
 
       scores.forEach(s => {
+        const credit = creditFor(attribution, s.judgeNum);
         judgeStats[s.judgeNum].devs.push(s.score - mean);
         judgeStats[s.judgeNum].n++;
-        if (s.score === max && scores.filter(x => x.score === max).length === 1) judgeStats[s.judgeNum].exHigh++;
-        if (s.score === min && scores.filter(x => x.score === min).length === 1) judgeStats[s.judgeNum].exLow++;
+        judgeStats[s.judgeNum].exHigh += credit.high;
+        judgeStats[s.judgeNum].exLow += credit.low;
       });
     });
 
+    // --severity-model: model severity (lib/severity_model.js) in place of mean deviation
+    const model = this.useSeverityModel ?
+      severityModel(observationsFromRuns(scored), { rng: createRng(parseSeedArg()) }) : null;
+
     return Object.entries(judgeStats).map(([j, s]) => ({
       judge: parseInt(j),
       name: this.judges[j]?.name || '',
-      country: this.judges[j]?.country || '',
-      avgDev: s.devs.reduce((a, b) => a + b, 0) / s.devs.length,
+      country: this.judges[j]?.countryCode || '',
+      avgDev: model ? model.severity.get(parseInt(j)) : s.devs.reduce((a, b) => a + b, 0) / s.devs.length,
       exHigh: s.exHigh,
       exLow: s.exLow,
       n: s.n,
@@ -265,37 +237,37 @@ class ReportGenerator {
   }
 
   computeConsensus() {
-    const scored = this.rawScores.filter(r => r.final_score && r.final_score !== 'DNI');
+    const scored = this.rawScores.filter(r => r.isScored);
     return scored.map(run => {
       const scores = this.getJudgeScores(run);
-      if (scores.length < 6) return null;
+      if (scores.length < this.event.judgePanelSize) return null;
       const vals = scores.map(s => s.score);
       return {
         competitor: run.competitor,
-        run: parseInt(run.run),
-        score: parseFloat(run.final_score),
+        run: run.run,
+        score: run.finalScore,
         spread: Math.max(...vals) - Math.min(...vals),
         scores: vals,
-        type: parseFloat(run.final_score) >= 50 ? 'clean' : 'wipeout',
+        type: run.isClean ? 'clean' : 'wipeout',
       };
     }).filter(Boolean);
   }
 
   computeCorrelationMatrix() {
-    const scored = this.rawScores.filter(r => r.final_score && r.final_score !== 'DNI');
+    const scored = this.rawScores.filter(r => r.isScored);
     const vecs = {};
-    for (let j = 1; j <= 6; j++) vecs[j] = [];
+    for (let j = 1; j <= this.event.judgePanelSize; j++) vecs[j] = [];
 
     scored.forEach(run => {
       const scores = this.getJudgeScores(run);
-      if (scores.length < 6) return;
+      if (scores.length < this.event.judgePanelSize) return;
       scores.forEach(s => vecs[s.judgeNum].push(s.score));
     });
 
     const matrix = [];
-    for (let i = 1; i <= 6; i++) {
+    for (let i = 1; i <= this.event.judgePanelSize; i++) {
       const row = [];
-      for (let j = 1; j <= 6; j++) {
+      for (let j = 1; j <= this.event.judgePanelSize; j++) {
         if (i === j) { row.push(1.0); continue; }
         const n = Math.min(vecs[i].length, vecs[j].length);
         const xm = vecs[i].slice(0, n).reduce((a, b) => a + b, 0) / n;
@@ -313,37 +285,82 @@ class ReportGenerator {
     return matrix;
   }
 
-  computeCrashStreaks() {
-    const all = [];
-    for (let round = 1; round <= 3; round++) {
-      const runs = this.rawScores
-        .filter(r => r.run === round.toString())
-        .sort((a, b) => parseInt(a.position) - parseInt(b.position));
+  // Each round's runs in start order as { competitor, position, round, status, score }
+  roundStatuses() {
+    return this.event.rounds().map(round => this.rawScores
+      .filter(r => r.run === round)
+      .sort((a, b) => a.position - b.position)
+      .map(run => ({ competitor: run.competitor, position: run.position, round, status: this.getRunStatus(run), score: run.finalScore })));
+  }
 
-      let streak = 0;
-      runs.forEach(run => {
-        const status = this.getRunStatus(run);
-        const isCrash = status === 'wipeout' || status === 'crash';
-        const isCompleted = status === 'clean' || status === 'did_not_improve' || status === 'strategic_skip';
+  // Panel reliability with bootstrap CIs, overall / clean / wipeout / by round
+  computeReliability() {
+    const rng = createRng(parseSeedArg());
+    const rows = this.rawScores.filter(r => r.isScored).map(run => {
+      const marks = new Array(this.event.judgePanelSize).fill(null);
+      this.getJudgeScores(run).forEach(s => { marks[s.judgeNum - 1] = s.score; });
+      return { round: run.run, isClean: run.isClean, marks };
+    });
+    const measures = [
+      ['ICC(2,1)', rs => reliability.icc(rs.map(r => r.marks))?.icc21 ?? null],
+      ['ICC(2,k)', rs => reliability.icc(rs.map(r => r.marks))?.icc2k ?? null],
+      ['Krippendorff α', rs => reliability.krippendorffAlpha(rs.map(r => r.marks))],
+      ['Kendall W', rs => reliability.kendallW(this.event.rounds().map(round => rs.filter(r => r.round === round).map(r => r.marks)))],
+    ];
+    const subsets = [
+      ['All scored', rows],
+      ['Clean', rows.filter(r => r.isClean)],
+      ['Wipeouts', rows.filter(r => !r.isClean)],
+      ...this.event.rounds().map(round => [`Round ${round}`, rows.filter(r => r.round === round)]),
+    ];
+    return {
+      measures: measures.map(([name]) => name),
+      subsets: subsets.map(([name, rs]) => ({
+        name,
+        n: rs.length,
+        values: measures.map(([, statistic]) => {
+          const value = statistic(rs);
+          return value === null ? null : { value, ci: bootstrapCI([rs], statistic, { rng }) };
+        }),
+      })),
+    };
+  }
 
-        if (status === 'clean') {
-          all.push({ competitor: run.competitor, position: parseInt(run.position), round, score: parseFloat(run.final_score), streak });
-        }
-        if (isCrash) streak++;
-        else if (isCompleted) streak = 0;
-      });
-    }
-    return all;
+  // Every judge/athlete home or bloc pair against the judge's own control
+  computeHomeBias() {
+    const blocs = loadCountryBlocs(parseBlocsArg());
+    const observations = markDeviations(this.rawScores, {
+      nationOf: (run, n) => this.judges[n]?.countryCode,
+      blocs,
+    });
+    return { blocs, ...homeBias(observations, { blocs, rng: createRng(parseSeedArg()) }) };
+  }
+
+  // Drop or swap each judge, rescore under the event's rule and re-rank
+  computeJudgeImpact() {
+    return judgeImpact(this.dataset).find(e => e.eventId === this.event.id);
+  }
+
+  computeCrashStreaks() {
+    return this.roundStatuses()
+      .flatMap(annotateStreaks)
+      .filter(r => r.status === 'clean')
+      .map(r => ({ competitor: r.competitor, position: r.position, round: r.round, score: r.score, streak: r.consecCrashesBefore }));
+  }
+
+  // Relief gap against shuffled running orders (same seed as judge_bias_analysis)
+  computeRunOrderNull() {
+    return runOrderNull(this.roundStatuses(), { ...parseRunOrderArgs(), rng: createRng(parseSeedArg()) });
   }
 
   computeWipeouts() {
-    const scored = this.rawScores.filter(r => r.final_score && r.final_score !== 'DNI' && parseFloat(r.final_score) < 50);
+    const scored = this.rawScores.filter(r => r.isWipeout);
     return scored.map(run => {
-      const tricks = [run.trick1, run.trick2, run.trick3, run.trick4, run.trick5].filter(t => t && t.length > 0);
+      const tricks = run.tricks;
       const scores = this.getJudgeScores(run);
       return {
         competitor: run.competitor,
-        score: parseFloat(run.final_score),
+        score: run.finalScore,
         tricks: tricks.length,
         spread: scores.length >= 2 ? Math.max(...scores.map(s => s.score)) - Math.min(...scores.map(s => s.score)) : 0,
       };
@@ -352,17 +369,17 @@ class ReportGenerator {
 
   computeRoundSequences() {
     const sequences = [];
-    for (let round = 1; round <= 3; round++) {
+    for (const round of this.event.rounds()) {
       const runs = this.rawScores
-        .filter(r => r.run === round.toString())
-        .sort((a, b) => parseInt(a.position) - parseInt(b.position));
+        .filter(r => r.run === round)
+        .sort((a, b) => a.position - b.position);
 
       runs.forEach(run => {
         const status = this.getRunStatus(run);
-        const score = run.final_score === 'DNI' ? null : parseFloat(run.final_score);
+        const score = run.finalScore;
         sequences.push({
           round,
-          position: parseInt(run.position),
+          position: run.position,
           competitor: run.competitor.split(' ').pop(),
           score,
           status,
@@ -378,9 +395,16 @@ class ReportGenerator {
     const severity = this.computeJudgeSeverity();
     const consensus = this.computeConsensus();
     const corrMatrix = this.computeCorrelationMatrix();
+    const panelReliability = this.computeReliability();
+    const nationality = this.computeHomeBias();
+    const impact = this.computeJudgeImpact();
     const crashStreaks = this.computeCrashStreaks();
+    const runOrder = this.computeRunOrderNull();
     const wipeouts = this.computeWipeouts();
     const sequences = this.computeRoundSequences();
+    const mostHigh = severity.reduce((a, b) => (b.exHigh > a.exHigh ? b : a));
+    const mostLow = severity.reduce((a, b) => (b.exLow > a.exLow ? b : a));
+    const pct = (count, n) => Math.round((count / n) * 100);
 
     // ── Charts ──
 
@@ -391,7 +415,7 @@ class ReportGenerator {
         label: `J${s.judge}\n${s.country}`,
         color: s.avgDev > 0.2 ? '#5BA85B' : s.avgDev < -0.2 ? '#D94A4A' : '#999',
       })),
-      title: 'Judge Severity: Average Deviation from Panel Mean',
+      title: this.useSeverityModel ? 'Judge Severity: Mixed-Model Estimate (run quality, judge × nation removed)' : 'Judge Severity: Average Deviation from Panel Mean',
       yLabel: 'Deviation (pts)',
       width: 500,
       height: 280,
@@ -474,6 +498,26 @@ class ReportGenerator {
       height: 280,
     });
 
+    // 6b. Run-order null distribution of the relief gap
+    const fmt = v => `${v > 0 ? '+' : ''}${v.toFixed(1)}`;
+    const runOrderChart = runOrder.summary ? this.svgBar({
+      data: runOrder.histogram.map((b, i) => ({
+        value: b.count,
+        label: i % 4 === 0 || b.containsObserved ? fmt(b.from) : '',
+        color: b.containsObserved ? '#D94A4A' : '#999',
+      })),
+      title: `Relief Gap Under ${runOrder.iterations} Shuffled Run Orders (red = observed ${fmt(runOrder.observed)})`,
+      yLabel: 'Shuffles',
+      showValues: false,
+      width: 600,
+      height: 280,
+    }) : '';
+    const runOrderNote = runOrder.summary ?
+      `<strong>Run-order permutation:</strong> Shuffling the start order within each round (every run keeps its status and score) gives a relief gap of
+${fmt(runOrder.summary.mean)} pts on average (95% of shuffles between ${fmt(runOrder.summary.q025)} and ${fmt(runOrder.summary.q975)}).
+The observed ${fmt(runOrder.observed)} pts sits at <strong>percentile ${runOrder.percentile.toFixed(0)}</strong> of that null (two-sided p = ${runOrder.pTwoSided.toFixed(2)}) —
+${runOrder.pTwoSided < 0.05 ? 'running order alone rarely produces a gap this large.' : 'a gap this size is well within what running order alone produces.'}` : '';
+
     // 7. Round sequence visualization
     const sequenceHtml = this.buildSequenceViz(sequences);
 
@@ -522,7 +566,7 @@ class ReportGenerator {
 <div class="container">
 
 <h1>🏂 Halfpipe Judging Analysis</h1>
-<p class="subtitle">Milano-Cortina 2026 Men's Snowboard Halfpipe Final — 12 competitors, 3 rounds, 6 judges</p>
+<p class="subtitle">${this.escapeHtml(this.event.name)} — ${this.dataset.fieldSize(this.event.id)} competitors, ${this.event.runCount} rounds, ${this.event.judgePanelSize} judges</p>
 
 <h2>Competition Flow</h2>
 <div class="card">
@@ -538,8 +582,9 @@ ${sequenceHtml}
 <div>${exclusionChart}</div>
 </div>
 <div class="insight">
-<strong>Finding:</strong> Judge 5 (FRA) is consistently the most generous — excluded as the highest scorer 25% of the time and never as the lowest.
-Judge 4 (SUI) is consistently strict — excluded as the lowest 17% of the time and never as the highest. Expected by chance: ~17% in each direction.
+<strong>Finding:</strong> Judge ${mostHigh.judge} (${mostHigh.country}) is consistently the most generous — excluded as the highest scorer ${pct(mostHigh.exHigh, mostHigh.n)}% of the time and as the lowest ${pct(mostHigh.exLow, mostHigh.n)}%.
+Judge ${mostLow.judge} (${mostLow.country}) is consistently strict — excluded as the lowest ${pct(mostLow.exLow, mostLow.n)}% of the time and as the highest ${pct(mostLow.exHigh, mostLow.n)}%. Expected by chance: ~${pct(1, this.event.judgePanelSize)}% in each direction.
+Exclusions follow the official result notes; where a run has none, judges tied for the dropped mark share the exclusion.
 </div>
 </div>
 
@@ -551,6 +596,37 @@ Medal rankings are <strong>identical</strong> whether using raw mean or trimmed
 </div>
 </div>
 
+<h2>Q4b: Would Any Judge Alone Have Changed the Podium? <span class="verdict verdict-yes">ANSWERABLE</span></h2>
+<div class="card">
+<div class="insight">
+<strong>Finding:</strong> ${(() => {
+  const medalJudges = impact.judges.filter(j => j.drop.medalsChanged > 0 || j.swapsChangingMedals > 0);
+  const movers = impact.judges.filter(j => j.maxPositionsChanged > 0);
+  return [
+    medalJudges.length === 0 ?
+      'No medal hinges on a single judge: removing any one, or replacing their marks with another panel member\'s, leaves the podium unchanged.' :
+      `Medals hinge on ${medalJudges.map(j => `Judge ${j.judge} (${j.country})`).join(', ')}: removing or replacing them alone changes the podium.`,
+    movers.length === 0 ?
+      'No rider moves in any scenario.' :
+      `At most ${Math.max(...impact.judges.map(j => j.maxPositionsChanged))} ranking positions change in any one scenario.`,
+  ].join(' ');
+})()}
+Every run is rescored under the event's rule, a ${this.escapeHtml(impact.rule)}, and each rider's best run counts, ties broken by the next-best run.
+${impact.reproducesOfficial ? 'With the full panel this reproduces the official ranking.' : '<strong>With the full panel this does not reproduce the official ranking</strong>, so compare scenarios with the rescored baseline.'}
+</div>
+<table>
+<tr><th>Judge</th><th>Dropped: scores changed</th><th>Largest score shift</th><th>Riders moved</th><th>Medals changed</th><th>Swaps moving a rider</th><th>Swaps changing a medal</th></tr>
+${impact.judges.map(j =>
+  `<tr><td>J${j.judge} (${j.country})</td><td>${j.drop.runsChanged}</td><td>${j.drop.maxShift.toFixed(2)}</td><td>${j.drop.positionsChanged}</td><td>${j.drop.medalsChanged}</td><td>${j.swaps.filter(sw => sw.positionsChanged > 0).length}/${j.swaps.length}</td><td>${j.swapsChangingMedals}/${j.swaps.length}</td></tr>`
+).join('\n')}
+</table>
+${impact.judges.some(j => j.maxPositionsChanged > 0) ? `<p style="font-size:13px; color:#666;">${impact.judges.flatMap(j => [
+  ...(j.drop.positionsChanged > 0 ? [`Without J${j.judge}: ${j.drop.moved.map(m => `${this.escapeHtml(m.competitor)} ${m.from}→${m.to}`).join(', ')}`] : []),
+  ...j.swaps.filter(sw => sw.positionsChanged > 0).map(sw => `J${j.judge} scoring like J${sw.with}: ${sw.moved.map(m => `${this.escapeHtml(m.competitor)} ${m.from}→${m.to}`).join(', ')}`),
+]).join('. ')}.</p>` : ''}
+<p style="font-size:13px; color:#666;">A swap replaces one judge's marks with another judge's, as if that judge sat on the panel twice.</p>
+</div>
+
 <h2>Q5: Wipeout Scoring Mechanics <span class="verdict verdict-yes">ANSWERABLE</span></h2>
 <div class="card">
 <div class="chart-row">
@@ -584,6 +660,17 @@ ${corrHeatmap}
 <strong>Finding:</strong> All pairwise correlations are 0.997–0.999 — judges agree overwhelmingly on the rank ordering of performances.
 The differences that DO exist (severity, exclusion patterns) are small but consistent, operating within a shared framework.
 </div>
+<table>
+<tr><th>Runs</th><th>n</th>${panelReliability.measures.map(m => `<th>${m}</th>`).join('')}</tr>
+${panelReliability.subsets.map(sub =>
+  `<tr><td>${sub.name}</td><td>${sub.n}</td>${sub.values.map(v => `<td>${v ? `${v.value.toFixed(3)}${v.ci ? ` <span style="color:#888">[${v.ci[0].toFixed(3)}, ${v.ci[1].toFixed(3)}]</span>` : ''}` : '—'}</td>`).join('')}</tr>`
+).join('\n')}
+</table>
+<div class="insight">
+<strong>Panel reliability:</strong> ICC(2,1) is how well a single judge's mark stands in for the panel; ICC(2,k) is the reliability of the panel average.
+Krippendorff's α agrees with ICC here because every scored run has a full panel. Kendall's W measures how alike the judges rank runs within each round.
+Within the narrower clean-run range, agreement drops, and Round 3 (5 runs) has the widest intervals. Brackets are 95% bootstrap intervals over runs.
+</div>
 </div>
 
 <h2>Q1/Q2: Relief Bias — Crash Streak Effect <span class="verdict verdict-partial">PARTIALLY ANSWERABLE</span></h2>
@@ -594,15 +681,28 @@ ${reliefChart}
 with nearly identical average positions (7.4 vs 7.3). However, within-rider comparisons show <strong>no effect</strong> in 2 of 3 cases:
 Ruka Hirano scored <em>highest</em> (91) after zero crashes, and Yamada scored identically (92) regardless. The only positive case (Totsuka +4) involved a trick upgrade.
 </div>
+${runOrderChart}
+${runOrderNote ? `<div class="insight">\n${runOrderNote}\n</div>` : ''}
 </div>
 
 <h2>Q8: Nationality Bias <span class="verdict verdict-partial">PARTIALLY ANSWERABLE</span></h2>
 <div class="card">
 <div class="insight">
-<strong>Finding:</strong> Judge 6 (HASHIMOTO, JPN) scores Japanese athletes <strong>+0.25 pts</strong> above panel mean vs −0.12 for others — a <strong>+0.37 pt</strong> home bias.
-However, this is based on only 9 scored JPN performances, and other non-home judges show comparable or larger JPN-vs-other differences (J1: −0.64, J3: +0.27).
-The effect is real but too small and under-powered to distinguish from noise.
+<strong>Finding:</strong> ${nationality.pairs.length === 0 ? 'No judge shares a country or bloc with any athlete, so home bias cannot be tested on this panel.' : `${nationality.pairs.filter(p => p.relation === 'home').length} same-country and ${nationality.pairs.filter(p => p.relation === 'bloc').length} same-bloc judge/athlete pairs.`}
+Each mark is compared with the mean of the <em>other</em> judges on the run, and each judge's related athletes with that judge's unrelated ones, so a judge who is generous to everyone does not look nationalistic.
+${['home', 'bloc'].filter(k => nationality.pooled[k].effect !== null).map(k => {
+  const pooled = nationality.pooled[k];
+  return `Pooled ${k} effect: <strong>${pooled.effect > 0 ? '+' : ''}${pooled.effect.toFixed(2)} pts</strong> (${pooled.n} marks, permutation p = ${pooled.p.toFixed(2)}).`;
+}).join('\n')}
+${['home', 'bloc'].some(k => nationality.pooled[k].p !== null && nationality.pooled[k].p < 0.05) ? 'Shuffling athletes\' nationalities rarely produces an effect this large.' : 'Shuffling athletes\' nationalities produces effects this large routinely: the pairs are too few to tell bias from noise.'}
 </div>
+${nationality.pairs.length > 0 ? `<table>
+<tr><th>Judge</th><th>Athletes</th><th>Relation</th><th>n</th><th>Deviation</th><th>Control</th><th>Effect</th></tr>
+${nationality.pairs.map(p =>
+  `<tr><td>J${p.judge} (${p.judgeNation})</td><td>${p.athleteNation}: ${p.athletes.map(a => this.escapeHtml(a)).join(', ')}</td><td>${p.relation === 'home' ? 'home' : `bloc (${p.bloc})`}</td><td>${p.n}</td><td>${p.mean.toFixed(2)}</td><td>${p.controlMean.toFixed(2)}</td><td>${p.effect > 0 ? '+' : ''}${p.effect.toFixed(2)}</td></tr>`
+).join('\n')}
+</table>
+<p style="font-size:13px; color:#666;">Blocs from ${this.escapeHtml(path.relative(path.join(__dirname, '..'), nationality.blocs.file))}: ${Object.entries(nationality.blocs.blocs).map(([name, codes]) => `${name} (${codes.join(', ')})`).join('; ')}.</p>` : ''}
 </div>
 
 <h2>Q9: Difficulty vs Score <span class="verdict verdict-partial">PARTIALLY ANSWERABLE</span></h2>
@@ -628,7 +728,7 @@ this is fundamentally different from diving or gymnastics where difficulty has a
 
   buildSequenceViz(sequences) {
     let html = '';
-    for (let round = 1; round <= 3; round++) {
+    for (const round of this.event.rounds()) {
       const runs = sequences.filter(s => s.round === round);
       html += `<div class="sequence-round"><strong>Round ${round}:</strong> `;
       runs.forEach(r => {
@@ -646,5 +746,5 @@ this is fundamentally different from diving or gymnastics where difficulty has a
   }
 }
 
-const gen = new ReportGenerator();
+const gen = new ReportGenerator(loadDataset());
 gen.generate();
@@ -7,34 +7,15 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadDataset } = require('./lib/events');
+const { routineHTML, glossaryHTML } = require('./lib/trick_names');
 
 class RiderStory {
-  constructor() {
-    this.rawScores = this.loadCSV(path.join(__dirname, '../data/raw/milano-cortina-2026-individual-judge-scores.csv'));
-    this.judges = this.loadJudgesMetadata();
-  }
-
-  loadCSV(filePath) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',');
-    return lines.slice(1).map(line => {
-      const values = line.split(',');
-      const row = {};
-      headers.forEach((h, i) => { row[h.trim()] = values[i]?.trim(); });
-      return row;
-    });
-  }
-
-  loadJudgesMetadata() {
-    const csvPath = path.join(__dirname, '../data/raw/judges-metadata.csv');
-    const content = fs.readFileSync(csvPath, 'utf8');
-    return Object.fromEntries(
-      content.trim().split('\n').slice(1).map(line => {
-        const v = line.split(',');
-        return [v[0].trim(), { name: v[1]?.trim(), country: v[2]?.trim() }];
-      })
-    );
+  constructor(dataset) {
+    this.dataset = dataset;
+    this.event = dataset.single();
+    this.rawScores = dataset.runs;
+    this.judges = dataset.judgesFor(this.event.id);
   }
 
   generate() {
@@ -42,38 +23,15 @@ class RiderStory {
 
     // Build per-run data
     const runs = scotty.map(r => {
-      const judges = [];
-      for (let j = 1; j <= 6; j++) {
-        const val = parseFloat(r[`judge${j}_score`]);
-        if (!isNaN(val)) judges.push({ j, score: val, country: this.judges[j]?.country });
-      }
-      const tricks = [r.trick1, r.trick2, r.trick3, r.trick4, r.trick5].filter(Boolean);
-      // Parse excluded judges from notes (e.g. "Judge 2 excluded" or "Judge 1 and 6 excluded")
-      const notes = r.notes || '';
-      const excludedJudges = new Set();
-      const m = notes.match(/Judge\s+(\d+)(?:\s+and\s+(\d+))?\s+excluded/i);
-      if (m) {
-        excludedJudges.add(parseInt(m[1]));
-        if (m[2]) excludedJudges.add(parseInt(m[2]));
-      }
-      // If notes only mention one excluded judge, compute the second (high or low)
-      if (excludedJudges.size === 1 && judges.length === 6) {
-        const scores = judges.map(s => s.score);
-        const hi = Math.max(...scores), lo = Math.min(...scores);
-        const noted = [...excludedJudges][0];
-        const notedScore = judges.find(j => j.j === noted)?.score;
-        if (notedScore === lo) {
-          // Notes identified the low; find a high to exclude
-          for (const j of judges) { if (j.score === hi && !excludedJudges.has(j.j)) { excludedJudges.add(j.j); break; } }
-        } else {
-          // Notes identified the high; find a low to exclude
-          for (const j of judges) { if (j.score === lo && !excludedJudges.has(j.j)) { excludedJudges.add(j.j); break; } }
-        }
-      }
+      const judges = r.scoredJudges().map(j => ({ j: j.judge, score: j.score, country: this.judges[j.judge]?.countryCode }));
+      const tricks = r.tricks;
+      // Excluded judges from the official notes, else the marks (lib/exclusions.js)
+      const attribution = this.dataset.exclusions(r);
+      const excludedJudges = new Set((attribution?.excluded || []).filter(e => e.credit > 0).map(e => e.judge));
       return {
-        run: parseInt(r.run),
-        score: r.final_score === 'DNI' ? null : parseFloat(r.final_score),
-        isDNI: r.final_score === 'DNI',
+        run: r.run,
+        score: r.finalScore,
+        isDNI: r.isDNI,
         judges,
         tricks,
         excludedJudges,
@@ -83,8 +41,8 @@ class RiderStory {
 
     // Get all competition scores for context
     const allCleanScores = this.rawScores
-      .filter(r => r.final_score && r.final_score !== 'DNI' && parseFloat(r.final_score) >= 50)
-      .map(r => parseFloat(r.final_score))
+      .filter(r => r.isClean)
+      .map(r => r.finalScore)
       .sort((a, b) => b - a);
 
     const html = this.buildHTML(runs, allCleanScores);
@@ -96,6 +54,10 @@ class RiderStory {
   buildHTML(runs, allCleanScores) {
     const r1 = runs[0], r2 = runs[1], r3 = runs[2];
     const r2Rank = allCleanScores.indexOf(r2.score) + 1;
+    const routineCard = run => run.tricks.length === 0 ? '' : `<div class="routine-card">
+    <div class="routine-label">Round ${run.run} routine · hover a trick for its official code</div>
+    ${routineHTML(run.tricks)}
+  </div>`;
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -234,6 +196,18 @@ body { font-family: 'Inter', system-ui, sans-serif; background: var(--bg); color
 .reveal { opacity: 0; transform: translateY(30px); transition: opacity 0.8s ease, transform 0.8s ease; }
 .reveal.visible { opacity: 1; transform: translateY(0); }
 
+/* Tricks */
+.routine-card { background: var(--surface2); border: 1px solid var(--border); border-radius: 16px; padding: 20px 24px; margin: 24px 0 32px; }
+.routine-label { font-size: 11px; text-transform: uppercase; letter-spacing: 1.5px; color: var(--dim); margin-bottom: 10px; }
+.routine { margin: 0; padding-left: 20px; color: var(--text); font-size: 15px; line-height: 1.8; }
+.trick { border-bottom: 1px dotted var(--dim); cursor: help; }
+.glossary { width: 100%; border-collapse: collapse; font-size: 14px; }
+.glossary th, .glossary td { text-align: left; padding: 8px 12px; border-bottom: 1px solid var(--border); }
+.glossary th { color: var(--dim); font-weight: 500; font-size: 11px; text-transform: uppercase; letter-spacing: 1.5px; }
+.glossary td { color: var(--muted); }
+.glossary code { font-family: 'JetBrains Mono', monospace; color: var(--accent); }
+.glossary .gl-uses { text-align: right; font-family: 'JetBrains Mono', monospace; }
+
 /* Footer */
 .footer { text-align: center; padding: 60px 40px; color: var(--dim); font-size: 12px; border-top: 1px solid var(--border); }
 .footer a { color: var(--accent); text-decoration: none; }
@@ -286,7 +260,9 @@ body { font-family: 'Inter', system-ui, sans-serif; background: var(--bg); color
   <div class="section-tag tag-red">Round 1</div>
   <h2>The Crash</h2>
   <p class="prose">The top qualifier. The crowd favorite. The five-time Olympian. And on his first run — <strong>he fell</strong>.</p>
-  <p class="prose">James completed all five tricks in his routine but couldn't hold the landing. The judges scored what they saw:</p>
+  <p class="prose">James completed all five tricks in his routine but couldn't hold the landing.</p>
+  ${routineCard(r1)}
+  <p class="prose">The judges scored what they saw:</p>
 
   <div class="judge-row">
     ${r1.judges.map(j => {
@@ -317,6 +293,7 @@ body { font-family: 'Inter', system-ui, sans-serif; background: var(--bg); color
   <div class="section-tag tag-green">Round 2</div>
   <h2>The Comeback</h2>
   <p class="prose">Down to his last two chances. James dropped in for Round 2 and <strong>nailed it</strong> — a clean run with five fully landed tricks, the kind of routine that reminded everyone why he was the top qualifier.</p>
+  ${routineCard(r2)}
   <p class="prose">The judges responded:</p>
 
   <div class="judge-row">
@@ -399,6 +376,18 @@ body { font-family: 'Inter', system-ui, sans-serif; background: var(--bg); color
   <p class="prose">At 31, this was likely Scotty James's final Olympic halfpipe run. He leaves the sport as a three-time Olympic medalist — bronze, silver, silver — and the greatest halfpipe rider Australia has ever produced. Just never gold.</p>
 </div>
 
+<div class="section-divider"></div>
+
+<!-- ═══ GLOSSARY ═══ -->
+<div class="story-section reveal">
+  <div class="section-tag" style="color:var(--accent);">Glossary</div>
+  <h2>Reading the Trick Codes</h2>
+  <p class="prose">Official results write every trick as a short code. These are all the code tokens used in the final.</p>
+  <div class="chart-wrap">
+    ${glossaryHTML(this.rawScores.flatMap(r => r.tricks))}
+  </div>
+</div>
+
 <div class="footer">
   <a href="index.html">← Full Data Report</a><br><br>
   Data from <a href="https://www.olympics.com/en/milano-cortina-2026/results/sbd/je/m/hp----------------/fnl-/--------/result">Olympics.com Official Results</a><br>
@@ -511,5 +500,5 @@ document.querySelectorAll('.reveal').forEach(el => obs.observe(el));
   }
 }
 
-const gen = new RiderStory();
+const gen = new RiderStory(loadDataset());
 gen.generate();
@@ -0,0 +1,198 @@
+/**
+ * Result Page Import
+ *
+ * Builds an event's raw files from result pages saved to disk, so new
+ * events don't have to be typed in by hand:
+ *
+ *   node scripts/import_results.js --event <id> <page> [<page> ...]
+ *
+ * Pages can be Olympics.com result pages, FIS results pages (HTML) or FIS
+ * results XML, detected from the page or named with --format olympics |
+ * fis-html | fis-xml. Several pages for one event (results, then each
+ * run's judges' scores) are merged. Nothing is fetched.
+ *
+ * The three CSVs are written to data/raw/<id>/ in the layout the loaders
+ * read (see docs/DATA_GUIDE.md) and loaded back to validate them. Existing
+ * files are only replaced with --force; --dry-run writes nothing.
+ *
+ * Every scored run is rescored from its marks with the event's
+ * aggregation rule (lib/aggregation.js). Runs whose marks don't give the
+ * published score, and scored runs with no marks, are listed.
+ *
+ * An event not yet in data/raw/events.json is scored with the default
+ * trimmed mean, and the registry entry to add is printed. --runs and
+ * --panel fix the run and judge columns when the pages don't show them
+ * all.
+ *
+ * --check-fixtures parses the labelled pages in data/raw/result_pages/checks/
+ * and compares them with their labels.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadRegistry } = require('./lib/events');
+const { PanelAggregator } = require('./lib/aggregation');
+const { loadJudgeScores, loadOverview, loadJudges } = require('./lib/scoring_data');
+const {
+  IMPORTERS,
+  parsePages,
+  rawTables,
+  writeRawTables,
+  checkScores,
+  loadImportChecks,
+  checkImport,
+} = require('./lib/result_importers');
+
+const ROOT = path.join(__dirname, '..');
+const VALUE_FLAGS = ['--event', '--format', '--runs', '--panel'];
+
+class ResultImporter {
+  constructor(argv = process.argv.slice(2)) {
+    this.argv = argv;
+  }
+
+  /** Value of --name <v> / --name=<v>, or null */
+  option(name) {
+    for (let i = 0; i < this.argv.length; i++) {
+      if (this.argv[i] === name) return this.argv[i + 1] ?? null;
+      if (this.argv[i].startsWith(`${name}=`)) return this.argv[i].slice(name.length + 1);
+    }
+    return null;
+  }
+
+  /** Positional arguments: the page files */
+  pageFiles() {
+    return this.argv.filter((arg, i) => !arg.startsWith('--') && !VALUE_FLAGS.includes(this.argv[i - 1]));
+  }
+
+  intOption(name) {
+    const value = this.option(name);
+    if (value === null) return null;
+    const n = parseInt(value);
+    if (isNaN(n) || n < 1) throw new Error(`${name} needs a positive integer, got "${value}"`);
+    return n;
+  }
+
+  /** Registry entry for the event, or null when it isn't registered yet */
+  registered(eventId) {
+    return loadRegistry().events.find(e => e.id === eventId) || null;
+  }
+
+  printScoreCheck(check) {
+    console.log(`\n  Score check: ${check.reproduced}/${check.checked} marked runs reproduce the published score`);
+    check.mismatches.forEach(m => {
+      const recomputed = m.recomputed === null ? 'too few marks' : m.recomputed.toFixed(2);
+      console.log(`    ✗ ${m.competitor} R${m.run}: published ${m.published.toFixed(2)}, marks give ${recomputed} (marks ${m.marks.join(', ')})`);
+      if (m.pageExcluded.length > 0 && m.pageExcluded.join() !== [...m.ruleExcluded].sort((a, b) => a - b).join()) {
+        console.log(`      page drops judge(s) ${m.pageExcluded.join(', ')}, the rule drops ${m.ruleExcluded.join(', ')}`);
+      }
+    });
+    if (check.unmarked.length > 0) {
+      console.log(`    ${check.unmarked.length} scored run(s) with no marks on the pages: ${check.unmarked.map(u => `${u.competitor} R${u.run}`).join(', ')}`);
+    }
+  }
+
+  import() {
+    const eventId = this.option('--event');
+    const files = this.pageFiles();
+    if (!eventId) throw new Error('--event <id> is needed: the pages are written to data/raw/<id>/');
+    if (files.length === 0) throw new Error('no pages given; pass the saved result files after the options');
+    const format = this.option('--format');
+    if (format && !IMPORTERS.some(i => i.id === format)) {
+      throw new Error(`Unknown --format "${format}" (formats: ${IMPORTERS.map(i => i.id).join(', ')})`);
+    }
+
+    const pages = files.map(file => ({ file, body: fs.readFileSync(file, 'utf8'), format }));
+    const parsed = parsePages(pages);
+    const event = this.registered(eventId);
+    const aggregator = event ? event.aggregation : new PanelAggregator();
+
+    console.log(`Event: ${event ? event.name : `${eventId} (not registered)`}`);
+    parsed.formats.forEach(f => console.log(`  ${f.format.padEnd(9)} ${f.file}`));
+    const runs = parsed.athletes.flatMap(a => a.runs);
+    console.log(`\n  ${parsed.athletes.length} riders, ${runs.length} runs (${runs.filter(r => r.score === null).length} DNI), ${parsed.judges.length} judges`);
+    console.log(`  Aggregation: ${aggregator.describe()}`);
+
+    const check = checkScores(parsed, aggregator);
+    this.printScoreCheck(check);
+
+    const tables = rawTables(parsed, {
+      runCount: this.intOption('--runs') || event?.runCount,
+      panelSize: this.intOption('--panel') || event?.judgePanelSize,
+    });
+    if (parsed.warnings.length > 0) {
+      console.log(`\n  Warnings:`);
+      parsed.warnings.forEach(w => console.log(`    ⚠ ${w}`));
+    }
+
+    if (this.argv.includes('--dry-run')) {
+      console.log('\n  Dry run: nothing written');
+      return;
+    }
+    const dir = event ? event.dir : path.join(ROOT, 'data/raw', eventId);
+    const existing = ['individual-judge-scores.csv', 'overview.csv', 'judges-metadata.csv'].filter(f => fs.existsSync(path.join(dir, f)));
+    if (existing.length > 0 && !this.argv.includes('--force')) {
+      throw new Error(`${path.relative(ROOT, dir)} already has ${existing.join(', ')}; pass --force to replace them`);
+    }
+    const written = writeRawTables(tables, dir);
+
+    // Load the files back so a bad import fails here, not in the pipeline
+    loadJudgeScores(written[0], { eventId });
+    loadOverview(written[1], { eventId });
+    loadJudges(written[2], { eventId });
+    console.log('');
+    written.forEach(p => console.log(`✓ Results saved to ${path.relative(ROOT, p)}`));
+
+    if (!event) {
+      const entry = {
+        id: eventId,
+        name: parsed.event.name || eventId,
+        date: parsed.event.date,
+        discipline: 'halfpipe',
+        gender: '',
+        location: parsed.event.location,
+        judgePanelSize: tables.judges.rows.length || tables.scores.headers.filter(h => /^judge\d+_score$/.test(h)).length,
+        runCount: tables.overview.headers.filter(h => /^run\d+$/.test(h)).length,
+        aggregation: aggregator.spec,
+        source: '',
+      };
+      console.log(`\n  ${eventId} is not in data/raw/events.json yet. Add it (check gender, date and source):`);
+      console.log(JSON.stringify(entry, null, 2).split('\n').map(l => `    ${l}`).join('\n'));
+    }
+  }
+
+  checkFixtures() {
+    console.log('Parsers run against labelled saved pages\n');
+    const checks = loadImportChecks();
+    let failed = 0;
+    checks.forEach(check => {
+      const result = checkImport(check, new PanelAggregator(check.aggregation));
+      const tag = check.synthetic ? ' (synthetic)' : '';
+      console.log(`  ${result.passed ? '✓' : '✗'} ${check.format.padEnd(9)} ${check.file}${tag}: ` +
+        `${result.found.athletes} riders, ${result.found.runs} runs, ${result.found.mismatches.length} score mismatch(es)`);
+      console.log(`      ${check.description}`);
+      result.differences.forEach(d => {
+        console.log(`      ${d.field}: expected ${JSON.stringify(d.expected)}, parsed ${JSON.stringify(d.found)}`);
+      });
+      if (!result.passed) failed++;
+    });
+    console.log(`\n${checks.length - failed}/${checks.length} check pages parsed as labelled`);
+    if (failed > 0) process.exitCode = 1;
+  }
+
+  run() {
+    console.log('╔════════════════════════════════════════════════════════════════╗');
+    console.log('║   RESULT PAGE IMPORT: Olympics.com & FIS → raw CSVs            ║');
+    console.log('╚════════════════════════════════════════════════════════════════╝\n');
+    if (this.argv.includes('--check-fixtures')) this.checkFixtures();
+    else this.import();
+  }
+}
+
+try {
+  const importer = new ResultImporter();
+  importer.run();
+} catch (err) {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+}
@@ -5,145 +5,182 @@
  * 
  * TIER 1 — Strong analyses:
  *   Q3: Judge severity profiles (deviation, exclusion patterns)
+ *   Q3b: Outlier marks (robust z, held-out severity-model residual)
  *   Q4: Trimmed mean effectiveness (does dropping high/low fix bias?)
+ *   Q4b: Judge impact (drop or swap one judge, rescore, re-rank)
  *   Q5: Wipeout scoring mechanics (trick count → score)
  *   Q6: Judge consensus patterns (when do they agree/disagree?)
  *   Q7: Judge-to-judge correlations (who thinks alike?)
+ *   Q7b: Panel reliability (ICC, Krippendorff's alpha, Kendall's W, Spearman)
  * 
  * TIER 2 — Descriptive/exploratory:
  *   Q1: Immediate crash-streak relief bias
+ *   Q1b: Sensitivity of Q1/Q2 and wipeout rates to the unresolved DNI cases
  *   Q2: Crash streak dose-response
- *   Q8: Nationality bias (Judge 6 JPN)
+ *   Q2b: Sequential contrast (previous run's score, judge's own previous mark)
+ *   Q8: Nationality and bloc bias, every judge/athlete pair
  *   Q9: Difficulty vs score
+ *   Q9b: Run composition (variety, repeats, progression) vs score
  *   Q10: Round drift
+ *   Q10b: Per-judge drift and change points over the whole timeline
+ *   Q11: Anchoring on each round's first clean score
  */
 
 const fs = require('fs');
 const path = require('path');
 const stats = require('simple-statistics');
+const { loadDNIResolution, loadCSV, toCSV, runKey } = require('./lib/scoring_data');
+const { loadDataset } = require('./lib/events');
+const { PanelAggregator } = require('./lib/aggregation');
+const { ridgeFit, predict, selectLambda } = require('./lib/regression');
+const { createRng, parseSeedArg } = require('./lib/random');
+const sig = require('./lib/statistics');
+const { annotateStreaks, runOrderNull, parseRunOrderArgs } = require('./lib/run_order');
+const reliability = require('./lib/reliability');
+const { severityModel, observationsFromRuns } = require('./lib/severity_model');
+const { creditFor } = require('./lib/exclusions');
+const { loadCountryBlocs, parseBlocsArg, markDeviations, homeBias, withinJudgeFit } = require('./lib/home_bias');
+const { cleanSequences, anchoringNull } = require('./lib/anchoring');
+const { contrastRounds, sequentialContrast } = require('./lib/sequential_contrast');
+const { competitionTimeline, judgeDrift } = require('./lib/judge_drift');
+const { judgeImpact } = require('./lib/judge_impact');
+const { markOutliers } = require('./lib/outlier_marks');
+const { crashProbability, checkWeighting, dniSensitivity } = require('./lib/dni_sensitivity');
+
+// Wipeouts whose leave-one-rider-out residual exceeds this many RMSEs are flagged
+const WIPEOUT_FLAG_Z = 1.5;
 
 class JudgingAnalyzer {
-  constructor() {
-    this.rawScores = this.loadRawScores();
-    this.judges = this.loadJudgesMetadata();
+  constructor(dataset) {
+    this.dataset = dataset;
+    this.rawScores = dataset.runs;
+    this.panel = dataset.panel();
+    this.dniMap = loadDNIResolution(path.join(__dirname, '../data/processed/dni_resolved.csv'));
     this.results = {};
+    this.rng = createRng(parseSeedArg());
+    this.runOrder = parseRunOrderArgs();
+    this.significance = [];
   }
 
-  loadRawScores() {
-    const csvPath = path.join(__dirname, '../data/raw/milano-cortina-2026-individual-judge-scores.csv');
-    const content = fs.readFileSync(csvPath, 'utf8');
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',');
-    return lines.slice(1).map(line => {
-      const values = line.split(',');
-      const row = {};
-      headers.forEach((h, i) => { row[h.trim()] = values[i]?.trim(); });
-      return row;
-    });
-  }
-
-  loadJudgesMetadata() {
-    const csvPath = path.join(__dirname, '../data/raw/judges-metadata.csv');
-    const content = fs.readFileSync(csvPath, 'utf8');
-    const lines = content.trim().split('\n');
-    const judges = {};
-    lines.slice(1).forEach(line => {
-      const v = line.split(',');
-      judges[v[0].trim()] = { name: v[1]?.trim(), country: v[2]?.trim() };
-    });
-    return judges;
-  }
-
-  loadDNIResolution() {
-    const csvPath = path.join(__dirname, '../data/processed/dni_resolved.csv');
-    const content = fs.readFileSync(csvPath, 'utf8');
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',');
-    const map = {};
-    lines.slice(1).forEach(line => {
-      const values = line.split(',');
-      const row = {};
-      headers.forEach((h, i) => { row[h.trim()] = values[i]?.trim(); });
-      map[`${row.competitor}-${row.run}`] = row;
-    });
-    return map;
-  }
-
-  // Get 6 judge scores for a scored run as array of {judgeNum, score, country, name}
+  // Get the panel's scores for a scored run as array of {judgeNum, key, score, country, name}.
+  // `key` identifies the judge across pooled events (see Dataset#judgeKey).
   getJudgeScores(row) {
-    const scores = [];
-    for (let j = 1; j <= 6; j++) {
-      const scoreKey = `judge${j}_score`;
-      const countryKey = `judge${j}_country`;
-      const val = parseFloat(row[scoreKey]);
-      if (!isNaN(val)) {
-        scores.push({
-          judgeNum: j,
-          score: val,
-          country: this.judges[j]?.country || row[countryKey] || '',
-          name: this.judges[j]?.name || `Judge ${j}`,
-        });
-      }
-    }
-    return scores;
+    return row.scoredJudges().map(j => {
+      const meta = this.dataset.judge(row.eventId, j.judge);
+      return {
+        judgeNum: j.judge,
+        key: this.dataset.judgeKey(row.eventId, j.judge),
+        score: j.score,
+        country: meta?.countryCode || j.country,
+        name: meta?.name || `Judge ${j.judge}`,
+      };
+    });
   }
 
   // Get all scored runs (non-DNI)
   getScoredRuns() {
-    return this.rawScores.filter(r => r.final_score && r.final_score !== 'DNI');
+    return this.rawScores.filter(r => r.isScored);
   }
 
   // Get clean runs (score >= 50)
   getCleanRuns() {
-    return this.getScoredRuns().filter(r => parseFloat(r.final_score) >= 50);
+    return this.rawScores.filter(r => r.isClean);
   }
 
   // Get wipeout runs (score < 50)
   getWipeoutRuns() {
-    return this.getScoredRuns().filter(r => parseFloat(r.final_score) < 50);
+    return this.rawScores.filter(r => r.isWipeout);
   }
 
   // Determine run status
   getRunStatus(row) {
-    if (row.final_score === 'DNI') {
-      const dniMap = this.loadDNIResolution();
-      const key = `${row.competitor}-${row.run}`;
-      return dniMap[key]?.dni_reason || 'dni_unknown';
+    if (row.isDNI) {
+      return this.dniMap[row.key]?.dni_reason || 'dni_unknown';
     }
-    const score = parseFloat(row.final_score);
-    return score >= 50 ? 'clean' : 'wipeout';
+    return row.isClean ? 'clean' : 'wipeout';
   }
 
   // Build round sequence with crash streak info
-  buildRoundSequence(roundNum) {
-    const roundRuns = this.rawScores
-      .filter(r => r.run === roundNum.toString())
-      .sort((a, b) => parseInt(a.position) - parseInt(b.position));
-
-    let consecCrashes = 0;
-    const dniMap = this.loadDNIResolution();
-
-    return roundRuns.map(run => {
-      const status = this.getRunStatus(run);
-      const isCrash = status === 'wipeout' || status === 'crash';
-      const isCompleted = status === 'clean' || status === 'did_not_improve' || status === 'strategic_skip';
-
-      const entry = {
-        ...run,
-        status,
-        consecCrashesBefore: consecCrashes,
-      };
+  buildRoundSequence(eventId, roundNum) {
+    const roundRuns = this.dataset.roundRuns(eventId, roundNum);
+    return annotateStreaks(roundRuns.map(run => ({ ...run, status: this.getRunStatus(run) })));
+  }
 
-      if (isCrash) {
-        consecCrashes++;
-      } else if (isCompleted) {
-        consecCrashes = 0;
-      }
+  // ═══════════════════════════════════════════════════════════════
+  // SIGNIFICANCE (see lib/statistics.js)
+  // ═══════════════════════════════════════════════════════════════
+
+  // Difference in means a − b: permutation p, bootstrap CI, Hedges' g
+  twoGroupTest(a, b) {
+    if (a.length < 2 || b.length < 2) return null;
+    const perm = sig.permutationTest(a, b, { rng: this.rng });
+    return {
+      estimate: perm.observed,
+      ci: sig.bootstrapCI([a, b], sig.meanDiff, { rng: this.rng }),
+      effectSize: sig.hedgesG(a, b),
+      effectSizeName: 'Hedges g',
+      p: perm.p,
+      method: perm.method,
+      n: [a.length, b.length],
+    };
+  }
 
-      return entry;
+  // Mean ≠ 0: sign-flip p, bootstrap CI, Cohen's dz
+  oneSampleTest(values) {
+    if (values.length < 2) return null;
+    const flip = sig.signFlipTest(values, { rng: this.rng });
+    return {
+      estimate: flip.observed,
+      ci: sig.bootstrapCI([values], sig.mean, { rng: this.rng }),
+      effectSize: sig.cohensDz(values),
+      effectSizeName: 'Cohen dz',
+      p: flip.p,
+      method: flip.method,
+      n: values.length,
+    };
+  }
+
+  // Pearson r: permutation p, bootstrap CI over pairs
+  correlationTest(x, y) {
+    if (x.length < 3) return null;
+    const corr = sig.correlationTest(x, y, { rng: this.rng });
+    if (corr.observed === null) return null;
+    const pairs = x.map((xi, i) => [xi, y[i]]);
+    return {
+      estimate: corr.observed,
+      ci: sig.bootstrapCI([pairs], ps => sig.pearson(ps.map(q => q[0]), ps.map(q => q[1])), { rng: this.rng }),
+      effectSize: corr.observed,
+      effectSizeName: 'Pearson r',
+      p: corr.p,
+      method: corr.method,
+      n: x.length,
+    };
+  }
+
+  formatTest(test, unit = '') {
+    if (!test) return 'n/a (too few observations)';
+    const f = v => `${v > 0 ? '+' : ''}${v.toFixed(2)}`;
+    const ci = test.ci ? `95% CI [${f(test.ci[0])}, ${f(test.ci[1])}]${unit}` : 'CI n/a';
+    const es = test.effectSize !== null && test.effectSize !== undefined ? `, ${test.effectSizeName} = ${test.effectSize.toFixed(2)}` : '';
+    const adj = test.pAdjusted !== undefined && test.pAdjusted !== null ? `, Holm p = ${test.pAdjusted.toFixed(3)}` : '';
+    return `${ci}${es}, p = ${test.p.toFixed(3)}${adj} (${test.method})`;
+  }
+
+  // Apply Holm within a family of tests and record each for the summary
+  recordFamily(analysis, entries) {
+    const adjusted = sig.holm(entries.map(e => (e.test ? e.test.p : null)));
+    entries.forEach((e, i) => {
+      if (!e.test) return;
+      if (entries.length > 1) e.test.pAdjusted = adjusted[i];
+      this.significance.push({ analysis, test: e.name, ...e.test });
     });
   }
 
+  // Round a test for the JSON results
+  testResult(test) {
+    return test ? sig.roundTest(test) : null;
+  }
+
   // ═══════════════════════════════════════════════════════════════
   // TIER 1 ANALYSES
   // ═══════════════════════════════════════════════════════════════
@@ -157,103 +194,244 @@ class JudgingAnalyzer {
     const scoredRuns = this.getScoredRuns();
     const judgeStats = {};
 
-    for (let j = 1; j <= 6; j++) {
-      judgeStats[j] = {
-        name: this.judges[j]?.name || `Judge ${j}`,
-        country: this.judges[j]?.country || '',
+    this.panel.forEach(judge => {
+      judgeStats[judge.key] = {
+        judge: judge.key,
+        label: this.dataset.isPooled ? judge.name : `Judge ${judge.number}`,
+        name: judge.name,
+        country: judge.countryCode,
         deviations: [],
         excludedHigh: 0,
         excludedLow: 0,
         totalRuns: 0,
+        chanceRate: 0,
       };
-    }
+    });
 
     scoredRuns.forEach(run => {
+      if (!run.hasFullPanel) return;
       const scores = this.getJudgeScores(run);
-      if (scores.length < 6) return;
 
       const panelMean = stats.mean(scores.map(s => s.score));
-      const maxScore = Math.max(...scores.map(s => s.score));
-      const minScore = Math.min(...scores.map(s => s.score));
+      // Official notes where present, else tied judges share the exclusion
+      const attribution = this.dataset.exclusions(run);
 
       scores.forEach(s => {
-        judgeStats[s.judgeNum].deviations.push(s.score - panelMean);
-        judgeStats[s.judgeNum].totalRuns++;
-        if (s.score === maxScore && scores.filter(x => x.score === maxScore).length === 1) {
-          judgeStats[s.judgeNum].excludedHigh++;
-        }
-        if (s.score === minScore && scores.filter(x => x.score === minScore).length === 1) {
-          judgeStats[s.judgeNum].excludedLow++;
-        }
+        const credit = creditFor(attribution, s.judgeNum);
+        judgeStats[s.key].deviations.push(s.score - panelMean);
+        judgeStats[s.key].totalRuns++;
+        judgeStats[s.key].chanceRate += 1 / scores.length;
+        judgeStats[s.key].excludedHigh += credit.high;
+        judgeStats[s.key].excludedLow += credit.low;
       });
     });
 
     const q3Results = [];
-    Object.entries(judgeStats).forEach(([j, s]) => {
+    const severityFamily = [];
+    const exclusionFamily = [];
+    Object.values(judgeStats).forEach(s => {
       if (s.deviations.length === 0) return;
+      const chance = s.chanceRate / s.totalRuns;
+      const severityTest = this.oneSampleTest(s.deviations);
+      // Shared (tied) credit can be fractional; the exact test needs whole counts
+      const highTest = sig.binomialTest(Math.round(s.excludedHigh), s.totalRuns, chance);
+      const lowTest = sig.binomialTest(Math.round(s.excludedLow), s.totalRuns, chance);
+      severityFamily.push({ name: `${s.label} mean deviation`, test: severityTest });
+      exclusionFamily.push({ name: `${s.label} excluded high`, test: { estimate: highTest.observed, ci: null, effectSize: highTest.observed - chance, effectSizeName: 'rate above chance', p: highTest.p, method: highTest.method, n: s.totalRuns } });
+      exclusionFamily.push({ name: `${s.label} excluded low`, test: { estimate: lowTest.observed, ci: null, effectSize: lowTest.observed - chance, effectSizeName: 'rate above chance', p: lowTest.p, method: lowTest.method, n: s.totalRuns } });
       const avgDev = stats.mean(s.deviations);
       const sdDev = stats.standardDeviation(s.deviations);
       const result = {
-        judge: parseInt(j),
+        judge: s.judge,
         name: s.name,
         country: s.country,
         avgDeviation: Math.round(avgDev * 100) / 100,
         deviationSD: Math.round(sdDev * 100) / 100,
-        excludedHigh: s.excludedHigh,
-        excludedLow: s.excludedLow,
+        excludedHigh: Math.round(s.excludedHigh * 100) / 100,
+        excludedLow: Math.round(s.excludedLow * 100) / 100,
         excludedHighPct: Math.round(s.excludedHigh / s.totalRuns * 100),
         excludedLowPct: Math.round(s.excludedLow / s.totalRuns * 100),
         totalRuns: s.totalRuns,
         tendency: avgDev > 0.2 ? 'generous' : avgDev < -0.2 ? 'strict' : 'neutral',
+        severityTest,
+        excludedHighTest: exclusionFamily[exclusionFamily.length - 2].test,
+        excludedLowTest: exclusionFamily[exclusionFamily.length - 1].test,
       };
       q3Results.push(result);
 
       const flag = result.excludedHighPct > 30 ? ' ⚠️ OUTLIER' : result.excludedLowPct > 30 ? ' ⚠️ OUTLIER' : '';
-      console.log(`  Judge ${j} (${s.name}, ${s.country}):${flag}`);
+      console.log(`  ${s.label} (${s.name}, ${s.country}):${flag}`);
       console.log(`    Avg deviation: ${avgDev > 0 ? '+' : ''}${avgDev.toFixed(2)} pts | SD: ${sdDev.toFixed(2)}`);
-      console.log(`    Excluded HIGH: ${s.excludedHigh}/${s.totalRuns} (${result.excludedHighPct}%) | LOW: ${s.excludedLow}/${s.totalRuns} (${result.excludedLowPct}%)`);
+      console.log(`    Excluded HIGH: ${result.excludedHigh}/${s.totalRuns} (${result.excludedHighPct}%) | LOW: ${result.excludedLow}/${s.totalRuns} (${result.excludedLowPct}%)`);
       console.log(`    Tendency: ${result.tendency}`);
     });
 
-    // Expected by chance: ~17% each direction (1/6)
-    console.log(`\n  Expected by chance: ~17% exclusion rate each direction`);
+    // Expected by chance: 1/panel size each direction
+    const panelSizes = [...new Set(this.dataset.events.map(e => e.judgePanelSize))];
+    console.log(`\n  Expected by chance: ${panelSizes.map(n => `~${Math.round(100 / n)}%`).join(' / ')} exclusion rate each direction`);
+
+    this.recordFamily('Q3 severity', severityFamily);
+    this.recordFamily('Q3 exclusions', exclusionFamily);
+    console.log('\n  Significance (mean deviation ≠ 0; exclusion rate vs chance, Holm-adjusted across judges):');
+    q3Results.forEach(r => {
+      const label = this.dataset.isPooled ? r.name : `Judge ${r.judge}`;
+      console.log(`    ${label.padEnd(10)} deviation: ${this.formatTest(r.severityTest, ' pts')}`);
+      console.log(`    ${''.padEnd(10)} excl. high p = ${r.excludedHighTest.p.toFixed(3)} (Holm ${r.excludedHighTest.pAdjusted.toFixed(3)}), low p = ${r.excludedLowTest.p.toFixed(3)} (Holm ${r.excludedLowTest.pAdjusted.toFixed(3)})`);
+    });
+    q3Results.forEach(r => {
+      r.severityTest = this.testResult(r.severityTest);
+      r.excludedHighTest = this.testResult(r.excludedHighTest);
+      r.excludedLowTest = this.testResult(r.excludedLowTest);
+    });
 
     this.results.q3_judge_severity = q3Results;
+    this.fitSeverityModel(q3Results);
     return q3Results;
   }
 
+  // Severity from the mixed model (see lib/severity_model.js), next to the
+  // mean deviations it refines
+  fitSeverityModel(q3Results) {
+    const observations = observationsFromRuns(this.getScoredRuns(), (run, j) => this.dataset.judgeKey(run.eventId, j.judge));
+    const model = severityModel(observations, { rng: this.rng });
+    if (!model) return;
+
+    console.log('\n  Mixed-model severity (run quality + judge + judge × rider nation):');
+    console.log(`    σ = ${Math.sqrt(model.sigma2).toFixed(2)} pts residual, τ = ${Math.sqrt(model.tau2).toFixed(2)} pts judge × nation` +
+      (model.tau2 === 0 ? ' (no nation effect beyond noise)' : ''));
+    console.log('    Judge       | Deviation | Model    | 95% CI           | Own-nation effect');
+    console.log('    ' + '-'.repeat(80));
+    const f = v => `${v > 0 ? '+' : ''}${v.toFixed(2)}`;
+    model.judges.forEach(j => {
+      const judge = this.panel.find(p => p.key === j.judge);
+      const label = this.dataset.isPooled ? judge.name : `Judge ${judge.number}`;
+      const deviation = q3Results.find(r => r.judge === j.judge)?.avgDeviation;
+      const ci = j.ci ? `[${f(j.ci[0])}, ${f(j.ci[1])}]` : 'n/a';
+      const home = j.home ? `${j.home.nation} ${f(j.home.effect)} (n=${j.home.n}${j.home.ci ? `, CI ${f(j.home.ci[0])} to ${f(j.home.ci[1])}` : ''})` : '—';
+      console.log(`    ${label.padEnd(12)}| ${(deviation === undefined ? 'n/a' : f(deviation)).padEnd(10)}| ${f(j.severity).padEnd(9)}| ${ci.padEnd(17)}| ${home}`);
+    });
+    console.log(`    (${model.bootstrap} run-resampling bootstraps; + = generous)`);
+
+    const r = v => (v === null ? null : Math.round(v * 1000) / 1000);
+    this.results.q3_severity_model = {
+      sigma: r(Math.sqrt(model.sigma2)),
+      tau: r(Math.sqrt(model.tau2)),
+      bootstrap: model.bootstrap,
+      judges: model.judges.map(j => ({
+        judge: j.judge,
+        country: j.nation,
+        severity: r(j.severity),
+        se: r(j.se),
+        ci: j.ci ? j.ci.map(r) : null,
+        home: j.home ? { nation: j.home.nation, n: j.home.n, effect: r(j.home.effect), se: r(j.home.se), ci: j.home.ci ? j.home.ci.map(r) : null } : null,
+      })),
+      nationEffects: model.nation.map(c => ({ judge: c.judge, nation: c.nation, n: c.n, effect: r(c.effect), home: c.home })),
+    };
+  }
+
+  analyzeQ3b_OutlierMarks() {
+    console.log('\n' + '═'.repeat(80));
+    console.log('Q3b: OUTLIER MARKS');
+    console.log('═'.repeat(80));
+    console.log('(Which individual marks are out of line with the rest of their panel, and did the rule drop them?)\n');
+
+    const result = markOutliers(this.dataset);
+    const t = result.thresholds;
+    const signed = (v, digits = 2) => `${v > 0 ? '+' : ''}${v.toFixed(digits)}`;
+    const neutralised = m => (m.excluded === null ? 'no' : m.influence !== null && Math.abs(m.influence) > 0.005 ? 'partly' : 'yes');
+
+    console.log(`  ${result.marks.length} marks scored against the rest of their panel`);
+    console.log(`  Flag: |robust z| ≥ ${t.robustZ} (median/MAD of the other marks, scale ≥ ${t.minScale} pt) or |held-out z| ≥ ${t.heldOutZ} (severity model refitted without the mark)`);
+    console.log('  Influence: rule score with the mark − rule score with it replaced by the others\' median\n');
+
+    if (result.flagged.length === 0) {
+      console.log('  No marks flagged');
+    } else {
+      console.log('  Run                            | Judge | Mark | Others | Robust z | Held-out z | Dropped    | Influence | Neutralised');
+      console.log('  ' + '-'.repeat(112));
+      result.flagged.forEach(m => {
+        const run = `${this.dataset.isPooled ? `${m.eventId} ` : ''}${m.competitor} R${m.round} (${m.status})`;
+        const judge = this.panel.find(j => j.key === m.key)?.label || `${m.key}`;
+        const dropped = m.excluded ? `${m.excluded}${m.exclusionCredit < 1 ? ` (${m.exclusionCredit.toFixed(2)})` : ''}` : '—';
+        console.log(`  ${run.padEnd(30)} | ${judge.padEnd(5)} | ${String(m.score).padStart(4)} | ${m.othersMedian.toFixed(1).padStart(6)} | ${signed(m.robustZ).padStart(8)} | ${(m.heldOutZ === null ? 'N/A' : signed(m.heldOutZ)).padStart(10)} | ${dropped.padEnd(10)} | ${(m.influence === null ? 'N/A' : signed(m.influence)).padStart(9)} | ${neutralised(m)}`);
+      });
+      const counts = ['yes', 'partly', 'no'].map(k => result.flagged.filter(m => neutralised(m) === k).length);
+      console.log(`\n  Neutralised by the rule: ${counts[0]} fully, ${counts[1]} partly (dropped, but the trim moves to another mark), ${counts[2]} counted in full`);
+    }
+
+    const byJudge = this.panel.map(j => ({ judge: j, n: result.flagged.filter(m => m.key === j.key).length })).filter(j => j.n > 0);
+    if (byJudge.length > 0) console.log(`  Flags by judge: ${byJudge.map(j => `${j.judge.label} ${j.n}`).join(', ')}`);
+    console.log(`  Flagged on wipeouts: ${result.flagged.filter(m => m.status === 'wipeout').length}/${result.flagged.length}; wipeouts draw wider disagreement, so a flag there is less surprising than on a clean run`);
+
+    const round = v => (v === null ? null : Math.round(v * 1000) / 1000);
+    const rows = result.flagged.map(m => ({
+      event_id: m.eventId,
+      competitor: m.competitor,
+      country: m.country,
+      run: m.round,
+      status: m.status,
+      judge: m.judge,
+      judge_name: this.dataset.judge(m.eventId, m.judge)?.name || '',
+      mark: m.score,
+      others_median: m.othersMedian,
+      robust_z: round(m.robustZ),
+      predicted: round(m.predicted),
+      held_out_z: round(m.heldOutZ),
+      reasons: m.reasons.join('; '),
+      excluded: m.excluded || '',
+      exclusion_credit: round(m.exclusionCredit),
+      influence: round(m.influence),
+      neutralised: neutralised(m),
+    }));
+    fs.writeFileSync(path.join(__dirname, '../data/processed/flagged_marks.csv'), toCSV(Object.keys(rows[0] || { event_id: null }), rows));
+    console.log('\n✓ Flagged marks saved to data/processed/flagged_marks.csv');
+
+    this.results.q3b_outlier_marks = {
+      thresholds: t,
+      marks: result.marks.length,
+      flagged: rows,
+    };
+  }
+
   analyzeQ4_TrimmedMean() {
     console.log('\n' + '═'.repeat(80));
     console.log('Q4: TRIMMED MEAN EFFECTIVENESS');
     console.log('═'.repeat(80));
-    console.log('(Does dropping high/low protect against bias?)\n');
+    console.log('(Does the panel aggregation rule protect against bias?)\n');
 
+    this.dataset.events.forEach(event => {
+      console.log(`  Rule${this.dataset.isPooled ? ` (${event.id})` : ''}: ${event.aggregation.describe()}`);
+    });
+    console.log('');
+
+    const plainMean = new PanelAggregator({ rule: 'mean' });
     const scoredRuns = this.getScoredRuns();
     const comparisons = [];
 
     scoredRuns.forEach(run => {
-      const scores = this.getJudgeScores(run);
-      if (scores.length < 6) return;
+      if (!run.hasFullPanel) return;
+      const aggregate = this.dataset.aggregate(run);
+      if (!aggregate) return;
 
-      const allScores = scores.map(s => s.score);
-      const rawMean = stats.mean(allScores);
+      const allScores = this.getJudgeScores(run).map(s => s.score);
+      const rawMean = plainMean.apply(run).score;
+      const high = Math.max(...allScores);
+      const low = Math.min(...allScores);
 
-      const sorted = [...allScores].sort((a, b) => a - b);
-      const middle4 = sorted.slice(1, 5);
-      const trimmedMean = stats.mean(middle4);
-
-      const officialScore = parseFloat(run.final_score);
-      const shift = trimmedMean - rawMean;
+      const officialScore = run.finalScore;
+      const shift = aggregate.score - rawMean;
 
       comparisons.push({
+        eventId: run.eventId,
         competitor: run.competitor,
-        run: parseInt(run.run),
+        run: run.run,
         officialScore,
-        rawMean: Math.round(rawMean * 100) / 100,
-        trimmedMean: Math.round(trimmedMean * 100) / 100,
+        rawMean,
+        trimmedMean: aggregate.score,
+        matchesOfficial: Math.abs(aggregate.score - officialScore) <= 0.01,
         shift: Math.round(shift * 100) / 100,
-        dropped: `${sorted[0]} (low), ${sorted[5]} (high)`,
-        spread: sorted[5] - sorted[0],
+        dropped: aggregate.excluded.map(e => `${e.score} (${e.reason})`).join(', '),
+        spread: high - low,
       });
     });
 
@@ -264,66 +442,126 @@ class JudgingAnalyzer {
     console.log(`  Average absolute shift: ${stats.mean(absShifts).toFixed(2)} pts`);
     console.log(`  Max shift: ${Math.max(...absShifts).toFixed(2)} pts`);
     console.log(`  Shifts > 0.5 pts: ${shifts.filter(s => Math.abs(s) > 0.5).length}/${comparisons.length}`);
+    console.log(`  Rule reproduces official score: ${comparisons.filter(c => c.matchesOfficial).length}/${comparisons.length}`);
+
+    // Would medals change? Rankings are per event.
+    const medalChangesByEvent = {};
+    this.dataset.events.forEach(event => {
+      const cleanRuns = comparisons.filter(c => c.eventId === event.id && c.officialScore >= 50);
+      const bestByRider = {};
+      cleanRuns.forEach(c => {
+        if (!bestByRider[c.competitor] || c.officialScore > bestByRider[c.competitor].official) {
+          bestByRider[c.competitor] = { official: c.officialScore, raw: c.rawMean };
+        }
+      });
 
-    // Would medals change?
-    const cleanRuns = comparisons.filter(c => c.officialScore >= 50);
-    const bestByRider = {};
-    cleanRuns.forEach(c => {
-      if (!bestByRider[c.competitor] || c.officialScore > bestByRider[c.competitor].official) {
-        bestByRider[c.competitor] = { official: c.officialScore, raw: c.rawMean };
-      }
-    });
+      // Also compute best with raw mean
+      const bestRawByRider = {};
+      cleanRuns.forEach(c => {
+        if (!bestRawByRider[c.competitor] || c.rawMean > bestRawByRider[c.competitor]) {
+          bestRawByRider[c.competitor] = c.rawMean;
+        }
+      });
 
-    // Also compute best with raw mean
-    const bestRawByRider = {};
-    cleanRuns.forEach(c => {
-      if (!bestRawByRider[c.competitor] || c.rawMean > bestRawByRider[c.competitor]) {
-        bestRawByRider[c.competitor] = c.rawMean;
-      }
-    });
+      const officialRanking = Object.entries(bestByRider).sort((a, b) => b[1].official - a[1].official);
+      const rawRanking = Object.entries(bestRawByRider).sort((a, b) => b[1] - a[1]);
 
-    const officialRanking = Object.entries(bestByRider).sort((a, b) => b[1].official - a[1].official);
-    const rawRanking = Object.entries(bestRawByRider).sort((a, b) => b[1] - a[1]);
+      console.log(`\n  Official ranking (${event.aggregation.name}) vs Raw mean ranking${this.dataset.isPooled ? ` — ${event.id}` : ''}:`);
+      const maxLen = Math.max(officialRanking.length, rawRanking.length);
+      for (let i = 0; i < Math.min(6, maxLen); i++) {
+        const off = officialRanking[i] ? `${officialRanking[i][0]} (${officialRanking[i][1].official})` : '';
+        const raw = rawRanking[i] ? `${rawRanking[i][0]} (${rawRanking[i][1].toFixed(2)})` : '';
+        const match = officialRanking[i]?.[0] === rawRanking[i]?.[0] ? '✓' : '≠';
+        console.log(`    ${i + 1}. ${off.padEnd(35)} ${match} ${raw}`);
+      }
 
-    console.log('\n  Official ranking (trimmed mean) vs Raw mean ranking:');
-    const maxLen = Math.max(officialRanking.length, rawRanking.length);
-    for (let i = 0; i < Math.min(6, maxLen); i++) {
-      const off = officialRanking[i] ? `${officialRanking[i][0]} (${officialRanking[i][1].official})` : '';
-      const raw = rawRanking[i] ? `${rawRanking[i][0]} (${rawRanking[i][1].toFixed(2)})` : '';
-      const match = officialRanking[i]?.[0] === rawRanking[i]?.[0] ? '✓' : '≠';
-      console.log(`    ${i + 1}. ${off.padEnd(35)} ${match} ${raw}`);
-    }
+      medalChangesByEvent[event.id] = officialRanking.slice(0, 3).some((r, i) => r[0] !== rawRanking[i]?.[0]);
+    });
 
-    const medalChanges = officialRanking.slice(0, 3).some((r, i) => r[0] !== rawRanking[i]?.[0]);
+    const medalChanges = Object.values(medalChangesByEvent).some(Boolean);
     console.log(`\n  Medal outcomes would change: ${medalChanges ? '⚠️ YES' : '✓ NO'}`);
 
     // Biggest shifts
     const sortedByShift = [...comparisons].sort((a, b) => Math.abs(b.shift) - Math.abs(a.shift));
     console.log('\n  Largest shifts from trimming:');
     sortedByShift.slice(0, 5).forEach(c => {
-      console.log(`    ${c.competitor} R${c.run}: ${c.shift > 0 ? '+' : ''}${c.shift.toFixed(2)} pts (raw ${c.rawMean} → trimmed ${c.trimmedMean}) [spread: ${c.spread}]`);
+      console.log(`    ${c.competitor} R${c.run}: ${c.shift > 0 ? '+' : ''}${c.shift.toFixed(2)} pts (raw ${c.rawMean} → rule ${c.trimmedMean}) [spread: ${c.spread}]`);
     });
 
-    this.results.q4_trimmed_mean = { comparisons, medalChanges };
+    this.results.q4_trimmed_mean = { comparisons, medalChanges, medalChangesByEvent };
     return comparisons;
   }
 
+  analyzeQ4b_JudgeImpact() {
+    console.log('\n' + '═'.repeat(80));
+    console.log('Q4b: JUDGE IMPACT AUDIT');
+    console.log('═'.repeat(80));
+    console.log('(Would removing or replacing any one judge have changed the rankings or medals?)\n');
+
+    const impact = judgeImpact(this.dataset);
+    const place = rank => (rank === undefined ? '—' : `${rank}`);
+    const moves = moved => moved.map(m => `${m.competitor} ${place(m.from)}→${place(m.to)}`).join(', ');
+
+    impact.forEach(event => {
+      const title = this.dataset.isPooled ? ` — ${event.eventId}` : '';
+      console.log(`  Rule${title}: ${event.rule}; best run counts, ties broken by the next-best run`);
+      console.log(`  Full-panel rescoring ${event.reproducesOfficial ? 'reproduces' : '⚠️ does NOT reproduce'} the official ranking`);
+      console.log(`  Podium: ${event.podium.map((names, i) => `${i + 1}. ${names.join(' / ')}`).join('  ')}\n`);
+
+      console.log('  Judge                        | Drop: runs changed, max shift, positions, medals | Swaps moving a position | Swaps changing a medal');
+      console.log('  ' + '-'.repeat(118));
+      event.judges.forEach(j => {
+        const label = this.dataset.isPooled ? j.name : `J${j.judge} (${j.name})`;
+        const drop = `${j.drop.runsChanged}, ${j.drop.maxShift.toFixed(2)} pts, ${j.drop.positionsChanged}, ${j.drop.medalsChanged}`;
+        const moving = j.swaps.filter(s => s.positionsChanged > 0);
+        console.log(`  ${label.padEnd(28)} | ${drop.padEnd(48)} | ${`${moving.length}/${j.swaps.length}`.padEnd(23)} | ${j.swapsChangingMedals}/${j.swaps.length}`);
+      });
+
+      const scenarios = event.judges.flatMap(j => [
+        { judge: j, label: `drop J${j.judge}`, result: j.drop },
+        ...j.swaps.map(s => ({ judge: j, label: `J${j.judge} → J${s.with}'s marks`, result: s })),
+      ]).filter(s => s.result.positionsChanged > 0);
+      console.log('');
+      if (scenarios.length === 0) {
+        console.log('  No single-judge change moves any rider.');
+      } else {
+        console.log('  Scenarios that move riders:');
+        scenarios.forEach(s => {
+          console.log(`    ${s.label.padEnd(20)} ${moves(s.result.moved)}${s.result.medalsChanged > 0 ? ` ⚠️ ${s.result.medalsChanged} medal(s) change` : ''}`);
+        });
+      }
+      const medalJudges = event.judges.filter(j => j.drop.medalsChanged > 0 || j.swapsChangingMedals > 0);
+      console.log(`\n  Medals hinging on a single judge: ${medalJudges.length === 0 ? '✓ none' : `⚠️ ${medalJudges.map(j => `J${j.judge}`).join(', ')}`}`);
+      if (this.dataset.isPooled) console.log('');
+    });
+
+    this.results.q4b_judge_impact = impact.map(event => ({
+      ...event,
+      judges: event.judges.map(j => ({
+        ...j,
+        drop: { ...j.drop, maxShift: Math.round(j.drop.maxShift * 100) / 100 },
+        swaps: j.swaps.map(s => ({ ...s, maxShift: Math.round(s.maxShift * 100) / 100 })),
+      })),
+    }));
+  }
+
   analyzeQ5_WipeoutMechanics() {
     console.log('\n' + '═'.repeat(80));
     console.log('Q5: WIPEOUT SCORING MECHANICS');
     console.log('═'.repeat(80));
-    console.log('(How does trick count map to wipeout score?)\n');
+    console.log('(How do the tricks completed before the fall map to wipeout score?)\n');
 
     const wipeouts = this.getWipeoutRuns().map(run => {
-      const tricks = [run.trick1, run.trick2, run.trick3, run.trick4, run.trick5]
-        .filter(t => t && t.length > 0);
+      const tricks = run.tricks;
       const scores = this.getJudgeScores(run);
       const spread = scores.length >= 2 ? Math.max(...scores.map(s => s.score)) - Math.min(...scores.map(s => s.score)) : 0;
 
       return {
+        eventId: run.eventId,
         competitor: run.competitor,
-        run: parseInt(run.run),
-        score: parseFloat(run.final_score),
+        run: run.run,
+        score: run.finalScore,
+        tricks,
         trickCount: tricks.length,
         spread,
         judgeSD: scores.length >= 2 ? stats.standardDeviation(scores.map(s => s.score)) : 0,
@@ -343,6 +581,8 @@ class JudgingAnalyzer {
       console.log(`\n  Correlation (tricks → score): r = ${r.toFixed(3)}`);
     }
 
+    const model = this.fitWipeoutModel(wipeouts);
+
     // Compare judge agreement: wipeouts vs clean
     const cleanRuns = this.getCleanRuns();
     const cleanSpreads = cleanRuns.map(run => {
@@ -357,9 +597,102 @@ class JudgingAnalyzer {
     console.log(`    → Judges ${stats.mean(wipeoutSpreads) > stats.mean(cleanSpreads) ? 'DISAGREE MORE' : 'agree similarly'} on wipeouts`);
 
     this.results.q5_wipeout_mechanics = wipeouts;
+    this.results.q5_wipeout_model = model;
     return wipeouts;
   }
 
+  /**
+   * Wipeout score from the completed hits: each hit is worth
+   * (a + b × position) points per unit of difficulty, so the model has two
+   * features — total completed difficulty and position-weighted difficulty.
+   * Compared against the trick-count model by leave-one-rider-out RMSE.
+   */
+  fitWipeoutModel(wipeouts) {
+    console.log('\n  Trick-by-trick wipeout model:');
+    const trickPath = path.join(__dirname, '../data/processed/trick_difficulty_scores.csv');
+    if (!fs.existsSync(trickPath)) {
+      console.log('    ⚠ trick_difficulty_scores.csv not found, run compute_trick_difficulty.js first');
+      return null;
+    }
+    const riders = wipeouts.map(w => `${w.eventId}/${w.competitor}`);
+    if (wipeouts.length < 5 || new Set(riders).size < 3) {
+      console.log('    Not enough wipeouts to fit a model');
+      return null;
+    }
+
+    const difficultyOf = Object.fromEntries(loadCSV(trickPath).map(t => [t.trick_code, parseFloat(t.difficulty_score)]));
+    const hitsOf = w => w.tricks.map((code, k) => ({ code, position: k + 1, difficulty: difficultyOf[code] ?? 0 }));
+    const y = wipeouts.map(w => w.score);
+    const X = wipeouts.map(w => {
+      const hits = hitsOf(w);
+      return [stats.sum(hits.map(h => h.difficulty)), stats.sum(hits.map(h => h.difficulty * (h.position - 1)))];
+    });
+
+    const countCV = selectLambda(wipeouts.map(w => [w.trickCount]), y, riders).best;
+    const trickCV = selectLambda(X, y, riders).best;
+    if (!trickCV) {
+      console.log('    No penalty gave a solvable fit');
+      return null;
+    }
+    const fit = ridgeFit(X, y, trickCV.lambda);
+    const [perDifficulty, perPosition] = fit.coefficients;
+    const hitValue = h => (perDifficulty + perPosition * (h.position - 1)) * h.difficulty;
+
+    console.log(`    score ≈ ${fit.intercept.toFixed(2)} + Σ hits (${perDifficulty.toFixed(2)} ${perPosition >= 0 ? '+' : '-'} ${Math.abs(perPosition).toFixed(2)} × (position - 1)) × difficulty   (λ = ${trickCV.lambda})`);
+    console.log(`    Leave-one-rider-out RMSE: trick model ${trickCV.rmse.toFixed(2)} pts vs trick count ${countCV ? countCV.rmse.toFixed(2) : 'N/A'} pts`);
+
+    // Points per completed hit, by position in the run
+    const allHits = wipeouts.flatMap(w => hitsOf(w).map(h => ({ ...h, points: hitValue(h) })));
+    const positions = [...new Set(allHits.map(h => h.position))].sort((a, b) => a - b);
+    const byPosition = positions.map(position => {
+      const hits = allHits.filter(h => h.position === position);
+      return { position, hits: hits.length, meanDifficulty: stats.mean(hits.map(h => h.difficulty)), meanPoints: stats.mean(hits.map(h => h.points)) };
+    });
+    console.log('\n    Points per completed hit:');
+    console.log('    Hit | n | Avg difficulty | Avg points');
+    byPosition.forEach(p => {
+      console.log(`    ${String(p.position).padEnd(4)}| ${String(p.hits).padEnd(2)}| ${p.meanDifficulty.toFixed(2).padEnd(15)}| ${p.meanPoints.toFixed(2)}`);
+    });
+    console.log(`    All hits: ${stats.mean(allHits.map(h => h.points)).toFixed(2)} pts per completed hit on average`);
+
+    // Out-of-line wipeouts: held-out residual large relative to the CV error
+    const runs = wipeouts.map((w, i) => {
+      const residual = w.score - trickCV.predictions[i];
+      return {
+        eventId: w.eventId,
+        competitor: w.competitor,
+        run: w.run,
+        score: w.score,
+        completedDifficulty: X[i][0],
+        predicted: predict(fit, X[i]),
+        cvPredicted: trickCV.predictions[i],
+        cvResidual: residual,
+        flagged: Math.abs(residual) > WIPEOUT_FLAG_Z * trickCV.rmse,
+        hits: hitsOf(w).map(h => ({ ...h, points: hitValue(h) })),
+      };
+    });
+    const flagged = runs.filter(r => r.flagged);
+    console.log(`\n    Out of line (held-out residual beyond ${WIPEOUT_FLAG_Z} × RMSE): ${flagged.length === 0 ? 'none' : flagged.length}`);
+    flagged.forEach(r => {
+      const dir = r.cvResidual > 0 ? 'higher' : 'lower';
+      console.log(`      ⚠ ${r.competitor} R${r.run}: scored ${r.score}, content predicts ${r.cvPredicted.toFixed(2)} (${Math.abs(r.cvResidual).toFixed(2)} pts ${dir})`);
+    });
+
+    return {
+      n: wipeouts.length,
+      lambda: trickCV.lambda,
+      intercept: fit.intercept,
+      pointsPerDifficulty: perDifficulty,
+      pointsPerDifficultyPerPosition: perPosition,
+      cvRMSE: trickCV.rmse,
+      trickCountCvRMSE: countCV ? countCV.rmse : null,
+      byPosition,
+      pointsPerHit: stats.mean(allHits.map(h => h.points)),
+      flagThreshold: WIPEOUT_FLAG_Z,
+      runs,
+    };
+  }
+
   analyzeQ6_ConsensusPatterns() {
     console.log('\n' + '═'.repeat(80));
     console.log('Q6: JUDGE CONSENSUS PATTERNS');
@@ -368,15 +701,15 @@ class JudgingAnalyzer {
 
     const scoredRuns = this.getScoredRuns();
     const runConsensus = scoredRuns.map(run => {
+      if (!run.hasFullPanel) return null;
       const scores = this.getJudgeScores(run);
-      if (scores.length < 6) return null;
       const allScores = scores.map(s => s.score);
       const spread = Math.max(...allScores) - Math.min(...allScores);
       const sd = stats.standardDeviation(allScores);
-      const score = parseFloat(run.final_score);
+      const score = run.finalScore;
       return {
         competitor: run.competitor,
-        run: parseInt(run.run),
+        run: run.run,
         score,
         spread,
         sd: Math.round(sd * 100) / 100,
@@ -400,7 +733,7 @@ class JudgingAnalyzer {
 
     // Perfect consensus count
     const perfectCount = runConsensus.filter(r => r.allIdentical).length;
-    console.log(`\n  Perfect consensus (all 6 identical): ${perfectCount}/${runConsensus.length} runs`);
+    console.log(`\n  Perfect consensus (whole panel identical): ${perfectCount}/${runConsensus.length} runs`);
     if (perfectCount > 0) {
       runConsensus.filter(r => r.allIdentical).forEach(r => {
         console.log(`    → ${r.competitor} R${r.run}: all scored ${r.scores[0]}`);
@@ -438,35 +771,44 @@ class JudgingAnalyzer {
 
     const scoredRuns = this.getScoredRuns();
 
-    // Build score vectors per judge
+    // Score per run for each judge, so pooled judges are compared on the runs they both marked
     const judgeVectors = {};
-    for (let j = 1; j <= 6; j++) judgeVectors[j] = [];
+    this.panel.forEach(judge => { judgeVectors[judge.key] = {}; });
 
     scoredRuns.forEach(run => {
-      const scores = this.getJudgeScores(run);
-      if (scores.length < 6) return;
-      scores.forEach(s => { judgeVectors[s.judgeNum].push(s.score); });
+      if (!run.hasFullPanel) return;
+      this.getJudgeScores(run).forEach(s => { judgeVectors[s.key][run.key] = s.score; });
     });
 
+    const pairCorrelation = (a, b) => {
+      const shared = Object.keys(judgeVectors[a]).filter(k => k in judgeVectors[b]);
+      if (shared.length < 3) return null;
+      return stats.sampleCorrelation(shared.map(k => judgeVectors[a][k]), shared.map(k => judgeVectors[b][k]));
+    };
+
     // Pairwise correlations
     const correlations = [];
+    const short = this.panel.map((judge, i) => this.dataset.isPooled ? `P${i + 1}` : judge.label);
     console.log('  Pairwise correlations (Pearson r):\n');
-    console.log('         J1     J2     J3     J4     J5     J6');
+    console.log('       ' + short.map(l => l.padStart(4).padEnd(7)).join('').trimEnd());
 
-    for (let i = 1; i <= 6; i++) {
-      let line = `  J${i}  `;
-      for (let j = 1; j <= 6; j++) {
+    this.panel.forEach((a, i) => {
+      let line = `  ${short[i].padEnd(4)} `;
+      this.panel.forEach((b, j) => {
         if (j < i) {
           line += '       ';
         } else if (j === i) {
           line += ' 1.000 ';
         } else {
-          const r = stats.sampleCorrelation(judgeVectors[i], judgeVectors[j]);
-          line += ` ${r.toFixed(3)} `;
-          correlations.push({ judge1: i, judge2: j, r: Math.round(r * 1000) / 1000 });
+          const r = pairCorrelation(a.key, b.key);
+          line += r === null ? '   —   ' : ` ${r.toFixed(3)} `;
+          if (r !== null) correlations.push({ judge1: a.key, judge2: b.key, r: Math.round(r * 1000) / 1000 });
         }
-      }
+      });
       console.log(line);
+    });
+    if (this.dataset.isPooled) {
+      this.panel.forEach((judge, i) => console.log(`    ${short[i]} = ${judge.name} (${judge.countryCode})`));
     }
 
     // Most and least correlated pairs
@@ -476,23 +818,117 @@ class JudgingAnalyzer {
 
     // Average correlation per judge (how conformist?)
     console.log('\n  Average correlation with other judges:');
-    for (let j = 1; j <= 6; j++) {
-      const pairRs = correlations.filter(c => c.judge1 === j || c.judge2 === j).map(c => c.r);
-      const avgR = stats.mean(pairRs);
-      const label = avgR === Math.max(...[1, 2, 3, 4, 5, 6].map(k => {
-        const pairs = correlations.filter(c => c.judge1 === k || c.judge2 === k).map(c => c.r);
-        return stats.mean(pairs);
-      })) ? ' (most conformist)' : avgR === Math.min(...[1, 2, 3, 4, 5, 6].map(k => {
-        const pairs = correlations.filter(c => c.judge1 === k || c.judge2 === k).map(c => c.r);
-        return stats.mean(pairs);
-      })) ? ' (most independent)' : '';
-      console.log(`    J${j} (${this.judges[j]?.name || ''}): ${avgR.toFixed(3)}${label}`);
-    }
+    const avgByJudge = new Map();
+    this.panel.forEach(judge => {
+      const pairRs = correlations.filter(c => c.judge1 === judge.key || c.judge2 === judge.key).map(c => c.r);
+      if (pairRs.length > 0) avgByJudge.set(judge.key, stats.mean(pairRs));
+    });
+    const maxAvg = Math.max(...avgByJudge.values());
+    const minAvg = Math.min(...avgByJudge.values());
+    this.panel.forEach(judge => {
+      if (!avgByJudge.has(judge.key)) return;
+      const avgR = avgByJudge.get(judge.key);
+      const label = avgR === maxAvg ? ' (most conformist)' : avgR === minAvg ? ' (most independent)' : '';
+      console.log(`    ${this.dataset.isPooled ? judge.name : `${judge.label} (${judge.name})`}: ${avgR.toFixed(3)}${label}`);
+    });
 
     this.results.q7_correlations = correlations;
     return correlations;
   }
 
+  analyzeQ7b_Reliability() {
+    console.log('\n' + '═'.repeat(80));
+    console.log('Q7b: PANEL RELIABILITY');
+    console.log('═'.repeat(80));
+    console.log('(How far does the panel agree on the marks themselves?)\n');
+
+    // One row per scored run: marks by panel seat (events pooled seat by seat)
+    // for ICC/alpha/W, and by judge key for the Spearman pairs
+    const seats = Math.max(...this.dataset.events.map(e => e.judgePanelSize));
+    const rows = this.getScoredRuns().map(run => {
+      const marks = new Array(seats).fill(null);
+      const byJudge = {};
+      this.getJudgeScores(run).forEach(s => {
+        marks[s.judgeNum - 1] = s.score;
+        byJudge[s.key] = s.score;
+      });
+      return { block: `${run.eventId}:${run.run}`, round: run.run, isClean: run.isClean, marks, byJudge };
+    });
+
+    const pairs = [];
+    this.panel.forEach((a, i) => this.panel.slice(i + 1).forEach(b => pairs.push([a, b])));
+    const pairRho = (rs, a, b) => {
+      const shared = rs.filter(r => a.key in r.byJudge && b.key in r.byJudge);
+      return reliability.spearman(shared.map(r => r.byJudge[a.key]), shared.map(r => r.byJudge[b.key]));
+    };
+
+    const measures = {
+      icc21: rs => reliability.icc(rs.map(r => r.marks))?.icc21 ?? null,
+      icc2k: rs => reliability.icc(rs.map(r => r.marks))?.icc2k ?? null,
+      alpha: rs => reliability.krippendorffAlpha(rs.map(r => r.marks)),
+      kendallW: rs => {
+        const blocks = {};
+        rs.forEach(r => { (blocks[r.block] = blocks[r.block] || []).push(r.marks); });
+        return reliability.kendallW(Object.values(blocks));
+      },
+    };
+    const estimate = (rs, statistic) => {
+      const value = statistic(rs);
+      if (value === null || !Number.isFinite(value)) return null;
+      return { value, ci: sig.bootstrapCI([rs], statistic, { rng: this.rng }) };
+    };
+
+    const rounds = [...new Set(rows.map(r => r.round))].sort((a, b) => a - b);
+    const subsets = [
+      { name: 'all', rows },
+      { name: 'clean', rows: rows.filter(r => r.isClean) },
+      { name: 'wipeout', rows: rows.filter(r => !r.isClean) },
+      ...rounds.map(round => ({ name: `R${round}`, rows: rows.filter(r => r.round === round) })),
+    ];
+
+    const results = subsets.map(subset => ({
+      subset: subset.name,
+      n: subset.rows.length,
+      ...Object.fromEntries(Object.entries(measures).map(([name, statistic]) => [name, estimate(subset.rows, statistic)])),
+      spearman: pairs.map(([a, b]) => ({ judge1: a.key, judge2: b.key, ...estimate(subset.rows, rs => pairRho(rs, a, b)) }))
+        .filter(p => p.value !== undefined),
+    }));
+
+    const cell = e => (e ? `${e.value.toFixed(3)} [${e.ci ? `${e.ci[0].toFixed(3)}, ${e.ci[1].toFixed(3)}` : 'n/a'}]` : 'n/a').padEnd(24);
+    console.log('  Subset   | n  | ICC(2,1)                | ICC(2,k)                | Krippendorff α          | Kendall W');
+    console.log('  ' + '-'.repeat(116));
+    results.forEach(r => {
+      console.log(`  ${r.subset.padEnd(9)}| ${String(r.n).padEnd(3)}| ${cell(r.icc21)}| ${cell(r.icc2k)}| ${cell(r.alpha)}| ${cell(r.kendallW).trimEnd()}`);
+    });
+    console.log('  (95% bootstrap CIs over runs; ICC on runs with a full panel; W pools within-round rankings)');
+
+    console.log('\n  Spearman ρ by pair (all scored runs):');
+    const label = key => {
+      const judge = this.panel.find(j => j.key === key);
+      return this.dataset.isPooled ? judge.name : judge.label;
+    };
+    const sorted = [...results[0].spearman].sort((a, b) => b.value - a.value);
+    sorted.forEach(p => {
+      console.log(`    ${`${label(p.judge1)}↔${label(p.judge2)}`.padEnd(10)} ${cell(p).trimEnd()}`);
+    });
+    results.slice(1).forEach(r => {
+      if (r.spearman.length === 0) return;
+      const lo = r.spearman.reduce((m, p) => (p.value < m.value ? p : m));
+      console.log(`    ${r.subset.padEnd(8)} lowest: ${label(lo.judge1)}↔${label(lo.judge2)} ρ = ${lo.value.toFixed(3)}`);
+    });
+
+    const round = e => (e ? { value: Math.round(e.value * 1000) / 1000, ci: e.ci ? e.ci.map(v => Math.round(v * 1000) / 1000) : null } : null);
+    this.results.q7_reliability = results.map(r => ({
+      subset: r.subset,
+      n: r.n,
+      icc21: round(r.icc21),
+      icc2k: round(r.icc2k),
+      krippendorffAlpha: round(r.alpha),
+      kendallW: round(r.kendallW),
+      spearman: r.spearman.map(p => ({ judge1: p.judge1, judge2: p.judge2, ...round(p) })),
+    }));
+  }
+
   // ═══════════════════════════════════════════════════════════════
   // TIER 2 ANALYSES
   // ═══════════════════════════════════════════════════════════════
@@ -503,23 +939,24 @@ class JudgingAnalyzer {
     console.log('═'.repeat(80));
     console.log('(Do clean runs score higher when immediately preceded by a crash streak?)\n');
 
-    // Build sequences for all 3 rounds
+    // Build sequences for every round of every event
     const allCleanWithContext = [];
 
-    for (let round = 1; round <= 3; round++) {
-      const sequence = this.buildRoundSequence(round);
+    this.dataset.rounds().forEach(({ event, round }) => {
+      const sequence = this.buildRoundSequence(event.id, round);
       sequence.forEach(run => {
         if (run.status === 'clean') {
           allCleanWithContext.push({
+            eventId: event.id,
             competitor: run.competitor,
-            position: parseInt(run.position),
+            position: run.position,
             round,
-            score: parseFloat(run.final_score),
+            score: run.finalScore,
             consecCrashes: run.consecCrashesBefore,
           });
         }
       });
-    }
+    });
 
     // Group by crash streak
     const byStreak = {};
@@ -554,6 +991,17 @@ class JudgingAnalyzer {
       console.log(`    Position balance: ${Math.abs(stats.mean(after0.map(r => r.position)) - stats.mean(after1plus.map(r => r.position))).toFixed(1)} position gap`);
     }
 
+    // Significance: binary relief effect (Q1) and streak dose-response (Q2)
+    const binaryTest = this.twoGroupTest(after1plus.map(r => r.score), after0.map(r => r.score));
+    const doseTest = this.correlationTest(allCleanWithContext.map(r => r.consecCrashes), allCleanWithContext.map(r => r.score));
+    this.recordFamily('Q1 relief (after 1+ crashes − after 0)', [{ name: 'difference in mean score', test: binaryTest }]);
+    this.recordFamily('Q2 dose-response (streak vs score)', [{ name: 'Pearson r', test: doseTest }]);
+    console.log(`\n  Significance:`);
+    console.log(`    Q1 relief effect:  ${this.formatTest(binaryTest, ' pts')}`);
+    console.log(`    Q2 dose-response:  ${this.formatTest(doseTest)}`);
+
+    const runOrder = this.runOrderPermutation();
+
     // Within-rider comparisons
     const riderRuns = {};
     allCleanWithContext.forEach(r => {
@@ -588,78 +1036,324 @@ class JudgingAnalyzer {
         competitor: name,
         runs: runs.map(r => ({ round: r.round, consecCrashes: r.consecCrashes, score: r.score })),
       })),
+      binaryTest: this.testResult(binaryTest),
+      doseResponseTest: this.testResult(doseTest),
+      runOrderNull: runOrder,
     };
   }
 
-  analyzeQ8_NationalityBias() {
+  analyzeQ1b_DNISensitivity() {
     console.log('\n' + '═'.repeat(80));
-    console.log('Q8: NATIONALITY BIAS');
+    console.log('Q1b: SENSITIVITY TO UNRESOLVED DNI CASES');
     console.log('═'.repeat(80));
-    console.log('(Does Judge 6 (JPN) favor Japanese athletes?)\n');
+    console.log('(Which conclusions change if the unknown DNIs were crashes or strategic skips?)\n');
+
+    // An 'unknown' adjudication must not wipe out the lean of the findings it overrides
+    const weighting = checkWeighting();
+    weighting.checks.forEach(c => console.log(`  ${Math.abs(c.found - c.expected) < 1e-9 && c.resolved === 'unknown' ? '✓' : '✗'} Weighting check: ${c.description} → P(crash) ${c.found.toFixed(2)} (expected ${c.expected.toFixed(2)})`));
+    if (!weighting.passed) throw new Error('Q1b P(crash) weighting check failed');
+    console.log('');
+
+    // Ledger evidence per DNI run, for the crash/skip weights (see lib/dni_ledger.js)
+    const ledgerPath = path.join(__dirname, '../results/dni_evidence.json');
+    const ledger = fs.existsSync(ledgerPath) ? JSON.parse(fs.readFileSync(ledgerPath, 'utf8')).cases : [];
+    const evidence = new Map(ledger.map(c => [runKey(c.eventId, c.competitor, c.run), c.evidence]));
+
+    const rounds = this.dataset.rounds().map(({ event, round }) =>
+      this.dataset.roundRuns(event.id, round).map(run => ({
+        key: run.key,
+        round,
+        position: run.position,
+        status: this.getRunStatus(run),
+        score: run.finalScore,
+      })));
+    const cases = this.rawScores
+      .filter(run => run.isDNI && ['unknown', 'dni_unknown'].includes(this.getRunStatus(run)))
+      .map(run => ({
+        key: run.key,
+        label: `${run.competitor} R${run.run}${this.dataset.isPooled ? ` (${run.eventId})` : ''}`,
+        pCrash: crashProbability(evidence.get(run.key)),
+        adjudicated: ledger.some(c => runKey(c.eventId, c.competitor, c.run) === run.key && c.adjudication),
+      }));
 
-    const scoredRuns = this.getScoredRuns();
-    const j6OwnCountry = [];
-    const j6OtherCountry = [];
+    if (cases.length === 0) {
+      console.log('  Every DNI is resolved; nothing to vary.');
+      this.results.q1b_dni_sensitivity = { cases: [], assignments: 0 };
+      return;
+    }
 
-    scoredRuns.forEach(run => {
-      const scores = this.getJudgeScores(run);
-      if (scores.length < 6) return;
-      const panelMean = stats.mean(scores.map(s => s.score));
-      const j6 = scores.find(s => s.judgeNum === 6);
-      if (!j6) return;
+    const result = dniSensitivity(rounds, cases, {
+      fixedPositions: this.runOrder.fixedPositions,
+      rng: createRng(this.rng.seed),
+    });
 
-      const dev = j6.score - panelMean;
-      const isOwnCountry = run.country === 'JPN';
+    console.log(`  ${cases.length} unresolved DNI case(s), weighted by P(crash) from the evidence ledger:`);
+    cases.forEach(c => console.log(`    ${c.label.padEnd(32)} P(crash) ${c.pCrash.toFixed(2)}${c.adjudicated ? '  (adjudicated unknown)' : ''}`));
+    console.log(`\n  ${result.enumerated ? 'Every' : 'Sampled'} crash/skip assignment: ${result.assignments}` +
+      ` (run-order null: ${result.iterations} shuffles each, same seed)`);
+
+    const f = (v, d = 2) => (v === null || v === undefined ? 'n/a' : `${v > 0 ? '+' : ''}${v.toFixed(d)}`);
+    const pct = v => (v === null || v === undefined ? 'n/a' : `${(v * 100).toFixed(1)}%`);
+    const row = (name, base, range, fmt) => console.log(`    ${name.padEnd(22)}| ${fmt(base).padEnd(10)}| ` +
+      (range ? `${fmt(range.min)} … ${fmt(range.max)}`.padEnd(22) + `| ${fmt(range.mean).padEnd(9)}| ${fmt(range.q05)} … ${fmt(range.q95)}` : 'n/a'));
+    console.log('\n    Outcome               | Unresolved | Range over assignments | Wtd mean | Wtd 5–95%');
+    console.log('    ' + '-'.repeat(86));
+    row('Relief gap (pts)', result.baseline.reliefGap, result.ranges.reliefGap, f);
+    row('Run-order p', result.baseline.pRunOrder, result.ranges.pRunOrder, v => (v === null || v === undefined ? 'n/a' : v.toFixed(3)));
+    row('Streak r (Q2)', result.baseline.streakR, result.ranges.streakR, v => f(v, 3));
+    row('Wipeout rate', result.baseline.wipeoutRate, result.ranges.wipeoutRate, pct);
+    Object.entries(result.ranges.wipeoutRateByRound).forEach(([round, range]) =>
+      row(`  R${round}`, result.baseline.wipeoutRateByRound[round], range, pct));
+
+    console.log('\n  Conclusions (weighted share of assignments where each still holds):');
+    result.conclusions.forEach(c => console.log(`    ${c.robust ? '✓' : '⚠'} ${c.name}: ${pct(c.share)}${c.robust ? '' : ' → depends on the unresolved cases'}`));
+
+    const labelsOf = a => cases.map(c => `${c.label} ${a.labels.get(c.key) === 'crash' ? 'crash' : 'skip'}`);
+    const { lowestGap, highestGap } = result.extremes;
+    console.log(`\n  Lowest gap  (${f(lowestGap.outcome.reliefGap)} pts): ${labelsOf(lowestGap).join(', ')}`);
+    console.log(`  Highest gap (${f(highestGap.outcome.reliefGap)} pts): ${labelsOf(highestGap).join(', ')}`);
+
+    const r = v => (v === null || v === undefined ? null : Math.round(v * 1000) / 1000);
+    const roundRange = range => (range ? Object.fromEntries(Object.entries(range).map(([k, v]) => [k, r(v)])) : null);
+    const roundOutcome = o => ({
+      ...o,
+      reliefGap: r(o.reliefGap),
+      pRunOrder: r(o.pRunOrder),
+      streakR: r(o.streakR),
+      wipeoutRate: r(o.wipeoutRate),
+      wipeoutRateByRound: Object.fromEntries(Object.entries(o.wipeoutRateByRound).map(([k, v]) => [k, r(v)])),
+    });
+    const extreme = a => ({ labels: Object.fromEntries(a.labels), weight: r(a.weight), outcome: roundOutcome(a.outcome) });
+    this.results.q1b_dni_sensitivity = {
+      cases: cases.map(c => ({ ...c, pCrash: r(c.pCrash) })),
+      enumerated: result.enumerated,
+      assignments: result.assignments,
+      baseline: roundOutcome(result.baseline),
+      ranges: {
+        reliefGap: roundRange(result.ranges.reliefGap),
+        pRunOrder: roundRange(result.ranges.pRunOrder),
+        streakR: roundRange(result.ranges.streakR),
+        wipeoutRate: roundRange(result.ranges.wipeoutRate),
+        wipeoutRateByRound: Object.fromEntries(Object.entries(result.ranges.wipeoutRateByRound).map(([k, v]) => [k, roundRange(v)])),
+      },
+      conclusions: result.conclusions.map(c => ({ ...c, share: r(c.share) })),
+      lowestGap: extreme(lowestGap),
+      highestGap: extreme(highestGap),
+      iterations: result.iterations,
+      seed: result.seed,
+    };
+  }
 
-      const entry = {
-        competitor: run.competitor,
-        run: parseInt(run.run),
-        j6Score: j6.score,
-        panelMean: Math.round(panelMean * 100) / 100,
-        deviation: Math.round(dev * 100) / 100,
-        score: parseFloat(run.final_score),
-      };
+  // Relief gap under shuffled running order (see lib/run_order.js). Draws from
+  // its own generator on the --seed so the reports reproduce the same null.
+  runOrderPermutation() {
+    const rounds = this.dataset.rounds().map(({ event, round }) =>
+      this.dataset.roundRuns(event.id, round).map(run => ({
+        position: run.position,
+        status: this.getRunStatus(run),
+        score: run.finalScore,
+      })));
+    const result = runOrderNull(rounds, { ...this.runOrder, rng: createRng(this.rng.seed) });
+    const fixed = result.fixedPositions && result.fixedPositions.length > 0 ? `, positions ${result.fixedPositions.join(', ')} fixed` : '';
+
+    console.log(`\n  Run-order permutation (${result.iterations} shuffles within rounds${fixed}):`);
+    if (!result.summary) {
+      console.log('    n/a (relief gap undefined)');
+      return null;
+    }
+    const f = v => `${v > 0 ? '+' : ''}${v.toFixed(2)}`;
+    console.log(`    Observed gap:  ${f(result.observed)} pts`);
+    console.log(`    Null:          mean ${f(result.summary.mean)}, 95% [${f(result.summary.q025)}, ${f(result.summary.q975)}]` +
+      (result.skipped > 0 ? ` (${result.skipped} shuffle(s) with an empty group skipped)` : ''));
+    console.log(`    Percentile:    ${result.percentile.toFixed(1)} of the null; p(≥ observed) = ${result.pGreater.toFixed(3)}, two-sided p = ${result.pTwoSided.toFixed(3)}`);
+
+    this.recordFamily('Q1 relief under shuffled run order', [{
+      name: 'relief gap vs run-order null',
+      test: {
+        estimate: result.observed,
+        ci: null,
+        effectSize: result.summary.sd > 0 ? (result.observed - result.summary.mean) / result.summary.sd : null,
+        effectSizeName: 'z vs null',
+        p: result.pTwoSided,
+        method: 'run-order permutation',
+        n: result.iterations - result.skipped,
+      },
+    }]);
+
+    const r = v => Math.round(v * 1000) / 1000;
+    return {
+      observed: r(result.observed),
+      iterations: result.iterations,
+      skipped: result.skipped,
+      seed: result.seed,
+      fixedPositions: result.fixedPositions,
+      summary: Object.fromEntries(Object.entries(result.summary).map(([k, v]) => [k, r(v)])),
+      percentile: Math.round(result.percentile * 10) / 10,
+      pGreater: r(result.pGreater),
+      pTwoSided: r(result.pTwoSided),
+      histogram: result.histogram.map(b => ({ ...b, from: r(b.from), to: r(b.to) })),
+    };
+  }
 
-      if (isOwnCountry) j6OwnCountry.push(entry);
-      else j6OtherCountry.push(entry);
-    });
-
-    const ownAvgDev = stats.mean(j6OwnCountry.map(e => e.deviation));
-    const otherAvgDev = stats.mean(j6OtherCountry.map(e => e.deviation));
-    const bias = ownAvgDev - otherAvgDev;
-
-    console.log(`  Judge 6 (HASHIMOTO Ryo, JPN):`);
-    console.log(`    Scoring JPN athletes: avg dev ${ownAvgDev > 0 ? '+' : ''}${ownAvgDev.toFixed(2)} (n=${j6OwnCountry.length})`);
-    console.log(`    Scoring others:       avg dev ${otherAvgDev > 0 ? '+' : ''}${otherAvgDev.toFixed(2)} (n=${j6OtherCountry.length})`);
-    console.log(`    Home bias: ${bias > 0 ? '+' : ''}${bias.toFixed(2)} pts`);
-
-    console.log('\n  Individual JPN cases:');
-    j6OwnCountry.forEach(e => {
-      console.log(`    ${e.competitor} R${e.run}: J6=${e.j6Score}, panel=${e.panelMean}, dev=${e.deviation > 0 ? '+' : ''}${e.deviation}`);
-    });
-
-    // Check all other judges for comparison
-    console.log('\n  All judges\' avg deviation when scoring JPN vs non-JPN:');
-    for (let j = 1; j <= 6; j++) {
-      const ownDevs = [];
-      const otherDevs = [];
-      scoredRuns.forEach(run => {
-        const scores = this.getJudgeScores(run);
-        if (scores.length < 6) return;
-        const panelMean = stats.mean(scores.map(s => s.score));
-        const js = scores.find(s => s.judgeNum === j);
-        if (!js) return;
-        const dev = js.score - panelMean;
-        if (run.country === 'JPN') ownDevs.push(dev);
-        else otherDevs.push(dev);
+  analyzeQ2b_SequentialContrast() {
+    console.log('\n' + '═'.repeat(80));
+    console.log('Q2b: SEQUENTIAL CONTRAST');
+    console.log('═'.repeat(80));
+    console.log('(Does the previous run\'s score, not just its crash status, move the next clean run\'s marks?)\n');
+
+    // Run difficulty from the enriched scores, when compute_trick_difficulty.js has run
+    const diffPath = path.join(__dirname, '../data/processed/enriched-judge-scores.csv');
+    const difficulty = new Map();
+    if (fs.existsSync(diffPath)) {
+      this.dataset.filterRows(loadCSV(diffPath)).filter(r => r.total_difficulty).forEach(r => {
+        difficulty.set(`${r.event_id}|${r.competitor}|${r.run}`, parseFloat(r.total_difficulty));
       });
-      if (ownDevs.length === 0 || otherDevs.length === 0) continue;
-      const diff = stats.mean(ownDevs) - stats.mean(otherDevs);
-      const flag = j === 6 ? ' ← HOME JUDGE' : '';
-      console.log(`    J${j}: JPN ${stats.mean(ownDevs) > 0 ? '+' : ''}${stats.mean(ownDevs).toFixed(2)} vs other ${stats.mean(otherDevs) > 0 ? '+' : ''}${stats.mean(otherDevs).toFixed(2)} (diff: ${diff > 0 ? '+' : ''}${diff.toFixed(2)})${flag}`);
+    } else {
+      console.log('  ⚠ enriched-judge-scores.csv not found, fitting without the difficulty control\n');
+    }
+    const rounds = contrastRounds(this.dataset, run => difficulty.get(`${run.eventId}|${run.competitor}|${run.run}`) ?? null);
+    const result = sequentialContrast(rounds, { rng: createRng(this.rng.seed) });
+    if (!result.pooled) {
+      console.log('  Too few clean runs with a scored run before them, skipping Q2b');
+      return;
     }
 
-    this.results.q8_nationality = { j6OwnCountry, j6OtherCountry, bias: Math.round(bias * 100) / 100 };
+    const signed = v => `${v > 0 ? '+' : ''}${v.toFixed(3)}`;
+    const labelOf = key => this.panel.find(j => j.key === key)?.label || `${key}`;
+    const toTest = (term, n) => ({
+      estimate: term.estimate, ci: term.ci, effectSize: null, effectSizeName: null, p: term.p, method: 'running-order permutation', n,
+    });
+    const covariates = Object.keys(result.pooled.covariates);
+    console.log(`  Model: mark ~ previous run's score + judge's own previous mark${covariates.length ? ` + ${covariates.join(' + ')}` : ''}`);
+    console.log(`  ${result.rows} marks on ${result.pooled.runs} clean runs (first scored run of each round has no predecessor)`);
+    console.log(`  b_prev < 0 = contrast, > 0 = assimilation; ${result.iterations} running-order shuffles, ${result.bootstrap} bootstrap resamples\n`);
+
+    const pooledFamily = ['prevScore', 'ownPrevious'].map(term => ({
+      name: `pooled ${term === 'prevScore' ? 'previous run score' : 'own previous mark'}`,
+      term,
+      test: toTest(result.pooled[term], result.pooled.n),
+    }));
+    this.recordFamily('Q2b sequential contrast (pooled, judge intercepts)', pooledFamily);
+    console.log('  Pooled (one intercept per judge):');
+    pooledFamily.forEach(e => console.log(`    ${e.name.padEnd(28)} ${signed(e.test.estimate)} pts/pt, ${this.formatTest(e.test)}`));
+    console.log(`    controls: ${Object.entries(result.pooled.covariates).map(([c, v]) => `${c} ${signed(v)}`).join(', ') || 'none'}`);
+
+    const judgeFamily = result.judges.filter(j => j.prevScore).map(j => ({
+      name: `${labelOf(j.judge)} previous run score`,
+      judge: j,
+      test: toTest(j.prevScore, j.n),
+    }));
+    const ownFamily = result.judges.filter(j => j.ownPrevious).map(j => ({
+      name: `${labelOf(j.judge)} own previous mark`,
+      judge: j,
+      test: toTest(j.ownPrevious, j.n),
+    }));
+    this.recordFamily('Q2b previous run score by judge', judgeFamily);
+    this.recordFamily('Q2b own previous mark by judge', ownFamily);
+    console.log('\n  Per judge (Holm-adjusted across judges):');
+    judgeFamily.forEach((e, i) => {
+      console.log(`    ${labelOf(e.judge.judge).padEnd(10)} prev score ${signed(e.test.estimate)} (p = ${e.test.p.toFixed(3)}) | own prev ${signed(ownFamily[i].test.estimate)} (p = ${ownFamily[i].test.p.toFixed(3)}) | n=${e.judge.n}`);
+    });
+    console.log('\n  Per-judge fits rest on one mark per clean run, and the two previous-run terms trade off against each other; read the pooled row first.');
+
+    const termResult = (term, n) => ({ ...this.testResult(toTest(term, n)), nullMean: Math.round(term.nullMean * 10000) / 10000, permutations: term.permutations });
+    this.results.q2b_sequential_contrast = {
+      model: `mark ~ prevScore + ownPrevious${covariates.map(c => ` + ${c}`).join('')}`,
+      pooled: {
+        n: result.pooled.n,
+        runs: result.pooled.runs,
+        prevScore: { ...termResult(result.pooled.prevScore, result.pooled.n), pAdjusted: pooledFamily[0].test.pAdjusted },
+        ownPrevious: { ...termResult(result.pooled.ownPrevious, result.pooled.n), pAdjusted: pooledFamily[1].test.pAdjusted },
+        covariates: sig.roundTest(result.pooled.covariates),
+      },
+      judges: result.judges.map(j => (j.prevScore ? {
+        judge: j.judge,
+        n: j.n,
+        prevScore: { ...termResult(j.prevScore, j.n), pAdjusted: judgeFamily.find(e => e.judge === j).test.pAdjusted },
+        ownPrevious: { ...termResult(j.ownPrevious, j.n), pAdjusted: ownFamily.find(e => e.judge === j).test.pAdjusted },
+        covariates: sig.roundTest(j.covariates),
+      } : { judge: j.judge, n: 0 })),
+      iterations: result.iterations,
+      bootstrap: result.bootstrap,
+      seed: result.seed,
+    };
+  }
+
+  analyzeQ8_NationalityBias() {
+    console.log('\n' + '═'.repeat(80));
+    console.log('Q8: NATIONALITY BIAS');
+    console.log('═'.repeat(80));
+    console.log('(Do judges favor athletes from their own country or bloc?)\n');
+
+    // Each mark against the rest of the panel, each judge against their own
+    // marks on unrelated athletes (lib/home_bias.js)
+    const blocs = loadCountryBlocs(parseBlocsArg());
+    const observations = markDeviations(this.getScoredRuns(), {
+      keyOf: (run, n) => this.dataset.judgeKey(run.eventId, n),
+      nationOf: (run, n) => this.dataset.judge(run.eventId, n)?.countryCode,
+      blocs,
+    });
+    const result = homeBias(observations, { blocs, rng: createRng(this.rng.seed) });
+    const labelOf = key => this.panel.find(j => j.key === key)?.label || `${key}`;
+    const signed = v => `${v > 0 ? '+' : ''}${v.toFixed(2)}`;
+
+    console.log(`  Blocs: ${blocs.name} (${Object.entries(blocs.blocs).map(([name, codes]) => `${name}: ${codes.join('/')}`).join('; ')})`);
+    console.log(`  Deviation = mark − mean of the other judges on the run; control = the judge's deviation on unrelated athletes\n`);
+    if (result.pairs.length === 0) console.log('  No judge shares a country or bloc with any athlete.');
+
+    const pairFamily = result.pairs.map(p => ({
+      name: `${labelOf(p.judge)} (${p.judgeNation}) → ${p.athleteNation} ${p.relation}`,
+      pair: p,
+      test: this.twoGroupTest(p.deviations, p.controls),
+    }));
+    this.recordFamily('Q8 home/bloc pairs (related − control deviation)', pairFamily);
+    pairFamily.forEach(({ pair: p, test }) => {
+      const tag = p.relation === 'home' ? 'HOME' : `bloc ${p.bloc}`;
+      console.log(`  ${labelOf(p.judge)} (${p.judgeNation}) scoring ${p.athleteNation} [${tag}]: ${signed(p.mean)} vs control ${signed(p.controlMean)} (n=${p.n}/${p.controlN}) → ${signed(p.effect)} pts`);
+      console.log(`    ${p.athletes.join(', ')}`);
+      console.log(`    ${this.formatTest(test, ' pts')}`);
+    });
+    const unpaired = this.panel.filter(j => !result.pairs.some(p => p.judge === j.key));
+    if (unpaired.length > 0) {
+      console.log(`\n  No compatriot or bloc athletes: ${unpaired.map(j => `${j.label} (${j.countryCode})`).join(', ')}`);
+    }
+
+    // Pooled within-judge effects: bootstrap over runs for the interval,
+    // nationality shuffles for the p-value
+    const byRun = [...new Set(observations.map(o => o.run))].map(run => observations.filter(o => o.run === run));
+    const pooledFamily = ['home', 'bloc'].filter(kind => result.pooled[kind].effect !== null).map(kind => {
+      const pooled = result.pooled[kind];
+      const ci = sig.bootstrapCI([byRun], runs => withinJudgeFit(runs.flat())[kind], { rng: this.rng });
+      return {
+        name: `pooled ${kind} effect`,
+        kind,
+        test: { estimate: pooled.effect, ci, effectSize: null, effectSizeName: null, p: pooled.p, method: 'nationality permutation', n: pooled.n },
+      };
+    });
+    this.recordFamily('Q8 pooled home/bloc effect (within-judge)', pooledFamily);
+    console.log(`\n  Pooled across ${result.judges} judges${this.dataset.isPooled ? ` and ${this.dataset.events.length} events` : ''} (judge fixed effects):`);
+    pooledFamily.forEach(e => console.log(`    ${e.kind.padEnd(5)} ${signed(e.test.estimate)} pts, ${this.formatTest(e.test, ' pts')}`));
+
+    this.results.q8_nationality = {
+      blocs: { name: blocs.name, file: path.relative(path.join(__dirname, '..'), blocs.file), blocs: blocs.blocs },
+      pairs: pairFamily.map(({ pair: p, test }) => ({
+        judge: p.judge,
+        judgeNation: p.judgeNation,
+        athleteNation: p.athleteNation,
+        relation: p.relation,
+        bloc: p.bloc,
+        athletes: p.athletes,
+        n: p.n,
+        meanDeviation: Math.round(p.mean * 100) / 100,
+        controlDeviation: p.controlMean === null ? null : Math.round(p.controlMean * 100) / 100,
+        controlN: p.controlN,
+        effect: p.effect === null ? null : Math.round(p.effect * 100) / 100,
+        test: this.testResult(test),
+      })),
+      pooled: Object.fromEntries(pooledFamily.map(e => [e.kind, this.testResult(e.test)])),
+      judgesWithoutPairs: unpaired.map(j => j.key),
+      seed: result.seed,
+    };
   }
 
   analyzeQ9_DifficultyVsScore() {
@@ -674,15 +1368,7 @@ class JudgingAnalyzer {
       console.log('  ⚠ enriched-judge-scores.csv not found, skipping Q9');
       return;
     }
-    const content = fs.readFileSync(diffPath, 'utf8');
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',');
-    const enriched = lines.slice(1).map(line => {
-      const values = line.split(',');
-      const row = {};
-      headers.forEach((h, i) => { row[h.trim()] = values[i]?.trim(); });
-      return row;
-    });
+    const enriched = this.dataset.filterRows(loadCSV(diffPath));
 
     const cleanWithDifficulty = enriched
       .filter(r => r.final_score && r.final_score !== 'DNI' && parseFloat(r.final_score) >= 50)
@@ -723,6 +1409,112 @@ class JudgingAnalyzer {
     };
   }
 
+  analyzeQ9b_RunComposition() {
+    console.log('\n' + '═'.repeat(80));
+    console.log('Q9b: RUN COMPOSITION vs SCORE');
+    console.log('═'.repeat(80));
+    console.log('(Do variety and repeats move scores, beyond raw difficulty?)\n');
+
+    const masterPath = path.join(__dirname, '../data/processed/master_enriched_dataset.csv');
+    if (!fs.existsSync(masterPath)) {
+      console.log('  ⚠ master_enriched_dataset.csv not found, skipping Q9b');
+      return;
+    }
+    const metrics = [
+      { key: 'direction_coverage', label: 'Direction coverage (0-4)' },
+      { key: 'distinct_grabs', label: 'Distinct grabs' },
+      { key: 'grab_diversity', label: 'Grab diversity' },
+      { key: 'axis_variety', label: 'Axis variety' },
+      { key: 'duplicate_tricks', label: 'Duplicated tricks' },
+      { key: 'back_to_back', label: 'Back-to-back same approach' },
+      { key: 'progression', label: 'Progression (slope/hit)' },
+    ];
+    const clean = this.dataset.filterRows(loadCSV(masterPath))
+      .filter(r => r.run_status === 'clean' && r.direction_coverage !== undefined && r.direction_coverage !== '');
+    if (clean.length < 4) {
+      console.log('  Not enough clean runs with composition data');
+      return;
+    }
+
+    const scores = clean.map(r => parseFloat(r.final_score));
+    const difficulty = clean.map(r => parseFloat(r.total_difficulty));
+
+    // Residuals after a straight-line fit on total difficulty
+    const residualize = values => {
+      const { m, b } = stats.linearRegression(difficulty.map((d, i) => [d, values[i]]));
+      return values.map((v, i) => v - (m * difficulty[i] + b));
+    };
+    const varies = values => new Set(values).size > 1;
+    const scoreResid = residualize(scores);
+
+    const tested = metrics.map(metric => {
+      const values = clean.map(r => parseFloat(r[metric.key]));
+      if (!varies(values)) return { metric, values, test: null, partialTest: null };
+      const resid = residualize(values);
+      return {
+        metric,
+        values,
+        test: this.correlationTest(values, scores),
+        partialTest: stats.sampleStandardDeviation(resid) > 1e-9 ? this.correlationTest(resid, scoreResid) : null,
+      };
+    });
+    this.recordFamily('Q9b composition (metric vs score)', tested.map(t => ({ name: t.metric.key, test: t.test })));
+    this.recordFamily('Q9b composition | difficulty (partial r)', tested.map(t => ({ name: t.metric.key, test: t.partialTest })));
+
+    console.log(`  Clean runs: n=${clean.length}\n`);
+    console.log(`  ${'Metric'.padEnd(28)} ${'Mean'.padStart(6)}  ${'r (score)'.padStart(10)} ${'Holm p'.padStart(7)}  ${'r | difficulty'.padStart(15)} ${'Holm p'.padStart(7)}`);
+    console.log('  ' + '-'.repeat(81));
+
+    const fmt = v => (v === null ? 'N/A' : `${v > 0 ? '+' : ''}${v.toFixed(3)}`);
+    const fmtP = test => (test ? (test.pAdjusted ?? test.p).toFixed(3) : '');
+    const results = tested.map(({ metric, values, test, partialTest }) => {
+      const mean = stats.mean(values);
+      if (!test) {
+        console.log(`  ${metric.label.padEnd(28)} ${mean.toFixed(2).padStart(6)}  ${'(no variation)'.padStart(10)}`);
+        return { metric: metric.key, mean, r: null, partialR: null, test: null, partialTest: null };
+      }
+      const partialR = partialTest ? partialTest.estimate : null;
+      console.log(`  ${metric.label.padEnd(28)} ${mean.toFixed(2).padStart(6)}  ${fmt(test.estimate).padStart(10)} ${fmtP(test).padStart(7)}  ${fmt(partialR).padStart(15)} ${fmtP(partialTest).padStart(7)}`);
+      return {
+        metric: metric.key,
+        mean,
+        r: Math.round(test.estimate * 1000) / 1000,
+        partialR: partialR === null ? null : Math.round(partialR * 1000) / 1000,
+        test: this.testResult(test),
+        partialTest: this.testResult(partialTest),
+      };
+    });
+
+    console.log('\n  r | difficulty: correlation after removing the linear effect of total difficulty');
+    console.log('  from both the metric and the score. p-values are permutation tests, Holm-adjusted');
+    console.log('  across the metrics in each column; the partial test permutes the residuals and does');
+    console.log('  not allow for the fitted difficulty slope, so it is slightly anti-conservative.');
+
+    this.results.q9b_run_composition = { n: clean.length, metrics: results };
+  }
+
+  // Every recorded test, with Benjamini–Hochberg q-values across all of them
+  printSignificanceSummary() {
+    console.log('\n' + '═'.repeat(80));
+    console.log('SIGNIFICANCE SUMMARY');
+    console.log('═'.repeat(80));
+    console.log(`(${this.significance.length} tests; Holm within each analysis, BH false-discovery rate across all; seed ${this.rng.seed})\n`);
+
+    const q = sig.benjaminiHochberg(this.significance.map(t => t.p));
+    this.significance.forEach((t, i) => { t.q = q[i]; });
+    const notable = this.significance.filter(t => t.p < 0.05);
+    console.log(`  Nominal p < 0.05: ${notable.length}  |  Holm p < 0.05: ${this.significance.filter(t => (t.pAdjusted ?? t.p) < 0.05).length}  |  BH q < 0.05: ${this.significance.filter(t => t.q < 0.05).length}`);
+    notable.forEach(t => {
+      console.log(`    ${t.analysis}: ${t.test} — p = ${t.p.toFixed(3)}, Holm ${(t.pAdjusted ?? t.p).toFixed(3)}, q = ${t.q.toFixed(3)}`);
+    });
+
+    this.results.significance = {
+      seed: this.rng.seed,
+      correction: 'Holm within each analysis (pAdjusted), Benjamini-Hochberg across all tests (q)',
+      tests: this.significance.map(t => sig.roundTest(t)),
+    };
+  }
+
   analyzeQ10_RoundDrift() {
     console.log('\n' + '═'.repeat(80));
     console.log('Q10: ROUND-BY-ROUND JUDGE DRIFT');
@@ -731,71 +1523,244 @@ class JudgingAnalyzer {
 
     const cleanRuns = this.getCleanRuns();
     const driftData = {};
+    const rounds = [...new Set(this.dataset.rounds().map(r => r.round))].sort((a, b) => a - b);
+    const first = rounds[0];
+    const last = rounds[rounds.length - 1];
 
-    for (let j = 1; j <= 6; j++) {
-      driftData[j] = { 1: [], 2: [], 3: [] };
-    }
+    this.panel.forEach(judge => {
+      driftData[judge.key] = Object.fromEntries(rounds.map(r => [r, []]));
+    });
 
     cleanRuns.forEach(run => {
+      if (!run.hasFullPanel) return;
       const scores = this.getJudgeScores(run);
-      if (scores.length < 6) return;
       const panelMean = stats.mean(scores.map(s => s.score));
-      const round = parseInt(run.run);
+      const round = run.run;
       scores.forEach(s => {
-        driftData[s.judgeNum][round].push(s.score - panelMean);
+        driftData[s.key][round].push(s.score - panelMean);
       });
     });
 
+    const fmt = v => v !== null ? `${v > 0 ? '+' : ''}${v.toFixed(2)}` : 'N/A';
+
     console.log('  Per-judge avg deviation by round (clean runs only):\n');
-    console.log('  Judge                        | R1 dev  | R2 dev  | R3 dev  | Drift R1→R3');
+    console.log(`  Judge                        | ${rounds.map(r => `R${r} dev `.padEnd(8)).join('| ')}| Drift R${first}→R${last}`);
     console.log('  ' + '-'.repeat(75));
 
-    for (let j = 1; j <= 6; j++) {
-      const r1 = driftData[j][1].length > 0 ? stats.mean(driftData[j][1]) : null;
-      const r2 = driftData[j][2].length > 0 ? stats.mean(driftData[j][2]) : null;
-      const r3 = driftData[j][3].length > 0 ? stats.mean(driftData[j][3]) : null;
+    this.panel.forEach(judge => {
+      const means = rounds.map(r => driftData[judge.key][r].length > 0 ? stats.mean(driftData[judge.key][r]) : null);
+      const firstDev = means[0];
+      const lastDev = means[means.length - 1];
 
-      const drift = r1 !== null && r3 !== null ? r3 - r1 : null;
+      const drift = firstDev !== null && lastDev !== null ? lastDev - firstDev : null;
       const driftLabel = drift !== null ? (drift > 0.3 ? '↑ more generous' : drift < -0.3 ? '↓ stricter' : '→ stable') : 'N/A';
 
-      const name = `J${j} (${this.judges[j]?.name || ''})`;
-      const r1s = r1 !== null ? `${r1 > 0 ? '+' : ''}${r1.toFixed(2)}` : 'N/A';
-      const r2s = r2 !== null ? `${r2 > 0 ? '+' : ''}${r2.toFixed(2)}` : 'N/A';
-      const r3s = r3 !== null ? `${r3 > 0 ? '+' : ''}${r3.toFixed(2)}` : 'N/A';
+      const name = this.dataset.isPooled ? judge.name : `${judge.label} (${judge.name})`;
       const ds = drift !== null ? `${drift > 0 ? '+' : ''}${drift.toFixed(2)} ${driftLabel}` : 'N/A';
 
-      console.log(`  ${name.padEnd(30)}| ${r1s.padEnd(8)}| ${r2s.padEnd(8)}| ${r3s.padEnd(8)}| ${ds}`);
-    }
+      console.log(`  ${name.padEnd(30)}| ${means.map(m => fmt(m).padEnd(8)).join('| ')}| ${ds}`);
+    });
+
+    // Significance: last-round vs first-round deviations per judge
+    const driftFamily = this.panel.map(judge => ({
+      name: `${judge.label} R${first}→R${last}`,
+      judge: judge.key,
+      test: this.twoGroupTest(driftData[judge.key][last], driftData[judge.key][first]),
+    }));
+    this.recordFamily(`Q10 drift (R${last} − R${first} deviation)`, driftFamily);
+    console.log(`\n  Drift significance (R${last} − R${first}, Holm-adjusted across judges):`);
+    driftFamily.forEach(e => console.log(`    ${e.name}: ${this.formatTest(e.test, ' pts')}`));
 
     this.results.q10_round_drift = driftData;
+    this.results.q10_drift_tests = driftFamily.map(e => ({ judge: e.judge, test: this.testResult(e.test) }));
+  }
+
+  analyzeQ10b_TimelineDrift() {
+    console.log('\n' + '═'.repeat(80));
+    console.log('Q10b: JUDGE DRIFT OVER THE COMPETITION TIMELINE');
+    console.log('═'.repeat(80));
+    console.log('(Does any judge\'s deviation from the panel wander, trend or jump as the competition goes on?)\n');
+
+    const result = judgeDrift(competitionTimeline(this.dataset), { rng: createRng(this.rng.seed) });
+    const signed = (v, digits = 2) => `${v > 0 ? '+' : ''}${v.toFixed(digits)}`;
+    const labelOf = key => this.panel.find(j => j.key === key)?.label || `${key}`;
+    const at = index => {
+      const p = result.performances[index - 1];
+      return `#${index} (${this.dataset.isPooled ? `${p.eventId} ` : ''}R${p.round} pos ${p.position})`;
+    };
+
+    console.log(`  ${result.performances.length} performances in running order (DNIs keep their slot); deviation = mark − mean of the other judges`);
+    console.log(`  Gaussian smooth, bandwidth ${result.bandwidth} performances (leave-one-out choice from ${result.bandwidthGrid.map(g => g.bandwidth).join('/')})`);
+    console.log(`  p-values: ${result.iterations} shuffles of each judge's deviations across their scored slots\n`);
+
+    const permutationTest = (estimate, p, n) => ({ estimate, ci: null, effectSize: null, effectSizeName: null, p, method: 'timeline permutation', n });
+    const trendFamily = result.judges.map(j => ({
+      name: `${labelOf(j.judge)} trend`,
+      judge: j,
+      test: j.trend.slope === null ? null : permutationTest(j.trend.slope, j.trend.p, j.n),
+    }));
+    const amplitudeFamily = result.judges.map(j => ({
+      name: `${labelOf(j.judge)} smooth amplitude`,
+      judge: j,
+      test: permutationTest(j.amplitude.value, j.amplitude.p, j.n),
+    }));
+    const shiftFamily = result.judges.filter(j => j.changePoints.strongest).map(j => ({
+      name: `${labelOf(j.judge)} largest mean shift`,
+      judge: j,
+      test: permutationTest(j.changePoints.strongest.shift, j.changePoints.strongest.p, j.n),
+    }));
+    this.recordFamily('Q10b timeline trend (pts per performance)', trendFamily);
+    this.recordFamily('Q10b smooth amplitude (max − min)', amplitudeFamily);
+    this.recordFamily('Q10b largest mean shift', shiftFamily);
+
+    console.log('  Judge      | Mean dev | Trend /10 perf (p, Holm) | Amplitude (p, Holm)    | Largest shift');
+    console.log('  ' + '-'.repeat(95));
+    result.judges.forEach((j, i) => {
+      const trend = trendFamily[i].test;
+      const amp = amplitudeFamily[i].test;
+      const shift = shiftFamily.find(e => e.judge === j);
+      const shiftText = shift ?
+        `${signed(shift.test.estimate)} at ${at(j.changePoints.strongest.index)}, p = ${shift.test.p.toFixed(3)}, Holm ${shift.test.pAdjusted.toFixed(3)}` :
+        'too few marks';
+      console.log(`  ${labelOf(j.judge).padEnd(10)} | ${signed(j.meanDeviation).padStart(8)} | ${(trend ? `${signed(trend.estimate * 10)} (${trend.p.toFixed(3)}, ${trend.pAdjusted.toFixed(3)})` : 'N/A').padEnd(24)} | ${`${amp.estimate.toFixed(2)} (${amp.p.toFixed(3)}, ${amp.pAdjusted.toFixed(3)})`.padEnd(22)} | ${shiftText}`);
+    });
+
+    const detected = result.judges.filter(j => j.changePoints.significant.length > 0);
+    console.log('');
+    if (detected.length === 0) {
+      console.log('  Change points (binary segmentation, unadjusted p < 0.05): none');
+    } else {
+      console.log('  Change points (binary segmentation, unadjusted p < 0.05):');
+      detected.forEach(j => j.changePoints.significant.forEach(c => {
+        console.log(`    ${labelOf(j.judge)}: ${signed(c.before)} → ${signed(c.after)} from ${at(c.index)}, p = ${c.p.toFixed(3)}`);
+      }));
+    }
+    console.log('\n  Wipeouts cluster in round 1 and draw wider disagreement, so a judge\'s early deviations are noisier than their late ones.');
+
+    const round = v => (v === null ? null : Math.round(v * 10000) / 10000);
+    const roundPoint = c => c && { ...sig.roundTest(c), index: c.index };
+    this.results.q10b_timeline_drift = {
+      performances: result.performances,
+      bandwidth: result.bandwidth,
+      bandwidthGrid: result.bandwidthGrid.map(g => ({ bandwidth: g.bandwidth, cvError: round(g.cvError) })),
+      judges: result.judges.map((j, i) => ({
+        judge: j.judge,
+        n: j.n,
+        meanDeviation: round(j.meanDeviation),
+        trend: { slope: round(j.trend.slope), p: round(j.trend.p), pAdjusted: trendFamily[i].test ? round(trendFamily[i].test.pAdjusted) : null },
+        amplitude: { value: round(j.amplitude.value), p: round(j.amplitude.p), pAdjusted: round(amplitudeFamily[i].test.pAdjusted) },
+        strongestShift: roundPoint(j.changePoints.strongest),
+        changePoints: j.changePoints.significant.map(roundPoint),
+        smooth: j.smooth.map(s => ({ index: s.index, value: round(s.value), nullLow: round(s.nullLow), nullHigh: round(s.nullHigh) })),
+        points: j.points.map(p => ({ index: p.index, deviation: round(p.deviation) })),
+      })),
+      iterations: result.iterations,
+      seed: result.seed,
+    };
+  }
+
+  analyzeQ11_Anchoring() {
+    console.log('\n' + '═'.repeat(80));
+    console.log('Q11: FIRST-SCORE ANCHORING');
+    console.log('═'.repeat(80));
+    console.log('(Do later clean scores in a round cluster around the first clean score?)\n');
+
+    const result = anchoringNull(cleanSequences(this.dataset), { rng: createRng(this.rng.seed) });
+    if (!result) {
+      console.log('  No round has two or more clean runs, skipping Q11');
+      return;
+    }
+    const signed = v => `${v > 0 ? '+' : ''}${v.toFixed(3)}`;
+    const labelOf = key => this.panel.find(j => j.key === key)?.label || `${key}`;
+
+    result.rounds.forEach(r => {
+      console.log(`  ${this.dataset.isPooled ? `${r.eventId} ` : ''}R${r.round} anchor: ${r.anchor.competitor} (position ${r.anchor.position}) ${r.anchor.score}`);
+      console.log(`    later clean: ${r.later.map(l => l.score).join(', ')} → mean distance ${r.meanDistance.toFixed(2)} pts`);
+    });
+
+    const d = result.distance;
+    console.log(`\n  Mean distance from anchor: ${d.observed.toFixed(2)} pts (shuffled orders: ${d.nullMean.toFixed(2)}, 95% [${d.q025.toFixed(2)}, ${d.q975.toFixed(2)}], ${result.iterations} shuffles)`);
+    console.log(`  Percentile: ${d.percentile.toFixed(1)} of the null; p(closer than chance) = ${d.pCloser.toFixed(3)}`);
+
+    const judgeFamily = result.judges.map(j => ({
+      name: `${labelOf(j.judge)} anchoring coefficient`,
+      judge: j,
+      test: j.p === null ? null : { estimate: j.beta, ci: null, effectSize: (j.beta - j.nullMean) / j.nullSd, effectSizeName: 'z vs null', p: j.p, method: 'clean-order permutation', n: j.n },
+    }));
+    this.recordFamily('Q11 anchoring distance (closer than shuffled)', [{
+      name: 'mean distance from first clean score',
+      test: { estimate: d.observed, ci: null, effectSize: d.observed - d.nullMean, effectSizeName: 'vs null mean', p: d.pCloser, method: 'clean-order permutation', n: result.rounds.reduce((n, r) => n + r.later.length, 0) },
+    }]);
+    this.recordFamily('Q11 per-judge anchoring coefficient', judgeFamily);
+
+    console.log('\n  Per-judge pull towards own anchor mark (slope; shuffled-order null, Holm-adjusted):');
+    judgeFamily.forEach(({ judge: j, test }) => {
+      const base = `    ${labelOf(j.judge).padEnd(10)} β = ${j.beta === null ? 'n/a' : signed(j.beta)} (n=${j.n})`;
+      console.log(test ? `${base}, null ${signed(j.nullMean)} ± ${j.nullSd.toFixed(3)}, p = ${test.p.toFixed(3)}${test.pAdjusted !== undefined ? ` (Holm ${test.pAdjusted.toFixed(3)})` : ''}` : base);
+    });
+
+    const caveats = [
+      'Running order is fixed by qualification, so each round\'s anchor is usually a low qualifier: distance from it measures the field\'s spread as much as anchoring.',
+      `Only ${result.rounds.length} round(s) and ${result.rounds.reduce((n, r) => n + r.later.length, 0)} later clean runs; a coefficient rests on ${result.judges[0]?.n ?? 0} marks per judge.`,
+      'Compression near the top of the scale and general regression to the mean produce the same signature as anchoring.',
+    ];
+    console.log('\n  Caveats:');
+    caveats.forEach(c => console.log(`    - ${c}`));
+
+    this.results.q11_anchoring = {
+      rounds: result.rounds,
+      distance: sig.roundTest(d),
+      judges: judgeFamily.map(({ judge: j, test }) => ({
+        judge: j.judge,
+        beta: j.beta === null ? null : Math.round(j.beta * 10000) / 10000,
+        n: j.n,
+        nullMean: j.nullMean === null ? null : Math.round(j.nullMean * 10000) / 10000,
+        nullSd: j.nullSd === null ? null : Math.round(j.nullSd * 10000) / 10000,
+        test: this.testResult(test),
+      })),
+      iterations: result.iterations,
+      seed: result.seed,
+      caveats,
+    };
   }
 
   run() {
     console.log('╔════════════════════════════════════════════════════════════════╗');
     console.log('║   COMPREHENSIVE JUDGING ANALYSIS                              ║');
-    console.log('║   Milano-Cortina 2026 Men\'s Halfpipe Final                    ║');
     console.log('╚════════════════════════════════════════════════════════════════╝');
-    console.log(`\nDataset: ${this.rawScores.length} performances, ${this.getScoredRuns().length} scored (${this.getCleanRuns().length} clean + ${this.getWipeoutRuns().length} wipeouts)`);
+    console.log(`\nEvents: ${this.dataset.describe()}`);
+    console.log(`Dataset: ${this.rawScores.length} performances, ${this.getScoredRuns().length} scored (${this.getCleanRuns().length} clean + ${this.getWipeoutRuns().length} wipeouts)`);
 
     // Tier 1
     this.analyzeQ3_JudgeSeverity();
+    this.analyzeQ3b_OutlierMarks();
     this.analyzeQ4_TrimmedMean();
+    this.analyzeQ4b_JudgeImpact();
     this.analyzeQ5_WipeoutMechanics();
     this.analyzeQ6_ConsensusPatterns();
     this.analyzeQ7_JudgeCorrelations();
+    this.analyzeQ7b_Reliability();
 
     // Tier 2
     this.analyzeQ1Q2_ReliefBias();
+    this.analyzeQ1b_DNISensitivity();
+    this.analyzeQ2b_SequentialContrast();
     this.analyzeQ8_NationalityBias();
     this.analyzeQ9_DifficultyVsScore();
+    this.analyzeQ9b_RunComposition();
     this.analyzeQ10_RoundDrift();
+    this.analyzeQ10b_TimelineDrift();
+    this.analyzeQ11_Anchoring();
+
+    this.printSignificanceSummary();
 
     // Save results
+    this.results.events = this.dataset.eventIds;
     const outPath = path.join(__dirname, '../results/judge_bias_analysis.json');
     fs.writeFileSync(outPath, JSON.stringify(this.results, null, 2));
     console.log(`\n✓ Results saved to results/judge_bias_analysis.json`);
   }
 }
 
-const analyzer = new JudgingAnalyzer();
-analyzer.run();
\ No newline at end of file
+const analyzer = new JudgingAnalyzer(loadDataset());
+analyzer.run();
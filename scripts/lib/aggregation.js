@@ -0,0 +1,228 @@
+/**
+ * Panel Aggregation Rules
+ *
+ * Turns a panel's individual marks into the published score and says which
+ * judges counted. Olympic halfpipe drops the single highest and lowest of
+ * six judges; FIS and X Games events also use 3–5 judge panels, plain
+ * averages, or drop only one mark, so each event names its rule in
+ * data/raw/events.json:
+ *
+ *   "aggregation": { "rule": "trimmed-mean", "trim": 1 }
+ *
+ * Rules:
+ *   trimmed-mean     drop `trim` lowest and `trim` highest, average the rest
+ *                    (`trimLow` / `trimHigh` to drop unevenly)
+ *   median           middle mark (mean of the middle two on even panels)
+ *   mean             plain average of every mark
+ *   winsorized-mean  replace the `trim` extremes on each side with the next
+ *                    mark inwards, then average
+ *
+ * Any rule can carry head-judge overrides, which replace the computed score
+ * for a listed run:
+ *
+ *   "headJudge": 1,
+ *   "overrides": [{ "competitor": "...", "run": 2, "score": 71.5, "note": "..." }]
+ *
+ * Tied marks are dropped in panel order: the lowest-numbered judge among
+ * tied lows and the highest-numbered among tied highs.
+ */
+
+const DEFAULT_AGGREGATION = { rule: 'trimmed-mean', trim: 1 };
+
+const round2 = x => Math.round(x * 100) / 100;
+const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+class AggregationRule {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /** Fewest marks the rule can aggregate */
+  get minJudges() { return 1; }
+
+  /**
+   * Aggregate one run's marks ([{ judge, score }], nulls allowed).
+   * Returns { score, counted, excluded } or null when too few marks.
+   * `excluded` entries carry `reason` ('low' | 'high') and, for rules that
+   * replace rather than drop a mark, `countedAs`.
+   */
+  apply(judgeScores) {
+    const marks = judgeScores.filter(j => j.score !== null && j.score !== undefined);
+    if (marks.length < this.minJudges) return null;
+    const sorted = [...marks].sort((a, b) => a.score - b.score || a.judge - b.judge);
+    const result = this.combine(sorted);
+    return { ...result, score: round2(result.score) };
+  }
+
+  /** Split sorted marks into the low tail, the counted middle and the high tail */
+  trimSorted(sorted, low, high) {
+    return {
+      lows: sorted.slice(0, low),
+      middle: sorted.slice(low, sorted.length - high),
+      highs: sorted.slice(sorted.length - high),
+    };
+  }
+}
+
+class TrimmedMeanRule extends AggregationRule {
+  get trimLow() { return this.options.trimLow ?? this.options.trim ?? 1; }
+  get trimHigh() { return this.options.trimHigh ?? this.options.trim ?? 1; }
+  get minJudges() { return this.trimLow + this.trimHigh + 1; }
+
+  describe() {
+    if (this.trimLow === this.trimHigh) {
+      return `trimmed mean (drop ${this.trimLow} high, ${this.trimLow} low)`;
+    }
+    return `trimmed mean (drop ${this.trimHigh} high, ${this.trimLow} low)`;
+  }
+
+  combine(sorted) {
+    const { lows, middle, highs } = this.trimSorted(sorted, this.trimLow, this.trimHigh);
+    return {
+      score: mean(middle.map(m => m.score)),
+      counted: middle,
+      excluded: [
+        ...lows.map(m => ({ ...m, reason: 'low' })),
+        ...highs.map(m => ({ ...m, reason: 'high' })),
+      ],
+    };
+  }
+}
+
+class MedianRule extends AggregationRule {
+  describe() { return 'median'; }
+
+  combine(sorted) {
+    const keep = sorted.length % 2 === 0 ? 2 : 1;
+    const drop = (sorted.length - keep) / 2;
+    const { lows, middle, highs } = this.trimSorted(sorted, drop, drop);
+    return {
+      score: mean(middle.map(m => m.score)),
+      counted: middle,
+      excluded: [
+        ...lows.map(m => ({ ...m, reason: 'low' })),
+        ...highs.map(m => ({ ...m, reason: 'high' })),
+      ],
+    };
+  }
+}
+
+class MeanRule extends AggregationRule {
+  describe() { return 'mean of all marks'; }
+
+  combine(sorted) {
+    return { score: mean(sorted.map(m => m.score)), counted: sorted, excluded: [] };
+  }
+}
+
+class WinsorizedMeanRule extends AggregationRule {
+  get trim() { return this.options.trim ?? 1; }
+  get minJudges() { return 2 * this.trim + 1; }
+
+  describe() { return `winsorized mean (clamp ${this.trim} each side)`; }
+
+  combine(sorted) {
+    const { lows, middle, highs } = this.trimSorted(sorted, this.trim, this.trim);
+    const floor = middle[0].score;
+    const ceiling = middle[middle.length - 1].score;
+    const values = [
+      ...lows.map(() => floor),
+      ...middle.map(m => m.score),
+      ...highs.map(() => ceiling),
+    ];
+    return {
+      score: mean(values),
+      counted: middle,
+      excluded: [
+        ...lows.map(m => ({ ...m, reason: 'low', countedAs: floor })),
+        ...highs.map(m => ({ ...m, reason: 'high', countedAs: ceiling })),
+      ],
+    };
+  }
+}
+
+const RULES = {
+  'trimmed-mean': TrimmedMeanRule,
+  median: MedianRule,
+  mean: MeanRule,
+  'winsorized-mean': WinsorizedMeanRule,
+};
+
+/** Add a rule under `name` so events.json can select it */
+function registerRule(name, RuleClass) {
+  RULES[name] = RuleClass;
+}
+
+/**
+ * One event's aggregation: the rule plus any head-judge overrides.
+ */
+class PanelAggregator {
+  constructor(spec = DEFAULT_AGGREGATION) {
+    const RuleClass = RULES[spec.rule];
+    if (!RuleClass) {
+      throw new Error(`unknown aggregation rule "${spec.rule}" (known: ${Object.keys(RULES).join(', ')})`);
+    }
+    this.spec = spec;
+    this.rule = new RuleClass(spec);
+    this.headJudge = spec.headJudge ?? null;
+    this.overrides = spec.overrides || [];
+  }
+
+  get name() { return this.spec.rule; }
+
+  describe() {
+    const overrides = this.overrides.length > 0 ? `, ${this.overrides.length} head-judge override(s)` : '';
+    return `${this.rule.describe()}${overrides}`;
+  }
+
+  /** Check the rule can score a full panel of `panelSize` judges */
+  validate(panelSize) {
+    const issues = [];
+    if (this.rule.minJudges > panelSize) {
+      issues.push(`${this.rule.describe()} needs at least ${this.rule.minJudges} judges, panel has ${panelSize}`);
+    }
+    if (this.headJudge !== null && (this.headJudge < 1 || this.headJudge > panelSize)) {
+      issues.push(`headJudge ${this.headJudge} is not on a ${panelSize}-judge panel`);
+    }
+    this.overrides.forEach(o => {
+      if (!o.competitor || !o.run || typeof o.score !== 'number') {
+        issues.push(`override needs competitor, run and a numeric score: ${JSON.stringify(o)}`);
+      }
+    });
+    return issues;
+  }
+
+  override(run) {
+    return this.overrides.find(o => o.competitor === run.competitor && o.run === run.run) || null;
+  }
+
+  /**
+   * Aggregate a Run. Returns { score, ruleScore, counted, excluded, override }
+   * or null for DNI runs and panels too small for the rule. `score` is the
+   * head judge's override when one applies, otherwise `ruleScore`.
+   */
+  apply(run) {
+    if (run.isDNI) return null;
+    const result = this.rule.apply(run.judgeScores);
+    if (!result) return null;
+    const override = this.override(run);
+    return {
+      ...result,
+      ruleScore: result.score,
+      score: override ? override.score : result.score,
+      override,
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_AGGREGATION,
+  AggregationRule,
+  TrimmedMeanRule,
+  MedianRule,
+  MeanRule,
+  WinsorizedMeanRule,
+  RULES,
+  registerRule,
+  PanelAggregator,
+};
@@ -0,0 +1,153 @@
+/**
+ * First-Score Anchoring (Q11)
+ *
+ * The first clean score posted in a round is the first number the panel
+ * commits to for a landed run. If judges anchor on it, later clean scores
+ * in the round should sit closer to it than chance would put them, and a
+ * judge's later marks should lean towards that judge's own anchor mark.
+ *
+ *   cleanSequences(dataset)           → each round's clean runs in running order
+ *   anchorDistance(sequences)         → mean |later score − anchor score|
+ *   judgeSlopes(sequences)            → per-judge pull towards their anchor mark
+ *   anchoringNull(sequences, options) → both, against shuffled running orders
+ *
+ * Pull: for each later clean run, x = the judge's anchor mark − the other
+ * judges' mean on the run, d = the judge's mark − that same mean. The
+ * slope of d on x, within judge, is the judge's anchoring coefficient
+ * (0 = no pull, 1 = marks move one-for-one with the anchor). Shared noise
+ * in the other judges' mean biases it slightly upwards, which is why it is
+ * read against the shuffled baseline rather than against 0.
+ *
+ * The shuffle reorders each round's clean runs, so a different run becomes
+ * the anchor and a different set counts as "later".
+ */
+
+const { createRng } = require('./random');
+
+const PERMUTATIONS = 2000;
+const EPS = 1e-9;
+
+const sum = xs => xs.reduce((a, b) => a + b, 0);
+const mean = xs => sum(xs) / xs.length;
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * One entry per (event, round): { eventId, round, runs } with runs the
+ * clean runs in running order as { competitor, position, score, marks: Map judge key → mark }
+ */
+function cleanSequences(dataset) {
+  return dataset.rounds().map(({ event, round }) => ({
+    eventId: event.id,
+    round,
+    runs: dataset.roundRuns(event.id, round).filter(r => r.isClean).map(r => ({
+      competitor: r.competitor,
+      position: r.position,
+      score: r.finalScore,
+      marks: new Map(r.scoredJudges().map(j => [dataset.judgeKey(event.id, j.judge), j.score])),
+    })),
+  })).filter(seq => seq.runs.length >= 2);
+}
+
+/** Mean distance of every later clean score from its round's anchor */
+function anchorDistance(sequences) {
+  const distances = sequences.flatMap(({ runs }) => runs.slice(1).map(r => Math.abs(r.score - runs[0].score)));
+  return distances.length > 0 ? mean(distances) : null;
+}
+
+/** Map judge → { beta, n }: within-judge slope of deviation on anchor offset */
+function judgeSlopes(sequences) {
+  const points = new Map();
+  sequences.forEach(({ runs }) => {
+    const anchor = runs[0];
+    runs.slice(1).forEach(run => {
+      run.marks.forEach((mark, judge) => {
+        if (!anchor.marks.has(judge)) return;
+        const others = [...run.marks].filter(([k]) => k !== judge).map(([, v]) => v);
+        if (others.length === 0) return;
+        const consensus = mean(others);
+        if (!points.has(judge)) points.set(judge, []);
+        points.get(judge).push({ x: anchor.marks.get(judge) - consensus, d: mark - consensus });
+      });
+    });
+  });
+
+  const slopes = new Map();
+  points.forEach((pts, judge) => {
+    const mx = mean(pts.map(p => p.x));
+    const md = mean(pts.map(p => p.d));
+    const sxx = sum(pts.map(p => (p.x - mx) ** 2));
+    const sxd = sum(pts.map(p => (p.x - mx) * (p.d - md)));
+    slopes.set(judge, { beta: sxx > EPS ? sxd / sxx : null, n: pts.length });
+  });
+  return slopes;
+}
+
+/**
+ * Observed anchor distance and judge slopes against `iterations` shuffles
+ * of each round's clean runs. Distance p is one-sided (closer than chance);
+ * slope p is two-sided around the null mean.
+ */
+function anchoringNull(sequences, options = {}) {
+  const { iterations = PERMUTATIONS, rng = createRng() } = options;
+  const observed = anchorDistance(sequences);
+  const slopes = judgeSlopes(sequences);
+  if (observed === null) return null;
+
+  const distances = [];
+  const nullSlopes = new Map([...slopes.keys()].map(k => [k, []]));
+  for (let i = 0; i < iterations; i++) {
+    const shuffled = sequences.map(seq => ({ ...seq, runs: rng.shuffle(seq.runs) }));
+    distances.push(anchorDistance(shuffled));
+    judgeSlopes(shuffled).forEach((s, judge) => {
+      if (s.beta !== null) nullSlopes.get(judge)?.push(s.beta);
+    });
+  }
+
+  const sorted = [...distances].sort((a, b) => a - b);
+  const nullMean = mean(distances);
+  return {
+    rounds: sequences.map(({ eventId, round, runs }) => ({
+      eventId,
+      round,
+      anchor: { competitor: runs[0].competitor, position: runs[0].position, score: runs[0].score },
+      later: runs.slice(1).map(r => ({ competitor: r.competitor, position: r.position, score: r.score })),
+      meanDistance: anchorDistance([{ runs }]),
+    })),
+    distance: {
+      observed,
+      nullMean,
+      q025: quantile(sorted, 0.025),
+      q975: quantile(sorted, 0.975),
+      percentile: ((distances.filter(v => v < observed - EPS).length + distances.filter(v => Math.abs(v - observed) <= EPS).length / 2) / distances.length) * 100,
+      pCloser: (distances.filter(v => v <= observed + EPS).length + 1) / (distances.length + 1),
+    },
+    judges: [...slopes.entries()].map(([judge, { beta, n }]) => {
+      const values = nullSlopes.get(judge);
+      if (beta === null || values.length < 2) return { judge, beta, n, nullMean: null, nullSd: null, p: null };
+      const m = mean(values);
+      return {
+        judge,
+        beta,
+        n,
+        nullMean: m,
+        nullSd: Math.sqrt(sum(values.map(v => (v - m) ** 2)) / (values.length - 1)),
+        p: (values.filter(v => Math.abs(v - m) >= Math.abs(beta - m) - EPS).length + 1) / (values.length + 1),
+      };
+    }),
+    iterations,
+    seed: rng.seed,
+  };
+}
+
+module.exports = {
+  cleanSequences,
+  anchorDistance,
+  judgeSlopes,
+  anchoringNull,
+};
@@ -0,0 +1,189 @@
+/**
+ * Difficulty Profiles
+ *
+ * The weights behind trick difficulty scores live in named JSON profiles
+ * under config/difficulty_profiles/, so results under different rating
+ * schemes can be produced and compared side by side:
+ *
+ *   {
+ *     "name": "baseline", "version": 1, "description": "...",
+ *     "rotation": { "0": 0.5, "360": 1.0, ... },     base score by degrees
+ *     "corkMultiplier": { "none": 1.0, "SC": 1.2, "DC": 1.5, "TC": 2.0 },
+ *     "switchBonus": 0.5,                             Cab / x- tricks
+ *     "grabBonus": 0.5,                               any grab
+ *     "comboBonus": 0.5,                              "-to-" combo grab
+ *     "specials": { "AO": 1.0, "Rd": 1.0, "CF": 1.0, "Mc": 1.5 }
+ *   }
+ *
+ * Two optional fields add to a score instead of multiplying it; fitted
+ * profiles from calibrate_difficulty.js use them:
+ *
+ *   "corkBonus": { "SC": 0.4, "DC": 0.8, "TC": 1.2 }   added per corked trick
+ *   "varietyBonus": 0.6                               per distinct approach
+ *                                                     (stance + direction) in a run
+ *
+ * Scripts pick one with --profile <name> (a file in the profile directory)
+ * or --profile <path/to/profile.json>; the default is "baseline". Every
+ * output records the profile name and a hash of its weights.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DataValidationError } = require('./scoring_data');
+const { INVERSIONS, ROTATIONS, TAKEOFFS } = require('./trick_codes');
+const { approachOf } = require('./run_composition');
+
+const PROFILE_DIR = path.join(__dirname, '../../config/difficulty_profiles');
+const DEFAULT_PROFILE = 'baseline';
+
+const WEIGHT_FIELDS = ['rotation', 'corkMultiplier', 'switchBonus', 'grabBonus', 'comboBonus', 'specials'];
+const OPTIONAL_FIELDS = ['corkBonus', 'varietyBonus'];
+
+/** JSON with sorted keys, so the hash ignores key order and whitespace */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class DifficultyProfile {
+  constructor(raw, file) {
+    this.file = file;
+    this.name = raw.name;
+    this.version = raw.version ?? null;
+    this.description = raw.description || '';
+    WEIGHT_FIELDS.forEach(field => { this[field] = raw[field]; });
+    this.corkBonus = raw.corkBonus || {};
+    this.varietyBonus = raw.varietyBonus || 0;
+    this.calibration = raw.calibration || null;
+    // Hash covers the weights only, so renaming or re-describing a profile keeps its hash
+    const fields = [...WEIGHT_FIELDS, ...OPTIONAL_FIELDS.filter(f => raw[f] !== undefined)];
+    const weights = Object.fromEntries(fields.map(f => [f, raw[f]]));
+    this.hash = crypto.createHash('sha256').update(canonicalJSON(weights)).digest('hex').slice(0, 12);
+  }
+
+  get label() { return `${this.name}@${this.hash}`; }
+
+  rotationScore(degrees) {
+    return this.rotation[String(degrees)];
+  }
+
+  corkMultiplierFor(corkType) {
+    return this.corkMultiplier[corkType];
+  }
+
+  corkBonusFor(corkType) {
+    return this.corkBonus[corkType] || 0;
+  }
+
+  specialBonus(code) {
+    return this.specials[code];
+  }
+
+  /** One-line summary of each weight group, for results files */
+  describeWeights() {
+    const list = obj => Object.entries(obj).map(([k, v]) => `${k}=${v}`).join(', ');
+    return {
+      rotationBase: list(this.rotation),
+      corkMultiplier: list(this.corkMultiplier),
+      switchBonus: `+${this.switchBonus} for Cab or x- prefix`,
+      grabBonus: `+${this.grabBonus} for any grab, +${this.comboBonus} for combo grabs`,
+      specialsBonus: `${list(this.specials)} (doubled flips count twice)`,
+      ...(Object.keys(this.corkBonus).length > 0 ? { corkBonus: list(this.corkBonus) } : {}),
+      ...(this.varietyBonus ? { varietyBonus: `+${this.varietyBonus} per distinct approach in a run` } : {}),
+    };
+  }
+}
+
+/**
+ * Check a raw profile covers every rotation, cork and special move the
+ * trick grammar can produce.
+ */
+function validateProfile(raw, file) {
+  const issues = [];
+  const isNum = v => typeof v === 'number' && Number.isFinite(v);
+
+  if (!raw.name) issues.push({ line: 1, message: 'missing "name"' });
+  WEIGHT_FIELDS.forEach(field => {
+    if (raw[field] === undefined) issues.push({ line: 1, message: `missing "${field}"` });
+  });
+  if (issues.length > 0) throw new DataValidationError(file, issues);
+
+  ['switchBonus', 'grabBonus', 'comboBonus'].forEach(field => {
+    if (!isNum(raw[field])) issues.push({ line: 1, message: `"${field}" must be a number` });
+  });
+  ['0', ...Object.values(ROTATIONS).map(String)].forEach(deg => {
+    if (!isNum(raw.rotation[deg])) issues.push({ line: 1, message: `rotation has no weight for ${deg}°` });
+  });
+  const corks = ['none', ...Object.keys(INVERSIONS).filter(k => INVERSIONS[k].kind === 'cork')];
+  corks.forEach(type => {
+    if (!isNum(raw.corkMultiplier[type])) issues.push({ line: 1, message: `corkMultiplier has no value for ${type}` });
+  });
+  const specials = [...Object.keys(TAKEOFFS), ...Object.keys(INVERSIONS).filter(k => INVERSIONS[k].kind === 'flip')];
+  specials.forEach(code => {
+    if (!isNum(raw.specials[code])) issues.push({ line: 1, message: `specials has no bonus for ${code}` });
+  });
+  if (raw.corkBonus !== undefined) {
+    Object.entries(raw.corkBonus).forEach(([type, value]) => {
+      if (!corks.includes(type)) issues.push({ line: 1, message: `corkBonus has unknown cork type ${type}` });
+      else if (!isNum(value)) issues.push({ line: 1, message: `corkBonus for ${type} must be a number` });
+    });
+  }
+  if (raw.varietyBonus !== undefined && !isNum(raw.varietyBonus)) {
+    issues.push({ line: 1, message: '"varietyBonus" must be a number' });
+  }
+  if (issues.length > 0) throw new DataValidationError(file, issues);
+}
+
+/**
+ * Distinct approaches (stance + spin direction) across a run's parsed
+ * tricks; tricks with no stated direction are not counted
+ */
+function runApproaches(asts) {
+  return new Set(asts.map(approachOf).filter(Boolean)).size;
+}
+
+/** Profile names available in the profile directory */
+function listProfiles(dir = PROFILE_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, '')).sort();
+}
+
+/**
+ * Load a profile by name (from the profile directory) or by path;
+ * a missing name loads the default profile.
+ */
+function loadProfile(nameOrPath, dir = PROFILE_DIR) {
+  nameOrPath = nameOrPath || DEFAULT_PROFILE;
+  const isPath = nameOrPath.includes('/') || nameOrPath.endsWith('.json');
+  const file = isPath ? path.resolve(nameOrPath) : path.join(dir, `${nameOrPath}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Unknown difficulty profile "${nameOrPath}". Available: ${listProfiles(dir).join(', ')}`);
+  }
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  validateProfile(raw, file);
+  return new DifficultyProfile(raw, file);
+}
+
+/** Value of --profile <x> / --profile=<x>, or null */
+function parseProfileArg(argv = process.argv.slice(2)) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profile') return argv[i + 1] || null;
+    if (argv[i].startsWith('--profile=')) return argv[i].split('=')[1];
+  }
+  return null;
+}
+
+module.exports = {
+  PROFILE_DIR,
+  DEFAULT_PROFILE,
+  DifficultyProfile,
+  validateProfile,
+  runApproaches,
+  listProfiles,
+  loadProfile,
+  parseProfileArg,
+};
@@ -0,0 +1,171 @@
+/**
+ * DNI Heuristic Rules
+ *
+ * When no source explains a DNI, the resolver falls back on the rider's
+ * scores before it. The rules live in config/dni_heuristics.json: named
+ * thresholds and an ordered list of rules, each a set of conditions on
+ * the case's facts and the classification it gives. The first rule whose
+ * conditions all hold wins.
+ *
+ *   facts       bestPrior    best score before the DNI run (null without one)
+ *               priorScores  the scored runs before it, in order
+ *               priorRuns    how many there are
+ *               trickCount   tricks listed for the DNI run
+ *
+ *   loadHeuristics(file)              → validated { name, thresholds, rules }
+ *   withThresholds(config, overrides) → the same rules with thresholds replaced
+ *   caseFacts(dniCase, competitor)    → facts from the rider's overview entry
+ *   evaluateRules(config, facts)      → { rule, conditions } for the first rule that fires, or null
+ *   heuristicFinding(config, facts)   → { reason, source, confidence, evidence, rule, conditions } or null
+ *   parseHeuristicArgs(argv)          → { file, overrides, dryRun }
+ *
+ * Labels and evidence are templates: {name} is a threshold or a fact.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DataValidationError } = require('./scoring_data');
+
+const HEURISTICS_PATH = path.join(__dirname, '../../config/dni_heuristics.json');
+const FACTS = ['bestPrior', 'priorRuns', 'trickCount'];
+const REASONS = ['crash', 'strategic_skip', 'unknown'];
+const CONFIDENCES = ['high', 'medium', 'low'];
+const OPS = {
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '<': (a, b) => a < b,
+  '==': (a, b) => a === b,
+};
+
+/** Check a heuristics config; `line` in a DataValidationError is 1 for the file, rule index + 1 otherwise */
+function validateHeuristics(raw, file) {
+  const issues = [];
+  const thresholds = raw.thresholds || {};
+  Object.entries(thresholds).forEach(([name, value]) => {
+    if (typeof value !== 'number' || isNaN(value)) issues.push({ line: 1, message: `threshold "${name}" must be a number` });
+  });
+  if (!Array.isArray(raw.rules) || raw.rules.length === 0) issues.push({ line: 1, message: 'missing "rules"' });
+  const ids = new Set();
+  (raw.rules || []).forEach((rule, i) => {
+    const at = message => issues.push({ line: i + 1, message: `rule ${rule.id || i + 1}: ${message}` });
+    if (!rule.id) at('missing id');
+    else if (ids.has(rule.id)) at('duplicate id');
+    ids.add(rule.id);
+    if (!REASONS.includes(rule.reason)) at(`reason must be one of ${REASONS.join(', ')}`);
+    if (!CONFIDENCES.includes(rule.confidence)) at(`confidence must be one of ${CONFIDENCES.join(', ')}`);
+    if (!Array.isArray(rule.when) || rule.when.length === 0) at('needs at least one condition in "when"');
+    (rule.when || []).forEach(c => {
+      if (!FACTS.includes(c.fact)) at(`unknown fact "${c.fact}" (facts: ${FACTS.join(', ')})`);
+      if (!OPS[c.op]) at(`unknown operator "${c.op}"`);
+      if (c.threshold !== undefined && !(c.threshold in thresholds)) at(`unknown threshold "${c.threshold}"`);
+      if ((c.threshold === undefined) === (c.value === undefined)) at(`condition on ${c.fact} needs either "threshold" or "value"`);
+    });
+  });
+  if (issues.length > 0) throw new DataValidationError(file, issues);
+}
+
+/** Read and check a heuristics file (default config/dni_heuristics.json) */
+function loadHeuristics(file) {
+  file = file ? path.resolve(file) : HEURISTICS_PATH;
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  validateHeuristics(raw, file);
+  return { name: raw.name || path.basename(file, '.json'), description: raw.description || '', file, thresholds: raw.thresholds, rules: raw.rules };
+}
+
+/** `config` with some thresholds replaced ({ name: value }); unknown names are an error */
+function withThresholds(config, overrides = {}) {
+  Object.keys(overrides).forEach(name => {
+    if (!(name in config.thresholds)) {
+      throw new Error(`Unknown DNI heuristic threshold "${name}". Thresholds: ${Object.keys(config.thresholds).join(', ')}`);
+    }
+  });
+  return { ...config, thresholds: { ...config.thresholds, ...overrides } };
+}
+
+/** Facts for one DNI case from the rider's overview entry (null when the rider isn't in the overview) */
+function caseFacts(dniCase, competitor) {
+  if (!competitor) return null;
+  const priorScores = competitor.runScores.slice(0, dniCase.run - 1).filter(s => s !== null);
+  return {
+    bestPrior: priorScores.length > 0 ? Math.max(...priorScores) : null,
+    priorScores,
+    priorRuns: priorScores.length,
+    trickCount: dniCase.trickCount,
+  };
+}
+
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = values[name];
+    if (value === undefined || value === null) return match;
+    if (name === 'bestPrior') return value.toFixed(2);
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+/**
+ * The first rule whose conditions all hold, with each condition rendered
+ * against the facts ("bestPrior 95 >= eliteScore 90"). A missing fact
+ * never satisfies a condition.
+ */
+function evaluateRules(config, facts) {
+  if (!facts) return null;
+  for (const rule of config.rules) {
+    const conditions = rule.when.map(c => {
+      const limit = c.threshold !== undefined ? config.thresholds[c.threshold] : c.value;
+      const value = facts[c.fact];
+      const holds = value !== null && value !== undefined && OPS[c.op](value, limit);
+      return { holds, text: `${c.fact} ${value ?? '—'} ${c.op} ${c.threshold !== undefined ? `${c.threshold} ` : ''}${limit}` };
+    });
+    if (conditions.every(c => c.holds)) return { rule, conditions: conditions.map(c => c.text) };
+  }
+  return null;
+}
+
+/** The classification the rules give for `facts`, or null when none fires */
+function heuristicFinding(config, facts) {
+  const fired = evaluateRules(config, facts);
+  if (!fired) return null;
+  const values = { ...config.thresholds, ...facts };
+  return {
+    reason: fired.rule.reason,
+    source: `heuristic: ${fill(fired.rule.label || fired.rule.id, values)}`,
+    confidence: fired.rule.confidence,
+    evidence: fill(fired.rule.evidence || '', values),
+    rule: fired.rule.id,
+    conditions: fired.conditions,
+  };
+}
+
+/**
+ * --heuristics <file>, --set <threshold>=<value> (repeatable, or
+ * comma-separated) and --dry-run
+ */
+function parseHeuristicArgs(argv = process.argv.slice(2)) {
+  let file = null;
+  const overrides = {};
+  argv.forEach((arg, i) => {
+    if (arg === '--heuristics') file = argv[i + 1] || null;
+    else if (arg.startsWith('--heuristics=')) file = arg.split('=')[1];
+    const set = arg === '--set' ? argv[i + 1] : arg.startsWith('--set=') ? arg.slice('--set='.length) : null;
+    if (set === null || set === undefined) return;
+    set.split(',').forEach(pair => {
+      const [name, value] = pair.split('=');
+      const number = parseFloat(value);
+      if (!name || isNaN(number)) throw new Error(`--set needs <threshold>=<number>, got "${pair}"`);
+      overrides[name.trim()] = number;
+    });
+  });
+  return { file, overrides, dryRun: argv.includes('--dry-run') };
+}
+
+module.exports = {
+  HEURISTICS_PATH,
+  loadHeuristics,
+  withThresholds,
+  caseFacts,
+  evaluateRules,
+  heuristicFinding,
+  parseHeuristicArgs,
+};
@@ -0,0 +1,223 @@
+/**
+ * DNI Evidence Ledger & Adjudications
+ *
+ * Every finding about a DNI case, from every source adapter and from the
+ * heuristics, is kept in the ledger with where it came from (URL and, when
+ * replayed or recorded, the fixture file), the text it rests on, when it
+ * was retrieved and how confident the source is. Sources that disagree are
+ * flagged as conflicts rather than settled silently.
+ *
+ * A person can settle a case by recording an adjudication in
+ * data/raw/dni_adjudications.json: the reason, a justification and who
+ * decided. Adjudications are appended, never edited; the latest one for a
+ * case overrides every automated finding.
+ *
+ *   loadAdjudications(file)          → validated adjudication records
+ *   appendAdjudication(file, record) → validates and appends one record
+ *   buildLedger(cases, evidence, adjudications) → one entry per DNI case
+ *   resolveCase(evidence, adjudication) → { reason, source, confidence, evidence }
+ *   writeResolution(ledger)          → ledger, dni_resolved.csv and dni_resolution.json
+ *
+ * Without an adjudication a case takes its highest-confidence finding;
+ * ties go to the source consulted first (FIS, news, YouTube, heuristics).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DataValidationError, toCSV } = require('./scoring_data');
+const { caseKey } = require('./dni_sources');
+
+const ROOT = path.join(__dirname, '../..');
+const ADJUDICATIONS_PATH = path.join(ROOT, 'data/raw/dni_adjudications.json');
+const LEDGER_PATH = path.join(ROOT, 'results/dni_evidence.json');
+const RESOLVED_CSV_PATH = path.join(ROOT, 'data/processed/dni_resolved.csv');
+const RESOLUTION_JSON_PATH = path.join(ROOT, 'results/dni_resolution.json');
+
+const REASONS = ['crash', 'strategic_skip', 'unknown'];
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1, none: 0 };
+
+const RESOLVED_HEADERS = [
+  'event_id', 'competitor', 'country', 'position', 'run', 'trick_count',
+  'dni_reason', 'source', 'confidence', 'evidence', 'evidence_count', 'conflict',
+];
+
+// ── Adjudications ───────────────────────────────────────────────
+
+/** Problems with one adjudication record, as messages */
+function adjudicationIssues(record) {
+  const issues = [];
+  if (!record.event) issues.push('missing event');
+  if (!record.competitor) issues.push('missing competitor');
+  if (!Number.isInteger(record.run) || record.run < 1) issues.push(`run must be a positive integer, got ${JSON.stringify(record.run)}`);
+  if (!REASONS.includes(record.reason)) issues.push(`reason must be one of ${REASONS.join(', ')}, got ${JSON.stringify(record.reason)}`);
+  if (!record.justification || !String(record.justification).trim()) issues.push('missing justification');
+  if (!record.adjudicator) issues.push('missing adjudicator');
+  if (!record.decidedAt || isNaN(Date.parse(record.decidedAt))) issues.push('decidedAt must be an ISO date');
+  return issues;
+}
+
+/**
+ * Adjudication records from `file` (none when it doesn't exist). Each is
+ * { event, competitor, run, reason, justification, adjudicator, decidedAt,
+ * evidenceSeen }; `line` in a DataValidationError is the record's 1-based index.
+ */
+function loadAdjudications(file = ADJUDICATIONS_PATH) {
+  if (!fs.existsSync(file)) return [];
+  const records = JSON.parse(fs.readFileSync(file, 'utf8')).adjudications || [];
+  const issues = records.flatMap((record, i) => adjudicationIssues(record).map(message => ({ line: i + 1, message })));
+  if (issues.length > 0) throw new DataValidationError(file, issues);
+  return records;
+}
+
+/** Validate `record` and append it to `file`; returns every record */
+function appendAdjudication(file, record) {
+  const issues = adjudicationIssues(record);
+  if (issues.length > 0) throw new DataValidationError('adjudication', issues.map(message => ({ line: 1, message })));
+  const records = [...loadAdjudications(file), record];
+  fs.writeFileSync(file, JSON.stringify({
+    description: 'Manual DNI adjudications, oldest first. The latest record for a case overrides automated findings. Record new ones with scripts/adjudicate_dni.js.',
+    adjudications: records,
+  }, null, 2) + '\n');
+  return records;
+}
+
+/** Map case key → latest adjudication */
+function latestAdjudications(records) {
+  const latest = new Map();
+  records.forEach(r => latest.set(caseKey({ eventId: r.event, competitor: r.competitor, run: r.run }), r));
+  return latest;
+}
+
+// ── Ledger ──────────────────────────────────────────────────────
+
+/**
+ * Sources behind each reason when the evidence disagrees, e.g.
+ * { crash: ['NBC Olympics'], strategic_skip: ['heuristic: ...'] }; null
+ * when it agrees. 'unknown' findings never conflict.
+ */
+function conflictOf(evidence) {
+  const byReason = {};
+  evidence.filter(e => e.reason !== 'unknown').forEach(e => {
+    byReason[e.reason] = [...new Set([...(byReason[e.reason] || []), e.source])];
+  });
+  return Object.keys(byReason).length > 1 ? byReason : null;
+}
+
+/** "crash (NBC Olympics) vs strategic_skip (heuristic: ...)" */
+function describeConflict(conflict) {
+  return Object.entries(conflict).map(([reason, sources]) => `${reason} (${sources.join(', ')})`).join(' vs ');
+}
+
+/**
+ * The case's resolution: the adjudication when there is one, otherwise
+ * the highest-confidence finding (the first consulted on a tie)
+ */
+function resolveCase(evidence, adjudication = null) {
+  if (adjudication) {
+    return {
+      reason: adjudication.reason,
+      source: `adjudication: ${adjudication.adjudicator}, ${adjudication.decidedAt.slice(0, 10)}`,
+      confidence: 'adjudicated',
+      evidence: adjudication.justification,
+    };
+  }
+  if (evidence.length === 0) return { reason: 'unknown', source: 'no data found', confidence: 'none', evidence: '' };
+  const best = [...evidence].sort((a, b) => (CONFIDENCE_RANK[b.confidence] || 0) - (CONFIDENCE_RANK[a.confidence] || 0))[0];
+  return { reason: best.reason, source: best.source, confidence: best.confidence, evidence: best.quote || '' };
+}
+
+/**
+ * One entry per DNI case: { key, ...case, evidence, conflict,
+ * adjudication, resolved }. `evidence` is every entry from the adapters
+ * and heuristics, in the order the sources were consulted.
+ */
+function buildLedger(cases, evidence, adjudications = []) {
+  const latest = latestAdjudications(adjudications);
+  return cases.map(dniCase => {
+    const key = caseKey(dniCase);
+    const found = evidence.filter(e => e.key === key);
+    const adjudication = latest.get(key) || null;
+    return {
+      key,
+      ...dniCase,
+      evidence: found,
+      conflict: conflictOf(found),
+      adjudication,
+      resolved: resolveCase(found, adjudication),
+    };
+  });
+}
+
+/**
+ * Write the ledger (results/dni_evidence.json), dni_resolved.csv and the
+ * results/dni_resolution.json summary. `meta` carries the run's
+ * { events, sourceMode, partial, pagesRead, sourcesChecked, heuristics }
+ * into the JSON files.
+ */
+function writeResolution(ledger, meta) {
+  const timestamp = new Date().toISOString();
+  const summary = { crash: 0, strategic_skip: 0, unknown: 0 };
+  ledger.forEach(c => { summary[c.resolved.reason] = (summary[c.resolved.reason] || 0) + 1; });
+
+  fs.writeFileSync(LEDGER_PATH, JSON.stringify({
+    timestamp,
+    description: 'DNI evidence ledger: every finding from every source, conflicts and adjudications',
+    ...meta,
+    cases: ledger,
+  }, null, 2));
+
+  const rows = ledger.map(c => ({
+    event_id: c.eventId,
+    competitor: c.competitor,
+    country: c.country,
+    position: c.position,
+    run: c.run,
+    trick_count: c.trickCount,
+    dni_reason: c.resolved.reason,
+    source: c.resolved.source,
+    confidence: c.resolved.confidence,
+    evidence: c.resolved.evidence,
+    evidence_count: c.evidence.length,
+    conflict: c.conflict ? describeConflict(c.conflict) : '',
+  }));
+  fs.writeFileSync(RESOLVED_CSV_PATH, toCSV(RESOLVED_HEADERS, rows));
+
+  fs.writeFileSync(RESOLUTION_JSON_PATH, JSON.stringify({
+    timestamp,
+    description: 'DNI resolution: crash vs strategic skip determination',
+    events: meta.events,
+    totalCases: ledger.length,
+    summary,
+    conflicts: ledger.filter(c => c.conflict).length,
+    adjudicated: ledger.filter(c => c.adjudication).length,
+    sourcesChecked: meta.sourcesChecked,
+    sourceMode: meta.sourceMode,
+    partial: meta.partial,
+    heuristics: meta.heuristics,
+    pagesRead: meta.pagesRead,
+    cases: ledger.map(c => ({
+      eventId: c.eventId,
+      competitor: c.competitor,
+      country: c.country,
+      position: c.position,
+      run: c.run,
+      trickCount: c.trickCount,
+      ...c.resolved,
+      conflict: c.conflict,
+    })),
+  }, null, 2));
+
+  return { summary, paths: [LEDGER_PATH, RESOLVED_CSV_PATH, RESOLUTION_JSON_PATH].map(p => path.relative(ROOT, p)) };
+}
+
+module.exports = {
+  ADJUDICATIONS_PATH,
+  LEDGER_PATH,
+  REASONS,
+  loadAdjudications,
+  appendAdjudication,
+  buildLedger,
+  resolveCase,
+  describeConflict,
+  writeResolution,
+};
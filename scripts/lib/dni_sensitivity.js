@@ -0,0 +1,253 @@
+/**
+ * DNI Classification Sensitivity (Q1b)
+ *
+ * Unresolved DNIs enter the analyses as one fixed label: they neither end
+ * nor extend a crash streak and don't count as attempts. Here every
+ * unresolved case is labelled crash or strategic skip in turn, and the
+ * relief-bias and wipeout-rate numbers are recomputed for each assignment:
+ *
+ *   crashProbability(evidence, lean) → P(crash) for one case from its ledger evidence
+ *   checkWeighting()                 → labelled ledger cases vs the P(crash) they get
+ *   assignments(cases, options)      → every crash/skip labelling with its weight
+ *   assignmentOutcome(rounds, labels, options) → relief gap, run-order p, streak r, wipeout rates
+ *   dniSensitivity(rounds, cases, options)     → every outcome, their weighted range, and
+ *                                                how often each baseline conclusion holds
+ *
+ * `rounds` is one array per (event, round) of { key, round, position,
+ * status, score } in running order, `cases` the unresolved entries { key, label,
+ * pCrash }. An assignment's weight is the product of each case's
+ * probability for its label, so a case with no crash or skip finding
+ * (P = 0.5) weighs both labels alike. A case left open by an 'unknown'
+ * adjudication keeps the lean of the findings the adjudicator overrode.
+ * Past MAX_ENUMERATED assignments, labellings are drawn from those
+ * probabilities instead of enumerated.
+ */
+
+const { createRng } = require('./random');
+const { buildLedger } = require('./dni_ledger');
+const { annotateStreaks, reliefGap, streakCorrelation, runOrderNull } = require('./run_order');
+
+const MAX_ENUMERATED = 4096;
+const PERMUTATIONS = 1000;
+const ALPHA = 0.05;
+// P(crash) when the strongest leaning finding has this confidence
+const LEAN = { high: 0.9, medium: 0.75, low: 0.6 };
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+/**
+ * P(crash) from a case's ledger evidence, whatever the case resolved to:
+ * the crash and skip findings at the strongest confidence present set the
+ * lean, averaged when they disagree ('unknown' findings carry none). Only
+ * a case with no crash or skip finding at all gets 0.5.
+ */
+function crashProbability(evidence = [], lean = LEAN) {
+  const leaning = evidence.filter(e => (e.reason === 'crash' || e.reason === 'strategic_skip') && CONFIDENCE_RANK[e.confidence]);
+  if (leaning.length === 0) return 0.5;
+  const top = Math.max(...leaning.map(e => CONFIDENCE_RANK[e.confidence]));
+  const p = lean[Object.keys(CONFIDENCE_RANK).find(k => CONFIDENCE_RANK[k] === top)];
+  const strongest = leaning.filter(e => CONFIDENCE_RANK[e.confidence] === top);
+  return strongest.reduce((sum, e) => sum + (e.reason === 'crash' ? p : 1 - p), 0) / strongest.length;
+}
+
+/**
+ * Labelled cases run through the ledger (lib/dni_ledger.js) and
+ * crashProbability, as { passed, checks: [{ description, resolved,
+ * expected, found }] }. The first is a case an adjudicator left 'unknown'
+ * over a high-confidence crash finding: it stays unresolved but must not
+ * weigh both labels alike.
+ */
+function checkWeighting() {
+  const dniCase = { eventId: 'check', competitor: 'Check RIDER', run: 2 };
+  const finding = (reason, confidence) => ({ key: 'check/Check RIDER-R2', reason, confidence, source: 'check' });
+  const adjudication = {
+    event: 'check', competitor: 'Check RIDER', run: 2, reason: 'unknown',
+    justification: 'check', adjudicator: 'check', decidedAt: '2026-01-01T00:00:00Z',
+  };
+  const checks = [
+    {
+      description: "'unknown' adjudication over a high-confidence crash finding",
+      evidence: [finding('crash', 'high'), finding('unknown', 'low')],
+      adjudications: [adjudication],
+      expected: LEAN.high,
+    },
+    {
+      description: "'unknown' adjudication over a medium-confidence skip finding",
+      evidence: [finding('strategic_skip', 'medium'), finding('crash', 'low')],
+      adjudications: [adjudication],
+      expected: 1 - LEAN.medium,
+    },
+    {
+      description: 'only a low-confidence heuristic "unknown": no lean',
+      evidence: [finding('unknown', 'low')],
+      adjudications: [],
+      expected: 0.5,
+    },
+  ].map(check => {
+    const [entry] = buildLedger([dniCase], check.evidence, check.adjudications);
+    const found = crashProbability(entry.evidence);
+    return { description: check.description, resolved: entry.resolved.reason, expected: check.expected, found };
+  });
+  return { passed: checks.every(c => c.resolved === 'unknown' && Math.abs(c.found - c.expected) < 1e-9), checks };
+}
+
+/**
+ * Every crash/skip labelling of `cases` as { labels: Map key → status,
+ * weight } with weights summing to 1, or `draws` sampled labellings (equal
+ * weight) when there are more than MAX_ENUMERATED
+ */
+function assignments(cases, options = {}) {
+  const { draws = MAX_ENUMERATED, rng = createRng() } = options;
+  const total = 2 ** cases.length;
+  if (total <= MAX_ENUMERATED) {
+    return Array.from({ length: total }, (_, bits) => {
+      const labels = new Map();
+      let weight = 1;
+      cases.forEach((c, i) => {
+        const crash = (bits >> i) & 1;
+        labels.set(c.key, crash ? 'crash' : 'strategic_skip');
+        weight *= crash ? c.pCrash : 1 - c.pCrash;
+      });
+      return { labels, weight };
+    });
+  }
+  return Array.from({ length: draws }, () => ({
+    labels: new Map(cases.map(c => [c.key, rng() < c.pCrash ? 'crash' : 'strategic_skip'])),
+    weight: 1 / draws,
+  }));
+}
+
+/** Wipeout rate per round and overall: crashes / attempts, skips and unresolved DNIs not attempts */
+function wipeoutRates(rounds) {
+  const byRound = new Map();
+  rounds.forEach(seq => seq.forEach(e => {
+    if (!byRound.has(e.round)) byRound.set(e.round, { attempts: 0, crashes: 0 });
+    const r = byRound.get(e.round);
+    if (e.status === 'clean' || e.status === 'wipeout' || e.status === 'crash') r.attempts++;
+    if (e.status === 'wipeout' || e.status === 'crash') r.crashes++;
+  }));
+  const rate = r => (r.attempts > 0 ? r.crashes / r.attempts : null);
+  const all = [...byRound.values()].reduce((s, r) => ({ attempts: s.attempts + r.attempts, crashes: s.crashes + r.crashes }), { attempts: 0, crashes: 0 });
+  return {
+    byRound: Object.fromEntries([...byRound.entries()].sort((a, b) => a[0] - b[0]).map(([round, r]) => [round, { ...r, rate: rate(r) }])),
+    overall: { ...all, rate: rate(all) },
+  };
+}
+
+/**
+ * The Q1/Q2 relief numbers and wipeout rates with `labels` applied. The
+ * run-order p-value reuses `seed` for every assignment, so assignments
+ * differ only in their labels.
+ */
+function assignmentOutcome(rounds, labels, options = {}) {
+  const { iterations = PERMUTATIONS, seed, fixedPositions } = options;
+  const labelled = rounds.map(seq => seq.map(e => (labels.has(e.key) ? { ...e, status: labels.get(e.key) } : e)));
+  const annotated = labelled.map(annotateStreaks);
+  const clean = annotated.flat().filter(e => e.status === 'clean');
+  const gap = reliefGap(annotated);
+  const nullResult = gap === null ? null : runOrderNull(labelled, { iterations, fixedPositions, rng: createRng(seed) });
+  const rates = wipeoutRates(labelled);
+  return {
+    reliefGap: gap,
+    afterCrash: clean.filter(e => e.consecCrashesBefore >= 1).length,
+    afterNone: clean.filter(e => e.consecCrashesBefore === 0).length,
+    pRunOrder: nullResult ? nullResult.pTwoSided : null,
+    streakR: streakCorrelation(annotated),
+    wipeoutRate: rates.overall.rate,
+    wipeoutRateByRound: Object.fromEntries(Object.entries(rates.byRound).map(([round, r]) => [round, r.rate])),
+  };
+}
+
+/** Weighted min, max, mean and 5–95% range of one outcome across assignments */
+function weightedRange(values, weights) {
+  const pairs = values.map((v, i) => [v, weights[i]]).filter(([v]) => v !== null && Number.isFinite(v)).sort((a, b) => a[0] - b[0]);
+  if (pairs.length === 0) return null;
+  const total = pairs.reduce((s, [, w]) => s + w, 0);
+  const at = q => {
+    let cum = 0;
+    for (const [v, w] of pairs) {
+      cum += w / total;
+      if (cum >= q - 1e-12) return v;
+    }
+    return pairs[pairs.length - 1][0];
+  };
+  return {
+    min: pairs[0][0],
+    max: pairs[pairs.length - 1][0],
+    mean: pairs.reduce((s, [v, w]) => s + v * w, 0) / total,
+    q05: at(0.05),
+    q95: at(0.95),
+  };
+}
+
+/**
+ * Outcomes for every assignment, their weighted ranges, and for each
+ * baseline conclusion the weighted share of assignments where it still
+ * holds (`robust` when that share is 1). The baseline is `rounds` as
+ * given, unresolved cases unlabelled.
+ */
+function dniSensitivity(rounds, cases, options = {}) {
+  const { iterations = PERMUTATIONS, fixedPositions, rng = createRng() } = options;
+  const seed = rng.seed;
+  const baseline = assignmentOutcome(rounds, new Map(), { iterations, fixedPositions, seed });
+  const drawn = assignments(cases, { rng });
+  const outcomes = drawn.map(a => ({ ...a, outcome: assignmentOutcome(rounds, a.labels, { iterations, fixedPositions, seed }) }));
+  const weights = outcomes.map(o => o.weight);
+  const range = pick => weightedRange(outcomes.map(o => pick(o.outcome)), weights);
+  const share = test => outcomes.reduce((s, o) => s + (test(o.outcome) ? o.weight : 0), 0) / weights.reduce((a, b) => a + b, 0);
+
+  const roundsSeen = Object.keys(baseline.wipeoutRateByRound).map(Number);
+  const [first, last] = [roundsSeen[0], roundsSeen[roundsSeen.length - 1]];
+  const rise = o => (o.wipeoutRateByRound[last] ?? 0) - (o.wipeoutRateByRound[first] ?? 0);
+  const sign = v => (v === null ? null : Math.sign(v));
+  const conclusions = [
+    {
+      name: `relief gap is ${baseline.reliefGap >= 0 ? 'positive' : 'negative'}`,
+      holds: o => o.reliefGap !== null && sign(o.reliefGap) === sign(baseline.reliefGap),
+    },
+    {
+      name: `relief gap ${baseline.pRunOrder < ALPHA ? 'is' : 'is not'} significant under the run-order null (p < ${ALPHA})`,
+      holds: o => o.pRunOrder !== null && (o.pRunOrder < ALPHA) === (baseline.pRunOrder < ALPHA),
+    },
+    {
+      name: `streak-score correlation is ${baseline.streakR >= 0 ? 'positive' : 'negative'}`,
+      holds: o => o.streakR !== null && sign(o.streakR) === sign(baseline.streakR),
+    },
+    {
+      name: `wipeout rate ${rise(baseline) >= 0 ? 'rises' : 'falls'} from R${first} to R${last}`,
+      holds: o => sign(rise(o)) === sign(rise(baseline)),
+    },
+  ].map(c => {
+    const s = share(c.holds);
+    return { name: c.name, share: s, robust: s > 1 - 1e-9 };
+  });
+
+  return {
+    cases,
+    enumerated: 2 ** cases.length <= MAX_ENUMERATED,
+    assignments: outcomes.length,
+    baseline,
+    ranges: {
+      reliefGap: range(o => o.reliefGap),
+      pRunOrder: range(o => o.pRunOrder),
+      streakR: range(o => o.streakR),
+      wipeoutRate: range(o => o.wipeoutRate),
+      wipeoutRateByRound: Object.fromEntries(roundsSeen.map(r => [r, range(o => o.wipeoutRateByRound[r])])),
+    },
+    conclusions,
+    extremes: {
+      lowestGap: outcomes.reduce((a, b) => ((b.outcome.reliefGap ?? Infinity) < (a.outcome.reliefGap ?? Infinity) ? b : a)),
+      highestGap: outcomes.reduce((a, b) => ((b.outcome.reliefGap ?? -Infinity) > (a.outcome.reliefGap ?? -Infinity) ? b : a)),
+    },
+    iterations,
+    seed,
+  };
+}
+
+module.exports = {
+  LEAN,
+  crashProbability,
+  checkWeighting,
+  assignments,
+  assignmentOutcome,
+  dniSensitivity,
+};
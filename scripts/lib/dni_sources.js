@@ -0,0 +1,398 @@
+/**
+ * DNI Source Adapters
+ *
+ * Each outside source the DNI resolver consults is an adapter: the pages
+ * it reads and a parser that turns one page into findings for the DNI
+ * cases. Every page is tagged with the event it covers and is only parsed
+ * against that event's cases. Fetching is separate, so the same parsers
+ * run on live pages, on pages recorded earlier, or on saved check pages:
+ *
+ *   live      fetch every page (the default)
+ *   record    fetch every page and save it to the fixture store
+ *   offline   read pages from the fixture store only, never the network;
+ *             a page missing from the store stops the run (FixtureMissingError)
+ *             unless partial runs are allowed
+ *
+ * The store is data/raw/dni_sources/: one file per page plus index.json
+ * mapping each URL to its file and when it was recorded. Check pages live
+ * in data/raw/dni_sources/checks/, listed in manifest.json with the
+ * findings each adapter should return for them (see checkFixture).
+ *
+ *   caseKey(dniCase)                    → "<event>/<competitor>-R<run>"
+ *   ADAPTERS                            → [fis, news, youtube]
+ *   surname(dniCase)                    → the surname as the raw files print it
+ *   createFetcher({ mode, store })      → async (url, adapter) → { body, fixture, retrievedAt }
+ *   collectEvidence(adapter, cases, fetch, options) → { evidence, pages }
+ *   loadFixtureChecks(dir)              → manifest entries with their page bodies
+ *   checkFixture(check, cases)          → expected vs parsed findings for one page
+ *   parseSourceModeArg(argv)            → 'live', 'record' or 'offline'
+ *   uncheckedAdapters(checks)           → adapters with no check page recorded from their source
+ *
+ * A parser returns { key → { reason, source, confidence, quote } }, reason
+ * being 'crash' or 'strategic_skip' and quote the text it matched. Every
+ * finding becomes an evidence entry for the ledger (lib/dni_ledger.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+
+const STORE_DIR = path.join(__dirname, '../../data/raw/dni_sources');
+const CHECKS_DIR = path.join(STORE_DIR, 'checks');
+const USER_AGENT = 'Mozilla/5.0 (compatible; research-bot)';
+const TIMEOUT_MS = 10000;
+const QUOTE_LENGTH = 300;
+
+class FixtureMissingError extends Error {
+  constructor(url) {
+    super('not in the fixture store (run with --record to save it)');
+    this.name = 'FixtureMissingError';
+    this.url = url;
+  }
+}
+
+function caseKey(dniCase) {
+  return `${dniCase.eventId}/${dniCase.competitor}-R${dniCase.run}`;
+}
+
+/** The sentence around text[start, end), whitespace collapsed and capped at QUOTE_LENGTH */
+function sentenceAround(text, start, end) {
+  const from = text.lastIndexOf('.', start - 1) + 1;
+  const stop = text.indexOf('.', end);
+  const sentence = text.slice(from, stop === -1 ? text.length : stop + 1).replace(/\s+/g, ' ').trim();
+  return sentence.length > QUOTE_LENGTH ? `${sentence.slice(0, QUOTE_LENGTH - 1)}…` : sentence;
+}
+
+/** First match of any pattern as { index, end }, or null */
+function firstMatch(patterns, text) {
+  for (const pattern of patterns) {
+    const m = pattern.exec(text);
+    if (m) return { index: m.index, end: m.index + m[0].length };
+  }
+  return null;
+}
+
+/**
+ * The surname: the upper-case words at the end of the name, as the raw
+ * files print it ("Campbell MELVILLE IVES" → "MELVILLE IVES"), or the last
+ * word when none is upper case
+ */
+function surname(dniCase) {
+  const words = dniCase.competitor.trim().split(/\s+/);
+  const upper = [];
+  while (words.length > 1 && /[A-Z]/.test(words[words.length - 1]) && words[words.length - 1] === words[words.length - 1].toUpperCase()) {
+    upper.unshift(words.pop());
+  }
+  return upper.length > 0 ? upper.join(' ') : words.pop();
+}
+
+/** The surname as a whole-word pattern source, matching any case and spacing */
+function namePattern(dniCase) {
+  const escaped = surname(dniCase).split(' ').map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return `\\b${escaped.join('[\\s-]+')}\\b`;
+}
+
+// ── Adapters ────────────────────────────────────────────────────
+
+// A FIS status cell: the whole cell is the code or a fall note
+const FIS_STATUS = [
+  { pattern: /^DNS$/i, reason: 'strategic_skip' },
+  { pattern: /^(DNF|DSQ)$/i, reason: 'crash' },
+  { pattern: /^(fall|fell)$/i, reason: 'crash' },
+];
+
+function fisStatus(text) {
+  const cell = text.replace(/\s+/g, ' ').trim();
+  const status = FIS_STATUS.find(s => s.pattern.test(cell));
+  return status ? status.reason : null;
+}
+
+/**
+ * FIS results: run status codes in the athlete's row. Only a cell that
+ * holds nothing but a status counts: DNS reads as a skip; DNF, DSQ and a
+ * fall note as a crash. In a table with "Run N" columns the code in run N's
+ * cell applies to that run; a row without run columns applies its code to
+ * all of that rider's DNI cases.
+ */
+const fisAdapter = {
+  id: 'fis',
+  label: 'FIS results',
+  stopOnFindings: true,
+  pages: [
+    { url: 'https://www.fis-ski.com/DB/general/results.html?sectorcode=SB&raceid=2026HP001', source: 'FIS', event: 'milano-cortina-2026-mens-halfpipe' },
+    { url: 'https://live.fis-ski.com/sb-hp/2026/results', source: 'FIS live', event: 'milano-cortina-2026-mens-halfpipe' },
+  ],
+  parse(body, cases) {
+    const $ = cheerio.load(body);
+    const findings = {};
+    const rowFindings = (cells, runColumns) => {
+      const texts = cells.map(c => $(c).text().replace(/\s+/g, ' ').trim());
+      const quote = texts.filter(Boolean).join(' ').slice(0, QUOTE_LENGTH);
+      cases.forEach(dniCase => {
+        if (!texts.some(t => new RegExp(namePattern(dniCase), 'i').test(t))) return;
+        const statusCells = runColumns.has(dniCase.run) ? [texts[runColumns.get(dniCase.run)]]
+          : runColumns.size > 0 ? [] : texts;
+        const reasons = statusCells.map(fisStatus).filter(Boolean);
+        const reason = reasons.includes('crash') ? 'crash' : reasons[0];
+        if (reason) findings[caseKey(dniCase)] = { reason, quote };
+      });
+    };
+    $('table').each((_, table) => {
+      const rows = $(table).find('tr').toArray();
+      const runColumns = new Map();
+      $(rows[0]).find('th, td').each((i, cell) => {
+        const m = $(cell).text().trim().match(/^run\s*(\d+)$/i);
+        if (m) runColumns.set(parseInt(m[1]), i);
+      });
+      rows.forEach(tr => rowFindings($(tr).find('td, th').toArray(), runColumns));
+    });
+    $('.result-row, .athlete-result').each((_, el) => rowFindings($(el).children().toArray(), new Map()));
+    return Object.fromEntries(Object.entries(findings).map(([key, f]) => [key, { ...f, source: 'FIS results', confidence: 'high' }]));
+  },
+};
+
+/**
+ * Sports news: crash or skip wording within a sentence of the rider's
+ * surname, in the article body only (navigation and teasers are ignored)
+ */
+const newsAdapter = {
+  id: 'news',
+  label: 'sports news articles',
+  pages: [
+    { url: 'https://www.nbcolympics.com/news/snowboard-halfpipe-mens-final-results-2026', source: 'NBC Olympics', event: 'milano-cortina-2026-mens-halfpipe' },
+    { url: 'https://www.eurosport.com/snowboard/milano-cortina-2026/halfpipe-men-final', source: 'Eurosport', event: 'milano-cortina-2026-mens-halfpipe' },
+    { url: 'https://www.bbc.co.uk/sport/winter-olympics/2026/snowboard-halfpipe', source: 'BBC Sport', event: 'milano-cortina-2026-mens-halfpipe' },
+  ],
+  parse(body, cases, page) {
+    const $ = cheerio.load(body);
+    const bodyText = $('article, .article-body, .story-body, main').text();
+    const findings = {};
+    cases.forEach(dniCase => {
+      const name = namePattern(dniCase);
+      const crashPatterns = [
+        new RegExp(`${name}[^.]{0,100}(fell|crashed|wiped out|tumbled|bailed|went down)`, 'i'),
+        new RegExp(`(fell|crashed|wiped out|tumbled|bailed)([^.]{0,100})${name}`, 'i'),
+        new RegExp(`${name}[^.]{0,100}run ${dniCase.run}[^.]{0,100}(fell|crash|fall)`, 'i'),
+      ];
+      const skipPatterns = [
+        new RegExp(`${name}[^.]{0,100}(sat out|chose not|opted out|skipped|conserved|protected)`, 'i'),
+        new RegExp(`${name}[^.]{0,100}(already secured|safe|comfortable|did not need)`, 'i'),
+      ];
+      const crash = firstMatch(crashPatterns, bodyText);
+      const match = crash || firstMatch(skipPatterns, bodyText);
+      if (!match) return;
+      findings[caseKey(dniCase)] = {
+        reason: crash ? 'crash' : 'strategic_skip',
+        source: page.source,
+        confidence: 'medium',
+        quote: sentenceAround(bodyText, match.index, match.end),
+      };
+    });
+    return findings;
+  },
+};
+
+/**
+ * YouTube search results: a fall word within 200 characters of the
+ * rider's surname in the raw page. Titles and descriptions are embedded
+ * as JSON strings, so the page is not parsed as HTML and a match may not
+ * cross a quote: titles follow each other without a full stop between.
+ */
+const youtubeAdapter = {
+  id: 'youtube',
+  label: 'YouTube metadata',
+  pages: [
+    'men halfpipe final milano cortina 2026 highlights',
+    'snowboard halfpipe final 2026 olympics results',
+  ].map(query => ({
+    url: `https://www.youtube.com/results?search_query=${encodeURIComponent(query)}`,
+    source: 'YouTube',
+    event: 'milano-cortina-2026-mens-halfpipe',
+  })),
+  parse(body, cases) {
+    const findings = {};
+    cases.forEach(dniCase => {
+      const name = namePattern(dniCase);
+      const fallNearName = new RegExp(`${name}[^."]{0,200}(fell|crashed|fall|wipeout)`, 'i');
+      const nameNearFall = new RegExp(`(fell|crashed|fall|wipeout)[^."]{0,200}${name}`, 'i');
+      const match = firstMatch([fallNearName, nameNearFall], body);
+      if (match) {
+        const quote = body.slice(match.index, match.end).replace(/\s+/g, ' ').trim();
+        findings[caseKey(dniCase)] = { reason: 'crash', source: 'YouTube metadata', confidence: 'low', quote };
+      }
+    });
+    return findings;
+  },
+};
+
+const ADAPTERS = [fisAdapter, newsAdapter, youtubeAdapter];
+
+// ── Fixture store ───────────────────────────────────────────────
+
+/** Recorded pages keyed by URL, under `dir` with an index.json */
+class FixtureStore {
+  constructor(dir = STORE_DIR) {
+    this.dir = dir;
+    this.indexPath = path.join(dir, 'index.json');
+    this.index = fs.existsSync(this.indexPath)
+      ? JSON.parse(fs.readFileSync(this.indexPath, 'utf8')).pages
+      : [];
+  }
+
+  entry(url) {
+    return this.index.find(p => p.url === url) || null;
+  }
+
+  has(url) {
+    return this.entry(url) !== null;
+  }
+
+  read(url) {
+    const entry = this.entry(url);
+    if (!entry) throw new FixtureMissingError(url);
+    return fs.readFileSync(path.join(this.dir, entry.file), 'utf8');
+  }
+
+  write(url, body, adapter) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 12);
+    const entry = { url, adapter: adapter.id, file: `${adapter.id}-${hash}.html`, recordedAt: new Date().toISOString() };
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, entry.file), body);
+    this.index = [...this.index.filter(p => p.url !== url), entry].sort((a, b) => a.url.localeCompare(b.url));
+    fs.writeFileSync(this.indexPath, JSON.stringify({ pages: this.index }, null, 2) + '\n');
+    return entry;
+  }
+}
+
+/**
+ * Page fetcher for a source mode, resolving to { body, fixture, retrievedAt }:
+ * `fixture` is the store file the page came from or went to (null when
+ * live) and `retrievedAt` when it was fetched. Offline reads the store and
+ * throws FixtureMissingError for pages never recorded; record saves every
+ * page it fetches. axios is only loaded when the network is used.
+ */
+function createFetcher({ mode = 'live', store = new FixtureStore() } = {}) {
+  const storePath = file => path.relative(path.join(__dirname, '../..'), path.join(store.dir, file));
+  if (mode === 'offline') {
+    return async url => {
+      const body = store.read(url);
+      const entry = store.entry(url);
+      return { body, fixture: storePath(entry.file), retrievedAt: entry.recordedAt };
+    };
+  }
+  return async (url, adapter) => {
+    const axios = require('axios');
+    const response = await axios.get(url, { timeout: TIMEOUT_MS, headers: { 'User-Agent': USER_AGENT }, responseType: 'text' });
+    const body = String(response.data);
+    const retrievedAt = new Date().toISOString();
+    const entry = mode === 'record' ? store.write(url, body, adapter) : null;
+    return { body, fixture: entry ? storePath(entry.file) : null, retrievedAt: entry ? entry.recordedAt : retrievedAt };
+  };
+}
+
+/**
+ * Run one adapter over the pages for the events in `cases`, each parsed
+ * against its own event's cases only. Every finding on every page becomes
+ * an evidence entry { key, adapter, source, url, fixture, quote, reason,
+ * confidence, retrievedAt }. Pages that fail to load are reported in
+ * `pages` ({ url, source, event, ok, missing, error, found }, `missing`
+ * when the fixture store lacks the page) and skipped; `delay` ms passes
+ * between requests. Adapters with stopOnFindings stop at the first page
+ * that yields anything.
+ */
+async function collectEvidence(adapter, cases, fetchPage, options = {}) {
+  const { delay = 0 } = options;
+  const evidence = [];
+  const pages = [];
+  for (const page of adapter.pages) {
+    const pageCases = cases.filter(c => c.eventId === page.event);
+    if (pageCases.length === 0) continue;
+    try {
+      const { body, fixture, retrievedAt } = await fetchPage(page.url, adapter);
+      const parsed = Object.entries(adapter.parse(body, pageCases, page));
+      parsed.forEach(([key, f]) => evidence.push({
+        key,
+        adapter: adapter.id,
+        source: f.source,
+        url: page.url,
+        fixture,
+        quote: f.quote,
+        reason: f.reason,
+        confidence: f.confidence,
+        retrievedAt,
+      }));
+      pages.push({ ...page, ok: true, missing: false, error: null, found: parsed.length });
+      if (adapter.stopOnFindings && parsed.length > 0) break;
+    } catch (err) {
+      pages.push({ ...page, ok: false, missing: err instanceof FixtureMissingError, error: err.message, found: 0 });
+    }
+    if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+  }
+  return { evidence, pages };
+}
+
+// ── Fixture checks ──────────────────────────────────────────────
+
+/**
+ * Check pages from `dir`/manifest.json. Each entry is { file, adapter,
+ * event, synthetic, description, expected: [{ competitor, run, reason }] };
+ * `body` is added from the file.
+ */
+function loadFixtureChecks(dir = CHECKS_DIR) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+  return manifest.checks.map(check => {
+    const adapter = ADAPTERS.find(a => a.id === check.adapter);
+    if (!adapter) throw new Error(`${check.file}: unknown adapter "${check.adapter}"`);
+    return { ...check, body: fs.readFileSync(path.join(dir, check.file), 'utf8') };
+  });
+}
+
+/**
+ * Parse a check page with its adapter against `cases`, keeping only the
+ * check's event's cases, and compare with the labels. Passes only when the parser finds
+ * exactly the expected cases with the expected reasons.
+ */
+function checkFixture(check, cases) {
+  const adapter = ADAPTERS.find(a => a.id === check.adapter);
+  const page = { url: `fixture:${check.file}`, source: check.source || adapter.label };
+  const parsed = adapter.parse(check.body, cases.filter(c => c.eventId === check.event), page);
+  const expected = Object.fromEntries(check.expected.map(e => [caseKey({ eventId: check.event, ...e }), e.reason]));
+  const keys = [...new Set([...Object.keys(expected), ...Object.keys(parsed)])].sort();
+  const mismatches = keys
+    .map(key => ({ key, expected: expected[key] || null, found: parsed[key] ? parsed[key].reason : null }))
+    .filter(m => m.expected !== m.found);
+  return { passed: mismatches.length === 0, found: Object.keys(parsed).length, expected: Object.keys(expected).length, mismatches };
+}
+
+/**
+ * Adapters without a check page recorded from their real source (every
+ * page for them synthetic), whose parsers are only tested on made-up markup
+ */
+function uncheckedAdapters(checks) {
+  return ADAPTERS.filter(a => !checks.some(c => c.adapter === a.id && !c.synthetic));
+}
+
+/** --offline or --record (not both); live when neither is given */
+function parseSourceModeArg(argv = process.argv.slice(2)) {
+  const offline = argv.includes('--offline');
+  const record = argv.includes('--record');
+  if (offline && record) throw new Error('--offline and --record cannot be combined');
+  return offline ? 'offline' : record ? 'record' : 'live';
+}
+
+module.exports = {
+  STORE_DIR,
+  CHECKS_DIR,
+  FixtureMissingError,
+  ADAPTERS,
+  FixtureStore,
+  caseKey,
+  createFetcher,
+  collectEvidence,
+  loadFixtureChecks,
+  checkFixture,
+  parseSourceModeArg,
+  surname,
+  uncheckedAdapters,
+};
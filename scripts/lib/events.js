@@ -0,0 +1,302 @@
+/**
+ * Event Registry
+ *
+ * data/raw/events.json lists every competition we have data for. Each
+ * event's raw files live in their own directory, data/raw/<event-id>/:
+ *
+ *   individual-judge-scores.csv   one row per performance
+ *   overview.csv                  one row per finalist
+ *   judges-metadata.csv           one row per panel judge
+ *
+ * Scripts choose events on the command line:
+ *
+ *   --event <id>          a single event
+ *   --events <id,id,...>  several events, pooled
+ *   --all-events          every registered event, pooled
+ *
+ * With no flag the registry's defaultEvent is used.
+ *
+ * Each event may name its panel aggregation rule (see lib/aggregation.js);
+ * events without one use the Olympic drop-high-and-low trimmed mean.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  DataValidationError,
+  loadJudgeScores,
+  loadOverview,
+  loadJudges,
+} = require('./scoring_data');
+const { DEFAULT_AGGREGATION, PanelAggregator } = require('./aggregation');
+const { attributeExclusions } = require('./exclusions');
+
+const RAW_DIR = path.join(__dirname, '../../data/raw');
+const REGISTRY_PATH = path.join(RAW_DIR, 'events.json');
+
+class Event {
+  constructor({ id, name, date, discipline, gender, location, judgePanelSize, runCount, source, aggregation }, rawDir = RAW_DIR) {
+    this.id = id;
+    this.name = name || id;
+    this.date = date;
+    this.discipline = discipline;
+    this.gender = gender;
+    this.location = location || '';
+    this.judgePanelSize = judgePanelSize;
+    this.runCount = runCount;
+    this.source = source || '';
+    this.aggregation = new PanelAggregator(aggregation || DEFAULT_AGGREGATION);
+    this.dir = path.join(rawDir, id);
+  }
+
+  get scoresPath() { return path.join(this.dir, 'individual-judge-scores.csv'); }
+  get overviewPath() { return path.join(this.dir, 'overview.csv'); }
+  get judgesPath() { return path.join(this.dir, 'judges-metadata.csv'); }
+
+  /** Round numbers, 1..runCount */
+  rounds() {
+    return Array.from({ length: this.runCount }, (_, i) => i + 1);
+  }
+}
+
+/**
+ * Runs, competitors and judges for one or more events. Every record carries
+ * its eventId. When several events are pooled, judges are identified by
+ * name so the same person on two panels counts once; for a single event
+ * the panel number is used, as in the published results.
+ */
+class Dataset {
+  constructor(eventData) {
+    this.events = eventData.map(d => d.event);
+    this.runs = eventData.flatMap(d => d.runs);
+    this.competitors = eventData.flatMap(d => d.competitors);
+    this.judgesByEvent = Object.fromEntries(eventData.map(d => [d.event.id, d.judges]));
+  }
+
+  get isPooled() { return this.events.length > 1; }
+
+  get eventIds() { return this.events.map(e => e.id); }
+
+  /** Keep rows of a processed CSV (with an event_id column) that belong to this dataset */
+  filterRows(rows) {
+    const ids = new Set(this.eventIds);
+    return rows.filter(row => ids.has(row.event_id));
+  }
+
+  event(eventId) {
+    return this.events.find(e => e.id === eventId);
+  }
+
+  /** The only event in the dataset; reports that describe one final use this */
+  single() {
+    if (this.isPooled) {
+      throw new Error(`This script covers one event at a time (got ${this.events.length}); pass --event <id>`);
+    }
+    return this.events[0];
+  }
+
+  judge(eventId, number) {
+    return this.judgesByEvent[eventId]?.[number];
+  }
+
+  /** Judges of one event keyed by panel number */
+  judgesFor(eventId) {
+    return this.judgesByEvent[eventId] || {};
+  }
+
+  judgeKey(eventId, number) {
+    if (!this.isPooled) return number;
+    return this.judge(eventId, number)?.name || `${eventId}#${number}`;
+  }
+
+  /**
+   * Distinct judges across the selected events, in panel order:
+   * [{ key, number, name, countryCode, label }]. `number` is null when a
+   * pooled judge sat in different seats at different events.
+   */
+  panel() {
+    const byKey = new Map();
+    this.events.forEach(event => {
+      Object.values(this.judgesFor(event.id))
+        .sort((a, b) => a.number - b.number)
+        .forEach(j => {
+          const key = this.judgeKey(event.id, j.number);
+          const existing = byKey.get(key);
+          if (existing) {
+            if (existing.number !== j.number) existing.number = null;
+            return;
+          }
+          byKey.set(key, {
+            key,
+            number: j.number,
+            name: j.name,
+            countryCode: j.countryCode,
+            label: this.isPooled ? j.name : `J${j.number}`,
+          });
+        });
+    });
+    return [...byKey.values()];
+  }
+
+  /** [{ event, round }] for every round of every selected event */
+  rounds() {
+    return this.events.flatMap(event => event.rounds().map(round => ({ event, round })));
+  }
+
+  /** Runs of one round in performance order */
+  roundRuns(eventId, round) {
+    return this.runs
+      .filter(r => r.eventId === eventId && r.run === round)
+      .sort((a, b) => a.position - b.position);
+  }
+
+  competitor(eventId, name) {
+    return this.competitors.find(c => c.eventId === eventId && c.name === name);
+  }
+
+  /**
+   * Apply the run's event aggregation rule. Returns { score, ruleScore,
+   * counted, excluded, override } or null (see PanelAggregator.apply).
+   */
+  aggregate(run) {
+    return this.event(run.eventId).aggregation.apply(run);
+  }
+
+  /**
+   * Which judges the run's score dropped, from the notes or, failing that,
+   * the marks with ties sharing credit (see lib/exclusions.js)
+   */
+  exclusions(run) {
+    return attributeExclusions(run, this.event(run.eventId).aggregation);
+  }
+
+  /** Number of finalists in an event */
+  fieldSize(eventId) {
+    const listed = this.competitors.filter(c => c.eventId === eventId).length;
+    return listed || Math.max(0, ...this.runs.filter(r => r.eventId === eventId).map(r => r.position));
+  }
+
+  describe() {
+    if (!this.isPooled) return this.events[0].name;
+    return `${this.events.length} events pooled (${this.events.map(e => e.id).join(', ')})`;
+  }
+}
+
+/**
+ * Read the registry. Returns { defaultEvent, events: Event[] }.
+ */
+function loadRegistry(registryPath = REGISTRY_PATH) {
+  const raw = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  const rawDir = path.dirname(registryPath);
+  const issues = [];
+  const seen = new Set();
+
+  const events = (raw.events || []).map((entry, i) => {
+    ['id', 'date', 'discipline', 'gender', 'judgePanelSize', 'runCount'].forEach(field => {
+      if (entry[field] === undefined || entry[field] === '') {
+        issues.push({ line: i + 1, message: `event ${entry.id || i + 1}: missing "${field}"` });
+      }
+    });
+    if (seen.has(entry.id)) issues.push({ line: i + 1, message: `duplicate event id "${entry.id}"` });
+    seen.add(entry.id);
+    try {
+      const event = new Event(entry, rawDir);
+      event.aggregation.validate(entry.judgePanelSize).forEach(message => {
+        issues.push({ line: i + 1, message: `event ${entry.id}: ${message}` });
+      });
+      return event;
+    } catch (err) {
+      issues.push({ line: i + 1, message: `event ${entry.id}: ${err.message}` });
+      return null;
+    }
+  });
+
+  if (events.length === 0) issues.push({ line: 1, message: 'no events registered' });
+  if (raw.defaultEvent && !seen.has(raw.defaultEvent)) {
+    issues.push({ line: 1, message: `defaultEvent "${raw.defaultEvent}" is not registered` });
+  }
+  if (issues.length > 0) throw new DataValidationError(registryPath, issues);
+
+  return { defaultEvent: raw.defaultEvent || events[0].id, events };
+}
+
+/**
+ * Event ids requested on the command line, or null when none were given.
+ */
+function parseEventArgs(argv = process.argv.slice(2)) {
+  if (argv.includes('--all-events')) return 'all';
+  const ids = [];
+  argv.forEach((arg, i) => {
+    if (arg === '--event' || arg === '--events') {
+      ids.push(...(argv[i + 1] || '').split(','));
+    } else if (arg.startsWith('--event=') || arg.startsWith('--events=')) {
+      ids.push(...arg.split('=')[1].split(','));
+    }
+  });
+  const clean = ids.map(id => id.trim()).filter(Boolean);
+  return clean.length > 0 ? clean : null;
+}
+
+function selectEvents(argv = process.argv.slice(2), registry = loadRegistry()) {
+  const requested = parseEventArgs(argv);
+  if (requested === 'all') return registry.events;
+
+  const ids = requested ? [...new Set(requested)] : [registry.defaultEvent];
+  return ids.map(id => {
+    const event = registry.events.find(e => e.id === id);
+    if (!event) {
+      throw new Error(`Unknown event "${id}". Registered: ${registry.events.map(e => e.id).join(', ')}`);
+    }
+    return event;
+  });
+}
+
+/**
+ * Load one event's raw files and check them against the registry entry.
+ */
+function loadEvent(event) {
+  const runs = loadJudgeScores(event.scoresPath, { eventId: event.id });
+  const competitors = fs.existsSync(event.overviewPath)
+    ? loadOverview(event.overviewPath, { eventId: event.id })
+    : [];
+  const judges = loadJudges(event.judgesPath, { eventId: event.id });
+
+  const panelSize = Object.keys(judges).length;
+  if (panelSize !== event.judgePanelSize) {
+    throw new DataValidationError(event.judgesPath, [
+      { line: 1, message: `${panelSize} judges listed, registry says ${event.judgePanelSize}` },
+    ]);
+  }
+
+  const issues = [];
+  if (runs.length > 0 && runs[0].judgeScores.length !== event.judgePanelSize) {
+    issues.push({ line: 1, message: `${runs[0].judgeScores.length} judge columns, registry says ${event.judgePanelSize}` });
+  }
+  runs.forEach(r => {
+    if (r.run < 1 || r.run > event.runCount) {
+      issues.push({ line: r.line, message: `run ${r.run} outside 1..${event.runCount}` });
+    }
+  });
+  if (issues.length > 0) throw new DataValidationError(event.scoresPath, issues);
+
+  return { event, runs, competitors, judges };
+}
+
+/**
+ * Load the events selected by argv (see parseEventArgs) as one Dataset.
+ */
+function loadDataset(argv = process.argv.slice(2), registry = loadRegistry()) {
+  return new Dataset(selectEvents(argv, registry).map(loadEvent));
+}
+
+module.exports = {
+  RAW_DIR,
+  REGISTRY_PATH,
+  Event,
+  Dataset,
+  loadRegistry,
+  parseEventArgs,
+  selectEvents,
+  loadEvent,
+  loadDataset,
+};
@@ -0,0 +1,158 @@
+/**
+ * Excluded-Judge Attribution
+ *
+ * Which judges a trimmed score dropped. The published results say so in the
+ * run's notes ("Judge 1 and 6 excluded"); when they don't, the marks decide,
+ * and tied marks share the exclusion: if three judges tie for the lowest
+ * mark and one is dropped, each gets a third of a low exclusion.
+ *
+ *   attributeExclusions(run, aggregator) → {
+ *     source: 'notes' | 'scores' | 'notes+scores',
+ *     excluded: [{ judge, reason: 'low' | 'high', credit }],
+ *     disagreements: [message],   // where the notes and the marks conflict
+ *   }
+ *   tallyExclusions(attributions, keyOf) → Map judge key → { high, low, runs }
+ *
+ * How many judges are dropped on each side comes from the event's
+ * aggregation rule (lib/aggregation.js); credits on a side sum to that
+ * count. When the notes name judges the marks can't have dropped, the notes
+ * are still used — they are the official record — and the conflict is
+ * reported.
+ */
+
+const EPS = 1e-9;
+
+/** Judge numbers named in a notes string ("Judge 2 excluded", "Judges 1, 3 and 6 excluded"), or null */
+function parseExclusionNotes(notes) {
+  const match = (notes || '').match(/Judges?\s+((?:\d+(?:\s*,\s*|\s+and\s+|\s*&\s*)?)+)\s*excluded/i);
+  if (!match) return null;
+  return [...match[1].matchAll(/\d+/g)].map(m => parseInt(m[0]));
+}
+
+/**
+ * Spread `slots` exclusions over the marks at one end of `marks` (sorted
+ * ascending for lows, descending for highs): marks strictly beyond the
+ * boundary mark get full credit, marks tied with it share what's left
+ */
+function shareSide(marks, slots, reason) {
+  if (slots <= 0 || marks.length === 0) return [];
+  const boundary = marks[Math.min(slots, marks.length) - 1].score;
+  const beyond = marks.filter(m => (reason === 'low' ? m.score < boundary - EPS : m.score > boundary + EPS));
+  const tied = marks.filter(m => Math.abs(m.score - boundary) <= EPS);
+  const share = (slots - beyond.length) / tied.length;
+  return [
+    ...beyond.map(m => ({ judge: m.judge, reason, credit: 1 })),
+    ...tied.map(m => ({ judge: m.judge, reason, credit: share })),
+  ];
+}
+
+/** Fractional attribution from the marks alone */
+function fromScores(marks, lowSlots, highSlots) {
+  const ascending = [...marks].sort((a, b) => a.score - b.score);
+  const descending = [...ascending].reverse();
+  return [...shareSide(ascending, lowSlots, 'low'), ...shareSide(descending, highSlots, 'high')];
+}
+
+/**
+ * Excluded judges for one run under `aggregator` (a PanelAggregator).
+ * Returns null for DNI runs and panels the rule can't score.
+ */
+function attributeExclusions(run, aggregator) {
+  const result = aggregator.rule.apply(run.judgeScores);
+  if (!result) return null;
+  const marks = run.judgeScores.filter(j => j.score !== null && j.score !== undefined);
+  const lowSlots = result.excluded.filter(e => e.reason === 'low').length;
+  const highSlots = result.excluded.filter(e => e.reason === 'high').length;
+  const byScores = fromScores(marks, lowSlots, highSlots);
+
+  const noted = parseExclusionNotes(run.notes);
+  if (!noted) return { source: 'scores', excluded: byScores, disagreements: [] };
+
+  const disagreements = [];
+  const notedMarks = noted.map(judge => {
+    const mark = marks.find(m => m.judge === judge);
+    if (!mark) disagreements.push(`notes exclude Judge ${judge}, who has no mark`);
+    return mark;
+  }).filter(Boolean);
+
+  const ordered = [...notedMarks].sort((x, y) => x.score - y.score || x.judge - y.judge);
+  const counted = marks.filter(m => !notedMarks.includes(m));
+  let notedLows = [];
+  let notedHighs = [];
+  if (ordered.length >= lowSlots + highSlots) {
+    // A full list: the lowest noted marks are the lows, the next the highs
+    notedLows = ordered.slice(0, lowSlots);
+    notedHighs = ordered.slice(lowSlots, lowSlots + highSlots);
+  } else {
+    // A partial list: each noted mark goes to the side the counted marks allow
+    const sorted = marks.map(m => m.score).sort((x, y) => x - y);
+    const median = (sorted[Math.floor((sorted.length - 1) / 2)] + sorted[Math.ceil((sorted.length - 1) / 2)]) / 2;
+    ordered.forEach(m => {
+      const canLow = !counted.some(c => c.score < m.score - EPS);
+      const canHigh = !counted.some(c => c.score > m.score + EPS);
+      const preferLow = canLow !== canHigh ? canLow : m.score < median;
+      if (preferLow && notedLows.length < lowSlots) notedLows.push(m);
+      else if (notedHighs.length < highSlots) notedHighs.push(m);
+      else notedLows.push(m);
+    });
+  }
+  if (notedMarks.length !== lowSlots + highSlots) {
+    disagreements.push(`notes name ${notedMarks.length} excluded judge(s), the rule drops ${lowSlots + highSlots}`);
+  }
+
+  notedLows.forEach(m => {
+    const above = counted.filter(c => c.score < m.score - EPS);
+    if (above.length > 0) disagreements.push(`Judge ${m.judge} excluded as low (${m.score}) but Judge ${above[0].judge} counted ${above[0].score}`);
+  });
+  notedHighs.forEach(m => {
+    const below = counted.filter(c => c.score > m.score + EPS);
+    if (below.length > 0) disagreements.push(`Judge ${m.judge} excluded as high (${m.score}) but Judge ${below[0].judge} counted ${below[0].score}`);
+  });
+
+  // Any slot the notes leave open is shared among the remaining marks
+  const open = fromScores(counted, lowSlots - notedLows.length, highSlots - notedHighs.length);
+  return {
+    source: open.length > 0 ? 'notes+scores' : 'notes',
+    excluded: [
+      ...notedLows.map(m => ({ judge: m.judge, reason: 'low', credit: 1 })),
+      ...notedHighs.map(m => ({ judge: m.judge, reason: 'high', credit: 1 })),
+      ...open,
+    ],
+    disagreements,
+  };
+}
+
+/** Exclusion credit for one judge on one run: { high, low } */
+function creditFor(attribution, judge) {
+  const credit = { high: 0, low: 0 };
+  (attribution?.excluded || []).filter(e => e.judge === judge).forEach(e => { credit[e.reason] += e.credit; });
+  return credit;
+}
+
+/**
+ * Per-judge totals over [{ run, attribution }]; `keyOf(run, judgeNumber)`
+ * names the judge (default: panel number)
+ */
+function tallyExclusions(entries, keyOf = (run, judge) => judge) {
+  const tally = new Map();
+  entries.forEach(({ run, attribution }) => {
+    if (!attribution) return;
+    run.judgeScores.filter(j => j.score !== null && j.score !== undefined).forEach(j => {
+      const key = keyOf(run, j.judge);
+      if (!tally.has(key)) tally.set(key, { high: 0, low: 0, runs: 0 });
+      const t = tally.get(key);
+      const credit = creditFor(attribution, j.judge);
+      t.high += credit.high;
+      t.low += credit.low;
+      t.runs++;
+    });
+  });
+  return tally;
+}
+
+module.exports = {
+  parseExclusionNotes,
+  attributeExclusions,
+  creditFor,
+  tallyExclusions,
+};
@@ -0,0 +1,237 @@
+/**
+ * Home Bias
+ *
+ * Does a judge mark athletes from their own country, or from a country in
+ * the same bloc, above what the rest of the panel gives them? Following
+ * Zitzewitz (2006), each mark is compared with the mean of the *other*
+ * judges on the same run:
+ *
+ *   deviation[run, judge] = score − mean(other judges' marks on that run)
+ *
+ * and a judge's compatriot deviations are set against that judge's own
+ * deviations on unrelated athletes (the within-judge control), so a judge
+ * who is generous to everyone doesn't look nationalistic.
+ *
+ *   markDeviations(runs, options)       → one observation per mark
+ *   relationPairs(observations)         → every home / bloc judge × athlete-nation pair
+ *   withinJudgeFit(observations)        → pooled home and bloc effects with judge fixed effects
+ *   homeBias(observations, options)     → pairs, pooled fit, permutation p-values
+ *
+ * Blocs (config/country_blocs.json, or --blocs <path>) group countries; a
+ * judge and an athlete from different countries in one bloc are a "bloc"
+ * pair. With several events loaded, judges are keyed across events
+ * (Dataset.judgeKey), so their pairs and controls pool.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DataValidationError } = require('./scoring_data');
+const { createRng } = require('./random');
+
+const BLOCS_PATH = path.join(__dirname, '../../config/country_blocs.json');
+const PERMUTATIONS = 2000;
+const EPS = 1e-9;
+
+const sum = xs => xs.reduce((a, b) => a + b, 0);
+const mean = xs => (xs.length > 0 ? sum(xs) / xs.length : null);
+
+/** Read and check a bloc file: { name, description, blocs: { bloc: [country, ...] } } */
+function loadCountryBlocs(file) {
+  file = file ? path.resolve(file) : BLOCS_PATH;
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const issues = [];
+  const blocOf = new Map();
+  if (!raw.blocs || typeof raw.blocs !== 'object') issues.push({ line: 1, message: 'missing "blocs"' });
+  Object.entries(raw.blocs || {}).forEach(([bloc, countries]) => {
+    if (!Array.isArray(countries)) {
+      issues.push({ line: 1, message: `bloc "${bloc}" must list country codes` });
+      return;
+    }
+    countries.forEach(code => {
+      if (!/^[A-Z]{3}$/.test(code)) issues.push({ line: 1, message: `bloc "${bloc}" has invalid country code "${code}"` });
+      else if (blocOf.has(code)) issues.push({ line: 1, message: `${code} is in both "${blocOf.get(code)}" and "${bloc}"` });
+      else blocOf.set(code, bloc);
+    });
+  });
+  if (issues.length > 0) throw new DataValidationError(file, issues);
+  return { name: raw.name || path.basename(file, '.json'), description: raw.description || '', file, blocs: raw.blocs, blocOf };
+}
+
+/** 'home', 'bloc' or 'none' for a judge's country against an athlete's */
+function nationRelation(judgeNation, athleteNation, blocs) {
+  if (!judgeNation || !athleteNation) return { relation: 'none', bloc: null };
+  if (judgeNation === athleteNation) return { relation: 'home', bloc: null };
+  const bloc = blocs?.blocOf.get(judgeNation);
+  if (bloc && bloc === blocs.blocOf.get(athleteNation)) return { relation: 'bloc', bloc };
+  return { relation: 'none', bloc: null };
+}
+
+/**
+ * One observation per mark on runs with at least three marks:
+ * { run, eventId, athlete, athleteNation, judge, judgeNation, relation, bloc, deviation }.
+ * `keyOf(run, judgeNumber)` names the judge, `nationOf(run, judgeNumber)` gives their country.
+ */
+function markDeviations(runs, { keyOf = (run, n) => n, nationOf = (run, n) => null, blocs = null } = {}) {
+  return runs.filter(run => run.isScored).flatMap(run => {
+    const marks = run.scoredJudges();
+    if (marks.length < 3) return [];
+    const total = sum(marks.map(j => j.score));
+    return marks.map(j => {
+      const judgeNation = nationOf(run, j.judge) || j.country;
+      return {
+        run: run.key,
+        eventId: run.eventId,
+        athlete: run.competitor,
+        athleteNation: run.country,
+        judge: keyOf(run, j.judge),
+        judgeNation,
+        ...nationRelation(judgeNation, run.country, blocs),
+        deviation: j.score - (total - j.score) / (marks.length - 1),
+      };
+    });
+  });
+}
+
+/**
+ * Every judge × athlete-nation pair that is home or bloc, with the judge's
+ * deviations on those athletes and on unrelated athletes (the control)
+ */
+function relationPairs(observations) {
+  const byJudge = new Map();
+  observations.forEach(o => {
+    if (!byJudge.has(o.judge)) byJudge.set(o.judge, []);
+    byJudge.get(o.judge).push(o);
+  });
+
+  const pairs = [];
+  byJudge.forEach((obs, judge) => {
+    const controls = obs.filter(o => o.relation === 'none').map(o => o.deviation);
+    const nations = [...new Set(obs.filter(o => o.relation !== 'none').map(o => o.athleteNation))];
+    nations.forEach(nation => {
+      const related = obs.filter(o => o.athleteNation === nation);
+      const deviations = related.map(o => o.deviation);
+      const pairMean = mean(deviations);
+      const controlMean = mean(controls);
+      pairs.push({
+        judge,
+        judgeNation: related[0].judgeNation,
+        athleteNation: nation,
+        relation: related[0].relation,
+        bloc: related[0].bloc,
+        athletes: [...new Set(related.map(o => o.athlete))],
+        n: deviations.length,
+        mean: pairMean,
+        controlMean,
+        controlN: controls.length,
+        effect: controlMean === null ? null : pairMean - controlMean,
+        deviations,
+        controls,
+      });
+    });
+  });
+  return pairs.sort((a, b) => (a.relation === b.relation ? 0 : a.relation === 'home' ? -1 : 1) || String(a.judge).localeCompare(String(b.judge)));
+}
+
+/**
+ * deviation = judge effect + home·[same country] + bloc·[same bloc] + e,
+ * fitted within judges (judge means removed). A coefficient is null when
+ * no judge has both related and unrelated athletes of that kind.
+ */
+function withinJudgeFit(observations) {
+  const groups = new Map();
+  observations.forEach(o => {
+    if (!groups.has(o.judge)) groups.set(o.judge, []);
+    groups.get(o.judge).push(o);
+  });
+  let shh = 0, sbb = 0, shb = 0, shd = 0, sbd = 0;
+  groups.forEach(obs => {
+    const h = obs.map(o => (o.relation === 'home' ? 1 : 0));
+    const b = obs.map(o => (o.relation === 'bloc' ? 1 : 0));
+    const d = obs.map(o => o.deviation);
+    const [mh, mb, md] = [mean(h), mean(b), mean(d)];
+    obs.forEach((_, i) => {
+      const [hi, bi, di] = [h[i] - mh, b[i] - mb, d[i] - md];
+      shh += hi * hi;
+      sbb += bi * bi;
+      shb += hi * bi;
+      shd += hi * di;
+      sbd += bi * di;
+    });
+  });
+
+  const hasHome = shh > EPS;
+  const hasBloc = sbb > EPS;
+  const det = shh * sbb - shb * shb;
+  if (hasHome && hasBloc && det > EPS) {
+    return { home: (sbb * shd - shb * sbd) / det, bloc: (shh * sbd - shb * shd) / det };
+  }
+  return { home: hasHome ? shd / shh : null, bloc: hasBloc ? sbd / sbb : null };
+}
+
+/**
+ * Pairs, the pooled within-judge fit and permutation p-values. The null
+ * shuffles athletes' nationalities among the athletes of each event (every
+ * run of an athlete moves together), so panels and run quality stay fixed.
+ */
+function homeBias(observations, options = {}) {
+  const { blocs = null, iterations = PERMUTATIONS, rng = createRng() } = options;
+  const fit = withinJudgeFit(observations);
+  const counts = { home: 0, bloc: 0 };
+  const valid = { home: 0, bloc: 0 };
+
+  const athletes = new Map();
+  observations.forEach(o => {
+    if (!athletes.has(o.eventId)) athletes.set(o.eventId, new Map());
+    athletes.get(o.eventId).set(o.athlete, o.athleteNation);
+  });
+  for (let i = 0; i < iterations; i++) {
+    const shuffled = new Map();
+    athletes.forEach((nations, eventId) => {
+      const names = [...nations.keys()];
+      const drawn = rng.shuffle([...nations.values()]);
+      shuffled.set(eventId, new Map(names.map((name, k) => [name, drawn[k]])));
+    });
+    const permuted = withinJudgeFit(observations.map(o => ({
+      ...o,
+      ...nationRelation(o.judgeNation, shuffled.get(o.eventId).get(o.athlete), blocs),
+    })));
+    ['home', 'bloc'].forEach(kind => {
+      if (fit[kind] === null || permuted[kind] === null) return;
+      valid[kind]++;
+      if (Math.abs(permuted[kind]) >= Math.abs(fit[kind]) - EPS) counts[kind]++;
+    });
+  }
+
+  const pooled = kind => ({
+    effect: fit[kind],
+    n: observations.filter(o => o.relation === kind).length,
+    p: fit[kind] === null || valid[kind] === 0 ? null : (counts[kind] + 1) / (valid[kind] + 1),
+    permutations: valid[kind],
+  });
+  return {
+    pairs: relationPairs(observations),
+    pooled: { home: pooled('home'), bloc: pooled('bloc') },
+    judges: [...new Set(observations.map(o => o.judge))].length,
+    seed: rng.seed,
+  };
+}
+
+/** Value of --blocs <path> / --blocs=<path>, or null for the default file */
+function parseBlocsArg(argv = process.argv.slice(2)) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--blocs') return argv[i + 1] || null;
+    if (argv[i].startsWith('--blocs=')) return argv[i].split('=')[1];
+  }
+  return null;
+}
+
+module.exports = {
+  BLOCS_PATH,
+  loadCountryBlocs,
+  nationRelation,
+  markDeviations,
+  relationPairs,
+  withinJudgeFit,
+  homeBias,
+  parseBlocsArg,
+};
@@ -0,0 +1,249 @@
+/**
+ * Judge Drift Over the Competition Timeline (Q10b)
+ *
+ * Q10 compares round averages. Here every performance gets a slot on one
+ * timeline (events by date, then round, then start position, DNIs
+ * included so the index is real elapsed performances), and each judge's
+ * deviation from the rest of the panel is followed along it:
+ *
+ *   deviation[run, judge] = mark − mean(other judges' marks on that run)
+ *
+ *   competitionTimeline(dataset)       → every performance in order, with each judge's deviation
+ *   kernelSmooth(points, bandwidth, at) → Gaussian-kernel mean deviation at each index
+ *   chooseBandwidth(series, grid)      → bandwidth with the lowest leave-one-out error
+ *   changePoints(points, options)      → binary segmentation on the largest mean shift
+ *   judgeDrift(timeline, options)      → per-judge smooth, trend, amplitude and change points
+ *
+ * Every p-value comes from shuffling the judge's deviations across their
+ * scored slots: no drift means the order carries no information. The same
+ * shuffles give the pointwise 95% band a flat judge's smooth stays inside.
+ */
+
+const { createRng } = require('./random');
+
+const PERMUTATIONS = 2000;
+const BANDWIDTHS = [2, 3, 4, 6, 8, 12];
+const MIN_SEGMENT = 4;
+const EPS = 1e-9;
+
+const sum = xs => xs.reduce((a, b) => a + b, 0);
+const mean = xs => sum(xs) / xs.length;
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * { performances, series } where performances are
+ * { index, eventId, round, position, competitor, status } in running order
+ * across events, and series maps judge key → [{ index, deviation }] over
+ * runs with at least three marks
+ */
+function competitionTimeline(dataset) {
+  const order = [...dataset.rounds()].sort((a, b) =>
+    String(a.event.date).localeCompare(String(b.event.date)) || a.event.id.localeCompare(b.event.id) || a.round - b.round);
+  const performances = [];
+  const series = new Map();
+  order.forEach(({ event, round }) => {
+    dataset.roundRuns(event.id, round).forEach(run => {
+      const index = performances.length + 1;
+      performances.push({
+        index,
+        eventId: event.id,
+        round,
+        position: run.position,
+        competitor: run.competitor,
+        status: run.isDNI ? 'dni' : run.isClean ? 'clean' : 'wipeout',
+      });
+      const marks = run.isScored ? run.scoredJudges() : [];
+      if (marks.length < 3) return;
+      const total = sum(marks.map(j => j.score));
+      marks.forEach(j => {
+        const key = dataset.judgeKey(event.id, j.judge);
+        if (!series.has(key)) series.set(key, []);
+        series.get(key).push({ index, deviation: j.score - (total - j.score) / (marks.length - 1) });
+      });
+    });
+  });
+  return { performances, series };
+}
+
+/** Nadaraya–Watson mean of `points` at each index in `at` (Gaussian kernel, sd = bandwidth) */
+function kernelSmooth(points, bandwidth, at) {
+  return at.map(t => {
+    let w = 0;
+    let wy = 0;
+    points.forEach(p => {
+      const k = Math.exp(-0.5 * ((p.index - t) / bandwidth) ** 2);
+      w += k;
+      wy += k * p.deviation;
+    });
+    return w > EPS ? wy / w : null;
+  });
+}
+
+/**
+ * Bandwidth (in performances) minimising leave-one-out squared error,
+ * pooled over all judges so every judge is smoothed alike
+ */
+function chooseBandwidth(series, grid = BANDWIDTHS) {
+  const scores = grid.map(h => {
+    let error = 0;
+    let n = 0;
+    series.forEach(points => points.forEach((p, i) => {
+      const rest = points.filter((_, k) => k !== i);
+      const [fit] = kernelSmooth(rest, h, [p.index]);
+      if (fit === null) return;
+      error += (p.deviation - fit) ** 2;
+      n++;
+    }));
+    return { bandwidth: h, cvError: n > 0 ? error / n : null };
+  });
+  const best = scores.filter(s => s.cvError !== null).sort((a, b) => a.cvError - b.cvError || b.bandwidth - a.bandwidth)[0];
+  return { bandwidth: best ? best.bandwidth : grid[grid.length - 1], grid: scores };
+}
+
+/** Least-squares slope of deviation on index */
+function trendSlope(points) {
+  const mx = mean(points.map(p => p.index));
+  const my = mean(points.map(p => p.deviation));
+  const sxx = sum(points.map(p => (p.index - mx) ** 2));
+  return sxx > EPS ? sum(points.map(p => (p.index - mx) * (p.deviation - my))) / sxx : null;
+}
+
+/**
+ * Best single split of `values` (both sides ≥ minSegment): the split with
+ * the largest pooled-variance t statistic. Returns { at, stat, before, after } or null.
+ */
+function bestSplit(values, minSegment = MIN_SEGMENT) {
+  const n = values.length;
+  if (n < 2 * minSegment) return null;
+  const prefix = [0];
+  const prefixSq = [0];
+  values.forEach((v, i) => {
+    prefix.push(prefix[i] + v);
+    prefixSq.push(prefixSq[i] + v * v);
+  });
+  let best = null;
+  for (let k = minSegment; k <= n - minSegment; k++) {
+    const [n1, n2] = [k, n - k];
+    const [s1, s2] = [prefix[k], prefix[n] - prefix[k]];
+    const [m1, m2] = [s1 / n1, s2 / n2];
+    const ss = (prefixSq[k] - n1 * m1 * m1) + (prefixSq[n] - prefixSq[k] - n2 * m2 * m2);
+    const se = Math.sqrt(Math.max(ss, EPS) / (n - 2) * (1 / n1 + 1 / n2));
+    const stat = Math.abs(m2 - m1) / se;
+    if (!best || stat > best.stat + EPS) best = { at: k, stat, before: m1, after: m2 };
+  }
+  return best;
+}
+
+/**
+ * Binary segmentation: split at the largest mean shift while its shuffle
+ * p-value (shuffling the segment's own values) is below alpha. Each change
+ * point is { index, before, after, shift, stat, p }, index being the first
+ * performance of the new level.
+ */
+function changePoints(points, options = {}) {
+  const { iterations = PERMUTATIONS, alpha = 0.05, minSegment = MIN_SEGMENT, rng = createRng() } = options;
+  const found = [];
+  let strongest = null;
+  const segment = (start, end) => {
+    const values = points.slice(start, end).map(p => p.deviation);
+    const split = bestSplit(values, minSegment);
+    if (!split) return;
+    let extreme = 0;
+    for (let i = 0; i < iterations; i++) {
+      const shuffled = bestSplit(rng.shuffle(values), minSegment);
+      if (shuffled.stat >= split.stat - EPS) extreme++;
+    }
+    const p = (extreme + 1) / (iterations + 1);
+    const point = {
+      index: points[start + split.at].index,
+      before: split.before,
+      after: split.after,
+      shift: split.after - split.before,
+      stat: split.stat,
+      p,
+    };
+    if (strongest === null) strongest = point;
+    if (p >= alpha) return;
+    found.push(point);
+    segment(start, start + split.at);
+    segment(start + split.at, end);
+  };
+  segment(0, points.length);
+  return { strongest, significant: found.sort((a, b) => a.index - b.index) };
+}
+
+/**
+ * Per-judge drift. For each judge: the smooth at every performance index
+ * with its shuffled-order 95% band, the linear trend (pts per performance),
+ * the smooth's amplitude (max − min) and the change points, each with a
+ * shuffle p-value (two-sided for the trend).
+ */
+function judgeDrift(timeline, options = {}) {
+  const { iterations = PERMUTATIONS, bandwidth = null, rng = createRng() } = options;
+  const { performances, series } = timeline;
+  const chosen = bandwidth ? { bandwidth, grid: [] } : chooseBandwidth(series);
+  const h = chosen.bandwidth;
+  const at = performances.map(p => p.index);
+  const amplitude = smooth => {
+    const values = smooth.filter(v => v !== null);
+    return values.length > 0 ? Math.max(...values) - Math.min(...values) : null;
+  };
+
+  const judges = [...series.entries()].map(([judge, points]) => {
+    const smooth = kernelSmooth(points, h, at);
+    const slope = trendSlope(points);
+    const observedAmplitude = amplitude(smooth);
+
+    const bands = at.map(() => []);
+    const slopes = [];
+    let amplitudeExtreme = 0;
+    const values = points.map(p => p.deviation);
+    for (let i = 0; i < iterations; i++) {
+      const drawn = rng.shuffle(values);
+      const shuffled = points.map((p, k) => ({ index: p.index, deviation: drawn[k] }));
+      const nullSmooth = kernelSmooth(shuffled, h, at);
+      nullSmooth.forEach((v, k) => { if (v !== null) bands[k].push(v); });
+      slopes.push(trendSlope(shuffled));
+      if (amplitude(nullSmooth) >= observedAmplitude - EPS) amplitudeExtreme++;
+    }
+    const slopeMean = mean(slopes);
+
+    return {
+      judge,
+      n: points.length,
+      meanDeviation: mean(values),
+      points,
+      smooth: at.map((index, k) => {
+        const sorted = bands[k].sort((a, b) => a - b);
+        return {
+          index,
+          value: smooth[k],
+          nullLow: sorted.length > 0 ? quantile(sorted, 0.025) : null,
+          nullHigh: sorted.length > 0 ? quantile(sorted, 0.975) : null,
+        };
+      }),
+      trend: {
+        slope,
+        p: slope === null ? null : (slopes.filter(s => Math.abs(s - slopeMean) >= Math.abs(slope - slopeMean) - EPS).length + 1) / (iterations + 1),
+      },
+      amplitude: { value: observedAmplitude, p: (amplitudeExtreme + 1) / (iterations + 1) },
+      changePoints: changePoints(points, { iterations, rng }),
+    };
+  });
+
+  return { performances, bandwidth: h, bandwidthGrid: chosen.grid, judges, iterations, seed: rng.seed };
+}
+
+module.exports = {
+  competitionTimeline,
+  kernelSmooth,
+  chooseBandwidth,
+  changePoints,
+  judgeDrift,
+};
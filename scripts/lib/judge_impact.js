@@ -0,0 +1,147 @@
+/**
+ * Judge Impact Audit (Q4b)
+ *
+ * Would any one judge have changed the result? Each scenario rewrites one
+ * judge's marks, rescores every run under the event's aggregation rule
+ * (head-judge overrides still apply), takes each rider's best run and
+ * compares the standings with the full panel's:
+ *
+ *   drop       the judge's marks removed, the rule applied to the rest
+ *   swap → k   the judge's marks replaced by judge k's (a panel with k twice)
+ *
+ *   rescoreRun(run, aggregator, judgeScores) → score or null
+ *   standings(scores)                        → riders ranked by best run, ties broken by the next-best runs
+ *   compareStandings(baseline, scenario)     → moved riders and medals
+ *   judgeImpact(dataset)                     → per event, per judge: drop and every swap
+ *
+ * A position "hinges" on a judge when a scenario moves the rider holding
+ * it; a medal hinges on them when a different rider ends up with it.
+ */
+
+const MEDALS = 3;
+const EPS = 1e-9;
+
+/** Score of `run` with `judgeScores` in place of its marks (the official score when the rule can't rescore) */
+function rescoreRun(run, aggregator, judgeScores) {
+  if (run.isDNI) return null;
+  const override = aggregator.override(run);
+  if (override) return override.score;
+  const result = aggregator.rule.apply(judgeScores);
+  return result ? result.score : run.finalScore;
+}
+
+/**
+ * Riders ranked by best run. `scores` is [{ competitor, score }] (null for
+ * DNIs). Ties on the best run go to the better second run, then third;
+ * riders level on every run share a rank.
+ */
+function standings(scores) {
+  const byRider = new Map();
+  scores.forEach(({ competitor, score }) => {
+    if (!byRider.has(competitor)) byRider.set(competitor, []);
+    if (score !== null) byRider.get(competitor).push(score);
+  });
+  const compare = (a, b) => {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      const diff = (b[i] ?? -Infinity) - (a[i] ?? -Infinity);
+      if (Math.abs(diff) > EPS) return diff;
+    }
+    return 0;
+  };
+  const ranked = [...byRider.entries()]
+    .map(([competitor, runScores]) => ({ competitor, runs: [...runScores].sort((a, b) => b - a) }))
+    .sort((a, b) => compare(a.runs, b.runs) || a.competitor.localeCompare(b.competitor));
+  return ranked.map((r, i) => ({
+    competitor: r.competitor,
+    best: r.runs.length > 0 ? r.runs[0] : null,
+    rank: i > 0 && compare(ranked[i - 1].runs, r.runs) === 0 ? null : i + 1,
+  })).map((r, i, all) => ({ ...r, rank: r.rank ?? all.slice(0, i).reverse().find(p => p.rank !== null).rank }));
+}
+
+/** Riders whose rank moved, and medals that went to someone else */
+function compareStandings(baseline, scenario) {
+  const rankOf = new Map(scenario.map(s => [s.competitor, s.rank]));
+  const moved = baseline
+    .filter(b => rankOf.get(b.competitor) !== b.rank)
+    .map(b => ({ competitor: b.competitor, from: b.rank, to: rankOf.get(b.competitor) }));
+  const podium = standingsPodium(scenario);
+  const official = standingsPodium(baseline);
+  const medalsChanged = official.filter((names, i) => names.join('|') !== (podium[i] || []).join('|')).length;
+  return { moved, positionsChanged: moved.length, medalsChanged, podium };
+}
+
+/** Names holding each medal position (shared ranks list every rider on it) */
+function standingsPodium(ranking) {
+  return Array.from({ length: MEDALS }, (_, i) => ranking.filter(r => r.rank === i + 1).map(r => r.competitor));
+}
+
+/** Run one scenario: `marksFor(run)` gives the run's rewritten marks */
+function runScenario(runs, aggregator, baselineScores, marksFor) {
+  const scores = runs.map(run => ({ competitor: run.competitor, score: rescoreRun(run, aggregator, marksFor(run)) }));
+  const shifts = scores
+    .map((s, i) => (s.score === null ? 0 : Math.abs(s.score - baselineScores[i].score)))
+    .filter(shift => shift > EPS);
+  return { scores, runsChanged: shifts.length, maxShift: shifts.length > 0 ? Math.max(...shifts) : 0 };
+}
+
+/**
+ * For every event and judge: the drop scenario and one swap per other
+ * judge, each as { runsChanged, maxShift, moved, positionsChanged,
+ * medalsChanged, podium }, plus how many swaps changed a medal
+ */
+function judgeImpact(dataset) {
+  return dataset.events.map(event => {
+    const aggregator = event.aggregation;
+    const runs = dataset.runs.filter(r => r.eventId === event.id);
+    const baselineScores = runs.map(run => ({ competitor: run.competitor, score: rescoreRun(run, aggregator, run.judgeScores) }));
+    const baseline = standings(baselineScores);
+    const reproducesOfficial = baseline.every(b => {
+      const rank = dataset.competitor(event.id, b.competitor)?.finalRank;
+      return rank === undefined || rank === null || rank === b.rank;
+    });
+    const numbers = [...new Set(runs.flatMap(r => r.judgeScores.map(j => j.judge)))].sort((a, b) => a - b);
+
+    const evaluate = marksFor => {
+      const scenario = runScenario(runs, aggregator, baselineScores, marksFor);
+      return { runsChanged: scenario.runsChanged, maxShift: scenario.maxShift, ...compareStandings(baseline, standings(scenario.scores)) };
+    };
+
+    const judges = numbers.map(number => {
+      const judge = dataset.judge(event.id, number);
+      const drop = evaluate(run => run.judgeScores.map(j => (j.judge === number ? { ...j, score: null } : j)));
+      const swaps = numbers.filter(k => k !== number).map(k => ({
+        with: k,
+        ...evaluate(run => {
+          const replacement = run.judgeScores.find(j => j.judge === k)?.score ?? null;
+          return run.judgeScores.map(j => (j.judge === number ? { ...j, score: replacement } : j));
+        }),
+      }));
+      return {
+        judge: number,
+        key: dataset.judgeKey(event.id, number),
+        name: judge?.name || '',
+        country: judge?.countryCode || '',
+        drop,
+        swaps,
+        swapsChangingMedals: swaps.filter(s => s.medalsChanged > 0).length,
+        maxPositionsChanged: Math.max(drop.positionsChanged, ...swaps.map(s => s.positionsChanged)),
+      };
+    });
+
+    return {
+      eventId: event.id,
+      rule: aggregator.describe(),
+      baseline,
+      reproducesOfficial,
+      podium: standingsPodium(baseline),
+      judges,
+    };
+  });
+}
+
+module.exports = {
+  rescoreRun,
+  standings,
+  compareStandings,
+  judgeImpact,
+};
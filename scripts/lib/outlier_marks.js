@@ -0,0 +1,122 @@
+/**
+ * Outlier Marks (Q3b)
+ *
+ * A mark can be the run's highest without being odd: someone has to be
+ * highest. This scores every mark against the rest of its panel two ways:
+ *
+ *   robust z        (mark − median of the other marks) / (1.4826 · MAD of the other marks)
+ *                   with the scale floored at MIN_SCALE, since five whole-point
+ *                   marks often have a MAD of 0
+ *   held-out z      mark − what the severity model (lib/severity_model.js),
+ *                   refitted without this mark, predicts for it from run
+ *                   quality, the judge's severity and their judge × nation
+ *                   effect, over the refit's residual SD
+ *
+ * A mark is flagged when either passes its threshold. Each mark also
+ * records whether the event's aggregation rule dropped it (from the notes
+ * or the marks, see lib/exclusions.js) and its influence: how far the run's
+ * score moves when the mark is replaced by the median of the others.
+ *
+ *   markOutliers(dataset, options) → { marks, flagged, thresholds }
+ */
+
+const { fitSeverityModel, observationsFromRuns } = require('./severity_model');
+const { creditFor } = require('./exclusions');
+
+const ROBUST_Z = 3.5;
+const HELD_OUT_Z = 3;
+const MIN_SCALE = 1;
+const EPS = 1e-9;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = (sorted.length - 1) / 2;
+  return (sorted[Math.floor(mid)] + sorted[Math.ceil(mid)]) / 2;
+}
+
+/** Robust z of `mark` against `others`, with the scale floored at `minScale` */
+function robustZ(mark, others, minScale = MIN_SCALE) {
+  const centre = median(others);
+  const mad = median(others.map(v => Math.abs(v - centre)));
+  const scale = Math.max(1.4826 * mad, minScale);
+  return { centre, scale, z: (mark - centre) / scale };
+}
+
+/**
+ * Held-out prediction for observation `i`: refit without it, then
+ * quality + severity + judge × nation. Null when the refit fails.
+ */
+function heldOutResidual(observations, i) {
+  const o = observations[i];
+  const fit = fitSeverityModel(observations.filter((_, k) => k !== i));
+  if (!fit || !fit.quality.has(o.run) || !fit.severity.has(o.judge) || fit.sigma2 <= EPS) return null;
+  const cell = fit.nation.find(c => c.judge === o.judge && c.nation === o.nation);
+  const predicted = fit.quality.get(o.run) + fit.severity.get(o.judge) + (cell ? cell.effect : 0);
+  return { predicted, residual: o.score - predicted, z: (o.score - predicted) / Math.sqrt(fit.sigma2) };
+}
+
+/**
+ * Every mark on runs with at least three marks, scored and checked against
+ * the thresholds. `marks` entries: { run, eventId, competitor, country,
+ * round, status, judge, key, score, othersMedian, robustZ, predicted,
+ * heldOutResidual, heldOutZ, flagged, reasons, excluded, exclusionCredit,
+ * influence }.
+ */
+function markOutliers(dataset, options = {}) {
+  const { robustThreshold = ROBUST_Z, heldOutThreshold = HELD_OUT_Z, minScale = MIN_SCALE } = options;
+  const runs = dataset.runs.filter(run => run.isScored && run.scoredJudges().length >= 3);
+  const observations = observationsFromRuns(runs, (run, j) => dataset.judgeKey(run.eventId, j.judge));
+  const index = new Map(observations.map((o, i) => [`${o.run}|${o.judge}`, i]));
+
+  const marks = runs.flatMap(run => {
+    const scored = run.scoredJudges();
+    const aggregator = dataset.event(run.eventId).aggregation;
+    const actual = aggregator.rule.apply(run.judgeScores);
+    const attribution = dataset.exclusions(run);
+    return scored.map(j => {
+      const others = scored.filter(o => o.judge !== j.judge).map(o => o.score);
+      const robust = robustZ(j.score, others, minScale);
+      const key = dataset.judgeKey(run.eventId, j.judge);
+      const heldOut = heldOutResidual(observations, index.get(`${run.key}|${key}`));
+      const replaced = aggregator.rule.apply(run.judgeScores.map(m => (m.judge === j.judge ? { ...m, score: robust.centre } : m)));
+      const credit = creditFor(attribution, j.judge);
+      const reasons = [
+        ...(Math.abs(robust.z) >= robustThreshold ? ['robust z'] : []),
+        ...(heldOut && Math.abs(heldOut.z) >= heldOutThreshold ? ['held-out residual'] : []),
+      ];
+      return {
+        run: run.key,
+        eventId: run.eventId,
+        competitor: run.competitor,
+        country: run.country,
+        round: run.run,
+        status: run.isClean ? 'clean' : 'wipeout',
+        judge: j.judge,
+        key,
+        score: j.score,
+        othersMedian: robust.centre,
+        robustZ: robust.z,
+        predicted: heldOut ? heldOut.predicted : null,
+        heldOutResidual: heldOut ? heldOut.residual : null,
+        heldOutZ: heldOut ? heldOut.z : null,
+        flagged: reasons.length > 0,
+        reasons,
+        excluded: credit.high > 0 ? 'high' : credit.low > 0 ? 'low' : null,
+        exclusionCredit: credit.high + credit.low,
+        influence: actual && replaced ? actual.score - replaced.score : null,
+      };
+    });
+  });
+
+  return {
+    marks,
+    flagged: marks.filter(m => m.flagged).sort((a, b) => Math.abs(b.robustZ) - Math.abs(a.robustZ)),
+    thresholds: { robustZ: robustThreshold, heldOutZ: heldOutThreshold, minScale },
+  };
+}
+
+module.exports = {
+  robustZ,
+  heldOutResidual,
+  markOutliers,
+};
@@ -0,0 +1,57 @@
+/**
+ * Seeded Random Numbers
+ *
+ * Resampling and permutation analyses draw from a seeded generator so a
+ * rerun with the same --seed reproduces the same numbers:
+ *
+ *   const rng = createRng(42);
+ *   rng()              → float in [0, 1)
+ *   rng.int(n)         → integer in [0, n)
+ *   rng.shuffle(arr)   → shuffled copy
+ *   rng.sample(arr)    → same-length sample with replacement
+ */
+
+const DEFAULT_SEED = 20260211;
+
+/** mulberry32: small, fast and good enough for resampling */
+function createRng(seed = DEFAULT_SEED) {
+  let state = seed >>> 0;
+  const rng = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.seed = seed;
+  rng.int = n => Math.floor(rng() * n);
+  rng.shuffle = arr => {
+    const out = [...arr];
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = rng.int(i + 1);
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  };
+  rng.sample = arr => arr.map(() => arr[rng.int(arr.length)]);
+  return rng;
+}
+
+/** Value of --seed <n> / --seed=<n>, or the default seed */
+function parseSeedArg(argv = process.argv.slice(2)) {
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i] === '--seed' ? argv[i + 1] : argv[i].startsWith('--seed=') ? argv[i].split('=')[1] : null;
+    if (value !== null) {
+      const seed = parseInt(value);
+      if (isNaN(seed)) throw new Error(`--seed needs an integer, got "${value}"`);
+      return seed;
+    }
+  }
+  return DEFAULT_SEED;
+}
+
+module.exports = {
+  DEFAULT_SEED,
+  createRng,
+  parseSeedArg,
+};
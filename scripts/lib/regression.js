@@ -0,0 +1,123 @@
+/**
+ * Linear Regression
+ *
+ * Ridge regression for small samples: features are standardised before the
+ * penalty is applied (the intercept is never penalised) and coefficients
+ * are returned on the original scale.
+ *
+ *   const model = ridgeFit(X, y, lambda);   X: rows of feature values
+ *   predict(model, x)                       → fitted value for one row
+ *   riderCV(X, y, riders, lambda)           → { lambda, rmse, predictions }
+ *   selectLambda(X, y, riders, grid)        → { best, grid: [{ lambda, rmse | error }] }
+ *
+ * With lambda = 0 this is ordinary least squares. Features that do not vary
+ * in the sample get a coefficient of 0 and are listed in `model.constant`.
+ *
+ * The penalty is chosen by leave-one-rider-out cross-validation: `riders`
+ * gives each row's rider, and all of a rider's rows are held out together,
+ * since a rider's runs are not independent of each other.
+ */
+
+const LAMBDA_GRID = [0, 0.1, 0.3, 1, 3, 10, 30, 100];
+
+/** Solve A·x = b by Gaussian elimination with partial pivoting */
+function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-12) throw new Error('singular system: features are collinear, use a larger lambda');
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+}
+
+function ridgeFit(X, y, lambda = 0) {
+  const n = X.length;
+  const p = X[0].length;
+  const means = Array.from({ length: p }, (_, j) => X.reduce((s, row) => s + row[j], 0) / n);
+  const sds = means.map((m, j) => Math.sqrt(X.reduce((s, row) => s + (row[j] - m) ** 2, 0) / n));
+  const active = sds.map(sd => sd > 1e-12);
+  const yMean = y.reduce((a, b) => a + b, 0) / n;
+
+  const cols = [...Array(p).keys()].filter(j => active[j]);
+  const Z = X.map(row => cols.map(j => (row[j] - means[j]) / sds[j]));
+  const yc = y.map(v => v - yMean);
+
+  // (Z'Z + λI) β = Z'y
+  const ZtZ = cols.map((_, a) => cols.map((_, b) => Z.reduce((s, row) => s + row[a] * row[b], 0) + (a === b ? lambda : 0)));
+  const Zty = cols.map((_, a) => Z.reduce((s, row, i) => s + row[a] * yc[i], 0));
+  const beta = cols.length > 0 ? solveLinear(ZtZ, Zty) : [];
+
+  const coefficients = new Array(p).fill(0);
+  cols.forEach((j, k) => { coefficients[j] = beta[k] / sds[j]; });
+  const intercept = yMean - coefficients.reduce((s, c, j) => s + c * means[j], 0);
+
+  return {
+    lambda,
+    intercept,
+    coefficients,
+    standardized: coefficients.map((c, j) => c * sds[j]),
+    constant: [...Array(p).keys()].filter(j => !active[j]),
+  };
+}
+
+function predict(model, x) {
+  return model.intercept + model.coefficients.reduce((s, c, j) => s + c * x[j], 0);
+}
+
+function rmse(actual, predicted) {
+  return Math.sqrt(actual.reduce((s, a, i) => s + (a - predicted[i]) ** 2, 0) / actual.length);
+}
+
+/**
+ * Leave-one-rider-out predictions: each rider's rows are predicted by a
+ * model fitted without any of that rider's rows. Throws when a fit is
+ * singular.
+ */
+function riderCV(X, y, riders, lambda) {
+  const predictions = new Array(y.length);
+  [...new Set(riders)].forEach(rider => {
+    const train = riders.map((r, i) => (r !== rider ? i : -1)).filter(i => i >= 0);
+    const model = ridgeFit(train.map(i => X[i]), train.map(i => y[i]), lambda);
+    riders.forEach((r, i) => { if (r === rider) predictions[i] = predict(model, X[i]); });
+  });
+  return { lambda, rmse: rmse(y, predictions), predictions };
+}
+
+/**
+ * riderCV at each penalty in the grid; `best` is the lowest RMSE, or null
+ * when every penalty gave a singular fit
+ */
+function selectLambda(X, y, riders, grid = LAMBDA_GRID) {
+  const results = grid.map(lambda => {
+    try {
+      return riderCV(X, y, riders, lambda);
+    } catch (err) {
+      return { lambda, error: err.message };
+    }
+  });
+  const solved = results.filter(r => !r.error);
+  return {
+    best: solved.length > 0 ? solved.reduce((a, b) => (b.rmse < a.rmse ? b : a)) : null,
+    grid: results,
+  };
+}
+
+module.exports = {
+  LAMBDA_GRID,
+  solveLinear,
+  ridgeFit,
+  predict,
+  rmse,
+  riderCV,
+  selectLambda,
+};
@@ -0,0 +1,136 @@
+/**
+ * Inter-Rater Reliability
+ *
+ * Pairwise Pearson r says whether two judges order runs alike; these say how
+ * far the whole panel agrees on the marks themselves. Each statistic takes a
+ * ratings matrix — one row per run, one column per judge, null for a missing
+ * mark:
+ *
+ *   icc(matrix)               ICC(2,1) single judge and ICC(2,k) panel mean,
+ *                             two-way random effects, absolute agreement
+ *                             (Shrout & Fleiss); complete rows only
+ *   krippendorffAlpha(matrix) interval-metric alpha; missing marks allowed
+ *   kendallW(blocks)          concordance of each judge's ranking within a
+ *                             block (a round), tie-corrected, pooled over blocks
+ *   spearman(x, y)            rank correlation
+ *
+ * All return null when the data cannot support the statistic (too few runs,
+ * no variation), so bootstrap resamples that degenerate are skipped.
+ */
+
+const { pearson } = require('./statistics');
+
+const sum = xs => xs.reduce((a, b) => a + b, 0);
+
+/** Average ranks (1-based), ties sharing the mean of their positions */
+function ranks(values) {
+  const order = values.map((v, i) => ({ v, i })).sort((a, b) => a.v - b.v);
+  const out = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].v === order[i].v) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let t = i; t <= j; t++) out[order[t].i] = rank;
+    i = j + 1;
+  }
+  return out;
+}
+
+function spearman(x, y) {
+  if (x.length < 3) return null;
+  return pearson(ranks(x), ranks(y));
+}
+
+function completeRows(matrix) {
+  return matrix.filter(row => row.every(v => v !== null && v !== undefined));
+}
+
+/** ICC(2,1) and ICC(2,k) from the two-way ANOVA mean squares */
+function icc(matrix) {
+  const rows = completeRows(matrix);
+  const n = rows.length;
+  const k = n > 0 ? rows[0].length : 0;
+  if (n < 2 || k < 2) return null;
+
+  const grand = sum(rows.map(sum)) / (n * k);
+  const rowMeans = rows.map(r => sum(r) / k);
+  const colMeans = Array.from({ length: k }, (_, j) => sum(rows.map(r => r[j])) / n);
+  const ssRows = k * sum(rowMeans.map(m => (m - grand) ** 2));
+  const ssCols = n * sum(colMeans.map(m => (m - grand) ** 2));
+  const ssTotal = sum(rows.flatMap(r => r.map(v => (v - grand) ** 2)));
+  const ssError = ssTotal - ssRows - ssCols;
+
+  const msr = ssRows / (n - 1);
+  const msc = ssCols / (k - 1);
+  const mse = ssError / ((n - 1) * (k - 1));
+  const single = msr + (k - 1) * mse + (k * (msc - mse)) / n;
+  const average = msr + (msc - mse) / n;
+  if (single <= 0 || average <= 0) return null;
+  return {
+    icc21: (msr - mse) / single,
+    icc2k: (msr - mse) / average,
+    msr,
+    msc,
+    mse,
+    n,
+    k,
+  };
+}
+
+/** Krippendorff's alpha, interval metric (squared differences) */
+function krippendorffAlpha(matrix) {
+  const units = matrix
+    .map(row => row.filter(v => v !== null && v !== undefined))
+    .filter(values => values.length >= 2);
+  const all = units.flat();
+  const n = all.length;
+  if (units.length < 2 || n < 3) return null;
+
+  let observed = 0;
+  units.forEach(values => {
+    let d = 0;
+    values.forEach((a, i) => values.forEach((b, j) => { if (i !== j) d += (a - b) ** 2; }));
+    observed += d / (values.length - 1);
+  });
+  observed /= n;
+
+  // Σ over ordered pairs of (a − b)² = 2n·Σa² − 2(Σa)²
+  const s1 = sum(all);
+  const s2 = sum(all.map(v => v * v));
+  const expected = (2 * n * s2 - 2 * s1 * s1) / (n * (n - 1));
+  if (expected === 0) return null;
+  return 1 - observed / expected;
+}
+
+/**
+ * Kendall's W over blocks of complete rows: each judge ranks the runs within
+ * a block, W is computed per block and pooled by the blocks' run counts
+ */
+function kendallW(blocks) {
+  const perBlock = blocks.map(completeRows).filter(rows => rows.length >= 2).map(rows => {
+    const n = rows.length;
+    const m = rows[0].length;
+    const judgeRanks = Array.from({ length: m }, (_, j) => ranks(rows.map(r => r[j])));
+    const rankSums = rows.map((_, i) => sum(judgeRanks.map(r => r[i])));
+    const meanSum = (m * (n + 1)) / 2;
+    const s = sum(rankSums.map(r => (r - meanSum) ** 2));
+    const ties = sum(judgeRanks.map(r => {
+      const counts = {};
+      r.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+      return sum(Object.values(counts).map(t => t ** 3 - t));
+    }));
+    const denom = m * m * (n ** 3 - n) - m * ties;
+    return denom > 0 ? { w: (12 * s) / denom, n } : null;
+  }).filter(Boolean);
+  if (perBlock.length === 0) return null;
+  return sum(perBlock.map(b => b.w * b.n)) / sum(perBlock.map(b => b.n));
+}
+
+module.exports = {
+  ranks,
+  spearman,
+  icc,
+  krippendorffAlpha,
+  kendallW,
+};
@@ -0,0 +1,593 @@
+/**
+ * Result Page Importers
+ *
+ * Turns saved result pages into the three raw files of an event (see
+ * lib/events.js). Each format is an importer: a test that recognises a
+ * page and a parser that reads it into one shape, so every format ends up
+ * in the same CSVs and goes through the same score check:
+ *
+ *   olympics   Olympics.com result pages (HTML)
+ *   fis-html   FIS results pages with judges' scores (HTML)
+ *   fis-xml    FIS results XML
+ *
+ *   detectFormat(body, file)      → the importer for a page, or null
+ *   parsePages(pages)             → one parsed event from several pages
+ *   rawTables(parsed, options)    → { scores, overview, judges } as { headers, rows }
+ *   checkScores(parsed, aggregator) → { checked, reproduced, mismatches, unmarked }
+ *   loadImportChecks(dir)         → manifest entries with their page bodies
+ *   checkImport(check, aggregator) → expected vs parsed counts and mismatches for one page
+ *
+ * The HTML parsers look tables up by their header text rather than by
+ * position or CSS class: a results table has Rank, Name and "Run N"
+ * columns, a marks table has "J1".."Jn" columns, a judges table has a
+ * judge number, Name and a nation column. A mark in parentheses or
+ * brackets, struck through, or in a cell whose class says "excluded" is
+ * a dropped mark. Pages can be split (results on one, each run's marks on
+ * another); parsePages merges them by rider and run.
+ *
+ * A parsed event is { event: { name, date, location }, judges: [{ number,
+ * name, countryCode, country, role }], athletes: [{ name, country, order,
+ * rank, qualScore, runs: [{ run, score, status, marks: [{ judge, score,
+ * excluded }], tricks }] }], warnings }. `score` is null when the run has
+ * a status (DNI, DNS, DNF, DSQ) instead of a score.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { Run, toCSV } = require('./scoring_data');
+const { parseTrick, renderCode } = require('./trick_codes');
+
+const CHECKS_DIR = path.join(__dirname, '../../data/raw/result_pages/checks');
+const STATUSES = {
+  DNI: 'Did not improve',
+  DNS: 'Did not start',
+  DNF: 'Did not finish',
+  DSQ: 'Disqualified',
+};
+const MEDALS = { 1: 'GOLD', 2: 'SILVER', 3: 'BRONZE' };
+const MIN_TRICK_COLUMNS = 5;
+
+// Header text (lower case, punctuation dropped) → column meaning
+const COLUMNS = {
+  rank: ['rank', 'rk', 'pl', 'place'],
+  order: ['start order', 'order', 'sto', 'start', 'run order'],
+  name: ['name', 'athlete', 'competitor'],
+  country: ['noc', 'nation', 'nat', 'nsa', 'country', 'team'],
+  qual: ['qual', 'qual score', 'qualification', 'q score'],
+  best: ['best', 'best score', 'result', 'final'],
+  run: ['run'],
+  score: ['score', 'points', 'pts', 'run score'],
+  tricks: ['tricks', 'run content', 'content'],
+  judge: ['judge', 'no', 'number', 'j'],
+  role: ['function', 'role'],
+};
+
+function normaliseHeader(text) {
+  return text.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function columnOf(header) {
+  return Object.keys(COLUMNS).find(c => COLUMNS[c].includes(header)) || null;
+}
+
+/** A number from a cell ("91.00", "(89)", "[45.5]"), or null */
+function parseNumber(text) {
+  const m = String(text).replace(',', '.').match(/-?\d+(\.\d+)?/);
+  return m ? parseFloat(m[0]) : null;
+}
+
+/** DNI, DNS, DNF or DSQ when the cell holds a status instead of a score */
+function parseStatus(text) {
+  const m = String(text).toUpperCase().match(/\b(DNI|DNS|DNF|DSQ)\b/);
+  return m ? m[1] : null;
+}
+
+/**
+ * Athletes as "Given SURNAME". Results pages often print the surname
+ * first ("TOTSUKA Yuto"); the raw files put it last.
+ */
+function athleteName(text) {
+  const words = text.replace(/\s+/g, ' ').trim().split(' ');
+  const isUpper = w => w === w.toUpperCase() && /[A-Z]/.test(w);
+  if (words.every(isUpper)) return words.join(' ');
+  const surname = [];
+  while (words.length > 1 && isUpper(words[0])) surname.push(words.shift());
+  return surname.length > 0 && words.length > 0 ? `${words.join(' ')} ${surname.join(' ')}` : [...surname, ...words].join(' ');
+}
+
+/** Judge number from "J3", "Judge 3" or "3" */
+function judgeNumber(text) {
+  const m = String(text).match(/^\s*(?:j(?:udge)?\s*)?(\d+)\s*$/i);
+  return m ? parseInt(m[1]) : null;
+}
+
+/** A trick in canonical code when it parses, as written (dashes for spaces) when it doesn't */
+function normaliseTrick(text, warnings) {
+  const code = text.trim().replace(/\s+/g, '-');
+  try {
+    return renderCode(parseTrick(code));
+  } catch (err) {
+    warnings.push(`trick "${code}" kept as written: ${err.message}`);
+    return code;
+  }
+}
+
+// ── HTML ────────────────────────────────────────────────────────
+
+/** Each <table> as { headers, rows: [cheerio cells] } with the header row from <thead> or the first row */
+function readTables($) {
+  return $('table').toArray().map(table => {
+    const headRow = $(table).find('thead tr').first().length > 0 ? $(table).find('thead tr').first() : $(table).find('tr').first();
+    const headers = headRow.find('th, td').toArray().map(c => normaliseHeader($(c).text()));
+    const rows = $(table).find('tr').toArray()
+      .filter(tr => tr !== headRow.get(0))
+      .map(tr => $(tr).find('td, th').toArray().map(c => $(c)))
+      .filter(cells => cells.length > 0);
+    const caption = $(table).find('caption').text().trim() || $(table).attr('data-athlete') || '';
+    return { headers, rows, caption };
+  });
+}
+
+function isExcluded($cell) {
+  const text = $cell.text().trim();
+  return /^[([].*[)\]]$/.test(text) || $cell.find('s, del, strike').length > 0 ||
+    /excluded|dropped|strike/i.test($cell.attr('class') || '');
+}
+
+/** A cell's list items: <li> elements, or text split on line breaks, semicolons, slashes and commas */
+function cellItems($, $cell) {
+  const items = $cell.find('li').toArray();
+  if (items.length > 0) return items.map(li => $(li).text().trim());
+  return ($cell.html() || '').replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '')
+    .split(/\n|;|\s\/\s|,\s/).map(t => t.trim()).filter(Boolean);
+}
+
+/**
+ * Shared HTML parser for both sites. Rows of a marks table with an empty
+ * Name cell belong to the rider above, as in tables that span a name over
+ * its runs.
+ */
+function parseHTML(body, warnings) {
+  const $ = cheerio.load(body);
+  const athletes = new Map();
+  const judges = [];
+  const athlete = (name, country = '') => {
+    const key = name.toLowerCase();
+    if (!athletes.has(key)) athletes.set(key, { name, country, order: null, rank: null, qualScore: null, runs: [] });
+    const a = athletes.get(key);
+    if (!a.country && country) a.country = country;
+    return a;
+  };
+  const runOf = (a, number) => {
+    let run = a.runs.find(r => r.run === number);
+    if (!run) {
+      run = { run: number, score: null, status: null, marks: [], tricks: [] };
+      a.runs.push(run);
+    }
+    return run;
+  };
+  const setScore = (run, text) => {
+    const status = parseStatus(text);
+    if (status) run.status = status;
+    else if (parseNumber(text) !== null) run.score = parseNumber(text);
+  };
+
+  readTables($).forEach(({ headers, rows, caption }) => {
+    const cols = headers.map(columnOf);
+    const at = (cells, column) => cells[cols.indexOf(column)];
+    const runCols = headers.map((h, i) => { const m = h.match(/^run ?(\d+)$/); return m ? { i, run: parseInt(m[1]) } : null; }).filter(Boolean);
+    const judgeCols = headers.map((h, i) => { const m = h.match(/^j(?:udge)? ?(\d+)$/); return m ? { i, judge: parseInt(m[1]) } : null; }).filter(Boolean);
+
+    if (judgeCols.length > 0) {
+      // Marks: one row per rider and run
+      let current = caption ? athleteName(caption) : null;
+      let country = '';
+      rows.forEach(cells => {
+        const nameCell = at(cells, 'name');
+        if (nameCell && nameCell.text().trim()) {
+          current = athleteName(nameCell.text());
+          country = at(cells, 'country') ? at(cells, 'country').text().trim() : '';
+        }
+        const number = parseNumber(at(cells, 'run') ? at(cells, 'run').text() : '');
+        if (!current || number === null) return;
+        const run = runOf(athlete(current, country), number);
+        judgeCols.forEach(({ i, judge }) => {
+          const $cell = cells[i];
+          const score = $cell ? parseNumber($cell.text()) : null;
+          if (score !== null) run.marks.push({ judge, score, excluded: isExcluded($cell) });
+        });
+        if (at(cells, 'score')) setScore(run, at(cells, 'score').text());
+        if (at(cells, 'tricks')) run.tricks = cellItems($, at(cells, 'tricks')).map(t => normaliseTrick(t, warnings));
+      });
+    } else if (runCols.length > 0 && cols.includes('name')) {
+      // Results: one row per rider
+      rows.forEach(cells => {
+        const nameCell = at(cells, 'name');
+        if (!nameCell || !nameCell.text().trim()) return;
+        const a = athlete(athleteName(nameCell.text()), at(cells, 'country') ? at(cells, 'country').text().trim() : '');
+        if (at(cells, 'rank')) a.rank = parseNumber(at(cells, 'rank').text());
+        if (at(cells, 'order')) a.order = parseNumber(at(cells, 'order').text());
+        if (at(cells, 'qual')) a.qualScore = parseNumber(at(cells, 'qual').text());
+        runCols.forEach(({ i, run }) => {
+          if (cells[i] && cells[i].text().trim()) setScore(runOf(a, run), cells[i].text());
+        });
+      });
+    } else if (cols.includes('name') && cols.includes('country') && cols.includes('judge')) {
+      rows.forEach(cells => {
+        const number = judgeNumber(at(cells, 'judge').text());
+        if (number === null) return;
+        judges.push({
+          number,
+          name: at(cells, 'name').text().replace(/\s+/g, ' ').trim(),
+          countryCode: at(cells, 'country').text().trim(),
+          country: '',
+          role: at(cells, 'role') ? at(cells, 'role').text().trim() : 'Judge',
+        });
+      });
+    }
+  });
+
+  return {
+    event: {
+      name: $('h1').first().text().replace(/\s+/g, ' ').trim(),
+      date: $('time[datetime]').first().attr('datetime') || '',
+      location: $('[data-venue], .venue').first().text().trim(),
+    },
+    judges,
+    athletes: [...athletes.values()],
+  };
+}
+
+const olympicsImporter = {
+  id: 'olympics',
+  label: 'Olympics.com result page',
+  detect: (body, file) => /olympics\.com/i.test(body) || /olympics/i.test(path.basename(file || '')),
+  parse(body) {
+    const warnings = [];
+    return { ...parseHTML(body, warnings), warnings };
+  },
+};
+
+const fisHTMLImporter = {
+  id: 'fis-html',
+  label: 'FIS results page',
+  detect: (body, file) => /fis-ski\.com|International Ski( and Snowboard)? Federation/i.test(body) || /fis/i.test(path.basename(file || '')),
+  parse(body) {
+    const warnings = [];
+    return { ...parseHTML(body, warnings), warnings };
+  },
+};
+
+// ── XML ─────────────────────────────────────────────────────────
+
+/**
+ * FIS results XML. Element names vary with the discipline prefix (SB_ranked,
+ * Fs_ranked, ...), so elements are matched on the end of their lower-cased
+ * name: Raceheader (Eventname, Racedate, Place), Jury with a judge
+ * Function (Number, Lastname, Firstname, Nation), and ranked / notranked
+ * entries (Rank, Order, Competitor, Qualscore, and Run No="n" holding
+ * Score or a Status, Judge No="n" marks with Excluded="true" on dropped
+ * ones, and Trick elements in order).
+ */
+const fisXMLImporter = {
+  id: 'fis-xml',
+  label: 'FIS results XML',
+  detect: body => /<fisresults[\s>]/i.test(body),
+  parse(body) {
+    const warnings = [];
+    const $ = cheerio.load(body, { xmlMode: true });
+    const named = (root, suffix) => $(root).find('*').toArray().filter(el => el.name.toLowerCase().endsWith(suffix));
+    const child = (el, name) => $(el).children().toArray().find(c => c.name.toLowerCase().endsWith(name.toLowerCase()));
+    const text = (el, name) => { const c = child(el, name); return c ? $(c).text().trim() : ''; };
+    const attr = (el, name) => {
+      const entry = Object.entries(el.attribs || {}).find(([k]) => k.toLowerCase() === name.toLowerCase());
+      return entry ? entry[1] : '';
+    };
+    const root = $.root();
+
+    const header = named(root, 'raceheader')[0];
+    const date = header && child(header, 'racedate');
+    const isoDate = date && child(date, 'year')
+      ? `${text(date, 'year')}-${text(date, 'month').padStart(2, '0')}-${text(date, 'day').padStart(2, '0')}`
+      : date ? $(date).text().trim() : '';
+
+    const judges = named(root, 'jury')
+      .filter(el => /judge/i.test(attr(el, 'function') || text(el, 'function')))
+      .map(el => ({
+        number: parseInt(attr(el, 'number') || text(el, 'number')),
+        name: `${(text(el, 'lastname') || text(el, 'jurylastname')).toUpperCase()} ${text(el, 'firstname') || text(el, 'juryfirstname')}`.trim(),
+        countryCode: text(el, 'nation') || text(el, 'jurynation'),
+        country: '',
+        role: attr(el, 'function') || text(el, 'function') || 'Judge',
+      }))
+      .filter(j => !isNaN(j.number));
+
+    const athletes = named(root, 'ranked').map(el => {
+      const competitor = child(el, 'competitor');
+      const runs = $(el).find('*').toArray().filter(r => r.name.toLowerCase().endsWith('run') && attr(r, 'no')).map(r => {
+        const statusText = attr(r, 'status') || text(r, 'status');
+        const status = parseStatus(statusText);
+        return {
+          run: parseInt(attr(r, 'no')),
+          score: status ? null : parseNumber(text(r, 'score') || text(r, 'points')),
+          status,
+          marks: $(r).children().toArray().filter(j => j.name.toLowerCase().endsWith('judge')).map(j => ({
+            judge: parseInt(attr(j, 'no')),
+            score: parseNumber($(j).text()),
+            excluded: /^(true|1|yes)$/i.test(attr(j, 'excluded') || attr(j, 'dropped')),
+          })).filter(m => m.score !== null),
+          tricks: $(r).children().toArray().filter(t => t.name.toLowerCase().endsWith('trick'))
+            .map(t => normaliseTrick($(t).text(), warnings)),
+        };
+      });
+      return {
+        name: competitor ? `${text(competitor, 'firstname')} ${text(competitor, 'lastname').toUpperCase()}`.trim() : '',
+        country: competitor ? text(competitor, 'nation') : '',
+        order: parseNumber(text(el, 'order') || text(el, 'startorder')),
+        rank: parseNumber(text(el, 'rank')),
+        qualScore: parseNumber(text(el, 'qualscore')),
+        runs,
+      };
+    }).filter(a => a.name);
+
+    return {
+      event: { name: header ? text(header, 'eventname') : '', date: isoDate, location: header ? text(header, 'place') : '' },
+      judges,
+      athletes,
+      warnings,
+    };
+  },
+};
+
+const IMPORTERS = [fisXMLImporter, olympicsImporter, fisHTMLImporter];
+
+function detectFormat(body, file) {
+  return IMPORTERS.find(importer => importer.detect(body, file)) || null;
+}
+
+// ── Merging and output ──────────────────────────────────────────
+
+/**
+ * Parse `pages` ([{ file, body, format }], format optional) and merge them:
+ * riders by name, runs by number, judges by number. A later page fills
+ * what an earlier one left blank; conflicting values are warnings.
+ */
+function parsePages(pages) {
+  const merged = { event: { name: '', date: '', location: '' }, judges: [], athletes: [], warnings: [], formats: [] };
+  pages.forEach(({ file, body, format }) => {
+    const importer = format ? IMPORTERS.find(i => i.id === format) : detectFormat(body, file);
+    if (!importer) throw new Error(`${file}: unrecognised page; pass --format (${IMPORTERS.map(i => i.id).join(', ')})`);
+    const parsed = importer.parse(body);
+    merged.formats.push({ file, format: importer.id });
+    merged.warnings.push(...parsed.warnings.map(w => `${path.basename(file)}: ${w}`));
+    Object.entries(parsed.event).forEach(([k, v]) => { if (!merged.event[k] && v) merged.event[k] = v; });
+    parsed.judges.forEach(j => { if (!merged.judges.some(m => m.number === j.number)) merged.judges.push(j); });
+
+    const fill = (target, source, fields, label) => fields.forEach(f => {
+      if (source[f] === null || source[f] === undefined || source[f] === '') return;
+      if (target[f] === null || target[f] === undefined || target[f] === '') target[f] = source[f];
+      else if (target[f] !== source[f]) merged.warnings.push(`${path.basename(file)}: ${label} ${f} is ${source[f]} here but ${target[f]} on an earlier page`);
+    });
+    parsed.athletes.forEach(a => {
+      let target = merged.athletes.find(m => m.name.toLowerCase() === a.name.toLowerCase());
+      if (!target) {
+        target = { ...a, runs: [] };
+        merged.athletes.push(target);
+      }
+      fill(target, a, ['country', 'order', 'rank', 'qualScore'], a.name);
+      a.runs.forEach(r => {
+        const run = target.runs.find(m => m.run === r.run);
+        if (!run) {
+          target.runs.push({ ...r });
+          return;
+        }
+        fill(run, r, ['score', 'status'], `${a.name} R${r.run}`);
+        if (run.marks.length === 0) run.marks = r.marks;
+        if (run.tricks.length === 0) run.tricks = r.tricks;
+      });
+    });
+  });
+  if (merged.athletes.length === 0) {
+    throw new Error(`no riders found in ${pages.map(p => p.file).join(', ')}; check the pages hold a results or judges' scores table`);
+  }
+  merged.judges.sort((a, b) => a.number - b.number);
+  merged.athletes.forEach(a => {
+    a.runs.sort((x, y) => x.run - y.run);
+    a.runs.filter(r => r.score === null && r.status === null).forEach(r => {
+      merged.warnings.push(`${a.name} R${r.run}: no score or status on any page; written as DNI`);
+    });
+  });
+  return merged;
+}
+
+/** "GOLD", "SILVER", "BRONZE", then "4TH", "21ST", ... as in the medal column */
+function placing(rank) {
+  if (!rank) return '';
+  if (MEDALS[rank]) return MEDALS[rank];
+  const suffix = rank % 100 >= 11 && rank % 100 <= 13 ? 'TH' : { 1: 'ST', 2: 'ND', 3: 'RD' }[rank % 10] || 'TH';
+  return `${rank}${suffix}`;
+}
+
+/**
+ * Start order for riders the pages give none: worst qualifier first, as
+ * in a final. Only used when every rider has a qualification score.
+ */
+function fillOrder(athletes, warnings) {
+  if (athletes.every(a => a.order !== null)) return;
+  if (athletes.some(a => a.qualScore === null)) {
+    throw new Error('the pages give neither a start order nor a qualification score for every rider; performance_order cannot be filled');
+  }
+  [...athletes].sort((a, b) => a.qualScore - b.qualScore).forEach((a, i) => {
+    if (a.order === null) a.order = i + 1;
+  });
+  warnings.push('start order not on the pages; filled from qualification scores (worst qualifier first)');
+}
+
+/**
+ * The event's raw files as { scores, overview, judges }, each { headers,
+ * rows } in the column layout of data/raw/<event>/ (see DATA_GUIDE.md).
+ * `runCount` and `panelSize` default to the most runs and judges found.
+ */
+function rawTables(parsed, options = {}) {
+  const athletes = parsed.athletes.map(a => ({ ...a }));
+  fillOrder(athletes, parsed.warnings);
+  const runCount = options.runCount || Math.max(0, ...athletes.flatMap(a => a.runs.map(r => r.run)));
+  const panelSize = options.panelSize || Math.max(parsed.judges.length, ...athletes.flatMap(a => a.runs.flatMap(r => r.marks.map(m => m.judge))));
+  const judgeNumbers = Array.from({ length: panelSize }, (_, i) => i + 1);
+  const trickCount = Math.max(MIN_TRICK_COLUMNS, ...athletes.flatMap(a => a.runs.map(r => r.tricks.length)));
+  const countryOf = n => parsed.judges.find(j => j.number === n)?.countryCode || '';
+  const format = score => (score === null ? '' : score.toFixed(2));
+  const byRank = [...athletes].sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity) || a.order - b.order);
+
+  const scoreHeaders = [
+    'competitor', 'country', 'position', 'run', 'final_score',
+    ...judgeNumbers.flatMap(n => [`judge${n}_country`, `judge${n}_score`]),
+    ...Array.from({ length: trickCount }, (_, i) => `trick${i + 1}`),
+    'medal', 'notes',
+  ];
+  const scoreRows = byRank.flatMap(a => a.runs.map(r => {
+    const row = {
+      competitor: a.name,
+      country: a.country,
+      position: a.order,
+      run: r.run,
+      final_score: r.score === null ? 'DNI' : format(r.score),
+      medal: placing(a.rank),
+    };
+    judgeNumbers.forEach(n => {
+      const mark = r.marks.find(m => m.judge === n);
+      row[`judge${n}_country`] = countryOf(n);
+      row[`judge${n}_score`] = mark && r.score !== null ? mark.score : '';
+    });
+    r.tricks.forEach((t, i) => { row[`trick${i + 1}`] = t; });
+    const excluded = r.marks.filter(m => m.excluded).map(m => m.judge).sort((x, y) => x - y);
+    row.notes = r.score === null ? STATUSES[r.status || 'DNI']
+      : excluded.length > 0 ? `Judge ${excluded.slice(0, -1).join(', ')}${excluded.length > 1 ? ' and ' : ''}${excluded[excluded.length - 1]} excluded` : '';
+    return row;
+  }));
+
+  const runHeaders = Array.from({ length: runCount }, (_, i) => `run${i + 1}`);
+  const overviewRows = [...athletes].sort((a, b) => a.order - b.order).map(a => {
+    const row = {
+      performance_order: a.order,
+      competitor: a.name,
+      country: a.country,
+      final_rank: a.rank ?? '',
+      qual_score: format(a.qualScore),
+      notes: '',
+    };
+    runHeaders.forEach((h, i) => { row[h] = format(a.runs.find(r => r.run === i + 1)?.score ?? null); });
+    const scores = a.runs.map(r => r.score).filter(s => s !== null);
+    row.best_score = format(scores.length > 0 ? Math.max(...scores) : null);
+    return row;
+  });
+
+  return {
+    scores: { headers: scoreHeaders, rows: scoreRows },
+    overview: {
+      headers: ['performance_order', 'competitor', 'country', 'final_rank', 'qual_score', ...runHeaders, 'best_score', 'notes'],
+      rows: overviewRows,
+    },
+    judges: {
+      headers: ['judge_number', 'judge_name', 'country_code', 'country', 'role'],
+      rows: parsed.judges.map(j => ({ judge_number: j.number, judge_name: j.name, country_code: j.countryCode, country: j.country, role: j.role })),
+    },
+  };
+}
+
+/** Write rawTables output into `dir` as the three raw CSVs; returns the paths */
+function writeRawTables(tables, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const files = {
+    scores: 'individual-judge-scores.csv',
+    overview: 'overview.csv',
+    judges: 'judges-metadata.csv',
+  };
+  return Object.entries(files).map(([key, file]) => {
+    fs.writeFileSync(path.join(dir, file), toCSV(tables[key].headers, tables[key].rows));
+    return path.join(dir, file);
+  });
+}
+
+/**
+ * Rescore every scored run that has marks with the event's aggregation
+ * (lib/aggregation.js). `mismatches` are runs whose marks don't give the
+ * published score; `unmarked` are scored runs with no marks on the pages.
+ */
+function checkScores(parsed, aggregator) {
+  const result = { checked: 0, reproduced: 0, mismatches: [], unmarked: [] };
+  parsed.athletes.forEach(a => a.runs.forEach(r => {
+    if (r.score === null) return;
+    if (r.marks.length === 0) {
+      result.unmarked.push({ competitor: a.name, run: r.run, published: r.score });
+      return;
+    }
+    const run = new Run({ competitor: a.name, country: a.country, position: a.order, run: r.run, finalScore: r.score, judgeScores: r.marks, tricks: r.tricks });
+    const aggregate = aggregator.apply(run);
+    result.checked++;
+    if (aggregate && Math.abs(aggregate.score - r.score) <= 0.01) {
+      result.reproduced++;
+      return;
+    }
+    result.mismatches.push({
+      competitor: a.name,
+      run: r.run,
+      published: r.score,
+      recomputed: aggregate ? aggregate.score : null,
+      marks: r.marks.map(m => m.score),
+      pageExcluded: r.marks.filter(m => m.excluded).map(m => m.judge),
+      ruleExcluded: aggregate ? aggregate.excluded.map(m => m.judge) : [],
+    });
+  }));
+  return result;
+}
+
+// ── Check pages ─────────────────────────────────────────────────
+
+/**
+ * Labelled pages from `dir`/manifest.json. Each entry is { file, format,
+ * aggregation, synthetic, description, expected: { judges, athletes,
+ * runs, dni, mismatches: ["<competitor> R<run>"] } }; `body` is added
+ * from the file.
+ */
+function loadImportChecks(dir = CHECKS_DIR) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+  return manifest.checks.map(check => ({ ...check, body: fs.readFileSync(path.join(dir, check.file), 'utf8') }));
+}
+
+/**
+ * Parse a check page and compare the counts and the score mismatches with
+ * its labels. `aggregator` is a PanelAggregator for the page's rule.
+ */
+function checkImport(check, aggregator) {
+  const parsed = parsePages([{ file: check.file, body: check.body, format: check.format }]);
+  const runs = parsed.athletes.flatMap(a => a.runs);
+  const scores = checkScores(parsed, aggregator);
+  const found = {
+    format: parsed.formats[0].format,
+    judges: parsed.judges.length,
+    athletes: parsed.athletes.length,
+    runs: runs.length,
+    dni: runs.filter(r => r.score === null).length,
+    mismatches: scores.mismatches.map(m => `${m.competitor} R${m.run}`).sort(),
+  };
+  const expected = { format: check.format, ...check.expected, mismatches: [...check.expected.mismatches].sort() };
+  const differences = Object.keys(expected)
+    .filter(k => JSON.stringify(expected[k]) !== JSON.stringify(found[k]))
+    .map(k => ({ field: k, expected: expected[k], found: found[k] }));
+  return { passed: differences.length === 0, found, differences, tables: rawTables(parsed) };
+}
+
+module.exports = {
+  CHECKS_DIR,
+  IMPORTERS,
+  detectFormat,
+  athleteName,
+  parsePages,
+  rawTables,
+  writeRawTables,
+  checkScores,
+  loadImportChecks,
+  checkImport,
+};
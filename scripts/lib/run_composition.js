@@ -0,0 +1,93 @@
+/**
+ * Run Composition
+ *
+ * Judges reward a run for what it contains as a whole, not just the sum of
+ * its tricks: spinning all four ways, varied grabs and axes, and no repeats.
+ * These metrics describe a run's make-up from its parsed tricks:
+ *
+ *   directionCoverage  distinct approaches used, of frontside, backside,
+ *                      switch frontside (Cab) and switch backside (0–4)
+ *   distinctGrabs      different grab codes in the run
+ *   grabDiversity      distinctGrabs / grabs (1 = no grab repeated)
+ *   axisVariety        distinct axes: cork, rodeo, corkflip, McTwist, flat
+ *   duplicateTricks    hits repeating an earlier trick's canonical code
+ *   backToBack         consecutive hits sharing an approach
+ *   progression        slope of trick difficulty per hit (> 0 builds up)
+ *
+ *   composeRun(asts, difficulties) → metrics above
+ *
+ * COMPOSITION_COLUMNS are the snake_case columns the metrics are written
+ * to in the run-level CSV and carried into the master dataset.
+ */
+
+const { renderCode } = require('./trick_codes');
+
+const APPROACHES = ['frontside', 'backside', 'switch frontside', 'switch backside'];
+const COMPOSITION_COLUMNS = [
+  'direction_coverage', 'distinct_grabs', 'grab_diversity', 'axis_variety',
+  'duplicate_tricks', 'back_to_back', 'progression',
+];
+
+/** Stance + spin direction, or null when the code gives no direction */
+function approachOf(ast) {
+  if (!ast.direction) return null;
+  return ast.stance === 'switch' ? `switch ${ast.direction}` : ast.direction;
+}
+
+/** The trick's axis: its first inversion's kind of flip, or flat spin */
+function axisOf(ast) {
+  const inversion = ast.inversions[0];
+  if (!inversion) return 'flat';
+  return inversion.kind === 'cork' ? 'cork' : inversion.name;
+}
+
+/** Least-squares slope of values against their position (0, 1, 2, ...) */
+function slope(values) {
+  const n = values.length;
+  if (n < 2) return 0;
+  const xMean = (n - 1) / 2;
+  const yMean = values.reduce((a, b) => a + b, 0) / n;
+  let num = 0;
+  let den = 0;
+  values.forEach((y, x) => {
+    num += (x - xMean) * (y - yMean);
+    den += (x - xMean) ** 2;
+  });
+  return num / den;
+}
+
+/**
+ * Composition metrics for one run, from its parsed tricks in order and
+ * each trick's difficulty score
+ */
+function composeRun(asts, difficulties = []) {
+  const approaches = asts.map(approachOf);
+  const directions = APPROACHES.filter(a => approaches.includes(a));
+  const grabs = asts.flatMap(ast => ast.grabs.flat().map(g => g.code));
+  const distinctGrabs = new Set(grabs).size;
+  const codes = asts.map(renderCode);
+
+  let backToBack = 0;
+  for (let i = 1; i < approaches.length; i++) {
+    if (approaches[i] && approaches[i] === approaches[i - 1]) backToBack++;
+  }
+
+  return {
+    directions,
+    directionCoverage: directions.length,
+    distinctGrabs,
+    grabDiversity: grabs.length > 0 ? distinctGrabs / grabs.length : 0,
+    axisVariety: new Set(asts.map(axisOf)).size,
+    duplicateTricks: codes.length - new Set(codes).size,
+    backToBack,
+    progression: slope(difficulties),
+  };
+}
+
+module.exports = {
+  APPROACHES,
+  COMPOSITION_COLUMNS,
+  approachOf,
+  axisOf,
+  composeRun,
+};
@@ -0,0 +1,174 @@
+/**
+ * Run-Order Permutation
+ *
+ * The Q1 relief gap (clean runs after 1+ consecutive crashes minus clean
+ * runs after none) depends on who happened to drop in after whom. To ask
+ * whether the observed gap is unusual, this shuffles the running order
+ * within each round — every run keeps its status and score — recomputes
+ * the crash streaks and the gap, and repeats thousands of times:
+ *
+ *   annotateStreaks(sequence)      → entries tagged with consecCrashesBefore
+ *   reliefGap(rounds)              → observed statistic on annotated rounds
+ *   runOrderNull(rounds, options)  → null distribution, percentile, p, histogram
+ *
+ * `rounds` is one array per (event, round) of { status, score, position, ... }
+ * in running order. Riders whose start position is listed in
+ * `fixedPositions` (--fix-positions 1,12) keep their slot in every shuffle.
+ */
+
+const { createRng } = require('./random');
+const { mean, pearson } = require('./statistics');
+
+const DEFAULT_PERMUTATIONS = 5000;
+const HISTOGRAM_BINS = 20;
+
+const CRASH_STATUSES = ['wipeout', 'crash'];
+// Statuses that end a crash streak; unresolved DNIs leave it running
+const RESET_STATUSES = ['clean', 'did_not_improve', 'strategic_skip'];
+
+/**
+ * Tag each entry of one round (in running order) with the number of
+ * consecutive crashes immediately before it
+ */
+function annotateStreaks(sequence) {
+  let consecCrashes = 0;
+  return sequence.map(entry => {
+    const annotated = { ...entry, consecCrashesBefore: consecCrashes };
+    if (CRASH_STATUSES.includes(entry.status)) consecCrashes++;
+    else if (RESET_STATUSES.includes(entry.status)) consecCrashes = 0;
+    return annotated;
+  });
+}
+
+/** Clean runs from annotated rounds, flattened */
+function cleanRuns(rounds) {
+  return rounds.flat().filter(e => e.status === 'clean');
+}
+
+/** Mean clean score after 1+ crashes minus after 0; null if a group is empty */
+function reliefGap(rounds) {
+  const clean = cleanRuns(rounds);
+  const after = clean.filter(e => e.consecCrashesBefore >= 1).map(e => e.score);
+  const none = clean.filter(e => e.consecCrashesBefore === 0).map(e => e.score);
+  if (after.length === 0 || none.length === 0) return null;
+  return mean(after) - mean(none);
+}
+
+/** Pearson r between crash streak and clean score (Q2 dose-response) */
+function streakCorrelation(rounds) {
+  const clean = cleanRuns(rounds);
+  if (clean.length < 3) return null;
+  return pearson(clean.map(e => e.consecCrashesBefore), clean.map(e => e.score));
+}
+
+/** Shuffle one round's order, leaving fixed start positions in their slots */
+function permuteRound(sequence, rng, fixedPositions = new Set()) {
+  const movable = sequence.filter(e => !fixedPositions.has(e.position));
+  const shuffled = rng.shuffle(movable);
+  let next = 0;
+  return sequence.map(e => (fixedPositions.has(e.position) ? e : shuffled[next++]));
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/** Equal-width bins over the values (and the observed value, so it is on the axis) */
+function histogram(values, observed, bins = HISTOGRAM_BINS) {
+  const lo = Math.min(...values, observed);
+  const hi = Math.max(...values, observed);
+  const width = (hi - lo) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  values.forEach(v => { counts[Math.min(bins - 1, Math.floor((v - lo) / width))]++; });
+  return counts.map((count, i) => ({
+    from: lo + i * width,
+    to: lo + (i + 1) * width,
+    count,
+    containsObserved: observed >= lo + i * width && (observed < lo + (i + 1) * width || i === bins - 1),
+  }));
+}
+
+/**
+ * Null distribution of `statistic` under random running order.
+ * Shuffles where the statistic is undefined (an empty group) are skipped
+ * and counted.
+ */
+function runOrderNull(rounds, options = {}) {
+  const {
+    statistic = reliefGap,
+    iterations = DEFAULT_PERMUTATIONS,
+    rng = createRng(),
+    fixedPositions = new Set(),
+  } = options;
+
+  const observed = statistic(rounds.map(annotateStreaks));
+  const values = [];
+  let skipped = 0;
+  for (let i = 0; i < iterations; i++) {
+    const v = statistic(rounds.map(seq => annotateStreaks(permuteRound(seq, rng, fixedPositions))));
+    if (v === null || !Number.isFinite(v)) skipped++;
+    else values.push(v);
+  }
+  if (observed === null || values.length === 0) {
+    return { observed, iterations, skipped, values: [], summary: null, percentile: null, pGreater: null, pTwoSided: null, histogram: [] };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const nullMean = mean(values);
+  const eps = 1e-9;
+  const below = values.filter(v => v < observed - eps).length;
+  const ties = values.filter(v => Math.abs(v - observed) <= eps).length;
+  return {
+    observed,
+    iterations,
+    skipped,
+    seed: rng.seed,
+    fixedPositions: [...fixedPositions].sort((a, b) => a - b),
+    values,
+    summary: {
+      mean: nullMean,
+      sd: Math.sqrt(mean(values.map(v => (v - nullMean) ** 2))),
+      q025: quantile(sorted, 0.025),
+      median: quantile(sorted, 0.5),
+      q975: quantile(sorted, 0.975),
+    },
+    // Mid-rank percentile of the observed value within the null
+    percentile: ((below + ties / 2) / values.length) * 100,
+    pGreater: (values.filter(v => v >= observed - eps).length + 1) / (values.length + 1),
+    pTwoSided: (values.filter(v => Math.abs(v - nullMean) >= Math.abs(observed - nullMean) - eps).length + 1) / (values.length + 1),
+    histogram: histogram(values, observed),
+  };
+}
+
+/** --permutations <n> and --fix-positions <p,p,...> */
+function parseRunOrderArgs(argv = process.argv.slice(2)) {
+  const value = name => {
+    for (let i = 0; i < argv.length; i++) {
+      if (argv[i] === name) return argv[i + 1];
+      if (argv[i].startsWith(`${name}=`)) return argv[i].slice(name.length + 1);
+    }
+    return null;
+  };
+  const iterations = value('--permutations');
+  const fixed = value('--fix-positions');
+  const n = iterations === null ? DEFAULT_PERMUTATIONS : parseInt(iterations);
+  if (isNaN(n) || n < 1) throw new Error(`--permutations needs a positive integer, got "${iterations}"`);
+  const positions = fixed ? fixed.split(',').map(p => parseInt(p)) : [];
+  if (positions.some(p => isNaN(p))) throw new Error(`--fix-positions needs comma-separated start positions, got "${fixed}"`);
+  return { iterations: n, fixedPositions: new Set(positions) };
+}
+
+module.exports = {
+  DEFAULT_PERMUTATIONS,
+  CRASH_STATUSES,
+  RESET_STATUSES,
+  annotateStreaks,
+  reliefGap,
+  streakCorrelation,
+  permuteRound,
+  runOrderNull,
+  parseRunOrderArgs,
+};
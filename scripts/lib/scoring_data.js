@@ -0,0 +1,385 @@
+/**
+ * Scoring Data Access
+ *
+ * One loader for every CSV the pipeline touches. Parses RFC 4180 CSV
+ * (quoted fields, doubled quotes, embedded commas/newlines, CRLF or LF),
+ * looks columns up by header name rather than position, validates each
+ * row and returns typed objects:
+ *
+ *   loadJudgeScores(path) → Run[]                 individual-judge-scores CSV
+ *   loadOverview(path)    → Competitor[]          competition overview CSV
+ *   loadJudges(path)      → { [number]: Judge }   judges-metadata CSV
+ *
+ * The raw loaders take an optional { eventId } that is stamped on every
+ * record; see lib/events.js for loading whole events.
+ *   loadCSV(path)         → row objects keyed by header (processed files)
+ *   toCSV(headers, rows)  → RFC 4180 text for writing processed files
+ */
+
+const fs = require('fs');
+
+// Scores below this are wipeouts (see docs/DATA_GUIDE.md "Wipeout Definition")
+const WIPEOUT_THRESHOLD = 50;
+
+class DataValidationError extends Error {
+  constructor(file, issues) {
+    const list = issues.map(i => `  line ${i.line}: ${i.message}`).join('\n');
+    super(`Invalid data in ${file}:\n${list}`);
+    this.name = 'DataValidationError';
+    this.file = file;
+    this.issues = issues;
+  }
+}
+
+// ── CSV ─────────────────────────────────────────────────────────
+
+/**
+ * Parse RFC 4180 text into { headers, records }, where each record is
+ * { line, values } and `line` is the 1-based line the record starts on.
+ */
+function parseCSV(text, file = '<csv>') {
+  const records = [];
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  let fieldStarted = false;
+
+  const endField = () => {
+    values.push(field);
+    field = '';
+    fieldStarted = false;
+  };
+  const endRecord = () => {
+    endField();
+    // Skip blank lines (a single empty field)
+    if (!(values.length === 1 && values[0] === '')) {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+  };
+
+  const src = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && !fieldStarted) {
+      inQuotes = true;
+      fieldStarted = true;
+    } else if (ch === ',') {
+      endField();
+    } else if (ch === '\r' && src[i + 1] === '\n') {
+      // CRLF: handled by the '\n' on the next iteration
+    } else if (ch === '\n' || ch === '\r') {
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+      fieldStarted = true;
+    }
+  }
+  if (inQuotes) {
+    throw new DataValidationError(file, [{ line: recordLine, message: 'unterminated quoted field' }]);
+  }
+  if (field !== '' || values.length > 0) endRecord();
+
+  if (records.length === 0) {
+    throw new DataValidationError(file, [{ line: 1, message: 'missing header row' }]);
+  }
+  const headers = records[0].values.map(h => h.trim());
+  return { headers, records: records.slice(1) };
+}
+
+/**
+ * Turn parsed records into objects keyed by header. Every record must have
+ * exactly one value per header; a stray comma is an error, not a shift.
+ */
+function toRowObjects(headers, records, file) {
+  const issues = [];
+  const rows = [];
+  records.forEach(({ line, values }) => {
+    if (values.length !== headers.length) {
+      issues.push({ line, message: `expected ${headers.length} fields, found ${values.length}` });
+      return;
+    }
+    const row = {};
+    headers.forEach((h, i) => { row[h] = values[i].trim(); });
+    Object.defineProperty(row, '_line', { value: line, enumerable: false });
+    rows.push(row);
+  });
+  if (issues.length > 0) throw new DataValidationError(file, issues);
+  return rows;
+}
+
+function readCSV(filePath) {
+  const { headers, records } = parseCSV(fs.readFileSync(filePath, 'utf8'), filePath);
+  return { headers, rows: toRowObjects(headers, records, filePath) };
+}
+
+/**
+ * Load any CSV as plain row objects keyed by (trimmed) header name.
+ */
+function loadCSV(filePath) {
+  return readCSV(filePath).rows;
+}
+
+function quoteField(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Serialize rows to RFC 4180 CSV. `headers` fixes the column order;
+ * missing values are written as empty fields.
+ */
+function toCSV(headers, rows) {
+  const lines = [headers.map(quoteField).join(',')];
+  rows.forEach(row => {
+    lines.push(headers.map(h => quoteField(row[h])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+// ── Column helpers ──────────────────────────────────────────────
+
+function requireColumns(headers, required, file) {
+  const missing = required.filter(c => !headers.includes(c));
+  if (missing.length > 0) {
+    throw new DataValidationError(file, [{ line: 1, message: `missing column(s): ${missing.join(', ')}` }]);
+  }
+}
+
+// Numbered columns such as trick1..trick5 or judge1_score..judge6_score, in order
+function numberedColumns(headers, pattern) {
+  return headers
+    .map(h => { const m = h.match(pattern); return m ? { header: h, n: parseInt(m[1]) } : null; })
+    .filter(Boolean)
+    .sort((a, b) => a.n - b.n);
+}
+
+function parseIntField(row, column, issues) {
+  const v = row[column];
+  if (!/^\d+$/.test(v)) {
+    issues.push({ line: row._line, message: `${column} must be a whole number, got "${v}"` });
+    return null;
+  }
+  return parseInt(v);
+}
+
+function parseScoreField(row, column, issues, { allowEmpty = true } = {}) {
+  const v = row[column];
+  if (v === '' && allowEmpty) return null;
+  const num = Number(v);
+  if (v === '' || isNaN(num) || num < 0 || num > 100) {
+    issues.push({ line: row._line, message: `${column} must be a score between 0 and 100, got "${v}"` });
+    return null;
+  }
+  return num;
+}
+
+// ── Typed records ───────────────────────────────────────────────
+
+function runKey(eventId, competitor, run) {
+  return `${eventId || ''}/${competitor}-${run}`;
+}
+
+class Judge {
+  constructor({ eventId = null, number, name, countryCode, country, role }) {
+    this.eventId = eventId;
+    this.number = number;
+    this.name = name;
+    this.countryCode = countryCode;
+    this.country = country;
+    this.role = role;
+  }
+}
+
+class Competitor {
+  constructor({ eventId = null, performanceOrder, name, country, finalRank, qualScore, runScores, bestScore, notes }) {
+    this.eventId = eventId;
+    this.performanceOrder = performanceOrder;
+    this.name = name;
+    this.country = country;
+    this.finalRank = finalRank;
+    this.qualScore = qualScore;
+    this.runScores = runScores;
+    this.bestScore = bestScore;
+    this.notes = notes;
+  }
+}
+
+/**
+ * One performance: a competitor's run in one round, with the official
+ * result, every judge's mark and the trick sequence.
+ */
+class Run {
+  constructor({ eventId = null, line = null, competitor, country, position, run, finalScore, judgeScores, tricks, medal, notes }) {
+    this.eventId = eventId;
+    Object.defineProperty(this, 'line', { value: line, enumerable: false });  // source line, for error messages
+    this.competitor = competitor;
+    this.country = country;
+    this.position = position;
+    this.run = run;
+    this.finalScore = finalScore;    // null for DNI
+    this.judgeScores = judgeScores;  // [{ judge, country, score }] — score null when not marked
+    this.tricks = tricks;            // non-blank trick codes in order
+    this.medal = medal;
+    this.notes = notes;
+  }
+
+  get isDNI() { return this.finalScore === null; }
+  get isScored() { return this.finalScore !== null; }
+  get isClean() { return this.isScored && this.finalScore >= WIPEOUT_THRESHOLD; }
+  get isWipeout() { return this.isScored && this.finalScore < WIPEOUT_THRESHOLD; }
+
+  /** Unique across events: `${eventId}/${competitor}-${run}` */
+  get key() { return runKey(this.eventId, this.competitor, this.run); }
+
+  /** Every judge on the panel marked this run */
+  get hasFullPanel() { return this.judgeScores.every(j => j.score !== null); }
+
+  /** Judges who marked this run, as [{ judge, country, score }] */
+  scoredJudges() {
+    return this.judgeScores.filter(j => j.score !== null);
+  }
+}
+
+// ── Loaders ─────────────────────────────────────────────────────
+
+/**
+ * Load the individual-judge-scores CSV. Judge and trick columns are found
+ * by name (judgeN_score / judgeN_country / trickN), so panels of any size
+ * and any number of trick columns load without code changes.
+ */
+function loadJudgeScores(filePath, { eventId = null } = {}) {
+  const { headers, rows } = readCSV(filePath);
+  requireColumns(headers, ['competitor', 'country', 'position', 'run', 'final_score'], filePath);
+
+  const judgeCols = numberedColumns(headers, /^judge(\d+)_score$/);
+  const trickCols = numberedColumns(headers, /^trick(\d+)$/);
+  if (judgeCols.length === 0) {
+    throw new DataValidationError(filePath, [{ line: 1, message: 'no judgeN_score columns' }]);
+  }
+
+  const issues = [];
+  const runs = rows.map(row => {
+    const isDNI = row.final_score === 'DNI';
+    const judgeScores = judgeCols.map(({ header, n }) => ({
+      judge: n,
+      country: row[`judge${n}_country`] || '',
+      score: parseScoreField(row, header, issues),
+    }));
+    if (isDNI && judgeScores.some(j => j.score !== null)) {
+      issues.push({ line: row._line, message: 'DNI run has judge scores' });
+    }
+    if (!row.competitor) issues.push({ line: row._line, message: 'competitor is empty' });
+
+    return new Run({
+      eventId,
+      line: row._line,
+      competitor: row.competitor,
+      country: row.country,
+      position: parseIntField(row, 'position', issues),
+      run: parseIntField(row, 'run', issues),
+      finalScore: isDNI ? null : parseScoreField(row, 'final_score', issues, { allowEmpty: false }),
+      judgeScores,
+      tricks: trickCols.map(({ header }) => row[header]).filter(t => t !== ''),
+      medal: row.medal || '',
+      notes: row.notes || '',
+    });
+  });
+
+  if (issues.length > 0) throw new DataValidationError(filePath, issues);
+  return runs;
+}
+
+/**
+ * Load the competition overview CSV (one row per finalist).
+ */
+function loadOverview(filePath, { eventId = null } = {}) {
+  const { headers, rows } = readCSV(filePath);
+  requireColumns(headers, ['performance_order', 'competitor', 'country', 'final_rank', 'qual_score', 'best_score'], filePath);
+  const runCols = numberedColumns(headers, /^run(\d+)$/);
+
+  const issues = [];
+  const competitors = rows.map(row => new Competitor({
+    eventId,
+    performanceOrder: parseIntField(row, 'performance_order', issues),
+    name: row.competitor,
+    country: row.country,
+    finalRank: parseIntField(row, 'final_rank', issues),
+    qualScore: parseScoreField(row, 'qual_score', issues),
+    runScores: runCols.map(({ header }) => parseScoreField(row, header, issues)),
+    bestScore: parseScoreField(row, 'best_score', issues),
+    notes: row.notes || '',
+  }));
+
+  if (issues.length > 0) throw new DataValidationError(filePath, issues);
+  return competitors;
+}
+
+/**
+ * Load judges-metadata CSV, keyed by judge number.
+ */
+function loadJudges(filePath, { eventId = null } = {}) {
+  const { headers, rows } = readCSV(filePath);
+  requireColumns(headers, ['judge_number', 'judge_name', 'country_code'], filePath);
+
+  const issues = [];
+  const judges = {};
+  rows.forEach(row => {
+    const number = parseIntField(row, 'judge_number', issues);
+    if (number === null) return;
+    if (judges[number]) issues.push({ line: row._line, message: `duplicate judge_number ${number}` });
+    judges[number] = new Judge({
+      eventId,
+      number,
+      name: row.judge_name,
+      countryCode: row.country_code,
+      country: row.country || '',
+      role: row.role || '',
+    });
+  });
+
+  if (issues.length > 0) throw new DataValidationError(filePath, issues);
+  return judges;
+}
+
+/**
+ * Load dni_resolved.csv as a map keyed by run key (see Run#key).
+ * Returns an empty map when the resolver has not been run yet.
+ */
+function loadDNIResolution(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  const map = {};
+  loadCSV(filePath).forEach(row => {
+    map[runKey(row.event_id, row.competitor, row.run)] = row;
+  });
+  return map;
+}
+
+module.exports = {
+  WIPEOUT_THRESHOLD,
+  DataValidationError,
+  Judge,
+  Competitor,
+  Run,
+  runKey,
+  parseCSV,
+  loadCSV,
+  toCSV,
+  loadJudgeScores,
+  loadOverview,
+  loadJudges,
+  loadDNIResolution,
+};
@@ -0,0 +1,192 @@
+/**
+ * Sequential Contrast
+ *
+ * The crash streak (lib/run_order.js) only says whether the riders before
+ * a run fell. Contrast-effect studies (Damisch et al., 2006) look at the
+ * score the previous performance actually got. Here each judge's mark on a
+ * clean run is regressed on the run before it in the round:
+ *
+ *   mark = a + b_prev · previous run's final score
+ *            + b_own  · the judge's own mark on the previous run
+ *            + c_q · rider's qualification score + c_d · run difficulty + e
+ *
+ * b_prev < 0 is a contrast effect (a low score before makes this run look
+ * better); b_prev > 0 is assimilation. b_own > 0 means a judge carries
+ * their own previous mark forward beyond what the panel gave. The two
+ * previous-run terms are nearly collinear, so the fit uses the previous
+ * score and the judge's own previous deviation from it, which is the same
+ * model, and converts back.
+ *
+ *   contrastRounds(dataset, difficultyOf) → each round's scored runs in running order
+ *   contrastRows(rounds)                  → one row per judge mark on a clean run with a predecessor
+ *   fitContrast(rows)                     → { prevScore, ownPrevious, ... } or null
+ *   sequentialContrast(rounds, options)   → per-judge and pooled fits with CIs and p-values
+ *
+ * The p-values shuffle each round's running order (every run keeps its
+ * marks; only what came before changes); the intervals resample the clean
+ * runs being scored.
+ */
+
+const { createRng } = require('./random');
+const { ridgeFit } = require('./regression');
+const { permuteRound } = require('./run_order');
+
+const PERMUTATIONS = 2000;
+const BOOTSTRAPS = 1000;
+const EPS = 1e-9;
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/** Share of null values at least as far from the null mean as the observed one */
+function pTwoSided(values, observed) {
+  const m = values.reduce((x, y) => x + y, 0) / values.length;
+  return (values.filter(v => Math.abs(v - m) >= Math.abs(observed - m) - EPS).length + 1) / (values.length + 1);
+}
+
+/**
+ * One array per (event, round) of scored runs in running order:
+ * { key, competitor, position, isClean, score, qualScore, difficulty, marks: Map judge key → mark }.
+ * `difficultyOf(run)` returns the run's total difficulty or null.
+ */
+function contrastRounds(dataset, difficultyOf = () => null) {
+  return dataset.rounds().map(({ event, round }) => dataset.roundRuns(event.id, round)
+    .filter(r => r.isScored)
+    .map(r => ({
+      key: r.key,
+      competitor: r.competitor,
+      position: r.position,
+      isClean: r.isClean,
+      score: r.finalScore,
+      qualScore: dataset.competitor(event.id, r.competitor)?.qualScore ?? null,
+      difficulty: difficultyOf(r),
+      marks: new Map(r.scoredJudges().map(j => [dataset.judgeKey(event.id, j.judge), j.score])),
+    })));
+}
+
+/** Rows for every judge's mark on a clean run that has a scored run before it */
+function contrastRows(rounds) {
+  return rounds.flatMap(runs => runs.flatMap((run, i) => {
+    if (i === 0 || !run.isClean) return [];
+    const previous = runs[i - 1];
+    return [...run.marks].filter(([judge]) => previous.marks.has(judge)).map(([judge, mark]) => ({
+      run: run.key,
+      judge,
+      mark,
+      prevScore: previous.score,
+      prevOwn: previous.marks.get(judge),
+      qualScore: run.qualScore,
+      difficulty: run.difficulty,
+    }));
+  }));
+}
+
+/**
+ * OLS of mark on the previous run (and controls). With several judges in
+ * `rows`, each judge gets their own intercept. Returns null when the rows
+ * can't support the fit.
+ */
+function fitContrast(rows) {
+  const judges = [...new Set(rows.map(r => r.judge))];
+  const covariates = ['qualScore', 'difficulty'].filter(c => rows.every(r => r[c] !== null && r[c] !== undefined));
+  const parameters = 3 + covariates.length + judges.length - 1;
+  if (rows.length <= parameters) return null;
+
+  const X = rows.map(r => [
+    r.prevScore,
+    r.prevOwn - r.prevScore,
+    ...covariates.map(c => r[c]),
+    ...judges.slice(1).map(j => (r.judge === j ? 1 : 0)),
+  ]);
+  let fit;
+  try {
+    fit = ridgeFit(X, rows.map(r => r.mark), 0);
+  } catch (e) {
+    return null;
+  }
+  if (fit.constant.includes(0) || fit.constant.includes(1)) return null;
+  const [onPrevious, onOwnDeviation] = fit.coefficients;
+  return {
+    prevScore: onPrevious - onOwnDeviation,
+    ownPrevious: onOwnDeviation,
+    covariates: Object.fromEntries(covariates.map((c, i) => [c, fit.coefficients[2 + i]])),
+    n: rows.length,
+    runs: new Set(rows.map(r => r.run)).size,
+  };
+}
+
+/**
+ * Per-judge and pooled fits. Each coefficient gets a percentile bootstrap
+ * interval (clean runs resampled, all their marks kept together) and a
+ * two-sided p-value from shuffled running orders (centred on the null mean).
+ */
+function sequentialContrast(rounds, options = {}) {
+  const { iterations = PERMUTATIONS, bootstrap = BOOTSTRAPS, rng = createRng() } = options;
+  const rows = contrastRows(rounds);
+  const judges = [...new Set(rows.map(r => r.judge))];
+  const subsets = [
+    { judge: null, select: rs => rs },
+    ...judges.map(judge => ({ judge, select: rs => rs.filter(r => r.judge === judge) })),
+  ];
+  const terms = ['prevScore', 'ownPrevious'];
+
+  const observed = subsets.map(s => fitContrast(s.select(rows)));
+  const nulls = subsets.map(() => ({ prevScore: [], ownPrevious: [] }));
+  for (let i = 0; i < iterations; i++) {
+    const shuffled = contrastRows(rounds.map(runs => permuteRound(runs, rng)));
+    subsets.forEach((s, k) => {
+      const fit = observed[k] && fitContrast(s.select(shuffled));
+      if (fit) terms.forEach(t => nulls[k][t].push(fit[t]));
+    });
+  }
+
+  const byRun = [...new Set(rows.map(r => r.run))].map(run => rows.filter(r => r.run === run));
+  const draws = subsets.map(() => ({ prevScore: [], ownPrevious: [] }));
+  for (let b = 0; b < bootstrap; b++) {
+    // Resampled runs get fresh keys so a run drawn twice counts as two runs
+    const sample = rng.sample(byRun).flatMap((runRows, i) => runRows.map(r => ({ ...r, run: `${r.run}#${i}` })));
+    subsets.forEach((s, k) => {
+      const fit = observed[k] && fitContrast(s.select(sample));
+      if (fit) terms.forEach(t => draws[k][t].push(fit[t]));
+    });
+  }
+
+  const summarise = k => {
+    const fit = observed[k];
+    if (!fit) return null;
+    return {
+      ...fit,
+      ...Object.fromEntries(terms.map(t => {
+        const values = nulls[k][t];
+        const sorted = [...draws[k][t]].sort((a, b) => a - b);
+        return [t, {
+          estimate: fit[t],
+          ci: sorted.length >= bootstrap / 2 ? [quantile(sorted, 0.025), quantile(sorted, 0.975)] : null,
+          nullMean: values.length > 0 ? values.reduce((x, y) => x + y, 0) / values.length : null,
+          p: values.length > 0 ? pTwoSided(values, fit[t]) : null,
+          permutations: values.length,
+        }];
+      })),
+    };
+  };
+
+  return {
+    pooled: summarise(0),
+    judges: judges.map((judge, i) => ({ judge, ...summarise(i + 1) })),
+    rows: rows.length,
+    iterations,
+    bootstrap,
+    seed: rng.seed,
+  };
+}
+
+module.exports = {
+  contrastRounds,
+  contrastRows,
+  fitContrast,
+  sequentialContrast,
+};
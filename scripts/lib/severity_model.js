@@ -0,0 +1,239 @@
+/**
+ * Judge Severity Model
+ *
+ * Mean deviation from the panel mean treats every run's panel as the truth
+ * and folds a judge's home-nation leaning into their severity. This fits a
+ * linear mixed model to the individual marks instead:
+ *
+ *   score[run, judge] = quality[run] + severity[judge] + nation[judge, rider's nation] + e
+ *
+ *   quality   fixed effect per run (what the run was worth)
+ *   severity  fixed effect per judge, centred on the panel (+ = generous)
+ *   nation    random judge × rider-nationality effect, N(0, τ²), shrunk
+ *             towards 0 by σ²/τ² — small cells borrow from the rest
+ *   e         N(0, σ²)
+ *
+ * Variance components from the ANOVA estimator, effects by backfitting
+ * with the interaction shrunk as its BLUP; uncertainty from a bootstrap
+ * that resamples runs. With one complete panel and τ² = 0 the severities
+ * equal the mean deviations; they differ where judges lean towards a
+ * nation or where pooled events give judges different panels.
+ *
+ *   fitSeverityModel(observations)            → point estimates (Maps keyed by run / judge)
+ *   severityModel(observations, { rng, ... }) → estimates + bootstrap CIs per judge
+ *   observationsFromRuns(runs, keyOf)         → observations from scored runs
+ *
+ * An observation is { run, judge, score, nation, judgeNation }: `run` and
+ * `judge` are keys, `nation` the rider's country code.
+ */
+
+const { createRng } = require('./random');
+
+const MAX_ITERATIONS = 500;
+const TOLERANCE = 1e-10;
+const BOOTSTRAPS = 1000;
+
+const sum = xs => xs.reduce((a, b) => a + b, 0);
+const cellKey = (judge, nation) => `${judge}|${nation}`;
+
+function groupIndex(observations, keyOf) {
+  const groups = new Map();
+  observations.forEach((o, i) => {
+    const key = keyOf(o);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+  return groups;
+}
+
+/** Position of each observation's group in `groups`' key order */
+function memberships(observations, groups) {
+  const index = new Int32Array(observations.length);
+  [...groups.values()].forEach((idx, g) => idx.forEach(i => { index[i] = g; }));
+  return index;
+}
+
+/**
+ * Backfit the effects for a fixed shrinkage λ = σ²/τ² on the nation cells
+ * (0 = unshrunk fixed cells, Infinity = no nation term)
+ */
+function backfit(design, lambda, options) {
+  const { y, N, runOf, judgeOf, cellOf, runN, judgeN, cellN } = design;
+  const quality = new Float64Array(runN.length);
+  const severity = new Float64Array(judgeN.length);
+  const nation = new Float64Array(cellN.length);
+  // Residual of observation i with one component added back
+  const partial = (i, component) => y[i] - quality[runOf[i]] - severity[judgeOf[i]] - nation[cellOf[i]] + component;
+  const residualSS = () => {
+    let rss = 0;
+    for (let i = 0; i < N; i++) rss += partial(i, 0) ** 2;
+    return rss;
+  };
+
+  let rss = Infinity;
+  let iterations = 0;
+  let converged = false;
+  while (iterations < options.maxIterations && !converged) {
+    iterations++;
+    const runSum = new Float64Array(runN.length);
+    for (let i = 0; i < N; i++) runSum[runOf[i]] += partial(i, quality[runOf[i]]);
+    runSum.forEach((v, r) => { quality[r] = v / runN[r]; });
+
+    const judgeSum = new Float64Array(judgeN.length);
+    for (let i = 0; i < N; i++) judgeSum[judgeOf[i]] += partial(i, severity[judgeOf[i]]);
+    judgeSum.forEach((v, j) => { severity[j] = v / judgeN[j]; });
+
+    if (lambda !== Infinity) {
+      const cellSum = new Float64Array(cellN.length);
+      for (let i = 0; i < N; i++) cellSum[cellOf[i]] += partial(i, nation[cellOf[i]]);
+      cellSum.forEach((v, c) => { nation[c] = v / (cellN[c] + lambda); });
+    }
+
+    const next = residualSS();
+    converged = Math.abs(rss - next) < options.tolerance;
+    rss = next;
+  }
+
+  // Centre severities on the panel; the shift moves into run quality
+  const centre = sum(severity) / severity.length;
+  severity.forEach((v, j) => { severity[j] = v - centre; });
+  quality.forEach((v, r) => { quality[r] = v + centre; });
+  return { quality, severity, nation, rss, iterations, converged };
+}
+
+/**
+ * Fit the model above; null when there are too few runs or judges.
+ * Variance components come from the ANOVA (moment) estimator: the drop in
+ * residual sum of squares when judge × nation cells are added, beyond what
+ * σ² alone would give. τ² = 0 (no nation term) when the cells add nothing.
+ */
+function fitSeverityModel(observations, options = {}) {
+  const { maxIterations = MAX_ITERATIONS, tolerance = TOLERANCE } = options;
+  const runs = groupIndex(observations, o => o.run);
+  const judges = groupIndex(observations, o => o.judge);
+  const cells = groupIndex(observations, o => cellKey(o.judge, o.nation));
+  const nations = new Set(observations.map(o => o.nation)).size;
+  const N = observations.length;
+  const design = {
+    y: observations.map(o => o.score),
+    N,
+    runOf: memberships(observations, runs),
+    judgeOf: memberships(observations, judges),
+    cellOf: memberships(observations, cells),
+    runN: [...runs.values()].map(idx => idx.length),
+    judgeN: [...judges.values()].map(idx => idx.length),
+    cellN: [...cells.values()].map(idx => idx.length),
+  };
+  // Interaction degrees of freedom beyond the judge and nation main effects
+  // (the nation main effect is absorbed by run quality)
+  const cellDf = cells.size - judges.size - nations + 1;
+  const residualDf = N - runs.size - (judges.size - 1) - Math.max(cellDf, 0);
+  if (runs.size < 2 || judges.size < 2 || residualDf < 1) return null;
+
+  const settings = { maxIterations, tolerance };
+  const reduced = backfit(design, Infinity, settings);
+  const full = cellDf > 0 ? backfit(design, 0, settings) : reduced;
+  const sigma2 = full.rss / residualDf;
+  const n0 = cells.size > 1 ? (N - sum(design.cellN.map(n => n * n)) / N) / (cells.size - 1) : 1;
+  const tau2 = cellDf > 0 ? Math.max(0, ((reduced.rss - full.rss) / cellDf - sigma2) / n0) : 0;
+  const fit = tau2 > 0 ? backfit(design, sigma2 / tau2, settings) : reduced;
+
+  const runKeys = [...runs.keys()];
+  const judgeKeys = [...judges.keys()];
+  const judgeNation = new Map(observations.map(o => [o.judge, o.judgeNation]));
+  return {
+    severity: new Map(judgeKeys.map((k, j) => [k, fit.severity[j]])),
+    quality: new Map(runKeys.map((k, r) => [k, fit.quality[r]])),
+    nation: [...cells.values()].map((idx, c) => {
+      const o = observations[idx[0]];
+      return { judge: o.judge, nation: o.nation, home: o.nation === judgeNation.get(o.judge), n: design.cellN[c], effect: fit.nation[c] };
+    }),
+    // Each mark with run quality and nation effect removed: severity + noise
+    adjusted: observations.map((o, i) => ({
+      judge: o.judge,
+      run: o.run,
+      value: design.y[i] - fit.quality[design.runOf[i]] - fit.nation[design.cellOf[i]],
+    })),
+    sigma2,
+    tau2,
+    iterations: fit.iterations,
+    converged: fit.converged && full.converged,
+  };
+}
+
+function percentile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function interval(values) {
+  if (values.length < 2) return { se: null, ci: null };
+  const m = sum(values) / values.length;
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    se: Math.sqrt(sum(values.map(v => (v - m) ** 2)) / (values.length - 1)),
+    ci: [percentile(sorted, 0.025), percentile(sorted, 0.975)],
+  };
+}
+
+/**
+ * Fit plus a run-resampling bootstrap. Returns the fit and, per judge,
+ * { judge, severity, se, ci, home: { nation, n, effect, se, ci } | null }
+ */
+function severityModel(observations, options = {}) {
+  const { bootstrap = BOOTSTRAPS, rng = createRng() } = options;
+  const fit = fitSeverityModel(observations);
+  if (!fit) return null;
+
+  const byRun = [...groupIndex(observations, o => o.run).values()].map(idx => idx.map(i => observations[i]));
+  const judgeNation = new Map(observations.map(o => [o.judge, o.judgeNation]));
+  const draws = new Map([...fit.severity.keys()].map(k => [k, { severity: [], home: [] }]));
+  for (let b = 0; b < bootstrap; b++) {
+    // Resampled runs get fresh keys so a run drawn twice counts as two runs
+    const sample = rng.sample(byRun).flatMap((marks, i) => marks.map(o => ({ ...o, run: `${o.run}#${i}` })));
+    const refit = fitSeverityModel(sample);
+    if (!refit) continue;
+    refit.severity.forEach((v, k) => draws.get(k)?.severity.push(v));
+    refit.nation.filter(c => c.home).forEach(c => draws.get(c.judge)?.home.push(c.effect));
+  }
+
+  const judges = [...fit.severity.entries()].map(([judge, value]) => {
+    const homeCell = fit.nation.find(c => c.judge === judge && c.home);
+    return {
+      judge,
+      nation: judgeNation.get(judge),
+      severity: value,
+      ...interval(draws.get(judge).severity),
+      home: homeCell ? { nation: homeCell.nation, n: homeCell.n, effect: homeCell.effect, ...interval(draws.get(judge).home) } : null,
+    };
+  });
+  return { ...fit, judges, bootstrap };
+}
+
+/**
+ * Observations from scored runs; `keyOf(run, judgeScore)` names the judge
+ * (default: the panel seat number)
+ */
+function observationsFromRuns(runs, keyOf = (run, j) => j.judge) {
+  return runs.filter(run => run.isScored).flatMap(run => run.scoredJudges().map(j => ({
+    run: run.key,
+    judge: keyOf(run, j),
+    score: j.score,
+    nation: run.country,
+    judgeNation: j.country,
+  })));
+}
+
+/** True when --severity-model was passed (reports switch to model severities) */
+function parseSeverityModelArg(argv = process.argv.slice(2)) {
+  return argv.includes('--severity-model');
+}
+
+module.exports = {
+  fitSeverityModel,
+  severityModel,
+  observationsFromRuns,
+  parseSeverityModelArg,
+};
@@ -0,0 +1,274 @@
+/**
+ * Significance Testing
+ *
+ * Small-sample tests for the judging analyses. With 15 clean runs and a
+ * six-judge panel, distributional assumptions are hard to defend, so the
+ * tests here are resampling-based or exact:
+ *
+ *   permutationTest(a, b)          two groups, difference in means; exact
+ *                                  enumeration when the split count is small
+ *   signFlipTest(values)           one sample (or paired differences), mean ≠ 0;
+ *                                  exact when 2^n is small
+ *   correlationTest(x, y)          Pearson r with a permutation p-value
+ *   binomialTest(k, n, p0)         exact two-sided binomial test
+ *   fisherExact([[a, b], [c, d]])  exact two-sided test for a 2×2 table
+ *   bootstrapCI(groups, statistic) percentile interval, each group resampled
+ *   holm(ps) / benjaminiHochberg(ps)  multiple-comparison adjustment
+ *
+ * Effect sizes: meanDiff, hedgesG (two groups), cohensDz (one sample).
+ *
+ * Resampling draws from a seeded generator (lib/random.js) passed as
+ * `rng`, so reruns with the same --seed give identical p-values and CIs.
+ */
+
+const { createRng } = require('./random');
+
+const PERMUTATIONS = 10000;
+const BOOTSTRAPS = 2000;
+const EXACT_LIMIT = 100000;
+const EPS = 1e-9;
+
+const sum = xs => xs.reduce((a, b) => a + b, 0);
+const mean = xs => sum(xs) / xs.length;
+
+function sampleVariance(xs) {
+  if (xs.length < 2) return 0;
+  const m = mean(xs);
+  return sum(xs.map(x => (x - m) ** 2)) / (xs.length - 1);
+}
+
+function meanDiff(a, b) {
+  return mean(a) - mean(b);
+}
+
+/** Standardised mean difference with the small-sample correction */
+function hedgesG(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (n1 < 2 || n2 < 2) return null;
+  const pooled = Math.sqrt(((n1 - 1) * sampleVariance(a) + (n2 - 1) * sampleVariance(b)) / (n1 + n2 - 2));
+  if (pooled === 0) return null;
+  const correction = 1 - 3 / (4 * (n1 + n2) - 9);
+  return (meanDiff(a, b) / pooled) * correction;
+}
+
+/** One-sample effect size: mean / SD */
+function cohensDz(xs) {
+  const sd = Math.sqrt(sampleVariance(xs));
+  return sd === 0 ? null : mean(xs) / sd;
+}
+
+function pearson(x, y) {
+  const mx = mean(x);
+  const my = mean(y);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  x.forEach((xi, i) => {
+    sxy += (xi - mx) * (y[i] - my);
+    sxx += (xi - mx) ** 2;
+    syy += (y[i] - my) ** 2;
+  });
+  return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy);
+}
+
+function binomialCoefficient(n, k) {
+  if (k < 0 || k > n) return 0;
+  k = Math.min(k, n - k);
+  let c = 1;
+  for (let i = 1; i <= k; i++) c = (c * (n - k + i)) / i;
+  return Math.round(c);
+}
+
+/** Call fn(indices) for every k-subset of 0..n-1 */
+function forEachCombination(n, k, fn) {
+  const idx = Array.from({ length: k }, (_, i) => i);
+  while (true) {
+    fn(idx);
+    let i = k - 1;
+    while (i >= 0 && idx[i] === n - k + i) i--;
+    if (i < 0) return;
+    idx[i]++;
+    for (let j = i + 1; j < k; j++) idx[j] = idx[j - 1] + 1;
+  }
+}
+
+/**
+ * Two-sided permutation test of statistic(a, b) (default: difference in
+ * means). Enumerates every relabelling when there are at most `exactLimit`.
+ */
+function permutationTest(a, b, options = {}) {
+  const { statistic = meanDiff, iterations = PERMUTATIONS, exactLimit = EXACT_LIMIT, rng = createRng() } = options;
+  const pooled = [...a, ...b];
+  const observed = statistic(a, b);
+  const threshold = Math.abs(observed) - EPS;
+  const splits = binomialCoefficient(pooled.length, a.length);
+
+  if (splits <= exactLimit) {
+    let extreme = 0;
+    forEachCombination(pooled.length, a.length, idx => {
+      const chosen = new Set(idx);
+      const ga = idx.map(i => pooled[i]);
+      const gb = pooled.filter((_, i) => !chosen.has(i));
+      if (Math.abs(statistic(ga, gb)) >= threshold) extreme++;
+    });
+    return { observed, p: extreme / splits, method: 'exact permutation', permutations: splits };
+  }
+
+  let extreme = 0;
+  for (let i = 0; i < iterations; i++) {
+    const shuffled = rng.shuffle(pooled);
+    if (Math.abs(statistic(shuffled.slice(0, a.length), shuffled.slice(a.length))) >= threshold) extreme++;
+  }
+  return { observed, p: (extreme + 1) / (iterations + 1), method: 'Monte Carlo permutation', permutations: iterations };
+}
+
+/**
+ * Two-sided sign-flip test that the mean of `values` is 0 (use paired
+ * differences for a paired test). Exact when 2^n ≤ exactLimit.
+ */
+function signFlipTest(values, options = {}) {
+  const { iterations = PERMUTATIONS, exactLimit = EXACT_LIMIT, rng = createRng() } = options;
+  const n = values.length;
+  const observed = mean(values);
+  const threshold = Math.abs(observed) - EPS;
+  const total = 2 ** n;
+
+  if (total <= exactLimit) {
+    let extreme = 0;
+    for (let mask = 0; mask < total; mask++) {
+      let s = 0;
+      for (let i = 0; i < n; i++) s += mask & (1 << i) ? -values[i] : values[i];
+      if (Math.abs(s / n) >= threshold) extreme++;
+    }
+    return { observed, p: extreme / total, method: 'exact sign-flip', permutations: total };
+  }
+
+  let extreme = 0;
+  for (let it = 0; it < iterations; it++) {
+    const s = sum(values.map(v => (rng() < 0.5 ? -v : v)));
+    if (Math.abs(s / n) >= threshold) extreme++;
+  }
+  return { observed, p: (extreme + 1) / (iterations + 1), method: 'Monte Carlo sign-flip', permutations: iterations };
+}
+
+/** Pearson r with a two-sided permutation p-value (y shuffled against x) */
+function correlationTest(x, y, options = {}) {
+  const { iterations = PERMUTATIONS, rng = createRng() } = options;
+  const observed = pearson(x, y);
+  if (observed === null) return { observed: null, p: null, method: 'permutation (no variation)', permutations: 0 };
+  const threshold = Math.abs(observed) - EPS;
+  let extreme = 0;
+  for (let i = 0; i < iterations; i++) {
+    const r = pearson(x, rng.shuffle(y));
+    if (r !== null && Math.abs(r) >= threshold) extreme++;
+  }
+  return { observed, p: (extreme + 1) / (iterations + 1), method: 'Monte Carlo permutation', permutations: iterations };
+}
+
+function binomialPmf(k, n, p) {
+  return binomialCoefficient(n, k) * p ** k * (1 - p) ** (n - k);
+}
+
+/** Exact two-sided binomial test: outcomes no more likely than the observed one */
+function binomialTest(k, n, p0) {
+  const observedP = binomialPmf(k, n, p0);
+  let p = 0;
+  for (let i = 0; i <= n; i++) {
+    const pi = binomialPmf(i, n, p0);
+    if (pi <= observedP * (1 + 1e-7)) p += pi;
+  }
+  return { observed: k / n, expected: p0, p: Math.min(1, p), method: 'exact binomial' };
+}
+
+/** Fisher's exact test, two-sided, for [[a, b], [c, d]] */
+function fisherExact([[a, b], [c, d]]) {
+  const row1 = a + b;
+  const col1 = a + c;
+  const n = a + b + c + d;
+  const prob = x => binomialCoefficient(col1, x) * binomialCoefficient(n - col1, row1 - x) / binomialCoefficient(n, row1);
+  const observedP = prob(a);
+  let p = 0;
+  for (let x = Math.max(0, row1 + col1 - n); x <= Math.min(row1, col1); x++) {
+    const px = prob(x);
+    if (px <= observedP * (1 + 1e-7)) p += px;
+  }
+  const oddsRatio = b * c === 0 ? null : (a * d) / (b * c);
+  return { oddsRatio, p: Math.min(1, p), method: 'Fisher exact' };
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Percentile bootstrap interval for statistic(...groups), resampling each
+ * group independently. Pass rows of pairs as one group to keep pairs intact.
+ */
+function bootstrapCI(groups, statistic, options = {}) {
+  const { iterations = BOOTSTRAPS, level = 0.95, rng = createRng() } = options;
+  const values = [];
+  for (let i = 0; i < iterations; i++) {
+    const v = statistic(...groups.map(g => rng.sample(g)));
+    if (v !== null && Number.isFinite(v)) values.push(v);
+  }
+  if (values.length < iterations / 2) return null;
+  values.sort((x, y) => x - y);
+  const alpha = (1 - level) / 2;
+  return [quantile(values, alpha), quantile(values, 1 - alpha)];
+}
+
+/** Holm step-down adjusted p-values (nulls passed through) */
+function holm(pValues) {
+  const order = pValues.map((p, i) => ({ p, i })).filter(x => x.p !== null).sort((x, y) => x.p - y.p);
+  const m = order.length;
+  const adjusted = pValues.map(() => null);
+  let running = 0;
+  order.forEach(({ p, i }, rank) => {
+    running = Math.max(running, Math.min(1, (m - rank) * p));
+    adjusted[i] = running;
+  });
+  return adjusted;
+}
+
+/** Benjamini–Hochberg false-discovery-rate q-values (nulls passed through) */
+function benjaminiHochberg(pValues) {
+  const order = pValues.map((p, i) => ({ p, i })).filter(x => x.p !== null).sort((x, y) => y.p - x.p);
+  const m = order.length;
+  const adjusted = pValues.map(() => null);
+  let running = 1;
+  order.forEach(({ p, i }, k) => {
+    const rank = m - k;
+    running = Math.min(running, (m * p) / rank);
+    adjusted[i] = running;
+  });
+  return adjusted;
+}
+
+/** Round the numeric fields of a test summary for JSON output */
+function roundTest(test, digits = 4) {
+  const r = v => (typeof v === 'number' ? Math.round(v * 10 ** digits) / 10 ** digits : v);
+  return Object.fromEntries(Object.entries(test).map(([k, v]) => [k, Array.isArray(v) ? v.map(r) : r(v)]));
+}
+
+module.exports = {
+  mean,
+  sampleVariance,
+  meanDiff,
+  hedgesG,
+  cohensDz,
+  pearson,
+  binomialCoefficient,
+  permutationTest,
+  signFlipTest,
+  correlationTest,
+  binomialTest,
+  fisherExact,
+  bootstrapCI,
+  holm,
+  benjaminiHochberg,
+  roundTest,
+};
@@ -0,0 +1,291 @@
+/**
+ * Trick Code Grammar
+ *
+ * Parses the Olympics.com trick notation into a structured AST and renders
+ * it back to a canonical code or a plain-English name:
+ *
+ *   parseTrick('Cab-DC-14-Mu')   → AST
+ *   renderCode(ast)              → 'Cab-DC-14-Mu'
+ *   renderName(ast)              → 'Cab double cork 1440 mute'
+ *
+ * Codes are dash-separated tokens in this order (every part optional, but
+ * a trick needs at least one inversion, air, rotation or grab):
+ *
+ *   trick     := prefix body [rotation] grabs
+ *   prefix    := "Cab" | ["x"] [direction]
+ *   direction := "f" | "b" | "bs"
+ *   body      := { "AO" | ["D"] inversion | "A" }
+ *   inversion := "SC" | "DC" | "TC" | "Rd" | "CF" | "Mc"
+ *   rotation  := "3" | "5" | "7" | "9" | "10" | "12" | "14" | "16" | "18"
+ *   grabs     := { group }
+ *   group     := grab { "to" grab }          (a combo grab when > 1)
+ *   grab      := ["D"] grabCode
+ *
+ * "D" doubles the next flip or grab ("x-b-D-AO-Rd-9-Me" is a switch
+ * backside alley-oop double rodeo 900 melon). The canonical code writes
+ * backside as "b" and puts the alley-oop before the inversions; otherwise
+ * tokens keep their order.
+ *
+ * Any token outside the lexicon, or a token out of place, raises a
+ * TrickParseError naming the token and its position.
+ */
+
+const DIRECTIONS = {
+  f: { name: 'frontside', direction: 'frontside' },
+  b: { name: 'backside', direction: 'backside' },
+  bs: { name: 'backside', direction: 'backside' },
+};
+
+const TAKEOFFS = {
+  AO: { name: 'alley-oop' },
+};
+
+// Corks carry their own count; flips take an optional "D" prefix
+const INVERSIONS = {
+  SC: { name: 'single cork', kind: 'cork', count: 1 },
+  DC: { name: 'double cork', kind: 'cork', count: 2 },
+  TC: { name: 'triple cork', kind: 'cork', count: 3 },
+  Rd: { name: 'rodeo', kind: 'flip', count: 1 },
+  CF: { name: 'corkflip', kind: 'flip', count: 1 },
+  Mc: { name: 'McTwist', kind: 'flip', count: 1 },
+};
+
+const MODIFIERS = {
+  A: { name: 'air' },
+  D: { name: 'double' },
+};
+
+// Rotation codes are degrees / 100, rounded down to the nearest 180°
+const ROTATIONS = {
+  3: 360, 5: 540, 7: 720, 9: 900,
+  10: 1080, 12: 1260, 14: 1440, 16: 1620, 18: 1800,
+};
+
+const GRABS = {
+  Mu: 'mute', Ng: 'nose grab', Jp: 'japan', Tdr: 'tail drag',
+  I: 'indy', St: 'stalefish', Ddr: 'double grab', Me: 'melon',
+  Tg: 'tail grab', Ste: 'stalefish extended',
+};
+
+const COUNT_WORDS = { 1: '', 2: 'double', 3: 'triple' };
+
+class TrickParseError extends Error {
+  constructor(code, message, token = null) {
+    const where = token ? ` at token ${token.index + 1} ("${token.text}")` : '';
+    super(`Cannot parse trick "${code}"${where}: ${message}`);
+    this.name = 'TrickParseError';
+    this.code = code;
+    this.token = token;
+  }
+}
+
+/**
+ * Split a code into typed tokens: [{ text, index, type }].
+ * `type` is one of stance, cab, direction, takeoff, inversion, modifier,
+ * rotation, grab, combo.
+ */
+function tokenize(code) {
+  if (typeof code !== 'string' || !code.trim()) {
+    throw new TrickParseError(String(code), 'empty trick code');
+  }
+  return code.trim().split('-').map((text, index) => {
+    const token = { text, index };
+    if (text === '') throw new TrickParseError(code, 'empty token (doubled or trailing "-")', token);
+    if (text === 'x') return { ...token, type: 'stance' };
+    if (text === 'Cab') return { ...token, type: 'cab' };
+    if (text === 'to') return { ...token, type: 'combo' };
+    if (DIRECTIONS[text]) return { ...token, type: 'direction' };
+    if (TAKEOFFS[text]) return { ...token, type: 'takeoff' };
+    if (INVERSIONS[text]) return { ...token, type: 'inversion' };
+    if (MODIFIERS[text]) return { ...token, type: 'modifier' };
+    if (GRABS[text]) return { ...token, type: 'grab' };
+    if (/^\d+$/.test(text)) {
+      if (ROTATIONS[text] === undefined) {
+        throw new TrickParseError(code, `unknown rotation "${text}" (known: ${Object.keys(ROTATIONS).join(', ')})`, token);
+      }
+      return { ...token, type: 'rotation' };
+    }
+    throw new TrickParseError(code, `unknown token "${text}"`, token);
+  });
+}
+
+/**
+ * Parse a trick code into:
+ *   {
+ *     code,                       as written
+ *     stance: 'regular' | 'switch',
+ *     direction: 'frontside' | 'backside' | null,
+ *     cab: boolean,               written as "Cab" (switch frontside)
+ *     takeoff: { code, name } | null,
+ *     inversions: [{ code, name, kind: 'cork' | 'flip', count }],
+ *     modifiers: [{ code, name }],  e.g. straight air
+ *     rotation: { code, degrees } | null,
+ *     grabs: [[{ code, name, double }]],  groups; a group of 2+ is a combo
+ *   }
+ */
+function parseTrick(code) {
+  const tokens = tokenize(code);
+  const ast = {
+    code: code.trim(),
+    stance: 'regular',
+    direction: null,
+    cab: false,
+    takeoff: null,
+    inversions: [],
+    modifiers: [],
+    rotation: null,
+    grabs: [],
+  };
+
+  // Phases only move forward: prefix → body → rotation → grabs
+  const PHASES = ['prefix', 'body', 'rotation', 'grabs'];
+  let phase = 0;
+  let pendingDouble = null;
+  let pendingCombo = null;
+
+  const fail = (token, message) => { throw new TrickParseError(code, message, token); };
+  const enter = (token, name) => {
+    const target = PHASES.indexOf(name);
+    if (target < phase) fail(token, `"${token.text}" cannot follow the ${PHASES[phase]}`);
+    phase = target;
+  };
+
+  tokens.forEach((token, i) => {
+    switch (token.type) {
+      case 'stance':
+        if (i !== 0) fail(token, '"x" (switch) must come first');
+        ast.stance = 'switch';
+        break;
+      case 'cab':
+        if (i !== 0) fail(token, '"Cab" must come first');
+        ast.cab = true;
+        ast.stance = 'switch';
+        ast.direction = 'frontside';
+        break;
+      case 'direction':
+        enter(token, 'prefix');
+        if (ast.direction) fail(token, 'direction given twice');
+        if (i > (ast.stance === 'switch' ? 1 : 0)) fail(token, 'direction must follow the stance');
+        ast.direction = DIRECTIONS[token.text].direction;
+        break;
+      case 'takeoff':
+        enter(token, 'body');
+        if (ast.takeoff) fail(token, 'takeoff given twice');
+        ast.takeoff = { code: token.text, name: TAKEOFFS[token.text].name };
+        break;
+      case 'inversion': {
+        enter(token, 'body');
+        const def = INVERSIONS[token.text];
+        let count = def.count;
+        if (pendingDouble) {
+          if (def.kind === 'cork') fail(pendingDouble, `"D" cannot double a cork (use DC/TC)`);
+          count = 2;
+          pendingDouble = null;
+        }
+        ast.inversions.push({ code: token.text, name: def.name, kind: def.kind, count });
+        break;
+      }
+      case 'modifier':
+        if (token.text === 'D') {
+          if (pendingDouble) fail(token, '"D" given twice');
+          pendingDouble = token;
+        } else {
+          enter(token, 'body');
+          ast.modifiers.push({ code: token.text, name: MODIFIERS[token.text].name });
+        }
+        break;
+      case 'rotation':
+        if (pendingDouble) fail(pendingDouble, '"D" must be followed by a flip or grab');
+        enter(token, 'rotation');
+        if (ast.rotation) fail(token, 'rotation given twice');
+        ast.rotation = { code: parseInt(token.text), degrees: ROTATIONS[token.text] };
+        break;
+      case 'grab': {
+        enter(token, 'grabs');
+        const grab = { code: token.text, name: GRABS[token.text], double: Boolean(pendingDouble) };
+        pendingDouble = null;
+        if (pendingCombo) {
+          ast.grabs[ast.grabs.length - 1].push(grab);
+          pendingCombo = null;
+        } else {
+          ast.grabs.push([grab]);
+        }
+        break;
+      }
+      case 'combo':
+        if (phase !== PHASES.indexOf('grabs') || pendingCombo || pendingDouble) {
+          fail(token, '"to" must join two grabs');
+        }
+        pendingCombo = token;
+        break;
+    }
+  });
+
+  if (pendingDouble) fail(pendingDouble, '"D" must be followed by a flip or grab');
+  if (pendingCombo) fail(pendingCombo, '"to" must be followed by a grab');
+  if (ast.inversions.length === 0 && ast.modifiers.length === 0 && !ast.rotation && ast.grabs.length === 0) {
+    throw new TrickParseError(code, 'no inversion, air, rotation or grab');
+  }
+  return ast;
+}
+
+/** Every grab in the trick, combos flattened */
+function allGrabs(ast) {
+  return ast.grabs.flat();
+}
+
+/** Render an AST back to its canonical code */
+function renderCode(ast) {
+  const parts = [];
+  if (ast.cab) {
+    parts.push('Cab');
+  } else {
+    if (ast.stance === 'switch') parts.push('x');
+    if (ast.direction) parts.push(ast.direction === 'frontside' ? 'f' : 'b');
+  }
+  if (ast.takeoff) parts.push(ast.takeoff.code);
+  ast.inversions.forEach(inv => {
+    if (inv.kind === 'flip' && inv.count === 2) parts.push('D');
+    parts.push(inv.code);
+  });
+  ast.modifiers.forEach(m => parts.push(m.code));
+  if (ast.rotation) parts.push(String(ast.rotation.code));
+  ast.grabs.forEach(group => {
+    parts.push(group.map(g => (g.double ? `D-${g.code}` : g.code)).join('-to-'));
+  });
+  return parts.join('-');
+}
+
+/** Render an AST as a spoken name, e.g. "Cab double cork 1440 mute" */
+function renderName(ast) {
+  const words = [];
+  if (ast.cab) {
+    words.push('Cab');
+  } else {
+    if (ast.stance === 'switch') words.push('switch');
+    if (ast.direction) words.push(ast.direction);
+  }
+  if (ast.takeoff) words.push(ast.takeoff.name);
+  ast.inversions.forEach(inv => {
+    words.push(inv.kind === 'flip' && inv.count > 1 ? `${COUNT_WORDS[inv.count]} ${inv.name}` : inv.name);
+  });
+  ast.modifiers.forEach(m => words.push(m.name));
+  if (ast.rotation) words.push(String(ast.rotation.degrees));
+  const grabs = ast.grabs.map(group => group.map(g => (g.double ? `double ${g.name}` : g.name)).join(' to '));
+  return [words.join(' '), grabs.join(', ')].filter(Boolean).join(' ');
+}
+
+module.exports = {
+  DIRECTIONS,
+  TAKEOFFS,
+  INVERSIONS,
+  MODIFIERS,
+  ROTATIONS,
+  GRABS,
+  TrickParseError,
+  tokenize,
+  parseTrick,
+  allGrabs,
+  renderCode,
+  renderName,
+};
@@ -0,0 +1,113 @@
+/**
+ * Trick Names for Readers
+ *
+ * The reports show tricks by their spoken names ("frontside triple cork
+ * 1440 tail drag") with the official code on hover, and close with a
+ * glossary of every notation token that appears in the event. Names come
+ * from the grammar in lib/trick_codes.js.
+ *
+ *   spokenName(code)     → 'Cab double cork 1440 mute'
+ *   trickHTML(code)      → <span class="trick" title="code">name</span>
+ *   routineHTML(codes)   → <ol class="routine"> of trickHTML items
+ *   glossary(codes)      → [{ token, part, meaning, uses }]
+ *   glossaryHTML(codes)  → <table class="glossary">
+ */
+
+const {
+  DIRECTIONS,
+  TAKEOFFS,
+  INVERSIONS,
+  MODIFIERS,
+  ROTATIONS,
+  GRABS,
+  TrickParseError,
+  tokenize,
+  parseTrick,
+  renderName,
+} = require('./trick_codes');
+
+// Glossary sections, in the order tokens appear in a code
+const PARTS = ['Stance', 'Direction', 'Takeoff', 'Inversion', 'Modifier', 'Rotation', 'Grab', 'Combo'];
+
+const TOKEN_MEANINGS = {
+  x: { part: 'Stance', meaning: 'switch (riding with the non-dominant foot forward)' },
+  Cab: { part: 'Stance', meaning: 'Cab: switch frontside spin' },
+  to: { part: 'Combo', meaning: 'combo grab: changes from one grab to the next in the same air' },
+  D: { part: 'Modifier', meaning: 'double: the next flip or grab is done twice' },
+  ...Object.fromEntries(Object.entries(DIRECTIONS).map(([t, d]) => [t, { part: 'Direction', meaning: d.name }])),
+  ...Object.fromEntries(Object.entries(TAKEOFFS).map(([t, d]) => [t, { part: 'Takeoff', meaning: d.name }])),
+  ...Object.fromEntries(Object.entries(INVERSIONS).map(([t, d]) => [t, { part: 'Inversion', meaning: d.name }])),
+  ...Object.fromEntries(Object.entries(ROTATIONS).map(([t, deg]) => [t, { part: 'Rotation', meaning: `${deg}° of spin` }])),
+  ...Object.fromEntries(Object.entries(GRABS).map(([t, name]) => [t, { part: 'Grab', meaning: name }])),
+  A: { part: 'Modifier', meaning: `${MODIFIERS.A.name}: a straight air with no spin` },
+};
+
+const nameCache = {};
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Spoken name for a code. Codes that do not parse are shown as written;
+ * compute_trick_difficulty.js is where unreadable codes are reported.
+ */
+function spokenName(code) {
+  if (!(code in nameCache)) {
+    try {
+      nameCache[code] = renderName(parseTrick(code));
+    } catch (err) {
+      if (!(err instanceof TrickParseError)) throw err;
+      nameCache[code] = code;
+    }
+  }
+  return nameCache[code];
+}
+
+function trickHTML(code) {
+  return `<span class="trick" title="${escapeHtml(code)}">${escapeHtml(spokenName(code))}</span>`;
+}
+
+function routineHTML(codes) {
+  return `<ol class="routine">${codes.map(code => `<li>${trickHTML(code)}</li>`).join('')}</ol>`;
+}
+
+/**
+ * Every token used across `codes`, grouped by part of the code, with how
+ * many tricks use it.
+ */
+function glossary(codes) {
+  const uses = new Map();
+  codes.forEach(code => {
+    let tokens;
+    try {
+      tokens = tokenize(code);
+    } catch (err) {
+      if (!(err instanceof TrickParseError)) throw err;
+      return;
+    }
+    new Set(tokens.map(t => t.text)).forEach(text => uses.set(text, (uses.get(text) || 0) + 1));
+  });
+
+  return [...uses.entries()]
+    .filter(([token]) => TOKEN_MEANINGS[token])
+    .map(([token, count]) => ({ token, ...TOKEN_MEANINGS[token], uses: count }))
+    .sort((a, b) => PARTS.indexOf(a.part) - PARTS.indexOf(b.part)
+      || (a.part === 'Rotation' ? Number(a.token) - Number(b.token) : a.token.localeCompare(b.token)));
+}
+
+function glossaryHTML(codes) {
+  const rows = glossary(codes).map(g =>
+    `<tr><td class="gl-part">${g.part}</td><td class="gl-token"><code>${escapeHtml(g.token)}</code></td><td>${escapeHtml(g.meaning)}</td><td class="gl-uses">${g.uses}</td></tr>`
+  ).join('');
+  return `<table class="glossary"><thead><tr><th>Part</th><th>Code</th><th>Meaning</th><th>Tricks</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+module.exports = {
+  TOKEN_MEANINGS,
+  spokenName,
+  trickHTML,
+  routineHTML,
+  glossary,
+  glossaryHTML,
+};
@@ -10,99 +10,43 @@
 const fs = require('fs');
 const path = require('path');
 const stats = require('simple-statistics');
+const { loadDataset } = require('./lib/events');
 
 class PointsPerTrickAnalyzer {
-  constructor(csvPath) {
-    this.rows = this.loadCSV(csvPath);
+  constructor(dataset) {
+    this.dataset = dataset;
+    this.rows = dataset.runs;
     this.cleanRuns = this.filterCleanRuns();
     this.trickStats = {};
   }
 
-  loadCSV(csvPath) {
-    const content = fs.readFileSync(csvPath, 'utf8');
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',');
-    
-    return lines.slice(1).map(line => {
-      const values = line.split(',');
-      return {
-        competitor: values[0],
-        country: values[1],
-        position: parseInt(values[2]),
-        run: parseInt(values[3]),
-        final_score: values[4],
-        judge1_score: values[6],
-        judge2_score: values[8],
-        judge3_score: values[10],
-        judge4_score: values[12],
-        judge5_score: values[14],
-        judge6_score: values[16],
-        trick1: values[17],
-        trick2: values[18],
-        trick3: values[19],
-        trick4: values[20],
-        trick5: values[21],
-        notes: values[23],
-      };
-    });
-  }
-
   /**
    * Filter to clean runs (≥50 score, non-DNI)
    */
   filterCleanRuns() {
-    return this.rows.filter(row => {
-      if (row.final_score === 'DNI' || row.final_score === '') return false;
-      const score = parseFloat(row.final_score);
-      return score >= 50 && !isNaN(score);
-    });
+    return this.rows.filter(row => row.isClean);
   }
 
   /**
-   * Get middle 4 judge scores (high/low excluded)
+   * Get the judge scores counted under the event's aggregation rule
    */
-  getMiddle4Scores(row) {
-    const scores = [
-      parseFloat(row.judge1_score),
-      parseFloat(row.judge2_score),
-      parseFloat(row.judge3_score),
-      parseFloat(row.judge4_score),
-      parseFloat(row.judge5_score),
-      parseFloat(row.judge6_score),
-    ].filter(s => !isNaN(s));
-
-    if (scores.length < 4) return null;
-    
-    scores.sort((a, b) => a - b);
-    return scores.slice(1, 5); // middle 4
+  getCountedScores(row) {
+    const aggregate = this.dataset.aggregate(row);
+    return aggregate ? aggregate.counted.map(j => j.score) : null;
   }
 
   /**
    * Count valid tricks (non-blank)
    */
   countTricks(row) {
-    let count = 0;
-    for (let i = 1; i <= 5; i++) {
-      const trick = row[`trick${i}`];
-      if (trick && trick.trim()) {
-        count++;
-      }
-    }
-    return count;
+    return row.tricks.length;
   }
 
   /**
    * Get all tricks (non-blank)
    */
   getTricks(row) {
-    const tricks = [];
-    for (let i = 1; i <= 5; i++) {
-      const trick = row[`trick${i}`];
-      if (trick && trick.trim()) {
-        tricks.push(trick.trim());
-      }
-    }
-    return tricks;
+    return [...row.tricks];
   }
 
   /**
@@ -113,13 +57,14 @@ class PointsPerTrickAnalyzer {
     console.log('║   POINTS PER TRICK ANALYSIS (Clean Runs Only)                 ║');
     console.log('║   Excludes wipeouts/DNI; analyzes final score breakdown       ║');
     console.log('╚════════════════════════════════════════════════════════════════╝\n');
+    console.log(`Events: ${this.dataset.describe()}\n`);
 
     const runsByTrickCount = {};
     const trickSequences = {};
     const individualTricks = {};
 
     this.cleanRuns.forEach(row => {
-      const finalScore = parseFloat(row.final_score);
+      const finalScore = row.finalScore;
       const trickCount = this.countTricks(row);
       const tricks = this.getTricks(row);
       const trickSequence = tricks.join(' → ');
@@ -250,6 +195,7 @@ class PointsPerTrickAnalyzer {
     // Save detailed results
     const output = {
       timestamp: new Date().toISOString(),
+      events: this.dataset.eventIds,
       cleanRunsCount: this.cleanRuns.length,
       runsByTrickCount,
       trickSequenceStats: sequenceStats,
@@ -273,7 +219,7 @@ class PointsPerTrickAnalyzer {
   }
 
   calculateOverallPointsPerTrick() {
-    const scores = this.cleanRuns.map(r => parseFloat(r.final_score));
+    const scores = this.cleanRuns.map(r => r.finalScore);
     const trickCounts = this.cleanRuns.map(r => this.countTricks(r));
     
     const averageScore = stats.mean(scores);
@@ -288,11 +234,5 @@ class PointsPerTrickAnalyzer {
 }
 
 // Run analysis
-const csvPath = path.join(__dirname, '../data/raw/milano-cortina-2026-individual-judge-scores.csv');
-if (fs.existsSync(csvPath)) {
-  const analyzer = new PointsPerTrickAnalyzer(csvPath);
-  analyzer.run();
-} else {
-  console.error(`Error: CSV not found at ${csvPath}`);
-  process.exit(1);
-}
+const analyzer = new PointsPerTrickAnalyzer(loadDataset());
+analyzer.run();
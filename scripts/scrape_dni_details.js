@@ -11,420 +11,298 @@
  * 
  * Olympics.com is NOT used as it is the original source and does not
  * differentiate DNI reasons.
+ *
+ * Each source is an adapter in lib/dni_sources.js. Pages come from the
+ * network by default; --record also saves them to the fixture store
+ * (data/raw/dni_sources/) and --offline reads only from the store, so a
+ * recorded investigation can be replayed without internet access. An
+ * offline run stops without writing anything when a page is missing from
+ * the store; --allow-partial carries on without it.
+ *
+ * Every finding from every source goes into the evidence ledger
+ * (lib/dni_ledger.js, written to results/dni_evidence.json), with
+ * disagreements between sources flagged. Manual adjudications recorded
+ * with adjudicate_dni.js override the automated findings.
+ *
+ * --check-fixtures runs each adapter's parser over the labelled check
+ * pages in data/raw/dni_sources/checks/ and compares what it finds with
+ * the labels, without touching the network or the outputs.
+ *
+ * Cases no source explains fall back on the score-based rules in
+ * config/dni_heuristics.json (lib/dni_heuristics.js). --heuristics <file>
+ * loads other rules, --set <threshold>=<value> overrides a threshold, and
+ * --dry-run shows which cases the overrides would reclassify without
+ * reading any source or writing anything.
  */
 
-const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-const cheerio = require('cheerio');
+const { loadDataset } = require('./lib/events');
+const { ADJUDICATIONS_PATH, loadAdjudications, buildLedger, describeConflict, writeResolution } = require('./lib/dni_ledger');
+const { loadHeuristics, withThresholds, caseFacts, heuristicFinding, parseHeuristicArgs } = require('./lib/dni_heuristics');
+const {
+  ADAPTERS,
+  FixtureStore,
+  caseKey,
+  createFetcher,
+  collectEvidence,
+  loadFixtureChecks,
+  checkFixture,
+  parseSourceModeArg,
+  uncheckedAdapters,
+} = require('./lib/dni_sources');
 
 class DNIResolver {
-  constructor() {
+  constructor(dataset, argv = process.argv.slice(2)) {
+    this.dataset = dataset;
     this.dniCases = this.loadDNICases();
     this.results = [];
     this.delay = 2000; // Rate limiting delay between requests (ms)
+    this.mode = parseSourceModeArg(argv);
+    this.allowPartial = argv.includes('--allow-partial');
+    this.store = new FixtureStore();
+    this.fetchPage = createFetcher({ mode: this.mode, store: this.store });
+    this.pagesRead = [];
+    const { file, overrides, dryRun } = parseHeuristicArgs(argv);
+    this.baseHeuristics = loadHeuristics(file);
+    this.heuristics = withThresholds(this.baseHeuristics, overrides);
+    this.thresholdOverrides = overrides;
+    this.dryRun = dryRun;
+    this.overview = new Map(dataset.competitors.map(c => [`${c.eventId}|${c.name}`, c]));
   }
 
-  loadDNICases() {
-    const csvPath = path.join(__dirname, '../data/raw/milano-cortina-2026-individual-judge-scores.csv');
-    const content = fs.readFileSync(csvPath, 'utf8');
-    const lines = content.trim().split('\n');
-
-    const cases = [];
-    lines.slice(1).forEach(line => {
-      const values = line.split(',');
-      if (values[4] === 'DNI') {
-        cases.push({
-          competitor: values[0],
-          country: values[1],
-          position: parseInt(values[2]),
-          run: parseInt(values[3]),
-          trickCount: [values[17], values[18], values[19], values[20], values[21]].filter(t => t && t.trim()).length,
-        });
-      }
-    });
-
-    return cases;
-  }
-
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  /**
-   * Source 1: Check FIS results for run status codes
-   * FIS may distinguish DNS (Did Not Start), DNF (Did Not Finish), DSQ (Disqualified)
-   */
-  async checkFISResults() {
-    console.log('\n📡 Checking FIS results...');
-    const searchUrls = [
-      'https://www.fis-ski.com/DB/general/results.html?sectorcode=SB&raceid=2026HP001',
-      'https://live.fis-ski.com/sb-hp/2026/results',
-    ];
-
-    for (const url of searchUrls) {
-      try {
-        const response = await axios.get(url, {
-          timeout: 10000,
-          headers: { 'User-Agent': 'Mozilla/5.0 (compatible; research-bot)' },
-        });
-        const $ = cheerio.load(response.data);
-
-        // Look for run-by-run status codes
-        const statusCodes = {};
-        $('table tr, .result-row, .athlete-result').each((_, el) => {
-          const text = $(el).text();
-          this.dniCases.forEach(dniCase => {
-            const lastName = dniCase.competitor.split(' ').pop();
-            if (text.includes(lastName)) {
-              // Look for status indicators
-              if (text.includes('DNS')) statusCodes[`${dniCase.competitor}-R${dniCase.run}`] = 'strategic_skip';
-              if (text.includes('DNF')) statusCodes[`${dniCase.competitor}-R${dniCase.run}`] = 'crash';
-              if (text.includes('DSQ')) statusCodes[`${dniCase.competitor}-R${dniCase.run}`] = 'crash';
-              if (text.includes('FALL') || text.includes('fall')) statusCodes[`${dniCase.competitor}-R${dniCase.run}`] = 'crash';
-            }
-          });
-        });
-
-        if (Object.keys(statusCodes).length > 0) {
-          console.log(`  ✓ Found ${Object.keys(statusCodes).length} status codes from FIS`);
-          return statusCodes;
-        }
-      } catch (err) {
-        console.log(`  ⚠ FIS ${url}: ${err.message}`);
-      }
-      await this.sleep(this.delay);
-    }
-
-    console.log('  ✗ No FIS data found');
-    return {};
+  loadDNICases(dataset = this.dataset) {
+    return dataset.runs
+      .filter(r => r.isDNI)
+      .map(r => ({
+        eventId: r.eventId,
+        competitor: r.competitor,
+        country: r.country,
+        position: r.position,
+        run: r.run,
+        trickCount: r.tricks.length,
+      }));
   }
 
   /**
-   * Source 2: Search sports news for run-by-run commentary
+   * Run one source adapter over its pages (live, recording or from the
+   * fixture store, depending on the mode) and return its evidence
    */
-  async checkNewsArticles() {
-    console.log('\n📡 Checking sports news articles...');
-    const newsUrls = [
-      { url: 'https://www.nbcolympics.com/news/snowboard-halfpipe-mens-final-results-2026', source: 'NBC Olympics' },
-      { url: 'https://www.eurosport.com/snowboard/milano-cortina-2026/halfpipe-men-final', source: 'Eurosport' },
-      { url: 'https://www.bbc.co.uk/sport/winter-olympics/2026/snowboard-halfpipe', source: 'BBC Sport' },
-    ];
-
-    const findings = {};
-
-    for (const { url, source } of newsUrls) {
-      try {
-        const response = await axios.get(url, {
-          timeout: 10000,
-          headers: { 'User-Agent': 'Mozilla/5.0 (compatible; research-bot)' },
-        });
-        const $ = cheerio.load(response.data);
-        const bodyText = $('article, .article-body, .story-body, main').text().toLowerCase();
-
-        this.dniCases.forEach(dniCase => {
-          const key = `${dniCase.competitor}-R${dniCase.run}`;
-          if (findings[key]) return; // Already resolved
-
-          const lastName = dniCase.competitor.split(' ').pop().toLowerCase();
-          const firstName = dniCase.competitor.split(' ')[0].toLowerCase();
-
-          // Search for crash/fall indicators near competitor name
-          const crashPatterns = [
-            new RegExp(`${lastName}[^.]{0,100}(fell|crashed|wiped out|tumbled|bailed|went down)`, 'i'),
-            new RegExp(`(fell|crashed|wiped out|tumbled|bailed)([^.]{0,100})${lastName}`, 'i'),
-            new RegExp(`${lastName}[^.]{0,100}run ${dniCase.run}[^.]{0,100}(fell|crash|fall)`, 'i'),
-          ];
-
-          const skipPatterns = [
-            new RegExp(`${lastName}[^.]{0,100}(sat out|chose not|opted out|skipped|conserved|protected)`, 'i'),
-            new RegExp(`${lastName}[^.]{0,100}(already secured|safe|comfortable|did not need)`, 'i'),
-          ];
-
-          for (const pattern of crashPatterns) {
-            if (pattern.test(bodyText)) {
-              findings[key] = { reason: 'crash', source, confidence: 'medium' };
-              break;
-            }
-          }
-
-          if (!findings[key]) {
-            for (const pattern of skipPatterns) {
-              if (pattern.test(bodyText)) {
-                findings[key] = { reason: 'strategic_skip', source, confidence: 'medium' };
-                break;
-              }
-            }
-          }
-        });
-
-        if (Object.keys(findings).length > 0) {
-          console.log(`  ✓ Found ${Object.keys(findings).length} clues from ${source}`);
-        }
-      } catch (err) {
-        console.log(`  ⚠ ${source}: ${err.message}`);
-      }
-      await this.sleep(this.delay);
-    }
-
-    return findings;
+  async checkSource(adapter) {
+    console.log(`\n📡 Checking ${adapter.label}...`);
+    const { evidence, pages } = await collectEvidence(adapter, this.dniCases, this.fetchPage, {
+      delay: this.mode === 'offline' ? 0 : this.delay,
+    });
+    pages.forEach(page => {
+      if (!page.ok) console.log(`  ⚠ ${page.source} ${page.url}: ${page.error}`);
+      else if (page.found > 0) console.log(`  ✓ Found ${page.found} clues from ${page.source}`);
+    });
+    if (evidence.length === 0) console.log(`  ✗ No ${adapter.label} data found`);
+    this.pagesRead.push(...pages.map(p => ({ adapter: adapter.id, source: p.source, url: p.url, event: p.event, ok: p.ok, missing: p.missing, found: p.found })));
+    return evidence;
   }
 
   /**
-   * Source 3: Search YouTube for broadcast footage metadata
+   * Apply the heuristic rules (config/dni_heuristics.json) to every case:
+   * map case key → finding, for the cases a rule classifies
    */
-  async checkYouTubeMetadata() {
-    console.log('\n📡 Checking YouTube metadata...');
-    const searchQueries = [
-      'men halfpipe final milano cortina 2026 highlights',
-      'snowboard halfpipe final 2026 olympics results',
-    ];
-
+  applyHeuristics(heuristics = this.heuristics) {
+    console.log(`\n🔍 Applying heuristic rules (${heuristics.name}, ${heuristics.rules.length} rules)...`);
     const findings = {};
-
-    for (const query of searchQueries) {
-      try {
-        const searchUrl = `https://www.youtube.com/results?search_query=${encodeURIComponent(query)}`;
-        const response = await axios.get(searchUrl, {
-          timeout: 10000,
-          headers: { 'User-Agent': 'Mozilla/5.0 (compatible; research-bot)' },
-        });
-
-        const bodyText = response.data.toLowerCase();
-
-        this.dniCases.forEach(dniCase => {
-          const key = `${dniCase.competitor}-R${dniCase.run}`;
-          if (findings[key]) return;
-
-          const lastName = dniCase.competitor.split(' ').pop().toLowerCase();
-          // Require "fall" to appear near the competitor's name (within 200 chars)
-          const fallNearName = new RegExp(`${lastName}[^.]{0,200}(fell|crashed|fall|wipeout)`, 'i');
-          const nameNearFall = new RegExp(`(fell|crashed|fall|wipeout)[^.]{0,200}${lastName}`, 'i');
-          if (fallNearName.test(bodyText) || nameNearFall.test(bodyText)) {
-            findings[key] = { reason: 'crash', source: 'YouTube metadata', confidence: 'low' };
-          }
-        });
-      } catch (err) {
-        console.log(`  ⚠ YouTube: ${err.message}`);
-      }
-      await this.sleep(this.delay);
-    }
-
-    return findings;
-  }
-
-  /**
-   * Apply heuristic inference for unresolved cases based on available data
-   */
-  applyHeuristics() {
-    console.log('\n🔍 Applying heuristic inference for unresolved cases...');
-    const heuristics = {};
-
     this.dniCases.forEach(dniCase => {
-      const key = `${dniCase.competitor}-R${dniCase.run}`;
-
-      // Load the overview CSV to check if they had a high score already
-      const overviewPath = path.join(__dirname, '../data/raw/milano-cortina-2026-mens-halfpipe.csv');
-      const overviewContent = fs.readFileSync(overviewPath, 'utf8');
-      const overviewLines = overviewContent.trim().split('\n');
-
-      for (const line of overviewLines.slice(1)) {
-        const values = line.split(',');
-        if (values[1].trim() === dniCase.competitor) {
-          const bestScore = parseFloat(values[8]);
-          const run1 = parseFloat(values[5]);
-          const run2 = parseFloat(values[6]);
-          const run3 = parseFloat(values[7]);
-
-          // Get scores from runs BEFORE the DNI run
-          const priorScores = [];
-          if (dniCase.run > 1 && !isNaN(run1)) priorScores.push(run1);
-          if (dniCase.run > 2 && !isNaN(run2)) priorScores.push(run2);
-
-          const hadHighScore = priorScores.some(s => s >= 85);
-          const hadEliteScore = priorScores.some(s => s >= 90);
-          const hadCleanRun = priorScores.some(s => s >= 50);
-
-          // Heuristic: If competitor already had an elite score (≥90),
-          // DNI is almost certainly a strategic skip
-          if (hadEliteScore) {
-            heuristics[key] = {
-              reason: 'strategic_skip',
-              source: 'heuristic: already had elite score ≥90',
-              confidence: 'high',
-              evidence: `Best prior score: ${Math.max(...priorScores).toFixed(2)}`,
-            };
-          }
-          // If they had a high score (≥85), still very likely strategic
-          else if (hadHighScore) {
-            heuristics[key] = {
-              reason: 'strategic_skip',
-              source: 'heuristic: already had score ≥85',
-              confidence: 'medium',
-              evidence: `Best prior score: ${Math.max(...priorScores).toFixed(2)}`,
-            };
-          }
-          // If they only had wipeouts before (all scores <50), they have nothing to protect
-          // but DNI could still mean they wiped out OR gave up
-          else if (!hadCleanRun && priorScores.length > 0) {
-            // Check trick count: DNI runs with fewer tricks may indicate incomplete attempts
-            if (dniCase.trickCount < 4) {
-              heuristics[key] = {
-                reason: 'crash',
-                source: 'heuristic: no clean runs + incomplete tricks',
-                confidence: 'low',
-                evidence: `Only ${dniCase.trickCount} tricks, prior scores: ${priorScores.join(', ')}`,
-              };
-            } else {
-              heuristics[key] = {
-                reason: 'unknown',
-                source: 'heuristic: ambiguous (no clean runs but full tricks)',
-                confidence: 'low',
-                evidence: `${dniCase.trickCount} tricks, prior scores: ${priorScores.join(', ')}`,
-              };
-            }
-          }
-          // Had a modest clean run (50-84), could go either way
-          else if (hadCleanRun && !hadHighScore) {
-            heuristics[key] = {
-              reason: 'unknown',
-              source: 'heuristic: ambiguous (had clean run but not high)',
-              confidence: 'low',
-              evidence: `Prior scores: ${priorScores.join(', ')}`,
-            };
-          }
-          break;
-        }
-      }
+      const finding = heuristicFinding(heuristics, this.caseFacts(dniCase));
+      if (finding) findings[caseKey(dniCase)] = finding;
     });
-
-    return heuristics;
+    return findings;
   }
 
-  /**
-   * Confidence ranking for comparison
-   */
-  confidenceRank(level) {
-    return { high: 3, medium: 2, low: 1, none: 0 }[level] || 0;
+  /** Heuristic facts for a case from the overview (loaded once) */
+  caseFacts(dniCase) {
+    return caseFacts(dniCase, this.overview.get(`${dniCase.eventId}|${dniCase.competitor}`));
   }
 
   /**
-   * Merge all findings, preferring highest confidence regardless of source
+   * Heuristic conclusions as ledger evidence (no page behind them; the
+   * quote is the scores they rest on, and the rule that fired is kept
+   * with the conditions it checked)
    */
-  mergeFindings(fisResults, newsFindings, ytFindings, heuristics) {
-    const merged = {};
-
-    this.dniCases.forEach(dniCase => {
-      const key = `${dniCase.competitor}-R${dniCase.run}`;
-
-      // Collect all findings for this case
-      const candidates = [
-        fisResults[key] && { ...dniCase, ...fisResults[key] },
-        newsFindings[key] && { ...dniCase, ...newsFindings[key] },
-        ytFindings[key] && { ...dniCase, ...ytFindings[key] },
-        heuristics[key] && { ...dniCase, ...heuristics[key] },
-      ].filter(Boolean);
-
-      if (candidates.length === 0) {
-        merged[key] = { ...dniCase, reason: 'unknown', source: 'no data found', confidence: 'none' };
-      } else {
-        // Pick the highest confidence finding; on tie, prefer FIS > news > heuristic > YouTube
-        candidates.sort((a, b) => this.confidenceRank(b.confidence) - this.confidenceRank(a.confidence));
-        merged[key] = candidates[0];
-      }
-    });
-
-    return merged;
+  heuristicEvidence(heuristics) {
+    const now = new Date().toISOString();
+    return Object.entries(heuristics).map(([key, h]) => ({
+      key,
+      adapter: 'heuristic',
+      source: h.source,
+      url: null,
+      fixture: null,
+      quote: h.evidence,
+      reason: h.reason,
+      confidence: h.confidence,
+      retrievedAt: now,
+      rule: h.rule,
+      conditions: h.conditions,
+    }));
   }
 
   async run() {
     console.log('╔════════════════════════════════════════════════════════════════╗');
     console.log('║   DNI RESOLUTION: Crash vs Strategic Skip                     ║');
-    console.log('║   Multi-source investigation of 12 DNI cases                  ║');
+    console.log('║   Multi-source investigation of DNI cases                     ║');
     console.log('╚════════════════════════════════════════════════════════════════╝\n');
 
+    console.log(`Events: ${this.dataset.describe()}`);
     console.log(`Found ${this.dniCases.length} DNI cases to investigate:\n`);
     this.dniCases.forEach(c => {
       console.log(`  ${c.competitor.padEnd(25)} Run ${c.run} (position ${c.position}, ${c.trickCount} tricks)`);
     });
 
-    // Try each source
-    let fisResults = {}, newsFindings = {}, ytFindings = {};
-
-    try {
-      fisResults = await this.checkFISResults();
-    } catch (err) {
-      console.log(`  ✗ FIS check failed: ${err.message}`);
+    const modeNote = {
+      live: 'live pages',
+      record: `live pages, recorded to ${path.relative(path.join(__dirname, '..'), this.store.dir)}/`,
+      offline: `fixture store only (${this.store.index.length} recorded pages)`,
+    }[this.mode];
+    console.log(`\nSources: ${modeNote}`);
+    if (Object.keys(this.thresholdOverrides).length > 0) {
+      console.log(`Heuristic thresholds: ${this.describeOverrides()}`);
     }
 
-    try {
-      newsFindings = await this.checkNewsArticles();
-    } catch (err) {
-      console.log(`  ✗ News check failed: ${err.message}`);
+    // Try each source, keeping every finding
+    const evidence = [];
+    for (const adapter of ADAPTERS) {
+      evidence.push(...await this.checkSource(adapter));
     }
 
-    try {
-      ytFindings = await this.checkYouTubeMetadata();
-    } catch (err) {
-      console.log(`  ✗ YouTube check failed: ${err.message}`);
+    // Offline replays must be complete, or the findings silently shrink
+    const missing = this.pagesRead.filter(p => p.missing);
+    if (missing.length > 0) {
+      if (!this.allowPartial) {
+        throw new Error(`${missing.length} of ${this.pagesRead.length} pages are not in the fixture store, nothing written ` +
+          '(record them with --record, or pass --allow-partial to resolve without them)');
+      }
+      console.log(`\n⚠ Partial run: ${missing.length} of ${this.pagesRead.length} pages missing from the fixture store (--allow-partial)`);
     }
 
     // Always apply heuristics as fallback
-    const heuristics = this.applyHeuristics();
+    evidence.push(...this.heuristicEvidence(this.applyHeuristics()));
 
-    // Merge all findings
-    const resolved = this.mergeFindings(fisResults, newsFindings, ytFindings, heuristics);
+    const adjudications = loadAdjudications();
+    const ledger = buildLedger(this.dniCases, evidence, adjudications);
 
     // Print results
     console.log('\n\nRESOLUTION RESULTS:');
     console.log('='.repeat(80));
 
-    const summary = { crash: 0, strategic_skip: 0, unknown: 0 };
-    Object.values(resolved).forEach(r => {
+    ledger.forEach(c => {
+      const r = c.resolved;
       const icon = r.reason === 'crash' ? '💥' : r.reason === 'strategic_skip' ? '🎯' : '❓';
-      console.log(`  ${icon} ${r.competitor.padEnd(25)} R${r.run}: ${r.reason.padEnd(15)} [${r.confidence}] via ${r.source}`);
+      console.log(`  ${icon} ${c.competitor.padEnd(25)} R${c.run}: ${r.reason.padEnd(15)} [${r.confidence}] via ${r.source}`);
       if (r.evidence) console.log(`     Evidence: ${r.evidence}`);
-      summary[r.reason] = (summary[r.reason] || 0) + 1;
+      if (c.conflict) console.log(`     ⚠ Conflict: ${describeConflict(c.conflict)}`);
+    });
+
+    const conflicts = ledger.filter(c => c.conflict);
+    const open = conflicts.filter(c => !c.adjudication);
+    console.log(`\nEvidence: ${evidence.length} findings across ${ledger.filter(c => c.evidence.length > 0).length} cases`);
+    console.log(`Adjudicated: ${ledger.filter(c => c.adjudication).length} of ${ledger.length} (${path.relative(path.join(__dirname, '..'), ADJUDICATIONS_PATH)})`);
+    console.log(`Conflicts: ${conflicts.length}${open.length > 0 ? `, ${open.length} awaiting adjudication (node scripts/adjudicate_dni.js)` : ''}`);
+
+    const { summary, paths } = writeResolution(ledger, {
+      events: this.dataset.eventIds,
+      sourceMode: this.mode,
+      partial: missing.length > 0,
+      sourcesChecked: ['FIS results', 'news articles', 'YouTube metadata', 'heuristic inference'],
+      pagesRead: this.pagesRead,
+      heuristics: { name: this.heuristics.name, thresholds: this.heuristics.thresholds },
     });
+    console.log(`\nSummary: ${summary.crash} crashes, ${summary.strategic_skip} strategic skips, ${summary.unknown} unknown\n`);
+    paths.forEach(p => console.log(`✓ Results saved to ${p}`));
+    console.log();
+  }
+
+  /** "eliteScore 90 → 93, ..." for the --set overrides */
+  describeOverrides() {
+    return Object.entries(this.thresholdOverrides)
+      .map(([name, value]) => `${name} ${this.baseHeuristics.thresholds[name]} → ${value}`).join(', ');
+  }
+
+  /**
+   * --dry-run: which rule classifies each case under the configured
+   * thresholds and under the --set overrides, and which cases change.
+   * Reads no sources and writes nothing.
+   */
+  async previewHeuristics() {
+    console.log('╔════════════════════════════════════════════════════════════════╗');
+    console.log('║   DNI HEURISTICS: Dry Run                                     ║');
+    console.log('║   Rule firings under the configured and overridden thresholds ║');
+    console.log('╚════════════════════════════════════════════════════════════════╝\n');
 
-    console.log(`\nSummary: ${summary.crash} crashes, ${summary.strategic_skip} strategic skips, ${summary.unknown} unknown`);
+    const overridden = Object.keys(this.thresholdOverrides).length > 0;
+    console.log(`Rules: ${this.baseHeuristics.name} (${path.relative(path.join(__dirname, '..'), this.baseHeuristics.file)})`);
+    console.log(`Thresholds: ${Object.entries(this.baseHeuristics.thresholds).map(([k, v]) => `${k} ${v}`).join(', ')}`);
+    console.log(overridden ? `Overrides:  ${this.describeOverrides()}\n` : 'No --set overrides: showing the rules as configured\n');
 
-    // Save CSV
-    const csvLines = ['competitor,country,position,run,trick_count,dni_reason,source,confidence,evidence'];
-    Object.values(resolved).forEach(r => {
-      csvLines.push([
-        r.competitor, r.country, r.position, r.run, r.trickCount,
-        r.reason, `"${r.source}"`, r.confidence, `"${r.evidence || ''}"`,
-      ].join(','));
+    const describe = finding => (finding ? `${finding.rule}: ${finding.reason} [${finding.confidence}]` : 'no rule fires');
+    let changed = 0;
+    this.dniCases.forEach(dniCase => {
+      const facts = this.caseFacts(dniCase);
+      const before = heuristicFinding(this.baseHeuristics, facts);
+      const after = heuristicFinding(this.heuristics, facts);
+      const moved = (before?.rule ?? null) !== (after?.rule ?? null) || (before?.reason ?? null) !== (after?.reason ?? null);
+      if (moved) changed++;
+      const factText = facts
+        ? `best ${facts.bestPrior === null ? '—' : facts.bestPrior.toFixed(2)}, ${facts.priorRuns} prior, ${facts.trickCount} tricks`
+        : 'not in overview';
+      console.log(`  ${moved ? '→' : ' '} ${`${dniCase.competitor} R${dniCase.run}`.padEnd(28)} ${factText.padEnd(32)} ${describe(before)}`);
+      if (moved) console.log(`    ${''.padEnd(28)} ${''.padEnd(32)} ${describe(after)}`);
+      const shown = after || before;
+      if (shown) console.log(`    ${''.padEnd(28)} ${''.padEnd(32)} (${shown.conditions.join('; ')})`);
     });
 
-    const processedDir = path.join(__dirname, '../data/processed');
-    fs.writeFileSync(
-      path.join(processedDir, 'dni_resolved.csv'),
-      csvLines.join('\n')
-    );
-    console.log(`\n✓ Results saved to data/processed/dni_resolved.csv`);
+    if (overridden) console.log(`\n${changed} of ${this.dniCases.length} cases reclassified by the overrides`);
+    console.log('\nDry run: no sources read, nothing written.\n');
+  }
 
-    // Save JSON
-    const output = {
-      timestamp: new Date().toISOString(),
-      description: 'DNI resolution: crash vs strategic skip determination',
-      totalCases: this.dniCases.length,
-      summary,
-      sourcesChecked: ['FIS results', 'news articles', 'YouTube metadata', 'heuristic inference'],
-      cases: Object.values(resolved),
+  /**
+   * Parse every labelled check page with its adapter and compare with the
+   * labels. Sets a failing exit code if any page disagrees.
+   */
+  async checkFixtures() {
+    console.log('╔════════════════════════════════════════════════════════════════╗');
+    console.log('║   DNI SOURCE ADAPTERS: Fixture Checks                         ║');
+    console.log('║   Parsers run against labelled saved pages                    ║');
+    console.log('╚════════════════════════════════════════════════════════════════╝\n');
+
+    const casesByEvent = new Map();
+    const casesFor = eventId => {
+      if (!casesByEvent.has(eventId)) casesByEvent.set(eventId, this.loadDNICases(loadDataset(['--event', eventId])));
+      return casesByEvent.get(eventId);
     };
 
-    fs.writeFileSync(
-      path.join(__dirname, '../results/dni_resolution.json'),
-      JSON.stringify(output, null, 2)
-    );
-    console.log(`✓ Results saved to results/dni_resolution.json\n`);
+    const checks = loadFixtureChecks();
+    let failed = 0;
+    checks.forEach(check => {
+      const result = checkFixture(check, casesFor(check.event));
+      const tag = check.synthetic ? ' (synthetic)' : '';
+      console.log(`  ${result.passed ? '✓' : '✗'} ${check.adapter.padEnd(8)} ${check.file}${tag}: ${result.found} found, ${result.expected} expected`);
+      console.log(`      ${check.description}`);
+      result.mismatches.forEach(m => {
+        console.log(`      ${m.key}: expected ${m.expected || 'nothing'}, parsed ${m.found || 'nothing'}`);
+      });
+      if (!result.passed) failed++;
+    });
+
+    console.log(`\n${checks.length - failed}/${checks.length} fixture pages parsed as labelled`);
+    const unchecked = uncheckedAdapters(checks);
+    if (unchecked.length > 0) {
+      console.log(`⚠ No check page recorded from the real source for: ${unchecked.map(a => a.id).join(', ')}. ` +
+        'Their parsers are only tested on synthetic pages (save one with --record and label it in manifest.json)');
+    }
+    if (failed > 0) process.exitCode = 1;
   }
 }
 
-const resolver = new DNIResolver();
-resolver.run().catch(err => {
+const resolver = new DNIResolver(loadDataset());
+const task = process.argv.includes('--check-fixtures') ? resolver.checkFixtures()
+  : resolver.dryRun ? resolver.previewHeuristics() : resolver.run();
+task.catch(err => {
   console.error('Fatal error:', err.message);
   process.exit(1);
 });